@@ -1,8 +1,13 @@
 /**
  * Donna Desktop - Agent Definitions
- * Pre-defined AI personalities that wrap Claude Code and Gemini CLIs
+ * Pre-defined AI personalities that wrap agent CLIs (see cliAdapters.js).
+ * User-defined personalities are loaded from disk by customAgents.js and
+ * registered here with setCustomAgents().
  */
 
+const path = require('path');
+const { getCliAdapter, isAllowedCli, getAllowedClis, resolveCliPath, checkCliAvailable } = require('./cliAdapters');
+
 const agents = {
   donna: {
     id: 'donna',
@@ -104,67 +109,91 @@ IMPORTANT: Communicate directly without stage directions or asterisks. Let the w
   }
 };
 
-// SECURITY: Allowlist of valid CLI commands
-// Reference: OWASP Input Validation - use allowlists over denylists
-const ALLOWED_CLIS = ['claude', 'gemini'];
+// Arena needs contestants from at least this many installed CLIs
+const ARENA_MIN_CLIS = 2;
+
+// User-defined agents keyed by ID. Built-in agents take precedence.
+let customAgents = {};
 
 /**
- * SECURITY: Validate agent ID against known agents
- * Prevents injection of arbitrary agent IDs
+ * SECURITY: Check cliArgs against the allowlist of the CLI's adapter
+ * @returns {string|null} Error message, or null if every arg is allowed
  */
-function validateAgentId(agentId) {
-  if (!agentId || typeof agentId !== 'string') {
-    return false;
+function validateCliArgs(cli, cliArgs) {
+  const allowed = getCliAdapter(cli)?.allowedArgs || {};
+  for (let i = 0; i < cliArgs.length; i++) {
+    const arg = cliArgs[i];
+    if (!Object.prototype.hasOwnProperty.call(allowed, arg)) {
+      return `cliArgs: ${arg} is not allowed for ${cli}`;
+    }
+    if (allowed[arg]) {
+      const value = cliArgs[++i];
+      if (typeof value !== 'string' || value === '' || value.startsWith('-')) {
+        return `cliArgs: ${arg} requires a value`;
+      }
+    }
   }
-  // Only allow known agent IDs from our definition
-  return Object.prototype.hasOwnProperty.call(agents, agentId);
+  return null;
 }
 
 /**
- * Resolve CLI to full path (needed for packaged app where PATH is limited)
+ * Replace the set of user-defined agents
+ * @param {Array} list - Validated agent definitions
  */
-function resolveCliPath(cli) {
-  if (!cli || typeof cli !== 'string' || !ALLOWED_CLIS.includes(cli)) {
-    return cli;
+function setCustomAgents(list) {
+  customAgents = {};
+  for (const agent of list) {
+    if (!Object.prototype.hasOwnProperty.call(agents, agent.id)) {
+      customAgents[agent.id] = { ...agent, custom: true };
+    }
   }
+}
 
-  const { existsSync } = require('fs');
-  const path = require('path');
-  const os = require('os');
-
-  const commonPaths = [
-    path.join(os.homedir(), '.local', 'bin', cli),
-    path.join(os.homedir(), '.npm-global', 'bin', cli),
-    `/opt/homebrew/bin/${cli}`,
-    `/usr/local/bin/${cli}`,
-    `/usr/bin/${cli}`,
-  ];
+/**
+ * Built-in agents followed by user-defined ones
+ */
+function getAllAgents() {
+  return [...Object.values(agents), ...Object.values(customAgents)];
+}
 
-  for (const p of commonPaths) {
-    if (existsSync(p)) {
-      return p;
-    }
+/**
+ * SECURITY: Validate agent ID against known agents
+ * Prevents injection of arbitrary agent IDs
+ */
+function validateAgentId(agentId) {
+  if (!agentId || typeof agentId !== 'string') {
+    return false;
   }
-
-  // Fallback to just the name (hope PATH works)
-  return cli;
+  // Only allow known agent IDs from our definitions
+  return Object.prototype.hasOwnProperty.call(agents, agentId) ||
+    Object.prototype.hasOwnProperty.call(customAgents, agentId);
 }
 
 /**
  * Get CLI command and args for an agent
+ * @param {Object} options - { yolo: run with the adapter's auto-accept flag,
+ *   as Arena contestants do; remote: run on another machine over SSH, so the
+ *   binary is looked up there by name }
  */
-function getAgentCliCommand(agentId, workingDir = process.cwd()) {
+function getAgentCliCommand(agentId, workingDir = process.cwd(), options = {}) {
   // SECURITY: Validate agent ID before use
   if (!validateAgentId(agentId)) {
     throw new Error(`Invalid or unknown agent: ${agentId}`);
   }
 
-  const agent = agents[agentId];
+  const agent = getAgent(agentId);
   if (!agent) {
     throw new Error(`Unknown agent: ${agentId}`);
   }
 
-  const command = resolveCliPath(agent.cli); // Full path to 'claude' or 'gemini'
+  // SECURITY: Only spawn CLIs with a registered adapter
+  const adapter = getCliAdapter(agent.cli);
+  if (!adapter) {
+    throw new Error(`No CLI adapter for ${agent.cli}`);
+  }
+
+  // Full path to the adapter's binary, or its name on a remote host's PATH
+  const command = options.remote ? path.basename(adapter.binary) : resolveCliPath(agent.cli);
   const args = [];
 
   // Add any pre-defined CLI args (like YOLO flags)
@@ -172,24 +201,14 @@ function getAgentCliCommand(agentId, workingDir = process.cwd()) {
     args.push(...agent.cliArgs);
   }
 
-  if (agent.cli === 'claude') {
-    if (agent.systemPrompt) {
-      // Use Claude Code's --agents flag to define the agent, then --agent to use it
-      // This shows @agentname at the top with the personality loaded
-      const agentDef = {
-        [agentId]: {
-          description: agent.description,
-          prompt: agent.systemPrompt
-        }
-      };
-      args.push('--agents', JSON.stringify(agentDef));
-      args.push('--agent', agentId);
-    }
-  } else if (agent.cli === 'gemini') {
-    if (agent.systemPrompt) {
-      // Gemini uses -i for interactive with initial prompt
-      args.push('-i', agent.systemPrompt);
-    }
+  // The adapter's yoloArgs are alternative spellings of one flag; add the
+  // first unless the agent already passes one of them
+  if (options.yolo && adapter.yoloArgs.length > 0 && !args.some(arg => adapter.yoloArgs.includes(arg))) {
+    args.push(adapter.yoloArgs[0]);
+  }
+
+  if (agent.systemPrompt && adapter.promptArgs) {
+    args.push(...adapter.promptArgs(agent));
   }
 
   return { command, args, workingDir, agent };
@@ -199,13 +218,14 @@ function getAgentCliCommand(agentId, workingDir = process.cwd()) {
  * List all available agents
  */
 function listAgents() {
-  return Object.values(agents).map(a => ({
+  return getAllAgents().map(a => ({
     id: a.id,
     name: a.name,
     description: a.description,
     cli: a.cli,
     icon: a.icon,
-    color: a.color
+    color: a.color,
+    custom: a.custom || false
   }));
 }
 
@@ -218,49 +238,7 @@ function getAgent(id) {
   if (!validateAgentId(id)) {
     return null;
   }
-  return agents[id] || null;
-}
-
-/**
- * Check if a CLI is available
- * SECURITY: Only allows checking CLIs from allowlist to prevent command injection
- */
-async function checkCliAvailable(cli) {
-  // SECURITY: Validate CLI against allowlist - prevents command injection
-  // Reference: OWASP Command Injection Prevention
-  if (!cli || typeof cli !== 'string' || !ALLOWED_CLIS.includes(cli)) {
-    return false;
-  }
-
-  const { existsSync } = require('fs');
-  const { execSync } = require('child_process');
-  const path = require('path');
-  const os = require('os');
-
-  // Common paths where CLIs might be installed
-  const commonPaths = [
-    path.join(os.homedir(), '.local', 'bin', cli),
-    path.join(os.homedir(), '.npm-global', 'bin', cli),
-    `/opt/homebrew/bin/${cli}`,
-    `/usr/local/bin/${cli}`,
-    `/usr/bin/${cli}`,
-  ];
-
-  // Check common paths first (fast)
-  for (const p of commonPaths) {
-    if (existsSync(p)) {
-      return true;
-    }
-  }
-
-  // Fallback: try which with user's shell PATH
-  try {
-    // Use login shell to get proper PATH
-    execSync(`/bin/zsh -l -c "which ${cli}"`, { stdio: 'ignore' });
-    return true;
-  } catch {
-    return false;
-  }
+  return agents[id] || customAgents[id] || null;
 }
 
 /**
@@ -268,15 +246,16 @@ async function checkCliAvailable(cli) {
  * Excludes hidden agents (like YOLO modes) from normal listing
  */
 async function getAvailableAgents(includeHidden = false) {
-  const claudeAvailable = await checkCliAvailable('claude');
-  const geminiAvailable = await checkCliAvailable('gemini');
+  const allAgents = getAllAgents();
+  const availableClis = new Set();
+  for (const cli of new Set(allAgents.map(a => a.cli))) {
+    if (await checkCliAvailable(cli)) availableClis.add(cli);
+  }
 
-  return Object.values(agents).filter(a => {
+  return allAgents.filter(a => {
     // Skip hidden agents unless explicitly requested
     if (a.hidden && !includeHidden) return false;
-    if (a.cli === 'claude') return claudeAvailable;
-    if (a.cli === 'gemini') return geminiAvailable;
-    return false;
+    return availableClis.has(a.cli);
   }).map(a => ({
     id: a.id,
     name: a.name,
@@ -285,17 +264,22 @@ async function getAvailableAgents(includeHidden = false) {
     icon: a.icon,
     color: a.color,
     available: true,
-    isYolo: a.isYolo || false
+    isYolo: a.isYolo || false,
+    custom: a.custom || false
   }));
 }
 
 /**
- * Check if Arena mode is available (both Claude and Gemini installed)
+ * Check if Arena mode is available (agents for at least two different CLIs
+ * installed)
  */
 async function isArenaAvailable() {
-  const claudeAvailable = await checkCliAvailable('claude');
-  const geminiAvailable = await checkCliAvailable('gemini');
-  return claudeAvailable && geminiAvailable;
+  let installed = 0;
+  for (const cli of new Set(getAllAgents().map(a => a.cli))) {
+    if (await checkCliAvailable(cli)) installed++;
+    if (installed >= ARENA_MIN_CLIS) return true;
+  }
+  return false;
 }
 
 module.exports = {
@@ -307,5 +291,8 @@ module.exports = {
   getAvailableAgents,
   isArenaAvailable,
   validateAgentId,
-  ALLOWED_CLIS
+  validateCliArgs,
+  setCustomAgents,
+  isAllowedCli,
+  getAllowedClis
 };
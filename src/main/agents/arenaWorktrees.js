@@ -0,0 +1,577 @@
+/**
+ * Arena Worktrees - Isolated git working copies for Arena contestants
+ *
+ * Each contestant runs in its own `git worktree` on a scratch branch made
+ * from the user's HEAD, so agents racing on the same task don't overwrite
+ * each other's files. Keeping a contestant merges (or cherry-picks) its
+ * branch into the user's branch; keeping or discarding removes every
+ * worktree and scratch branch.
+ *
+ * Worktrees live in ~/.donna-desktop/arena/<arena ID>/ next to an
+ * arena.json describing them, so arenas left behind when the app quit are
+ * cleaned up on the next launch.
+ *
+ * For comparing contestants, each worktree's changes against the base
+ * commit are listed per file with syntax-highlighted versions, and the
+ * project's test command can be run in it.
+ */
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execFile } = require('child_process');
+const { getSpawnEnv } = require('../utils/discovery');
+const { getLanguage, highlightLines } = require('../utils/highlight');
+
+const GIT_TIMEOUT_MS = 60 * 1000;
+const BRANCH_PREFIX = 'donna-arena';
+const ARENA_ID = /^[\w-]{1,64}$/;
+const KEEP_STRATEGIES = ['merge', 'cherry-pick'];
+// Used only when the repo has no identity configured
+const FALLBACK_IDENTITY = ['-c', 'user.name=Donna Arena', '-c', 'user.email=arena@donna.local'];
+// Larger files are listed but not shown
+const MAX_FILE_CHARS = 1024 * 1024;
+const TEST_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_TEST_OUTPUT_CHARS = 8 * 1024;
+// Stands in for the content of files over MAX_FILE_CHARS
+const TOO_LARGE = Symbol('tooLarge');
+// What `npm init` writes when there are no tests
+const NPM_DEFAULT_TEST = 'echo "Error: no test specified" && exit 1';
+
+/**
+ * Whether a path is a folder or inside it
+ */
+function isInside(file, dir) {
+  const relative = path.relative(dir, path.resolve(file));
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+class ArenaError extends Error {
+  /**
+   * @param {string} code - NOT_A_REPO, NO_COMMITS, DIRTY, UNKNOWN_ARENA,
+   *   WRONG_BRANCH, NO_CHANGES or CONFLICT
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'ArenaError';
+    this.code = code;
+  }
+}
+
+/**
+ * Run git and resolve with its stdout
+ * @throws {Error} With git's stderr as the message
+ */
+function git(cwd, args) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, {
+      cwd,
+      timeout: GIT_TIMEOUT_MS,
+      maxBuffer: 16 * 1024 * 1024,
+      env: { ...getSpawnEnv(), GIT_TERMINAL_PROMPT: '0' }
+    }, (error, stdout, stderr) => {
+      if (error) reject(new Error((stderr || error.message).trim()));
+      else resolve(stdout);
+    });
+  });
+}
+
+/**
+ * Run a shell command, resolving with its exit code (null if it was killed
+ * or timed out) and combined output
+ */
+function runShell(command, cwd) {
+  const [shell, args] = process.platform === 'win32'
+    ? [process.env.ComSpec || 'cmd.exe', ['/d', '/s', '/c', command]]
+    : ['/bin/sh', ['-c', command]];
+  return new Promise((resolve) => {
+    execFile(shell, args, {
+      cwd,
+      timeout: TEST_TIMEOUT_MS,
+      maxBuffer: 16 * 1024 * 1024,
+      env: { ...getSpawnEnv(), CI: '1' }
+    }, (error, stdout, stderr) => {
+      const exitCode = !error ? 0 : (typeof error.code === 'number' ? error.code : null);
+      resolve({ exitCode, output: `${stdout}${stderr}` });
+    });
+  });
+}
+
+/**
+ * The test command of the project in a folder, if it has one
+ * @returns {string|null}
+ */
+function getTestCommand(dir) {
+  const read = (name) => {
+    try { return fs.readFileSync(path.join(dir, name), 'utf-8'); } catch { return null; }
+  };
+
+  const pkg = read('package.json');
+  if (pkg) {
+    try {
+      const test = JSON.parse(pkg).scripts?.test;
+      if (typeof test === 'string' && test.trim() && test !== NPM_DEFAULT_TEST) return 'npm test';
+    } catch {
+      // Not JSON; try the other project types
+    }
+  }
+  if (read('Cargo.toml') !== null) return 'cargo test';
+  if (read('go.mod') !== null) return 'go test ./...';
+  if (read('pytest.ini') !== null || read('pyproject.toml')?.includes('[tool.pytest')) return 'python -m pytest';
+  if (/^test:/m.test(read('Makefile') || '')) return 'make test';
+  return null;
+}
+
+/**
+ * Find the test command from a folder up to the worktree root
+ * @returns {Object|null} { command, cwd }
+ */
+function detectTestCommand(startDir, rootDir) {
+  for (let dir = path.resolve(startDir); ; dir = path.dirname(dir)) {
+    const command = getTestCommand(dir);
+    if (command) return { command, cwd: dir };
+    if (dir === rootDir || !dir.startsWith(rootDir) || path.dirname(dir) === dir) return null;
+  }
+}
+
+/**
+ * SECURITY: A repo-relative path that stays inside the repo
+ * @throws {Error} For absolute paths and paths leaving the repo
+ */
+function normalizeRepoPath(file) {
+  if (typeof file !== 'string' || !file || file.includes('\0')) throw new Error('Invalid file path');
+  const normalized = path.posix.normalize(file.replace(/\\/g, '/'));
+  if (path.posix.isAbsolute(normalized) || normalized === '..' || normalized.startsWith('../')) {
+    throw new Error('Invalid file path');
+  }
+  return normalized;
+}
+
+/**
+ * Parse `git diff -z --name-status` and `--numstat` into per-file changes
+ */
+function parseChanges(nameStatus, numstat) {
+  const files = new Map();
+  const statusParts = nameStatus.split('\0');
+  for (let i = 0; i + 1 < statusParts.length; i += 2) {
+    files.set(statusParts[i + 1], { path: statusParts[i + 1], status: statusParts[i], added: 0, removed: 0, binary: false });
+  }
+  for (const entry of numstat.split('\0')) {
+    const match = entry.match(/^(-|\d+)\t(-|\d+)\t(.*)$/s);
+    const file = match && files.get(match[3]);
+    if (!file) continue;
+    file.binary = match[1] === '-';
+    file.added = file.binary ? 0 : Number(match[1]);
+    file.removed = file.binary ? 0 : Number(match[2]);
+  }
+  return [...files.values()];
+}
+
+/**
+ * Parse a unified diff into hunks of line numbers; the text comes from the
+ * highlighted file versions
+ * @returns {Array} [{ header, lines: [{ type: 'context'|'add'|'del', oldNo, newNo }] }]
+ */
+function parseHunks(diff) {
+  const hunks = [];
+  let hunk = null;
+  let oldNo = 0;
+  let newNo = 0;
+  for (const line of diff.split('\n')) {
+    const header = line.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@(.*)$/);
+    if (header) {
+      oldNo = Number(header[1]);
+      newNo = Number(header[2]);
+      hunk = { header: line, lines: [] };
+      hunks.push(hunk);
+    } else if (!hunk) {
+      continue;
+    } else if (line.startsWith('+')) {
+      hunk.lines.push({ type: 'add', oldNo: null, newNo: newNo++ });
+    } else if (line.startsWith('-')) {
+      hunk.lines.push({ type: 'del', oldNo: oldNo++, newNo: null });
+    } else if (line.startsWith(' ')) {
+      hunk.lines.push({ type: 'context', oldNo: oldNo++, newNo: newNo++ });
+    }
+  }
+  return hunks;
+}
+
+/**
+ * One version of a file, highlighted line by line
+ * @param {string|null|Symbol} content - null if the file doesn't exist
+ */
+function toVersion(content, language) {
+  if (content === null) return { exists: false, lines: [] };
+  if (content === TOO_LARGE || content.length > MAX_FILE_CHARS) return { exists: true, tooLarge: true, lines: [] };
+  if (content.includes('\0')) return { exists: true, binary: true, lines: [] };
+  return { exists: true, lines: highlightLines(content, language) };
+}
+
+/**
+ * A worktree file's content; symlinks show their target like git does
+ */
+function readWorktreeFile(filePath) {
+  try {
+    const stat = fs.lstatSync(filePath);
+    if (stat.isSymbolicLink()) return fs.readlinkSync(filePath);
+    if (!stat.isFile()) return null;
+    if (stat.size > MAX_FILE_CHARS) return TOO_LARGE;
+    return fs.readFileSync(filePath, 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Branch- and path-safe name for a contestant
+ */
+function slugify(name) {
+  const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 24);
+  return slug || 'agent';
+}
+
+class ArenaWorktrees {
+  /**
+   * @param {Object} options - { baseDir }
+   */
+  constructor(options = {}) {
+    this.baseDir = options.baseDir || path.join(os.homedir(), '.donna-desktop', 'arena');
+    this.arenas = new Map(); // arena ID -> arena
+  }
+
+  /**
+   * Create a worktree and scratch branch per contestant
+   * @param {Object} options - { arenaId, workingDir, contestants: [{ name }],
+   *   stash: stash uncommitted changes instead of refusing }
+   * @returns {Promise<Object>} The arena: { id, repoRoot, baseBranch,
+   *   baseCommit, stashed, contestants: [{ index, name, branch, path, workingDir }] }
+   * @throws {ArenaError} If the folder isn't in a repo with commits, or the
+   *   repo has uncommitted changes and stash isn't set
+   */
+  async prepare({ arenaId, workingDir, contestants, stash = false }) {
+    if (typeof arenaId !== 'string' || !ARENA_ID.test(arenaId)) throw new Error('Invalid arena ID');
+    if (this.arenas.has(arenaId)) throw new Error(`Arena already prepared: ${arenaId}`);
+    if (!Array.isArray(contestants) || contestants.length === 0) throw new Error('No contestants');
+
+    let repoRoot;
+    let prefix;
+    try {
+      repoRoot = (await git(workingDir, ['rev-parse', '--show-toplevel'])).trim();
+      prefix = (await git(workingDir, ['rev-parse', '--show-prefix'])).trim();
+    } catch {
+      throw new ArenaError('Arena needs a git repository so each agent can work on its own copy', 'NOT_A_REPO');
+    }
+
+    let baseCommit;
+    try {
+      baseCommit = (await git(repoRoot, ['rev-parse', '--verify', 'HEAD'])).trim();
+    } catch {
+      throw new ArenaError('The repository has no commits yet', 'NO_COMMITS');
+    }
+    const baseBranch = await this.getCurrentBranch(repoRoot);
+
+    // Untracked files stay put and can't be overwritten by a merge
+    let stashed = null;
+    if (await this.isDirty(repoRoot)) {
+      if (!stash) throw new ArenaError('The repository has uncommitted changes', 'DIRTY');
+      await git(repoRoot, ['stash', 'push', '-m', `Donna Arena ${arenaId}`]);
+      stashed = (await git(repoRoot, ['rev-parse', 'stash@{0}'])).trim();
+    }
+
+    const arena = {
+      id: arenaId,
+      dir: path.join(this.baseDir, arenaId),
+      repoRoot,
+      baseBranch,
+      baseCommit,
+      stashed,
+      contestants: []
+    };
+    fs.mkdirSync(arena.dir, { recursive: true });
+
+    try {
+      for (const [index, contestant] of contestants.entries()) {
+        const slug = `${index}-${slugify(contestant?.name)}`;
+        const worktree = {
+          index,
+          name: String(contestant?.name || `Agent ${index + 1}`),
+          branch: `${BRANCH_PREFIX}/${arenaId}-${slug}`,
+          path: path.join(arena.dir, slug)
+        };
+        await git(repoRoot, ['worktree', 'add', '-b', worktree.branch, worktree.path, baseCommit]);
+        // Start agents in the same subfolder the user picked (created if
+        // it holds nothing tracked)
+        worktree.workingDir = path.resolve(worktree.path, prefix);
+        fs.mkdirSync(worktree.workingDir, { recursive: true });
+        arena.contestants.push(worktree);
+        this.save(arena);
+      }
+    } catch (error) {
+      await this.cleanup(arena);
+      throw error;
+    }
+
+    this.arenas.set(arenaId, arena);
+    return this.describe(arena);
+  }
+
+  /**
+   * Bring one contestant's changes into the user's branch, then remove the
+   * arena. Changes the agent didn't commit are committed first.
+   * @param {string} strategy - 'merge' (default) or 'cherry-pick'
+   * @returns {Promise<Object>} { branch, commits, strategy, stashRestored }
+   * @throws {ArenaError} If the contestant made no changes, the user's repo
+   *   moved to another branch or has uncommitted changes, or the changes
+   *   conflict (the arena is left as it was)
+   */
+  async keep(arenaId, index, strategy = 'merge') {
+    const arena = this.getArena(arenaId);
+    const contestant = arena.contestants[index];
+    if (!contestant) throw new Error(`Unknown contestant: ${index}`);
+    if (!KEEP_STRATEGIES.includes(strategy)) throw new Error(`Unknown strategy: ${strategy}`);
+
+    await this.commitPending(contestant);
+    const range = `${arena.baseCommit}..${contestant.branch}`;
+    const commits = Number((await git(arena.repoRoot, ['rev-list', '--count', range])).trim());
+    if (commits === 0) throw new ArenaError(`${contestant.name} made no changes`, 'NO_CHANGES');
+
+    const branch = await this.getCurrentBranch(arena.repoRoot);
+    if (branch !== arena.baseBranch) {
+      throw new ArenaError(`Switch back to ${arena.baseBranch || 'the commit the Arena started from'} to keep changes`, 'WRONG_BRANCH');
+    }
+    if (await this.isDirty(arena.repoRoot)) {
+      throw new ArenaError('The repository has uncommitted changes', 'DIRTY');
+    }
+
+    const identity = await this.getIdentityArgs(arena.repoRoot);
+    try {
+      if (strategy === 'merge') {
+        await git(arena.repoRoot, [...identity, 'merge', '--no-edit', contestant.branch]);
+      } else {
+        await git(arena.repoRoot, [...identity, 'cherry-pick', range]);
+      }
+    } catch (error) {
+      await git(arena.repoRoot, [strategy, '--abort']).catch(() => {});
+      throw new ArenaError(`${contestant.name}'s changes conflict with ${arena.baseBranch || 'HEAD'}: ${error.message}`, 'CONFLICT');
+    }
+
+    const stashRestored = await this.cleanup(arena);
+    return { branch: arena.baseBranch, commits, strategy, stashRestored };
+  }
+
+  /**
+   * Remove the arena's worktrees and branches without keeping anything
+   * @returns {Promise<Object>} { stashRestored }
+   */
+  async discard(arenaId) {
+    const arena = this.getArena(arenaId);
+    return { stashRestored: await this.cleanup(arena) };
+  }
+
+  /**
+   * Discard every arena, including ones left from earlier launches, except
+   * those an agent still works in
+   * @param {Object} options - { inUse: working directories of agents still
+   *   running (e.g. in the PTY daemon) }
+   */
+  async discardAll({ inUse = [] } = {}) {
+    const arenas = new Map(this.arenas);
+    for (const arena of this.loadSaved()) {
+      if (!arenas.has(arena.id)) arenas.set(arena.id, arena);
+    }
+    for (const arena of arenas.values()) {
+      if (inUse.some(dir => isInside(dir, arena.dir))) continue;
+      await this.cleanup(arena).catch(error => console.error(`Failed to clean up arena ${arena.id}:`, error.message));
+    }
+  }
+
+  /**
+   * Files each contestant changed against the base commit, committed or not
+   * @returns {Promise<Array>} Per contestant: { index, name, files: [{ path,
+   *   status (A, M or D), added, removed, binary }], added, removed }
+   */
+  async getChanges(arenaId) {
+    const arena = this.getArena(arenaId);
+    const changes = [];
+    for (const contestant of arena.contestants) {
+      // Staging in the scratch worktree makes new files show up too
+      await git(contestant.path, ['add', '-A']);
+      const range = ['--cached', '--no-renames', '-z', arena.baseCommit];
+      const files = parseChanges(
+        await git(contestant.path, ['diff', '--name-status', ...range]),
+        await git(contestant.path, ['diff', '--numstat', ...range])
+      );
+      changes.push({
+        index: contestant.index,
+        name: contestant.name,
+        files,
+        added: files.reduce((sum, f) => sum + f.added, 0),
+        removed: files.reduce((sum, f) => sum + f.removed, 0)
+      });
+    }
+    return changes;
+  }
+
+  /**
+   * One file as it was at the base commit and in every contestant's
+   * worktree, highlighted line by line, with each contestant's diff hunks
+   * @returns {Promise<Object>} { path, language, base: version, contestants:
+   *   [{ index, ...version, hunks }] } where a version is { exists, lines,
+   *   binary, tooLarge }
+   */
+  async getFileVersions(arenaId, file) {
+    const arena = this.getArena(arenaId);
+    const relative = normalizeRepoPath(file);
+    const language = getLanguage(relative);
+
+    const baseContent = await git(arena.repoRoot, ['show', `${arena.baseCommit}:${relative}`]).catch(() => null);
+    const contestants = [];
+    for (const contestant of arena.contestants) {
+      await git(contestant.path, ['add', '-A']);
+      const diff = await git(contestant.path, ['diff', '--cached', '--no-renames', arena.baseCommit, '--', relative]);
+      contestants.push({
+        index: contestant.index,
+        ...toVersion(readWorktreeFile(path.join(contestant.path, relative)), language),
+        hunks: parseHunks(diff)
+      });
+    }
+    return { path: relative, language, base: toVersion(baseContent, language), contestants };
+  }
+
+  /**
+   * Run the project's test command in a contestant's worktree
+   * @returns {Promise<Object>} { command, passed, exitCode, output (the end
+   *   of it), durationMs }, or { command: null } if no test command was found
+   */
+  async runTests(arenaId, index) {
+    const arena = this.getArena(arenaId);
+    const contestant = arena.contestants[index];
+    if (!contestant) throw new Error(`Unknown contestant: ${index}`);
+
+    const found = detectTestCommand(contestant.workingDir, contestant.path);
+    if (!found) return { command: null };
+
+    const started = Date.now();
+    const { exitCode, output } = await runShell(found.command, found.cwd);
+    return {
+      command: found.command,
+      passed: exitCode === 0,
+      exitCode,
+      output: output.slice(-MAX_TEST_OUTPUT_CHARS),
+      durationMs: Date.now() - started
+    };
+  }
+
+  getArena(arenaId) {
+    const arena = this.arenas.get(arenaId);
+    if (!arena) throw new ArenaError(`Unknown arena: ${arenaId}`, 'UNKNOWN_ARENA');
+    return arena;
+  }
+
+  describe(arena) {
+    const { id, repoRoot, baseBranch, baseCommit, stashed, contestants } = arena;
+    return { id, repoRoot, baseBranch, baseCommit, stashed: Boolean(stashed), contestants: contestants.map(c => ({ ...c })) };
+  }
+
+  async getCurrentBranch(repoRoot) {
+    const branch = await git(repoRoot, ['symbolic-ref', '--short', '-q', 'HEAD']).catch(() => '');
+    return branch.trim() || null;
+  }
+
+  async isDirty(cwd) {
+    return (await git(cwd, ['status', '--porcelain', '--untracked-files=no'])).trim() !== '';
+  }
+
+  /**
+   * Commit whatever the agent left uncommitted in its worktree
+   */
+  async commitPending(contestant) {
+    if ((await git(contestant.path, ['status', '--porcelain'])).trim() === '') return;
+    await git(contestant.path, ['add', '-A']);
+    await git(contestant.path, [
+      ...(await this.getIdentityArgs(contestant.path)),
+      'commit', '--no-verify', '-m', `Arena: ${contestant.name}'s changes`
+    ]);
+  }
+
+  /**
+   * Extra git args so commits work in repos without a user identity
+   */
+  async getIdentityArgs(cwd) {
+    const configured = await git(cwd, ['config', 'user.email']).then(() => true, () => false);
+    return configured ? [] : FALLBACK_IDENTITY;
+  }
+
+  /**
+   * Remove worktrees, scratch branches and the arena folder, and restore
+   * stashed changes
+   * @returns {Promise<boolean|null>} Whether the stash was restored (null if
+   *   nothing was stashed). A stash that doesn't apply cleanly stays in
+   *   `git stash list`.
+   */
+  async cleanup(arena) {
+    this.arenas.delete(arena.id);
+    if (!arena.repoRoot) {
+      fs.rmSync(arena.dir, { recursive: true, force: true });
+      return null;
+    }
+
+    for (const contestant of arena.contestants) {
+      await git(arena.repoRoot, ['worktree', 'remove', '--force', contestant.path]).catch(() => {});
+      await git(arena.repoRoot, ['branch', '-D', contestant.branch]).catch(() => {});
+    }
+    fs.rmSync(arena.dir, { recursive: true, force: true });
+    await git(arena.repoRoot, ['worktree', 'prune']).catch(() => {});
+
+    if (!arena.stashed) return null;
+    const stashes = (await git(arena.repoRoot, ['stash', 'list', '--format=%H']).catch(() => '')).trim().split('\n');
+    const position = stashes.indexOf(arena.stashed);
+    if (position === -1) return false;
+    return git(arena.repoRoot, ['stash', 'pop', `stash@{${position}}`]).then(() => true, () => false);
+  }
+
+  save(arena) {
+    const { id, repoRoot, baseBranch, baseCommit, stashed, contestants } = arena;
+    fs.writeFileSync(path.join(arena.dir, 'arena.json'),
+      JSON.stringify({ id, repoRoot, baseBranch, baseCommit, stashed, contestants }, null, 2));
+  }
+
+  /**
+   * Arenas described by arena.json files under the base folder
+   */
+  loadSaved() {
+    let entries = [];
+    try {
+      entries = fs.readdirSync(this.baseDir, { withFileTypes: true });
+    } catch {
+      return [];
+    }
+
+    const arenas = [];
+    for (const entry of entries) {
+      if (!entry.isDirectory() || !ARENA_ID.test(entry.name)) continue;
+      const dir = path.join(this.baseDir, entry.name);
+      try {
+        const saved = JSON.parse(fs.readFileSync(path.join(dir, 'arena.json'), 'utf-8'));
+        // Only touch branches and folders this module creates
+        const contestants = (saved.contestants || []).filter(c =>
+          typeof c.branch === 'string' && c.branch.startsWith(`${BRANCH_PREFIX}/${entry.name}-`) &&
+          typeof c.path === 'string' && path.dirname(c.path) === dir);
+        arenas.push({ ...saved, id: entry.name, dir, contestants });
+      } catch {
+        // No usable arena.json: nothing in the repo to undo
+        arenas.push({ id: entry.name, dir, repoRoot: null, stashed: null, contestants: [] });
+      }
+    }
+    return arenas;
+  }
+}
+
+let arenaWorktrees = null;
+
+function getArenaWorktrees() {
+  if (!arenaWorktrees) arenaWorktrees = new ArenaWorktrees();
+  return arenaWorktrees;
+}
+
+module.exports = { ArenaWorktrees, ArenaError, getArenaWorktrees, slugify, detectTestCommand, parseHunks };
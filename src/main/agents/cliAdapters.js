@@ -0,0 +1,266 @@
+/**
+ * Donna Desktop - CLI Adapters
+ * Registry of the agent CLIs Donna can spawn. Each adapter declares its
+ * binary, how to pass a persona prompt, its YOLO flags, the extra flags
+ * agent definitions may use and how to detect that it is installed.
+ *
+ * Besides the built-in adapters, config.json can declare more under
+ * `cliAdapters`, e.g. for a local script:
+ *   "cliAdapters": {
+ *     "my-agent": { "binary": "/Users/me/bin/my-agent", "promptFlag": "--system",
+ *                   "yoloArgs": ["--yes"], "allowedArgs": { "--model": true, "--yes": false } }
+ *   }
+ */
+
+const path = require('path');
+const { findExecutable, loadSearchPath } = require('../utils/discovery');
+
+const ADAPTER_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+// Bare binary names are looked up on PATH; anything else must be absolute
+const BINARY_NAME_PATTERN = /^[a-zA-Z0-9._-]+$/;
+const FLAG_PATTERN = /^--?[a-zA-Z0-9][a-zA-Z0-9-]*$/;
+
+/**
+ * Built-in adapters.
+ * allowedArgs: flag -> true if it takes a value, false if it doesn't
+ */
+const builtInAdapters = [
+  {
+    id: 'claude',
+    name: 'Claude Code',
+    binary: 'claude',
+    // Define the persona with --agents, then select it with --agent. This
+    // shows @agentname at the top with the personality loaded.
+    promptArgs: (agent) => [
+      '--agents', JSON.stringify({ [agent.id]: { description: agent.description, prompt: agent.systemPrompt } }),
+      '--agent', agent.id
+    ],
+    yoloArgs: ['--dangerously-skip-permissions'],
+    allowedArgs: {
+      '--model': true,
+      '--permission-mode': true,
+      '--add-dir': true,
+      '--allowedTools': true,
+      '--disallowedTools': true,
+      '--verbose': false,
+      '--dangerously-skip-permissions': false
+    }
+  },
+  {
+    id: 'gemini',
+    name: 'Gemini CLI',
+    binary: 'gemini',
+    // Interactive mode with the persona as the initial prompt
+    promptArgs: (agent) => ['-i', agent.systemPrompt],
+    yoloArgs: ['--yolo', '-y'],
+    allowedArgs: {
+      '--model': true,
+      '-m': true,
+      '--sandbox': false,
+      '-s': false,
+      '--yolo': false,
+      '-y': false,
+      '--debug': false
+    }
+  },
+  {
+    id: 'codex',
+    name: 'Codex CLI',
+    binary: 'codex',
+    // Codex takes the initial prompt as a positional argument
+    promptArgs: (agent) => [agent.systemPrompt],
+    yoloArgs: ['--dangerously-bypass-approvals-and-sandbox'],
+    allowedArgs: {
+      '--model': true,
+      '-m': true,
+      '--sandbox': true,
+      '--ask-for-approval': true,
+      '--full-auto': false,
+      '--dangerously-bypass-approvals-and-sandbox': false
+    }
+  },
+  {
+    id: 'aider',
+    name: 'Aider',
+    binary: 'aider',
+    // Aider has no persona prompt flag
+    promptArgs: null,
+    yoloArgs: ['--yes-always'],
+    allowedArgs: {
+      '--model': true,
+      '--architect': false,
+      '--no-auto-commits': false,
+      '--yes-always': false
+    }
+  }
+];
+
+const adapters = new Map();
+
+/**
+ * Validate and register an adapter. Built-in adapters can't be replaced.
+ * @param {Object} adapter - { id, name, binary, promptArgs, yoloArgs, allowedArgs, isAvailable }
+ * @throws {Error} If the adapter is malformed or its ID is taken
+ */
+function registerCliAdapter(adapter) {
+  if (!adapter || typeof adapter !== 'object') {
+    throw new Error('Adapter must be an object');
+  }
+  if (typeof adapter.id !== 'string' || !ADAPTER_ID_PATTERN.test(adapter.id)) {
+    throw new Error(`Invalid adapter ID: ${adapter.id}`);
+  }
+  if (adapters.has(adapter.id)) {
+    throw new Error(`CLI adapter already registered: ${adapter.id}`);
+  }
+
+  // SECURITY: The binary is spawned directly, so no shell syntax or relative paths
+  const binary = adapter.binary;
+  if (typeof binary !== 'string' || !(BINARY_NAME_PATTERN.test(binary) || path.isAbsolute(binary))) {
+    throw new Error(`${adapter.id}: binary must be a command name or an absolute path`);
+  }
+  if (adapter.promptArgs != null && typeof adapter.promptArgs !== 'function') {
+    throw new Error(`${adapter.id}: promptArgs must be a function or null`);
+  }
+
+  const allowedArgs = adapter.allowedArgs || {};
+  for (const flag of Object.keys(allowedArgs)) {
+    if (!FLAG_PATTERN.test(flag)) throw new Error(`${adapter.id}: invalid flag ${flag}`);
+  }
+  const yoloArgs = adapter.yoloArgs || [];
+  if (!Array.isArray(yoloArgs) || yoloArgs.some(arg => typeof arg !== 'string')) {
+    throw new Error(`${adapter.id}: yoloArgs must be an array of strings`);
+  }
+
+  adapters.set(adapter.id, {
+    id: adapter.id,
+    name: adapter.name || adapter.id,
+    binary,
+    promptArgs: adapter.promptArgs || null,
+    yoloArgs,
+    allowedArgs,
+    isAvailable: adapter.isAvailable || null,
+    builtIn: adapter.builtIn || false
+  });
+}
+
+/**
+ * Build an adapter from a config.json `cliAdapters` entry
+ * @param {string} id
+ * @param {Object} config - { name, binary, promptFlag, yoloArgs, allowedArgs }
+ */
+function createConfigAdapter(id, config) {
+  if (!config || typeof config !== 'object') {
+    throw new Error(`${id}: adapter config must be an object`);
+  }
+  if (config.promptFlag !== undefined && (typeof config.promptFlag !== 'string' || !FLAG_PATTERN.test(config.promptFlag))) {
+    throw new Error(`${id}: promptFlag must be a flag such as --system`);
+  }
+
+  return {
+    id,
+    name: config.name,
+    binary: config.binary,
+    promptArgs: config.promptFlag ? (agent) => [config.promptFlag, agent.systemPrompt] : null,
+    yoloArgs: config.yoloArgs,
+    allowedArgs: config.allowedArgs
+  };
+}
+
+/**
+ * Replace the user-defined adapters with those from config.json
+ * @param {Object} configAdapters - id -> adapter config
+ * @returns {Array} Errors as [{ id, error }]
+ */
+function loadConfigAdapters(configAdapters = {}) {
+  for (const adapter of [...adapters.values()]) {
+    if (!adapter.builtIn) adapters.delete(adapter.id);
+  }
+
+  const errors = [];
+  for (const [id, config] of Object.entries(configAdapters || {})) {
+    try {
+      registerCliAdapter(createConfigAdapter(id, config));
+    } catch (e) {
+      errors.push({ id, error: e.message });
+    }
+  }
+  if (errors.length > 0) {
+    console.warn('Skipped invalid CLI adapters:', errors);
+  }
+  return errors;
+}
+
+function getCliAdapter(id) {
+  if (typeof id !== 'string') return null;
+  return adapters.get(id) || null;
+}
+
+/**
+ * SECURITY: The CLI allowlist is the set of registered adapters
+ * Reference: OWASP Input Validation - use allowlists over denylists
+ */
+function getAllowedClis() {
+  return [...adapters.keys()];
+}
+
+function isAllowedCli(cli) {
+  return typeof cli === 'string' && adapters.has(cli);
+}
+
+/**
+ * Resolve an adapter's binary to a full path
+ * @returns {string} The full path if found, otherwise the binary (hope PATH works)
+ */
+function resolveCliPath(cli) {
+  const adapter = getCliAdapter(cli);
+  if (!adapter) return cli;
+  return findExecutable(adapter.binary) || adapter.binary;
+}
+
+/**
+ * Check if an adapter's CLI is installed
+ * SECURITY: Only registered adapters are checked
+ */
+async function checkCliAvailable(cli) {
+  const adapter = getCliAdapter(cli);
+  if (!adapter) return false;
+
+  if (adapter.isAvailable) {
+    try {
+      return Boolean(await adapter.isAvailable());
+    } catch {
+      return false;
+    }
+  }
+
+  // CLIs may be only on the login-shell PATH, which is read at startup
+  return findExecutable(adapter.binary, await loadSearchPath()) !== null;
+}
+
+/**
+ * Adapter summaries for display
+ */
+function listCliAdapters() {
+  return [...adapters.values()].map(a => ({
+    id: a.id,
+    name: a.name,
+    binary: a.binary,
+    supportsPersona: a.promptArgs !== null,
+    builtIn: a.builtIn
+  }));
+}
+
+for (const adapter of builtInAdapters) {
+  registerCliAdapter({ ...adapter, builtIn: true });
+}
+
+module.exports = {
+  registerCliAdapter,
+  loadConfigAdapters,
+  getCliAdapter,
+  getAllowedClis,
+  isAllowedCli,
+  resolveCliPath,
+  checkCliAvailable,
+  listCliAdapters
+};
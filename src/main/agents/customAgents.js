@@ -0,0 +1,203 @@
+/**
+ * Donna Desktop - Custom Agents
+ * Loads user-defined agent personalities from ~/.donna-desktop/agents/*.json,
+ * *.yaml or *.yml, validates them and reloads them when the files change.
+ *
+ * Example (reviewer.yaml):
+ *   name: Reviewer
+ *   description: Strict code reviewer
+ *   cli: claude
+ *   icon: R
+ *   color: "#f472b6"
+ *   systemPrompt: You review code for correctness and clarity.
+ *   cliArgs: [--model, opus]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const yaml = require('js-yaml');
+const { agents: builtInAgents, validateCliArgs } = require('./agentDefinitions');
+const { getCliAdapter, getAllowedClis } = require('./cliAdapters');
+
+const AGENT_FILE_PATTERN = /\.(json|ya?ml)$/i;
+const AGENT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const COLOR_PATTERN = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/;
+
+/**
+ * Agent file schema: field -> { type, required, maxLength, pattern }
+ */
+const AGENT_SCHEMA = {
+  id: { type: 'string', pattern: AGENT_ID_PATTERN },
+  name: { type: 'string', required: true, maxLength: 64 },
+  description: { type: 'string', maxLength: 200 },
+  cli: { type: 'string', required: true },
+  icon: { type: 'string', maxLength: 4 },
+  color: { type: 'string', pattern: COLOR_PATTERN },
+  systemPrompt: { type: 'string', nullable: true, maxLength: 20000 },
+  cliArgs: { type: 'array' },
+  hidden: { type: 'boolean' }
+};
+
+// Wait for editors to finish writing before reloading
+const RELOAD_DEBOUNCE_MS = 200;
+
+/**
+ * Validate a parsed agent file
+ * @param {Object} data - Parsed JSON or YAML
+ * @param {string} fallbackId - ID to use when the file doesn't set one (the file name)
+ * @returns {Object} Agent definition
+ * @throws {Error} Describing the first schema violation
+ */
+function validateAgentDefinition(data, fallbackId) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Agent file must contain an object');
+  }
+
+  for (const key of Object.keys(data)) {
+    if (!AGENT_SCHEMA[key]) throw new Error(`Unknown field: ${key}`);
+  }
+
+  for (const [field, rule] of Object.entries(AGENT_SCHEMA)) {
+    const value = data[field];
+    if (value === undefined || (value === null && rule.nullable)) {
+      if (rule.required) throw new Error(`Missing required field: ${field}`);
+      continue;
+    }
+
+    const type = Array.isArray(value) ? 'array' : typeof value;
+    if (type !== rule.type) {
+      throw new Error(`${field} must be ${rule.type === 'array' ? 'an' : 'a'} ${rule.type}`);
+    }
+    if (rule.maxLength && value.length > rule.maxLength) {
+      throw new Error(`${field} must be at most ${rule.maxLength} characters`);
+    }
+    if (rule.pattern && !rule.pattern.test(value)) throw new Error(`${field} is invalid: ${value}`);
+  }
+
+  const id = data.id || fallbackId;
+  if (!AGENT_ID_PATTERN.test(id)) {
+    throw new Error(`Invalid agent ID: ${id} (use lowercase letters, digits and dashes)`);
+  }
+  if (Object.prototype.hasOwnProperty.call(builtInAgents, id)) {
+    throw new Error(`Agent ID ${id} is reserved by a built-in agent`);
+  }
+
+  // SECURITY: Only CLIs with a registered adapter, and only their allowlisted flags
+  const adapter = getCliAdapter(data.cli);
+  if (!adapter) {
+    throw new Error(`cli must be one of: ${getAllowedClis().join(', ')}`);
+  }
+  if (data.systemPrompt && !adapter.promptArgs) {
+    throw new Error(`${data.cli} does not support a systemPrompt`);
+  }
+  const cliArgs = data.cliArgs || [];
+  if (cliArgs.some(arg => typeof arg !== 'string')) {
+    throw new Error('cliArgs must be an array of strings');
+  }
+  const argsError = validateCliArgs(data.cli, cliArgs);
+  if (argsError) throw new Error(argsError);
+
+  return {
+    id,
+    name: data.name,
+    description: data.description || '',
+    cli: data.cli,
+    icon: data.icon || data.name.charAt(0).toUpperCase(),
+    color: data.color || '#6366f1',
+    systemPrompt: data.systemPrompt || null,
+    cliArgs,
+    isYolo: cliArgs.some(arg => adapter.yoloArgs.includes(arg)),
+    hidden: data.hidden || false
+  };
+}
+
+class CustomAgentLoader {
+  constructor(options = {}) {
+    this.agentsDir = options.agentsDir || path.join(os.homedir(), '.donna-desktop', 'agents');
+    this.agents = [];
+    this.errors = [];
+    this.watcher = null;
+    this.reloadTimeout = null;
+  }
+
+  /**
+   * Load every agent file. Invalid files are skipped and reported in `errors`.
+   * @returns {Object} { agents, errors: [{ file, error }] }
+   */
+  load() {
+    const agents = [];
+    const errors = [];
+    const seen = new Set();
+
+    let files = [];
+    try {
+      if (fs.existsSync(this.agentsDir)) {
+        files = fs.readdirSync(this.agentsDir).filter(file => AGENT_FILE_PATTERN.test(file)).sort();
+      }
+    } catch (e) {
+      console.error('Failed to read agents directory:', e);
+    }
+
+    for (const file of files) {
+      try {
+        const content = fs.readFileSync(path.join(this.agentsDir, file), 'utf-8');
+        const data = file.toLowerCase().endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+        const agent = validateAgentDefinition(data, path.basename(file, path.extname(file)).toLowerCase());
+
+        if (seen.has(agent.id)) throw new Error(`Duplicate agent ID: ${agent.id}`);
+        seen.add(agent.id);
+        agents.push(agent);
+      } catch (e) {
+        errors.push({ file, error: e.message });
+      }
+    }
+
+    this.agents = agents;
+    this.errors = errors;
+    if (errors.length > 0) {
+      console.warn('Skipped invalid agent files:', errors);
+    }
+    return { agents, errors };
+  }
+
+  /**
+   * Reload whenever a file in the agents directory changes
+   * @param {Function} onChange - Called with { agents, errors } after each reload
+   */
+  watch(onChange) {
+    this.unwatch();
+
+    try {
+      if (!fs.existsSync(this.agentsDir)) {
+        fs.mkdirSync(this.agentsDir, { recursive: true });
+      }
+      this.watcher = fs.watch(this.agentsDir, () => {
+        clearTimeout(this.reloadTimeout);
+        this.reloadTimeout = setTimeout(() => onChange(this.load()), RELOAD_DEBOUNCE_MS);
+      });
+    } catch (e) {
+      console.error('Failed to watch agents directory:', e);
+    }
+  }
+
+  unwatch() {
+    clearTimeout(this.reloadTimeout);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getCustomAgentLoader() {
+  if (!instance) {
+    instance = new CustomAgentLoader();
+  }
+  return instance;
+}
+
+module.exports = { CustomAgentLoader, getCustomAgentLoader, validateAgentDefinition, AGENT_SCHEMA };
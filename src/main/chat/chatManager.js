@@ -4,6 +4,8 @@
  */
 
 const { ModelManager, ClaudeProvider, GeminiProvider, OllamaProvider, OpenAICompatibleProvider } = require('../models/modelProvider');
+const { ToolRegistry } = require('../models/toolRegistry');
+const { getUsageLedger } = require('../usage/usageLedger');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
@@ -31,6 +33,7 @@ class ChatSession {
     this.provider = config.provider || 'claude';
     this.model = config.model || null;
     this.systemPrompt = config.systemPrompt || '';
+    this.tools = config.tools || []; // Names of tools registered with the ChatManager
     this.messages = [];
     this.createdAt = Date.now();
     this.updatedAt = Date.now();
@@ -67,6 +70,7 @@ class ChatSession {
       provider: this.provider,
       model: this.model,
       systemPrompt: this.systemPrompt,
+      tools: this.tools,
       messages: this.messages,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
@@ -80,6 +84,7 @@ class ChatSession {
       provider: data.provider,
       model: data.model,
       systemPrompt: data.systemPrompt,
+      tools: data.tools,
       metadata: data.metadata
     });
     session.messages = data.messages || [];
@@ -93,9 +98,14 @@ class ChatSession {
  * Chat Manager - Handles all chat operations
  */
 class ChatManager {
-  constructor() {
+  /**
+   * @param {Object} options - { tools } registry shared with the orchestrator
+   */
+  constructor(options = {}) {
     this.sessions = new Map();
-    this.modelManager = new ModelManager();
+    // Tools outlive provider re-initialization in updateProviderConfig
+    this.toolRegistry = options.tools || new ToolRegistry();
+    this.modelManager = new ModelManager({ tools: this.toolRegistry, ledger: getUsageLedger() });
     this.configPath = path.join(os.homedir(), '.donna-desktop', 'config.json');
     this.chatsPath = path.join(os.homedir(), '.donna-desktop', 'chats');
     this.config = {};
@@ -178,6 +188,9 @@ class ChatManager {
         model: models.openrouter?.model || 'anthropic/claude-3.5-sonnet'
       }));
     }
+
+    // Retry and fallback policy shared with the orchestrator
+    this.modelManager.setRetryPolicy(models.fallback);
   }
 
   /**
@@ -190,6 +203,7 @@ class ChatManager {
       provider: config.provider || this.config.defaultProvider || 'claude',
       model: config.model,
       systemPrompt: config.systemPrompt || '',
+      tools: config.tools,
       metadata: config.metadata
     });
 
@@ -332,14 +346,19 @@ class ChatManager {
       const response = await this.modelManager.chat(messages, {
         provider: session.provider,
         model: session.model,
-        system: session.systemPrompt || undefined
+        system: session.systemPrompt || undefined,
+        tools: session.tools.length > 0 ? session.tools : undefined,
+        toolContext: { sessionId },
+        usageContext: { source: 'chat', sessionId }
       });
 
       // Add assistant message
       const assistantMessage = session.addMessage('assistant', response.content, {
-        provider: session.provider,
+        provider: response.provider || session.provider,
+        fallbackFrom: response.fallbackFrom,
         model: response.model,
-        usage: response.usage
+        usage: response.usage,
+        toolResults: response.toolResults?.length ? response.toolResults : undefined
       });
 
       // Auto-generate name from first message if it's the default
@@ -382,20 +401,40 @@ class ChatManager {
 
     try {
       let fullContent = '';
+      const toolResults = [];
+      let usage = null;
+      let answeredBy = null;
 
       for await (const chunk of this.modelManager.stream(messages, {
         provider: session.provider,
         model: session.model,
-        system: session.systemPrompt || undefined
+        system: session.systemPrompt || undefined,
+        tools: session.tools.length > 0 ? session.tools : undefined,
+        toolContext: { sessionId },
+        usageContext: { source: 'chat', sessionId }
       })) {
-        fullContent += chunk.content;
-        yield { type: 'chunk', content: chunk.content };
+        if (chunk.type === 'text') {
+          fullContent += chunk.content;
+          yield { type: 'chunk', content: chunk.content };
+        } else if (chunk.type === 'tool_call') {
+          yield { type: 'tool_call', toolCall: chunk.toolCall };
+        } else if (chunk.type === 'tool_result') {
+          toolResults.push(chunk.toolResult);
+          yield { type: 'tool_result', toolResult: chunk.toolResult };
+        } else if (chunk.type === 'usage') {
+          usage = chunk.usage;
+        } else if (chunk.type === 'provider') {
+          answeredBy = chunk;
+        }
       }
 
       // Add assistant message with full content
       const assistantMessage = session.addMessage('assistant', fullContent, {
-        provider: session.provider,
-        model: session.model
+        provider: answeredBy?.provider || session.provider,
+        fallbackFrom: answeredBy?.fallbackFrom,
+        model: answeredBy && answeredBy.provider !== session.provider ? null : session.model,
+        usage: usage || undefined,
+        toolResults: toolResults.length > 0 ? toolResults : undefined
       });
 
       // Auto-generate name from first message if it's the default
@@ -450,7 +489,7 @@ class ChatManager {
     this.saveConfig();
 
     // Reinitialize providers
-    this.modelManager = new ModelManager();
+    this.modelManager = new ModelManager({ tools: this.toolRegistry, ledger: getUsageLedger() });
     this.initializeProviders();
   }
 
@@ -0,0 +1,187 @@
+/**
+ * Donna Desktop - Project Workflows and Bundles
+ * Finds workflows committed to a repository in .donna/workflows/*.json,
+ * *.yaml or *.yml (searching up from the terminal's working directory), and
+ * reads and writes workflow bundles for import/export.
+ *
+ * A workflow file holds one workflow, a list of workflows, or a bundle:
+ *   { "version": 1, "workflows": [{ "name": "Deploy", "commands": ["..."] }] }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const yaml = require('js-yaml');
+const { compileWorkflow } = require('./workflowSchema');
+
+const WORKFLOW_FILE_PATTERN = /\.(json|ya?ml)$/i;
+const BUNDLE_VERSION = 1;
+const MAX_FILE_BYTES = 256 * 1024;
+const MAX_FILES = 50;
+
+// Fields kept from workflow files and written to bundles
+const WORKFLOW_FIELDS = ['name', 'description', 'icon', 'timeoutMs', 'variables', 'commands'];
+
+/**
+ * Keep only workflow fields (drops ids, flags and compiled data)
+ */
+function pickWorkflowFields(workflow) {
+  const picked = {};
+  for (const field of WORKFLOW_FIELDS) {
+    if (workflow[field] !== undefined) picked[field] = workflow[field];
+  }
+  return picked;
+}
+
+/**
+ * Parse a workflow file or bundle
+ * @param {string} content - File content
+ * @param {string} fileName - Used to pick JSON or YAML
+ * @returns {Array} Workflows (not yet validated)
+ * @throws {Error} If the content isn't a workflow, list or bundle
+ */
+function parseWorkflowBundle(content, fileName) {
+  const data = fileName.toLowerCase().endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+  return getBundleWorkflows(data);
+}
+
+/**
+ * Workflows from parsed bundle data: a workflow, a list or a bundle
+ * @throws {Error} If the data is none of these
+ */
+function getBundleWorkflows(data) {
+  let workflows;
+  if (Array.isArray(data)) {
+    workflows = data;
+  } else if (data && typeof data === 'object' && Array.isArray(data.workflows)) {
+    if (data.version !== undefined && data.version !== BUNDLE_VERSION) {
+      throw new Error(`Unsupported bundle version: ${data.version}`);
+    }
+    workflows = data.workflows;
+  } else if (data && typeof data === 'object' && data.commands) {
+    workflows = [data];
+  } else {
+    throw new Error('File must contain a workflow, a list of workflows or a bundle');
+  }
+
+  return workflows.map((workflow, i) => {
+    if (!workflow || typeof workflow !== 'object' || Array.isArray(workflow)) {
+      throw new Error(`Workflow ${i + 1} must be an object`);
+    }
+    return workflow;
+  });
+}
+
+/**
+ * Bundle workflows for export
+ */
+function createWorkflowBundle(workflows) {
+  return { version: BUNDLE_VERSION, workflows: workflows.map(pickWorkflowFields) };
+}
+
+/**
+ * Serialize workflows as a bundle file
+ * @param {Array} workflows - Workflows to export
+ * @param {string} fileName - .json, .yaml or .yml
+ * @returns {string} File content
+ */
+function serializeWorkflowBundle(workflows, fileName) {
+  const bundle = createWorkflowBundle(workflows);
+  return /\.ya?ml$/i.test(fileName)
+    ? yaml.dump(bundle, { lineWidth: -1 })
+    : JSON.stringify(bundle, null, 2) + '\n';
+}
+
+/**
+ * Find the nearest .donna/workflows directory at or above a directory,
+ * stopping at the home directory
+ * @returns {string|null}
+ */
+function findWorkflowsDir(cwd, homeDir = os.homedir()) {
+  if (typeof cwd !== 'string' || !path.isAbsolute(cwd)) return null;
+
+  let dir = path.resolve(cwd);
+  while (true) {
+    const candidate = path.join(dir, '.donna', 'workflows');
+    try {
+      if (fs.statSync(candidate).isDirectory()) return candidate;
+    } catch {
+      // Not here; keep looking up
+    }
+
+    const parent = path.dirname(dir);
+    if (dir === homeDir || parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Load project workflows for a working directory
+ * @param {string} cwd - Terminal working directory
+ * @returns {Object} { dir, workflows, errors } - each workflow has a `project:`
+ *   ID, `isProject`, its `source` file and `compiled` steps (or an `error`;
+ *   unreadable files are listed with an error too)
+ */
+function loadProjectWorkflows(cwd, homeDir) {
+  if (typeof cwd !== 'string' || !cwd) return { dir: null, workflows: [], errors: [] };
+  const dir = findWorkflowsDir(cwd, homeDir);
+  if (!dir) return { dir: null, workflows: [], errors: [] };
+
+  const workflows = [];
+  const errors = [];
+
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter(file => WORKFLOW_FILE_PATTERN.test(file)).sort().slice(0, MAX_FILES);
+  } catch (e) {
+    errors.push({ file: dir, error: e.message });
+  }
+
+  for (const file of files) {
+    const source = path.join(dir, file);
+    try {
+      if (fs.statSync(source).size > MAX_FILE_BYTES) {
+        throw new Error(`File is larger than ${MAX_FILE_BYTES / 1024} KB`);
+      }
+      const entries = parseWorkflowBundle(fs.readFileSync(source, 'utf-8'), file);
+
+      entries.forEach((entry, i) => {
+        const workflow = {
+          // Unnamed workflows are named after their file
+          name: path.basename(file, path.extname(file)),
+          ...pickWorkflowFields(entry),
+          id: `project:${file}${entries.length > 1 ? `#${i + 1}` : ''}`,
+          isProject: true,
+          source
+        };
+        try {
+          workflow.compiled = compileWorkflow(workflow);
+        } catch (e) {
+          workflow.error = e.message;
+          errors.push({ file, error: `${workflow.name || `Workflow ${i + 1}`}: ${e.message}` });
+        }
+        workflows.push(workflow);
+      });
+    } catch (e) {
+      // Listed so the file shows up as invalid instead of silently missing
+      workflows.push({ id: `project:${file}`, name: file, isProject: true, source, error: e.message });
+      errors.push({ file, error: e.message });
+    }
+  }
+
+  if (errors.length > 0) {
+    console.warn('Invalid project workflows:', errors);
+  }
+  return { dir, workflows, errors };
+}
+
+module.exports = {
+  findWorkflowsDir,
+  loadProjectWorkflows,
+  parseWorkflowBundle,
+  getBundleWorkflows,
+  createWorkflowBundle,
+  serializeWorkflowBundle,
+  MAX_FILE_BYTES,
+  pickWorkflowFields
+};
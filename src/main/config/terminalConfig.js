@@ -6,6 +6,8 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { compileWorkflow } = require('./workflowSchema');
+const { pickWorkflowFields } = require('./projectWorkflows');
 
 class TerminalConfig {
   constructor() {
@@ -23,7 +25,11 @@ class TerminalConfig {
       features: {
         commandBlocks: true,        // Group commands with their output
         aiSuggestions: true,        // AI command suggestions as you type
+        naturalLanguage: true,      // "# describe what you want" turns into a command
         commandPalette: true,       // Cmd+Shift+P command palette
+        shellIntegration: true,     // OSC 133/7 marks for exact blocks, exit codes and cwd
+        sessionRestore: true,       // Record scrollback and reopen sessions on launch
+        ptyDaemon: false,           // Run terminals in a background daemon that outlives the app
       },
 
       // Always-on features (not configurable)
@@ -54,6 +60,11 @@ class TerminalConfig {
         showAliases: true,
       },
 
+      // Session restore settings
+      sessionRestore: {
+        scrollbackKB: 512,          // Output kept per session (compressed on disk)
+      },
+
       // Workflows (always enabled)
       workflows: {
         builtIn: [
@@ -73,7 +84,7 @@ class TerminalConfig {
             name: 'NPM: Fresh Install',
             description: 'Remove node_modules and reinstall',
             commands: [
-              'rm -rf node_modules',
+              { command: 'rm -rf node_modules', confirm: 'Delete node_modules and package-lock.json?' },
               'rm -f package-lock.json',
               'npm install'
             ],
@@ -186,40 +197,76 @@ class TerminalConfig {
   }
 
   /**
-   * Get all workflows (built-in + custom)
+   * Get all workflows (built-in + custom), each with its `compiled`
+   * variables and steps, or an `error` if it is invalid
    */
   getWorkflows() {
     return [
       ...this.config.workflows.builtIn,
       ...this.config.workflows.custom
-    ];
+    ].map(workflow => {
+      try {
+        return { ...workflow, compiled: compileWorkflow(workflow) };
+      } catch (error) {
+        return { ...workflow, error: error.message };
+      }
+    });
   }
 
   /**
    * Add a custom workflow
+   * @throws {WorkflowError} If the workflow is invalid
    */
   addWorkflow(workflow) {
-    const id = `custom-${Date.now()}`;
+    // Unique even when several are added in the same millisecond (imports)
+    let id = `custom-${Date.now()}`;
+    for (let n = 2; this.config.workflows.custom.some(w => w.id === id); n++) {
+      id = `custom-${Date.now()}-${n}`;
+    }
+    const { compiled, error, ...fields } = workflow;
     const newWorkflow = {
       id,
-      ...workflow,
+      ...fields,
       isCustom: true
     };
+    compileWorkflow(newWorkflow);
     this.config.workflows.custom.push(newWorkflow);
     this.saveConfig();
     return newWorkflow;
   }
 
+  /**
+   * Add workflows from an imported bundle as custom workflows
+   * @param {Array} workflows - Parsed bundle workflows
+   * @returns {Object} { imported: Array, errors: [{ name, error }] }
+   */
+  importWorkflows(workflows) {
+    const imported = [];
+    const errors = [];
+    for (const workflow of workflows) {
+      try {
+        imported.push(this.addWorkflow(pickWorkflowFields(workflow)));
+      } catch (error) {
+        errors.push({ name: workflow.name || 'Unnamed workflow', error: error.message });
+      }
+    }
+    return { imported, errors };
+  }
+
   /**
    * Update a custom workflow
+   * @throws {WorkflowError} If the updated workflow is invalid
    */
   updateWorkflow(id, updates) {
     const index = this.config.workflows.custom.findIndex(w => w.id === id);
     if (index !== -1) {
-      this.config.workflows.custom[index] = {
+      const { compiled, error, ...fields } = updates;
+      const updated = {
         ...this.config.workflows.custom[index],
-        ...updates
+        ...fields
       };
+      compileWorkflow(updated);
+      this.config.workflows.custom[index] = updated;
       this.saveConfig();
       return true;
     }
@@ -0,0 +1,512 @@
+/**
+ * Donna Desktop - Workflow Schema
+ * Validates workflows and compiles them into the form the workflow runner
+ * executes. Saved workflows keep their original shape; the compiled
+ * variables and steps are attached when workflows are loaded.
+ *
+ *   {
+ *     name: 'Deploy',
+ *     timeoutMs: 600000,
+ *     variables: {
+ *       target:   { type: 'choice', label: 'Environment', options: ['staging', 'production'] },
+ *       force:    { type: 'boolean', label: 'Force push', default: false },
+ *       compose:  { type: 'file', label: 'Compose file' },
+ *       services: { type: 'list', label: 'Services' },
+ *       branch:   { type: 'text', default: { git: 'branch' } },
+ *       user:     { type: 'text', default: { env: 'USER' }, required: true }
+ *     },
+ *     commands: [
+ *       'git fetch',
+ *       { name: 'test', command: 'npm test', continueOnError: true },
+ *       { command: 'git push --force', if: 'vars.force && steps.test.exitCode == 0',
+ *         confirm: 'Force push ${branch}?' },
+ *       { forEach: 'vars.services', as: 'service', commands: ['docker compose restart ${service}'] }
+ *     ]
+ *   }
+ *
+ * Plain command strings and `${name:Label}` placeholders (the original
+ * format) still work: placeholders become text variables.
+ */
+
+const fs = require('fs');
+const { execFile } = require('child_process');
+
+const VARIABLE_TYPES = ['text', 'choice', 'boolean', 'file', 'list'];
+const STEP_FIELDS = ['exitCode', 'output', 'skipped'];
+const DEFAULT_STEP_TIMEOUT_MS = 10 * 60 * 1000;
+const GIT_TIMEOUT_MS = 2000;
+
+const VARIABLE_NAME = /^\w+$/;
+const STEP_NAME = /^[\w-]+$/;
+const ENV_NAME = /^[A-Za-z_]\w*$/;
+// Environment defaults allowed in project workflows, which come from a
+// repository's .donna/workflows and could otherwise read secrets
+const PROJECT_ENV_DEFAULTS = ['USER', 'LOGNAME', 'HOME', 'SHELL', 'LANG', 'EDITOR'];
+// ${name} or ${name:Label}; ${steps.name.field} never matches
+const PLACEHOLDER = /\$\{(\w+)(?::([^}]*))?\}/g;
+const STEP_REFERENCE = /\$\{steps\.([\w-]+)\.(\w+)\}/g;
+
+class WorkflowError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WorkflowError';
+  }
+}
+
+/**
+ * Split a condition into tokens
+ */
+function tokenize(source) {
+  const tokens = [];
+  const pattern = /\s*(?:(&&|\|\||==|!=|<=|>=|[()<>!])|(-?\d+(?:\.\d+)?)(?![\w.])|'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"|([A-Za-z_][\w.-]*))/y;
+
+  let index = 0;
+  while (index < source.length) {
+    if (/^\s*$/.test(source.slice(index))) break;
+    pattern.lastIndex = index;
+    const match = pattern.exec(source);
+    if (!match) {
+      throw new WorkflowError(`Unexpected "${source.slice(index).trim()[0]}" in condition: ${source}`);
+    }
+    index = pattern.lastIndex;
+
+    if (match[1]) tokens.push({ type: 'op', value: match[1] });
+    else if (match[2] !== undefined) tokens.push({ type: 'literal', value: Number(match[2]) });
+    else if (match[3] !== undefined || match[4] !== undefined) {
+      tokens.push({ type: 'literal', value: (match[3] ?? match[4]).replace(/\\(.)/g, '$1') });
+    } else if (match[5] === 'true' || match[5] === 'false') {
+      tokens.push({ type: 'literal', value: match[5] === 'true' });
+    } else if (match[5] === 'null') {
+      tokens.push({ type: 'literal', value: null });
+    } else if (match[5] === 'contains') {
+      tokens.push({ type: 'op', value: 'contains' });
+    } else {
+      tokens.push({ type: 'ref', value: match[5] });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse a condition such as `vars.force && steps.test.exitCode == 0` into a
+ * tree the runner evaluates. Supports ==, !=, <, <=, >, >=, contains, &&,
+ * ||, ! and parentheses over `vars.<name>`, `steps.<name>.exitCode|output|skipped`
+ * and string, number, boolean and null literals.
+ * @param {string} source - Condition expression
+ * @param {Object} scope - { variables: Set, steps: Set } names that may be referenced
+ * @returns {Object} Condition tree
+ * @throws {WorkflowError} If the condition is malformed or references unknown names
+ */
+function parseCondition(source, scope = { variables: null, steps: null }) {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw new WorkflowError('Condition must be a non-empty string');
+  }
+
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+  const fail = (message) => { throw new WorkflowError(`${message} in condition: ${source}`); };
+
+  function parseOperand() {
+    const token = tokens[position++];
+    if (!token) fail('Unexpected end');
+    if (token.type === 'literal') return { type: 'literal', value: token.value };
+    if (token.type === 'ref') return parseReference(token.value, scope, source);
+    if (token.value === '(') {
+      const node = parseOr();
+      if (!isOp(')')) fail('Missing ")"');
+      position++;
+      return node;
+    }
+    if (token.value === '!') return { type: 'not', operand: parseOperand() };
+    return fail(`Unexpected "${token.value}"`);
+  }
+
+  function parseComparison() {
+    const left = parseOperand();
+    const token = peek();
+    if (token?.type === 'op' && ['==', '!=', '<', '<=', '>', '>=', 'contains'].includes(token.value)) {
+      position++;
+      return { type: 'compare', op: token.value, left, right: parseOperand() };
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let node = parseComparison();
+    while (isOp('&&')) {
+      position++;
+      node = { type: 'and', left: node, right: parseComparison() };
+    }
+    return node;
+  }
+
+  function parseOr() {
+    let node = parseAnd();
+    while (isOp('||')) {
+      position++;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  }
+
+  const tree = parseOr();
+  if (position < tokens.length) fail(`Unexpected "${peek().value}"`);
+  return tree;
+}
+
+/**
+ * Parse `vars.<name>` or `steps.<name>.<field>`
+ */
+function parseReference(text, scope, source) {
+  const [root, ...rest] = text.split('.');
+
+  if (root === 'vars' && rest.length === 1 && VARIABLE_NAME.test(rest[0])) {
+    if (scope.variables && !scope.variables.has(rest[0])) {
+      throw new WorkflowError(`Unknown variable "${rest[0]}" in: ${source}`);
+    }
+    return { type: 'ref', scope: 'vars', name: rest[0] };
+  }
+
+  if (root === 'steps' && rest.length === 2 && STEP_NAME.test(rest[0])) {
+    if (!STEP_FIELDS.includes(rest[1])) {
+      throw new WorkflowError(`Unknown step field "${rest[1]}" in: ${source} (use ${STEP_FIELDS.join(', ')})`);
+    }
+    if (scope.steps && !scope.steps.has(rest[0])) {
+      throw new WorkflowError(`Step "${rest[0]}" is not defined before: ${source}`);
+    }
+    return { type: 'ref', scope: 'steps', name: rest[0], field: rest[1] };
+  }
+
+  throw new WorkflowError(`Invalid reference "${text}" in: ${source} (use vars.<name> or steps.<name>.<field>)`);
+}
+
+/**
+ * Validate a variable's default: a static value, { env: 'NAME' } or { git: 'branch' }
+ * @param {string[]|null} allowedEnv - Environment variables a default may name (null: any)
+ */
+function validateDefault(name, type, value, options, allowedEnv) {
+  if (value === undefined || value === null) return null;
+
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    if (typeof value.env === 'string' && ENV_NAME.test(value.env)) {
+      if (allowedEnv && !allowedEnv.includes(value.env)) {
+        throw new WorkflowError(`Variable "${name}": project workflows can only default to ${allowedEnv.join(', ')} from the environment`);
+      }
+      return { env: value.env };
+    }
+    if (value.git === 'branch') return { git: 'branch' };
+    throw new WorkflowError(`Variable "${name}": default must be a value, { env: 'NAME' } or { git: 'branch' }`);
+  }
+
+  if (type === 'boolean') {
+    if (typeof value !== 'boolean') throw new WorkflowError(`Variable "${name}": default must be true or false`);
+    return value;
+  }
+  if (type === 'list') {
+    if (Array.isArray(value) && value.every(item => typeof item === 'string')) return value;
+    if (typeof value === 'string') return value;
+    throw new WorkflowError(`Variable "${name}": default must be a list of strings`);
+  }
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    throw new WorkflowError(`Variable "${name}": default must be a string`);
+  }
+  if (type === 'choice' && !options.includes(String(value))) {
+    throw new WorkflowError(`Variable "${name}": default "${value}" is not one of its options`);
+  }
+  return String(value);
+}
+
+/**
+ * Compile declared variables
+ * @param {string[]|null} allowedEnv - Environment variables defaults may name (null: any)
+ * @returns {Map} name -> compiled variable
+ */
+function compileVariables(declared, allowedEnv) {
+  const variables = new Map();
+  if (declared === undefined || declared === null) return variables;
+  if (typeof declared !== 'object' || Array.isArray(declared)) {
+    throw new WorkflowError('variables must be an object keyed by variable name');
+  }
+
+  for (const [name, definition] of Object.entries(declared)) {
+    if (!VARIABLE_NAME.test(name)) {
+      throw new WorkflowError(`Invalid variable name: ${name}`);
+    }
+    const spec = typeof definition === 'string' ? { label: definition } : definition;
+    if (!spec || typeof spec !== 'object') {
+      throw new WorkflowError(`Variable "${name}" must be an object`);
+    }
+
+    const type = spec.type || 'text';
+    if (!VARIABLE_TYPES.includes(type)) {
+      throw new WorkflowError(`Variable "${name}": type must be one of ${VARIABLE_TYPES.join(', ')}`);
+    }
+
+    let options = [];
+    if (type === 'choice') {
+      if (!Array.isArray(spec.options) || spec.options.length === 0 ||
+          !spec.options.every(option => typeof option === 'string' || typeof option === 'number')) {
+        throw new WorkflowError(`Variable "${name}": choice needs a non-empty options list`);
+      }
+      options = spec.options.map(String);
+    }
+
+    variables.set(name, {
+      name,
+      type,
+      label: typeof spec.label === 'string' && spec.label ? spec.label : '',
+      description: typeof spec.description === 'string' ? spec.description : '',
+      options,
+      default: validateDefault(name, type, spec.default, options, allowedEnv),
+      required: spec.required === true
+    });
+  }
+  return variables;
+}
+
+/**
+ * Collect `${name:Label}` placeholders from templates, skipping loop variables
+ */
+function collectPlaceholders(template, loopVariables, found) {
+  for (const match of template.matchAll(PLACEHOLDER)) {
+    const [, name, label] = match;
+    if (loopVariables.has(name)) continue;
+    if (!found.has(name) || (!found.get(name) && label)) {
+      found.set(name, label || '');
+    }
+  }
+}
+
+/**
+ * Check `${steps.name.field}` references in a template
+ */
+function checkStepReferences(template, definedSteps) {
+  for (const [, name, field] of template.matchAll(STEP_REFERENCE)) {
+    if (!['exitCode', 'output'].includes(field)) {
+      throw new WorkflowError(`Unknown step field "${field}" in: ${template} (use exitCode or output)`);
+    }
+    if (!definedSteps.has(name)) {
+      throw new WorkflowError(`Step "${name}" is not defined before: ${template}`);
+    }
+  }
+}
+
+/**
+ * Compile a workflow into { variables, steps }
+ * @param {Object} workflow - Saved workflow
+ * @returns {Object} { variables: Array, steps: Array }
+ * @throws {WorkflowError} If the workflow is invalid
+ */
+function compileWorkflow(workflow) {
+  if (!workflow || typeof workflow !== 'object') {
+    throw new WorkflowError('Workflow must be an object');
+  }
+  if (typeof workflow.name !== 'string' || !workflow.name.trim()) {
+    throw new WorkflowError('Workflow needs a name');
+  }
+  if (!Array.isArray(workflow.commands) || workflow.commands.length === 0) {
+    throw new WorkflowError('Workflow needs at least one command');
+  }
+  if (workflow.timeoutMs !== undefined && !(Number.isInteger(workflow.timeoutMs) && workflow.timeoutMs > 0)) {
+    throw new WorkflowError('timeoutMs must be a positive integer');
+  }
+
+  const variables = compileVariables(workflow.variables, workflow.isProject ? PROJECT_ENV_DEFAULTS : null);
+  const placeholders = new Map();
+  const definedSteps = new Set();
+  const defaultTimeout = workflow.timeoutMs || DEFAULT_STEP_TIMEOUT_MS;
+
+  // Conditions are checked after placeholders are collected, so they can
+  // reference variables that only appear as ${name} in commands
+  const conditions = [];
+
+  function compileSteps(entries, path, loopVariables) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new WorkflowError(`${path ? `Loop ${path}` : 'Workflow'} needs at least one command`);
+    }
+
+    return entries.map((entry, i) => {
+      const spec = typeof entry === 'string' ? { command: entry } : entry;
+      const label = `Step ${path ? `${path}.` : ''}${i + 1}`;
+      if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        throw new WorkflowError(`${label} must be a command string or an object`);
+      }
+
+      const name = spec.name ?? (path ? `${path.replace(/\./g, '-')}-${i + 1}` : `step${i + 1}`);
+      if (typeof name !== 'string' || !STEP_NAME.test(name)) {
+        throw new WorkflowError(`${label}: invalid step name ${name}`);
+      }
+      if (definedSteps.has(name)) {
+        throw new WorkflowError(`${label}: duplicate step name ${name}`);
+      }
+
+      const confirm = spec.confirm === true ? 'Run this step?' : spec.confirm;
+      if (confirm !== undefined && confirm !== false && (typeof confirm !== 'string' || !confirm.trim())) {
+        throw new WorkflowError(`${label}: confirm must be true or a message`);
+      }
+      if (typeof confirm === 'string') {
+        collectPlaceholders(confirm, loopVariables, placeholders);
+        checkStepReferences(confirm, definedSteps);
+      }
+
+      if (spec.timeoutMs !== undefined && !(Number.isInteger(spec.timeoutMs) && spec.timeoutMs > 0)) {
+        throw new WorkflowError(`${label}: timeoutMs must be a positive integer`);
+      }
+
+      const step = {
+        name,
+        if: null,
+        ifSource: typeof spec.if === 'string' ? spec.if : null,
+        confirm: typeof confirm === 'string' ? confirm : null,
+        continueOnError: spec.continueOnError === true
+      };
+      // Conditions see the steps defined before this one
+      const conditionScope = new Set(definedSteps);
+      const withCondition = (compiled) => {
+        if (spec.if !== undefined) {
+          conditions.push({ step: compiled, source: spec.if, steps: conditionScope, loopVariables });
+        }
+        return compiled;
+      };
+
+      if (spec.forEach !== undefined) {
+        if (spec.command !== undefined) {
+          throw new WorkflowError(`${label}: use either command or forEach, not both`);
+        }
+        const as = spec.as ?? 'item';
+        if (typeof as !== 'string' || !VARIABLE_NAME.test(as)) {
+          throw new WorkflowError(`${label}: invalid loop variable ${as}`);
+        }
+        if (variables.has(as) || loopVariables.has(as)) {
+          throw new WorkflowError(`${label}: loop variable "${as}" shadows another variable`);
+        }
+
+        let forEach;
+        if (Array.isArray(spec.forEach)) {
+          if (!spec.forEach.every(item => typeof item === 'string')) {
+            throw new WorkflowError(`${label}: forEach list must contain strings`);
+          }
+          spec.forEach.forEach(item => collectPlaceholders(item, loopVariables, placeholders));
+          forEach = { type: 'literal', value: spec.forEach };
+        } else if (typeof spec.forEach === 'string') {
+          forEach = parseReference(spec.forEach.trim(), { variables: null, steps: definedSteps }, spec.forEach);
+          if (forEach.scope === 'vars') conditions.push({ reference: forEach, loopVariables });
+        } else {
+          throw new WorkflowError(`${label}: forEach must be a list or a reference such as vars.files`);
+        }
+
+        definedSteps.add(name);
+        const body = spec.commands ?? spec.steps;
+        const innerVariables = new Set([...loopVariables, as]);
+        return withCondition({
+          ...step,
+          type: 'loop',
+          forEach,
+          as,
+          steps: compileSteps(body, path ? `${path}.${i + 1}` : String(i + 1), innerVariables)
+        });
+      }
+
+      if (typeof spec.command !== 'string' || !spec.command.trim()) {
+        throw new WorkflowError(`${label} needs a command`);
+      }
+      collectPlaceholders(spec.command, loopVariables, placeholders);
+      checkStepReferences(spec.command, definedSteps);
+      definedSteps.add(name);
+
+      return withCondition({
+        ...step,
+        type: 'command',
+        command: spec.command,
+        timeoutMs: spec.timeoutMs || defaultTimeout
+      });
+    });
+  }
+
+  const steps = compileSteps(workflow.commands, '', new Set());
+
+  // Placeholders without a declaration are plain text variables
+  for (const [name, label] of placeholders) {
+    const declared = variables.get(name);
+    if (declared) {
+      if (!declared.label) declared.label = label;
+    } else {
+      variables.set(name, {
+        name, type: 'text', label, description: '', options: [], default: null, required: false
+      });
+    }
+  }
+
+  const variableNames = new Set(variables.keys());
+  for (const condition of conditions) {
+    const names = new Set([...variableNames, ...condition.loopVariables]);
+    if (condition.reference) {
+      if (!names.has(condition.reference.name)) {
+        throw new WorkflowError(`Unknown variable "${condition.reference.name}" in forEach`);
+      }
+    } else {
+      condition.step.if = parseCondition(condition.source, { variables: names, steps: condition.steps });
+    }
+  }
+
+  for (const variable of variables.values()) {
+    if (!variable.label) variable.label = variable.name;
+  }
+
+  return { variables: [...variables.values()], steps };
+}
+
+/**
+ * Current git branch of a directory
+ */
+function getGitBranch(cwd) {
+  return new Promise((resolve) => {
+    execFile('git', ['branch', '--show-current'], { cwd, timeout: GIT_TIMEOUT_MS }, (error, stdout) => {
+      resolve(error ? '' : stdout.trim());
+    });
+  });
+}
+
+/**
+ * Resolve variable defaults that come from the environment or git
+ * @param {Array} variables - Compiled variables
+ * @param {Object} options - { cwd, env }
+ * @returns {Promise<Object>} name -> default value
+ */
+async function resolveVariableDefaults(variables, { cwd, env = process.env } = {}) {
+  const values = {};
+  let branch;
+
+  for (const variable of variables || []) {
+    const value = variable?.default;
+    if (value === null || value === undefined) continue;
+
+    if (typeof value === 'object' && !Array.isArray(value)) {
+      if (value.env && ENV_NAME.test(value.env)) {
+        values[variable.name] = env[value.env] || '';
+      } else if (value.git === 'branch') {
+        if (branch === undefined) {
+          const isDir = typeof cwd === 'string' && fs.existsSync(cwd) && fs.statSync(cwd).isDirectory();
+          branch = isDir ? await getGitBranch(cwd) : '';
+        }
+        values[variable.name] = branch;
+      }
+    } else {
+      values[variable.name] = value;
+    }
+  }
+  return values;
+}
+
+module.exports = {
+  WorkflowError,
+  compileWorkflow,
+  parseCondition,
+  resolveVariableDefaults,
+  VARIABLE_TYPES,
+  PROJECT_ENV_DEFAULTS,
+  DEFAULT_STEP_TIMEOUT_MS
+};
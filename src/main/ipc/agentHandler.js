@@ -5,12 +5,22 @@ const { ipcMain } = require('electron');
 const os = require('os');
 const fs = require('fs');
 const path = require('path');
-const pty = require('node-pty');
-const { validateTerminalId, validateTerminalDimensions } = require('./terminalHandler');
+const { validateTerminalId, validateTerminalDimensions, configureSessionStore, openPty } = require('./terminalHandler');
+const { localBackend } = require('../terminal/ptyBackend');
+const { getSpawnEnv } = require('../utils/discovery');
+const { buildTranslationMessages, parseTranslation } = require('../terminal/commandTranslation');
+const { buildExplainMessages, parseExplanation } = require('../terminal/errorExplanation');
+const { getSshPath, buildSshArgs } = require('../terminal/sshHosts');
+
+// Shell terminals run, for prompts about their commands
+function getShellName() {
+  return path.basename(process.env.SHELL || (process.platform === 'win32' ? 'powershell.exe' : 'bash'));
+}
 
 function registerAgentHandlers(dependencies) {
-  const { terminals, getMainWindow, agentDefinitions, getModelManager, initializeOrchestrator } = dependencies;
+  const { terminals, getMainWindow, agentDefinitions, getCustomAgentLoader, getModelManager, initializeOrchestrator, getTerminalConfig, getSessionStore, getScrollbackIndex, getSshHosts } = dependencies;
   const { listAgents, getAvailableAgents, getAgent, getAgentCliCommand, checkCliAvailable, isArenaAvailable } = agentDefinitions;
+  const getPtyBackend = dependencies.getPtyBackend || (async () => localBackend);
 
   ipcMain.handle('agents:list', () => {
     try { return listAgents(); } catch (error) { console.error('Failed to list agents:', error); return []; }
@@ -20,6 +30,8 @@ function registerAgentHandlers(dependencies) {
     try { return await getAvailableAgents(); } catch (error) { console.error('Failed to get available agents:', error); return []; }
   });
 
+  ipcMain.handle('agents:loadErrors', () => getCustomAgentLoader().errors);
+
   ipcMain.handle('agents:get', (event, { id }) => {
     try { return getAgent(id); } catch (error) { console.error('Failed to get agent:', error); return null; }
   });
@@ -32,11 +44,15 @@ function registerAgentHandlers(dependencies) {
     try { return await isArenaAvailable(); } catch (error) { console.error('Failed to check arena availability:', error); return false; }
   });
 
-  ipcMain.handle('agents:createSession', (event, { id, agentId, cols, rows, workingDir }) => {
+  // With sshHostId, the agent CLI runs on that host over ssh and workingDir
+  // is a directory there
+  ipcMain.handle('agents:createSession', async (event, { id, agentId, cols, rows, workingDir, restoreId, record, yolo, sshHostId }) => {
     if (!validateTerminalId(id)) return { success: false, error: 'Invalid session ID format' };
+    const sshHost = sshHostId ? getSshHosts?.().get(sshHostId) : null;
+    if (sshHostId && !sshHost) return { success: false, error: 'SSH host not found' };
 
     let safeWorkingDir = os.homedir();
-    if (workingDir && typeof workingDir === 'string') {
+    if (!sshHost && workingDir && typeof workingDir === 'string') {
       const resolvedDir = path.resolve(workingDir);
       if (fs.existsSync(resolvedDir) && fs.statSync(resolvedDir).isDirectory()) {
         safeWorkingDir = resolvedDir;
@@ -44,22 +60,48 @@ function registerAgentHandlers(dependencies) {
     }
 
     let commandData;
-    try { commandData = getAgentCliCommand(agentId, safeWorkingDir); } catch (error) { return { success: false, error: error.message }; }
+    try { commandData = getAgentCliCommand(agentId, safeWorkingDir, { yolo: yolo === true, remote: Boolean(sshHost) }); } catch (error) { return { success: false, error: error.message }; }
 
-    const { command, args, agent } = commandData;
+    const { agent } = commandData;
+    const command = sshHost ? getSshPath() : commandData.command;
+    const args = sshHost
+      ? buildSshArgs(sshHost, { cwd: typeof workingDir === 'string' ? workingDir : null, command: [commandData.command, ...commandData.args] })
+      : commandData.args;
     const { cols: safeCols, rows: safeRows } = validateTerminalDimensions(cols, rows);
 
-    console.log('[Agent] Spawning CLI:', command, 'with args:', args.length > 0 ? `[${args[0]}, <prompt ${args[1]?.length || 0} chars>]` : '[]');
+    const cliArgs = commandData.args;
+    console.log('[Agent] Spawning CLI:', commandData.command, sshHost ? `on ${sshHost.host}` : '', 'with args:', cliArgs.length > 0 ? `[${cliArgs[0]}, <prompt ${cliArgs[1]?.length || 0} chars>]` : '[]');
 
     try {
-      const ptyProcess = pty.spawn(command, args, {
-        name: 'xterm-256color', cols: safeCols, rows: safeRows, cwd: safeWorkingDir,
-        env: { ...process.env, TERM: 'xterm-256color', COLORTERM: 'truecolor' }
+      const sessionStore = getSessionStore?.();
+      configureSessionStore(sessionStore, getTerminalConfig?.());
+      const scrollbackIndex = getScrollbackIndex?.();
+
+      // Reattaches to the agent still running in the PTY daemon, if any
+      const { ptyProcess, restored } = await openPty({
+        backend: await getPtyBackend(),
+        sessionStore,
+        scrollbackIndex,
+        terminals,
+        id,
+        restoreId,
+        record,
+        file: command,
+        args,
+        options: {
+          name: 'xterm-256color', cols: safeCols, rows: safeRows, cwd: safeWorkingDir,
+          // Full login PATH so CLIs can find node, git etc. when launched from the Dock
+          env: { ...getSpawnEnv(), TERM: 'xterm-256color', COLORTERM: 'truecolor' }
+        },
+        // cwd tells which Arena worktrees a running agent still uses
+        meta: { agentId: agent.id, sshHostId: sshHost?.id || null, cwd: sshHost ? null : safeWorkingDir }
       });
 
       terminals.set(id, ptyProcess);
 
       ptyProcess.onData((data) => {
+        sessionStore?.append(id, data);
+        scrollbackIndex?.append(id, data);
         const mainWindow = getMainWindow();
         if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('terminal:data', { id, data });
       });
@@ -70,7 +112,7 @@ function registerAgentHandlers(dependencies) {
         if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('terminal:exit', { id, exitCode });
       });
 
-      return { success: true, id, agent: { id: agent.id, name: agent.name, description: agent.description, icon: agent.icon, color: agent.color, cli: agent.cli } };
+      return { success: true, id, restored, agent: { id: agent.id, name: agent.name, description: agent.description, icon: agent.icon, color: agent.color, cli: agent.cli } };
     } catch (error) {
       console.error('Failed to spawn agent CLI:', error);
       return { success: false, error: error.message || 'Failed to spawn agent CLI process' };
@@ -88,7 +130,7 @@ function registerAgentHandlers(dependencies) {
       const response = await modelManager.chat([
         { role: 'system', content: 'You are a shell command expert. Respond only with valid JSON.' },
         { role: 'user', content: prompt }
-      ], { provider: provider || 'claude' });
+      ], { provider: provider || 'claude', usageContext: { source: 'terminal' } });
 
       try { const suggestions = JSON.parse(response.content); return { success: true, suggestions }; } catch { return { success: true, suggestions: [] }; }
     } catch (error) {
@@ -96,6 +138,49 @@ function registerAgentHandlers(dependencies) {
       return { success: false, suggestions: [], error: error.message };
     }
   });
+
+  // "# describe what you want" in a terminal: request to command, rated for risk
+  ipcMain.handle('terminal:translateCommand', async (event, { request, cwd, recentOutput, provider } = {}) => {
+    if (typeof request !== 'string' || !request.trim()) return { success: false, error: 'Describe the command you want' };
+    let modelManager = getModelManager();
+    if (!modelManager) { initializeOrchestrator(); modelManager = getModelManager(); }
+
+    try {
+      const messages = buildTranslationMessages({
+        request: request.trim(),
+        cwd: typeof cwd === 'string' ? cwd : null,
+        shell: getShellName(),
+        recentOutput: typeof recentOutput === 'string' ? recentOutput : ''
+      });
+      const response = await modelManager.chat(messages, { provider: provider || 'claude', usageContext: { source: 'terminal' } });
+      return { success: true, ...parseTranslation(response.content) };
+    } catch (error) {
+      console.error('Failed to translate command:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // "Explain & fix" on a failed command block
+  ipcMain.handle('terminal:explainError', async (event, { command, output, exitCode, cwd, provider } = {}) => {
+    if (typeof command !== 'string' || !command.trim()) return { success: false, error: 'Missing command' };
+    let modelManager = getModelManager();
+    if (!modelManager) { initializeOrchestrator(); modelManager = getModelManager(); }
+
+    try {
+      const messages = buildExplainMessages({
+        command: command.trim(),
+        output: typeof output === 'string' ? output : '',
+        exitCode: Number.isInteger(exitCode) ? exitCode : null,
+        cwd: typeof cwd === 'string' ? cwd : null,
+        shell: getShellName()
+      });
+      const response = await modelManager.chat(messages, { provider: provider || 'claude', usageContext: { source: 'terminal' } });
+      return { success: true, ...parseExplanation(response.content) };
+    } catch (error) {
+      console.error('Failed to explain error:', error);
+      return { success: false, error: error.message };
+    }
+  });
 }
 
 module.exports = { registerAgentHandlers };
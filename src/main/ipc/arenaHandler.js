@@ -0,0 +1,55 @@
+/**
+ * Arena IPC Handlers
+ * Git worktrees that isolate Arena contestants, comparing their changes,
+ * and keeping or discarding them
+ */
+const { ipcMain } = require('electron');
+
+function registerArenaHandlers(dependencies) {
+  const { getArenaWorktrees } = dependencies;
+
+  // Errors carry a code (e.g. DIRTY) so the renderer can offer to stash
+  const failure = (error) => ({ success: false, error: error.message, code: error.code });
+
+  ipcMain.handle('arena:prepare', async (event, { arenaId, workingDir, contestants, stash } = {}) => {
+    if (!workingDir || typeof workingDir !== 'string') return { success: false, error: 'Missing working directory' };
+    try {
+      const arena = await getArenaWorktrees().prepare({ arenaId, workingDir, contestants, stash: stash === true });
+      return { success: true, arena };
+    } catch (error) { return failure(error); }
+  });
+
+  ipcMain.handle('arena:changes', async (event, { arenaId } = {}) => {
+    try {
+      return { success: true, contestants: await getArenaWorktrees().getChanges(arenaId) };
+    } catch (error) { return failure(error); }
+  });
+
+  ipcMain.handle('arena:file', async (event, { arenaId, file } = {}) => {
+    try {
+      return { success: true, ...(await getArenaWorktrees().getFileVersions(arenaId, file)) };
+    } catch (error) { return failure(error); }
+  });
+
+  ipcMain.handle('arena:runTests', async (event, { arenaId, index } = {}) => {
+    try {
+      return { success: true, ...(await getArenaWorktrees().runTests(arenaId, index)) };
+    } catch (error) { return failure(error); }
+  });
+
+  ipcMain.handle('arena:keep', async (event, { arenaId, index, strategy } = {}) => {
+    try {
+      const result = await getArenaWorktrees().keep(arenaId, index, strategy);
+      return { success: true, ...result };
+    } catch (error) { return failure(error); }
+  });
+
+  ipcMain.handle('arena:discard', async (event, { arenaId } = {}) => {
+    try {
+      const result = await getArenaWorktrees().discard(arenaId);
+      return { success: true, ...result };
+    } catch (error) { return failure(error); }
+  });
+}
+
+module.exports = { registerArenaHandlers };
@@ -44,6 +44,7 @@ function registerChatHandlers(dependencies) {
       if (updates?.provider) session.provider = updates.provider;
       if (updates?.model) session.model = updates.model;
       if (updates?.systemPrompt !== undefined) session.systemPrompt = updates.systemPrompt;
+      if (Array.isArray(updates?.tools)) session.tools = updates.tools;
       if (updates?.name) session.name = updates.name;
       manager.saveSession(session);
       return { success: true };
@@ -73,6 +74,8 @@ function registerChatHandlers(dependencies) {
             else if (chunk.type === 'complete') mainWindow.webContents.send('chat:streamComplete', { streamId, message: chunk.message });
             else if (chunk.type === 'error') mainWindow.webContents.send('chat:streamError', { streamId, error: chunk.error });
             else if (chunk.type === 'user_message') mainWindow.webContents.send('chat:userMessage', { streamId, message: chunk.message });
+            else if (chunk.type === 'tool_call') mainWindow.webContents.send('chat:toolCall', { streamId, toolCall: chunk.toolCall });
+            else if (chunk.type === 'tool_result') mainWindow.webContents.send('chat:toolResult', { streamId, toolResult: chunk.toolResult });
           }
         }
       } catch (error) {
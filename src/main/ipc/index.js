@@ -15,24 +15,41 @@ const { registerFilesHandlers } = require('./filesHandler');
 const { registerVoiceHandlers } = require('./voiceHandler');
 const { registerVaultHandlers } = require('./vaultHandler');
 const { registerContextHandlers } = require('./contextHandler');
+const { registerUsageHandlers } = require('./usageHandler');
+const { registerArenaHandlers } = require('./arenaHandler');
+const { registerSshHandlers } = require('./sshHandler');
 
 function registerAllHandlers(dependencies) {
   registerTerminalHandlers({
     terminals: dependencies.terminals,
     getMainWindow: dependencies.getMainWindow,
-    getDefaultShell: dependencies.getDefaultShell
+    getDefaultShell: dependencies.getDefaultShell,
+    getTerminalConfig: dependencies.getTerminalConfig,
+    getSessionStore: dependencies.getSessionStore,
+    getPtyBackend: dependencies.getPtyBackend,
+    getCommandHistory: dependencies.getCommandHistory,
+    getScrollbackIndex: dependencies.getScrollbackIndex,
+    getSshHosts: dependencies.getSshHosts
   });
 
   registerTerminalConfigHandlers({
-    getTerminalConfig: dependencies.getTerminalConfig
+    getTerminalConfig: dependencies.getTerminalConfig,
+    getSessionStore: dependencies.getSessionStore,
+    getScrollbackIndex: dependencies.getScrollbackIndex
   });
 
   registerAgentHandlers({
     terminals: dependencies.terminals,
     getMainWindow: dependencies.getMainWindow,
     agentDefinitions: dependencies.agentDefinitions,
+    getCustomAgentLoader: dependencies.getCustomAgentLoader,
     getModelManager: dependencies.getModelManager,
-    initializeOrchestrator: dependencies.initializeOrchestrator
+    initializeOrchestrator: dependencies.initializeOrchestrator,
+    getTerminalConfig: dependencies.getTerminalConfig,
+    getSessionStore: dependencies.getSessionStore,
+    getScrollbackIndex: dependencies.getScrollbackIndex,
+    getPtyBackend: dependencies.getPtyBackend,
+    getSshHosts: dependencies.getSshHosts
   });
 
   registerModelHandlers({
@@ -94,6 +111,21 @@ function registerAllHandlers(dependencies) {
 
   // Context sidebar handlers (open files, URLs)
   registerContextHandlers();
+
+  // Token usage and cost ledger
+  registerUsageHandlers({
+    getUsageLedger: dependencies.getUsageLedger
+  });
+
+  // Git worktrees for Arena contestants
+  registerArenaHandlers({
+    getArenaWorktrees: dependencies.getArenaWorktrees
+  });
+
+  // Saved SSH hosts and ~/.ssh/config entries
+  registerSshHandlers({
+    getSshHosts: dependencies.getSshHosts
+  });
 }
 
 module.exports = { registerAllHandlers };
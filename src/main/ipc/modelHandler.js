@@ -12,6 +12,12 @@ function registerModelHandlers(dependencies) {
     return modelManager.listProviders();
   });
 
+  ipcMain.handle('models:listTools', () => {
+    let modelManager = getModelManager();
+    if (!modelManager) { initializeOrchestrator(); modelManager = getModelManager(); }
+    return modelManager.listTools();
+  });
+
   ipcMain.handle('models:chat', async (event, { messages, options }) => {
     let modelManager = getModelManager();
     if (!modelManager) { initializeOrchestrator(); modelManager = getModelManager(); }
@@ -27,6 +27,12 @@ function registerOrchestratorHandlers(dependencies) {
     return { success: true, task: { id: task.id, type: task.type, status: task.status } };
   });
 
+  ipcMain.handle('orchestrator:cancelTask', (event, { taskId }) => {
+    let orchestrator = getOrchestrator();
+    if (!orchestrator) { initializeOrchestrator(); orchestrator = getOrchestrator(); }
+    return { success: orchestrator.cancelTask(taskId) };
+  });
+
   ipcMain.handle('orchestrator:streamTask', async (event, { streamId, config }) => {
     let orchestrator = getOrchestrator();
     if (!orchestrator) { initializeOrchestrator(); orchestrator = getOrchestrator(); }
@@ -52,11 +58,48 @@ function registerOrchestratorHandlers(dependencies) {
     let orchestrator = getOrchestrator();
     if (!orchestrator) { initializeOrchestrator(); orchestrator = getOrchestrator(); }
     try {
-      const results = await orchestrator.executeComplexTask(description, context || []);
-      return { success: true, results };
+      const run = await orchestrator.executeComplexTask(description, context || []);
+      return { success: true, run, results: run.nodes.map(node => node.result) };
+    } catch (error) { return { success: false, error: error.message }; }
+  });
+
+  ipcMain.handle('orchestrator:rerunFailed', async (event, { runId }) => {
+    let orchestrator = getOrchestrator();
+    if (!orchestrator) { initializeOrchestrator(); orchestrator = getOrchestrator(); }
+    try {
+      const run = await orchestrator.rerunFailed(runId);
+      return { success: true, run, results: run.nodes.map(node => node.result) };
+    } catch (error) { return { success: false, error: error.message }; }
+  });
+
+  ipcMain.handle('orchestrator:runPlan', async (event, { plan, description, context, rerunOf }) => {
+    let orchestrator = getOrchestrator();
+    if (!orchestrator) { initializeOrchestrator(); orchestrator = getOrchestrator(); }
+    try {
+      const run = await orchestrator.executePlan(plan, { description, context: context || [], rerunOf });
+      return { success: true, run, results: run.nodes.map(node => node.result) };
     } catch (error) { return { success: false, error: error.message }; }
   });
 
+  ipcMain.handle('orchestrator:listRuns', () => {
+    let orchestrator = getOrchestrator();
+    if (!orchestrator) { initializeOrchestrator(); orchestrator = getOrchestrator(); }
+    return { success: true, runs: orchestrator.listRuns() };
+  });
+
+  ipcMain.handle('orchestrator:getRun', (event, { runId }) => {
+    let orchestrator = getOrchestrator();
+    if (!orchestrator) { initializeOrchestrator(); orchestrator = getOrchestrator(); }
+    const run = orchestrator.getRun(runId);
+    return run ? { success: true, run } : { success: false, error: 'Run not found' };
+  });
+
+  ipcMain.handle('orchestrator:deleteRun', (event, { runId }) => {
+    let orchestrator = getOrchestrator();
+    if (!orchestrator) { initializeOrchestrator(); orchestrator = getOrchestrator(); }
+    return { success: orchestrator.deleteRun(runId) };
+  });
+
   ipcMain.handle('orchestrator:status', () => {
     let orchestrator = getOrchestrator();
     if (!orchestrator) { initializeOrchestrator(); orchestrator = getOrchestrator(); }
@@ -0,0 +1,31 @@
+/**
+ * SSH IPC Handlers
+ * Saved hosts and ~/.ssh/config entries for SSH sessions
+ */
+const { ipcMain } = require('electron');
+
+function registerSshHandlers(dependencies) {
+  const { getSshHosts } = dependencies;
+
+  // Saved hosts first, then ~/.ssh/config hosts not already saved
+  ipcMain.handle('ssh:listHosts', () => {
+    try {
+      return { success: true, hosts: getSshHosts().list() };
+    } catch (error) { return { success: false, error: error.message }; }
+  });
+
+  // Adds a host, or updates the one with the same id
+  ipcMain.handle('ssh:saveHost', (event, { host } = {}) => {
+    try {
+      return { success: true, host: getSshHosts().save(host) };
+    } catch (error) { return { success: false, error: error.message }; }
+  });
+
+  ipcMain.handle('ssh:removeHost', (event, { id } = {}) => {
+    try {
+      return { success: getSshHosts().remove(id) };
+    } catch (error) { return { success: false, error: error.message }; }
+  });
+}
+
+module.exports = { registerSshHandlers };
@@ -1,10 +1,37 @@
 /**
  * Terminal Config IPC Handlers
  */
-const { ipcMain } = require('electron');
+const { ipcMain, dialog, BrowserWindow } = require('electron');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveVariableDefaults } = require('../config/workflowSchema');
+const {
+  findWorkflowsDir,
+  loadProjectWorkflows,
+  parseWorkflowBundle,
+  getBundleWorkflows,
+  createWorkflowBundle,
+  serializeWorkflowBundle,
+  MAX_FILE_BYTES
+} = require('../config/projectWorkflows');
+const { configureSessionStore } = require('./terminalHandler');
+
+const BUNDLE_FILTERS = [{ name: 'Workflow bundles', extensions: ['json', 'yaml', 'yml'] }];
 
 function registerTerminalConfigHandlers(dependencies) {
-  const { getTerminalConfig } = dependencies;
+  const { getTerminalConfig, getSessionStore, getScrollbackIndex } = dependencies;
+
+  // Session restore settings apply to running terminals right away
+  function applySessionRestore(feature) {
+    if (feature !== 'sessionRestore' || !getSessionStore) return;
+    const sessionStore = getSessionStore();
+    configureSessionStore(sessionStore, getTerminalConfig());
+    if (!sessionStore.enabled) {
+      sessionStore.clear();
+      getScrollbackIndex?.().clear();
+    }
+  }
 
   ipcMain.handle('terminal:getConfig', () => {
     const config = getTerminalConfig();
@@ -22,7 +49,9 @@ function registerTerminalConfigHandlers(dependencies) {
       return { success: false, error: 'Invalid feature name' };
     }
     const config = getTerminalConfig();
-    return config.setFeatureEnabled(feature, Boolean(enabled));
+    const updated = config.setFeatureEnabled(feature, Boolean(enabled));
+    applySessionRestore(feature);
+    return updated;
   });
 
   ipcMain.handle('terminal:updateFeatureSettings', (event, { feature, settings }) => {
@@ -30,26 +59,37 @@ function registerTerminalConfigHandlers(dependencies) {
       return { success: false, error: 'Invalid feature name' };
     }
     const config = getTerminalConfig();
-    return config.updateFeatureSettings(feature, settings || {});
+    const updated = config.updateFeatureSettings(feature, settings || {});
+    applySessionRestore(feature);
+    return updated;
   });
 
-  ipcMain.handle('terminal:getWorkflows', () => {
+  // Workflows from the project at `cwd` come first, then built-in and custom
+  ipcMain.handle('terminal:getWorkflows', (event, { cwd } = {}) => {
     const config = getTerminalConfig();
-    return config.getWorkflows();
+    return [...loadProjectWorkflows(cwd).workflows, ...config.getWorkflows()];
   });
 
   ipcMain.handle('terminal:addWorkflow', (event, { workflow }) => {
     if (!workflow || typeof workflow !== 'object') {
       return { success: false, error: 'Invalid workflow object' };
     }
-    const config = getTerminalConfig();
-    return config.addWorkflow(workflow);
+    try {
+      const config = getTerminalConfig();
+      return config.addWorkflow(workflow);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
   });
 
   ipcMain.handle('terminal:updateWorkflow', (event, { id, updates }) => {
     if (!id) return { success: false, error: 'Missing workflow ID' };
-    const config = getTerminalConfig();
-    return config.updateWorkflow(id, updates || {});
+    try {
+      const config = getTerminalConfig();
+      return config.updateWorkflow(id, updates || {});
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
   });
 
   ipcMain.handle('terminal:deleteWorkflow', (event, { id }) => {
@@ -57,6 +97,98 @@ function registerTerminalConfigHandlers(dependencies) {
     const config = getTerminalConfig();
     return config.deleteWorkflow(id);
   });
+
+  // Export workflows (custom ones unless `ids` are given) to a file the user
+  // picks, or return the bundle with `toFile: false`
+  ipcMain.handle('terminal:exportWorkflows', async (event, { ids, cwd, toFile = true } = {}) => {
+    try {
+      const config = getTerminalConfig();
+      const workflows = config.getWorkflows().filter(w =>
+        Array.isArray(ids) ? ids.includes(w.id) : w.isCustom);
+      if (workflows.length === 0) {
+        return { success: false, error: 'No workflows to export' };
+      }
+
+      if (!toFile) {
+        return { success: true, bundle: createWorkflowBundle(workflows), count: workflows.length };
+      }
+
+      // SECURITY: Paths only come from the save dialog
+      const dir = findWorkflowsDir(cwd) || (typeof cwd === 'string' && path.isAbsolute(cwd) ? cwd : os.homedir());
+      const result = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+        title: 'Export Workflows',
+        defaultPath: path.join(dir, 'workflows.json'),
+        filters: BUNDLE_FILTERS
+      });
+      if (result.canceled || !result.filePath) return { success: false, canceled: true };
+
+      // Default to JSON when no bundle extension was typed
+      const target = /\.(json|ya?ml)$/i.test(result.filePath) ? result.filePath : `${result.filePath}.json`;
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, serializeWorkflowBundle(workflows, target));
+      return { success: true, path: target, count: workflows.length };
+    } catch (error) {
+      console.error('Failed to export workflows:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Import a bundle object, or a file the user picks, as custom workflows
+  ipcMain.handle('terminal:importWorkflows', async (event, { bundle } = {}) => {
+    try {
+      let workflows;
+      if (bundle) {
+        workflows = getBundleWorkflows(bundle);
+      } else {
+        const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+          title: 'Import Workflows',
+          defaultPath: os.homedir(),
+          filters: BUNDLE_FILTERS,
+          properties: ['openFile']
+        });
+        if (result.canceled || !result.filePaths.length) return { success: false, canceled: true };
+
+        const source = result.filePaths[0];
+        if (fs.statSync(source).size > MAX_FILE_BYTES) {
+          return { success: false, error: `File is larger than ${MAX_FILE_BYTES / 1024} KB` };
+        }
+        workflows = parseWorkflowBundle(fs.readFileSync(source, 'utf-8'), source);
+      }
+
+      const config = getTerminalConfig();
+      const { imported, errors } = config.importWorkflows(workflows);
+      return { success: imported.length > 0, imported, errors };
+    } catch (error) {
+      console.error('Failed to import workflows:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('terminal:resolveWorkflowDefaults', async (event, { variables, cwd }) => {
+    if (!Array.isArray(variables)) return {};
+    return resolveVariableDefaults(variables, { cwd });
+  });
+
+  // Pick a file for a workflow's file variable
+  ipcMain.handle('terminal:pickWorkflowFile', async (event, { defaultPath, title }) => {
+    try {
+      const window = BrowserWindow.fromWebContents(event.sender);
+      const result = await dialog.showOpenDialog(window, {
+        title: typeof title === 'string' && title ? title : 'Choose File',
+        defaultPath: typeof defaultPath === 'string' && defaultPath ? defaultPath : os.homedir(),
+        properties: ['openFile']
+      });
+
+      if (result.canceled || !result.filePaths.length) {
+        return { success: false, canceled: true };
+      }
+
+      return { success: true, path: result.filePaths[0] };
+    } catch (error) {
+      console.error('Failed to pick file:', error);
+      return { success: false, error: error.message };
+    }
+  });
 }
 
 module.exports = { registerTerminalConfigHandlers };
@@ -4,7 +4,18 @@
  */
 const { ipcMain } = require('electron');
 const os = require('os');
-const pty = require('node-pty');
+const fs = require('fs');
+const path = require('path');
+const { getProcessCwd } = require('../utils/discovery');
+const { ShellIntegrationParser, getShellLaunch } = require('../terminal/shellIntegration');
+const { prepareReplay } = require('../terminal/sessionStore');
+const { localBackend } = require('../terminal/ptyBackend');
+const { getSshPath, buildSshArgs } = require('../terminal/sshHosts');
+
+// Shell integration state per terminal ID
+const shellParsers = new Map();
+// SSH sessions: OSC 7 cwd reports from the remote shell, if it sends any
+const remoteCwdParsers = new Map();
 
 // SECURITY: Validate terminal ID format to prevent injection attacks
 function validateTerminalId(id) {
@@ -18,43 +29,173 @@ function validateTerminalDimensions(cols, rows) {
   return { cols: safeCols, rows: safeRows };
 }
 
+// SECURITY: Only start in an existing absolute directory
+function resolveWorkingDir(dir) {
+  if (typeof dir === 'string' && path.isAbsolute(dir)) {
+    try {
+      if (fs.statSync(dir).isDirectory()) return path.resolve(dir);
+    } catch {
+      // Gone since it was saved
+    }
+  }
+  return os.homedir();
+}
+
+/**
+ * Apply the session restore settings to the store
+ */
+function configureSessionStore(sessionStore, terminalConfig) {
+  if (!sessionStore || !terminalConfig) return;
+  const { scrollbackKB } = terminalConfig.getConfig().sessionRestore || {};
+  sessionStore.configure({
+    enabled: terminalConfig.isFeatureEnabled('sessionRestore'),
+    maxBytes: Number.isInteger(scrollbackKB) ? scrollbackKB * 1024 : undefined
+  });
+}
+
+/**
+ * Start recording a new terminal and take over the scrollback of the session
+ * it restores
+ * @param {Object} options - { restoreId, record } from the create request
+ * @returns {Object|null} { output, savedAt } with the old output prepared for
+ *   replay, or null
+ */
+function startRecording(sessionStore, terminals, id, { restoreId, record } = {}) {
+  if (!sessionStore) return null;
+  sessionStore.setRecording(id, record !== false);
+  if (!validateTerminalId(restoreId) || restoreId === id) return null;
+
+  // A renderer reload leaves the old process running; the restored session replaces it
+  const orphan = terminals.get(restoreId);
+  if (orphan) {
+    orphan.kill();
+    terminals.delete(restoreId);
+  }
+
+  const restored = sessionStore.restore(restoreId, id);
+  return restored ? { output: prepareReplay(restored.output), savedAt: restored.savedAt } : null;
+}
+
+/**
+ * Spawn a terminal process, or reattach to the one a restored session left
+ * running in the PTY daemon
+ * @param {Object} options - { backend, sessionStore, scrollbackIndex, terminals,
+ *   id, restoreId, record, file, args, options, meta }; meta is kept by the
+ *   daemon and returned on reattach
+ * @returns {Promise<Object>} { ptyProcess, meta, restored } - restored has
+ *   `live: true` and the raw recent output when reattached
+ */
+async function openPty({ backend, sessionStore, scrollbackIndex, terminals, id, restoreId, record, file, args, options, meta }) {
+  const canRestore = validateTerminalId(restoreId) && restoreId !== id;
+  // Output and blocks of the old session stay searchable under the new ID
+  if (canRestore) scrollbackIndex?.restore(restoreId, id);
+  const attached = canRestore ? await backend.attach(restoreId, id) : null;
+
+  if (attached) {
+    terminals.delete(restoreId);
+    // New size makes full-screen programs redraw
+    attached.pty.resize(options.cols, options.rows);
+    if (sessionStore) {
+      sessionStore.setRecording(id, record !== false);
+      // History carries over; the live output is redrawn instead of replayed
+      sessionStore.restore(restoreId, id);
+    }
+    return { ptyProcess: attached.pty, meta: attached.meta, restored: { output: attached.output, live: true } };
+  }
+
+  const ptyProcess = await backend.spawn(id, file, args, options, meta);
+  const restored = startRecording(sessionStore, terminals, id, { restoreId, record });
+  return { ptyProcess, meta, restored };
+}
+
 function registerTerminalHandlers(dependencies) {
-  const { terminals, getMainWindow, getDefaultShell } = dependencies;
+  const { terminals, getMainWindow, getDefaultShell, getTerminalConfig, getSessionStore, getCommandHistory, getScrollbackIndex, getSshHosts } = dependencies;
+  const getPtyBackend = dependencies.getPtyBackend || (async () => localBackend);
 
-  ipcMain.handle('terminal:create', (event, { id, cols, rows }) => {
+  // With sshHostId, runs the system ssh to a saved or ~/.ssh/config host
+  // instead of a local shell; cwd is then a directory on the remote host
+  ipcMain.handle('terminal:create', async (event, { id, cols, rows, cwd, restoreId, record, sshHostId }) => {
     if (!validateTerminalId(id)) {
       return { success: false, error: 'Invalid terminal ID format' };
     }
+    const sshHost = sshHostId ? getSshHosts?.().get(sshHostId) : null;
+    if (sshHostId && !sshHost) {
+      return { success: false, error: 'SSH host not found' };
+    }
     const { cols: safeCols, rows: safeRows } = validateTerminalDimensions(cols, rows);
-    const shell = getDefaultShell();
+    const shell = sshHost ? getSshPath() : getDefaultShell();
+    const baseEnv = { ...process.env, TERM: 'xterm-256color', COLORTERM: 'truecolor' };
+    // Shell integration is injected into local shells only
+    const launch = sshHost
+      ? { args: buildSshArgs(sshHost, { cwd: typeof cwd === 'string' ? cwd : null }), env: baseEnv, integrated: false }
+      : getTerminalConfig?.().isFeatureEnabled('shellIntegration')
+        ? getShellLaunch(shell, baseEnv)
+        : { args: [], env: baseEnv, integrated: false };
 
     try {
-      const ptyProcess = pty.spawn(shell, [], {
-        name: 'xterm-256color',
-        cols: safeCols,
-        rows: safeRows,
-        cwd: os.homedir(),
-        env: { ...process.env, TERM: 'xterm-256color', COLORTERM: 'truecolor' }
+      const sessionStore = getSessionStore?.();
+      configureSessionStore(sessionStore, getTerminalConfig?.());
+      const scrollbackIndex = getScrollbackIndex?.();
+
+      const { ptyProcess, meta, restored } = await openPty({
+        backend: await getPtyBackend(),
+        sessionStore,
+        scrollbackIndex,
+        terminals,
+        id,
+        restoreId,
+        record,
+        file: shell,
+        args: launch.args,
+        options: {
+          name: 'xterm-256color',
+          cols: safeCols,
+          rows: safeRows,
+          cwd: sshHost ? os.homedir() : resolveWorkingDir(cwd),
+          env: launch.env
+        },
+        meta: { shellIntegration: launch.integrated, sshHostId: sshHost?.id || null }
       });
 
       terminals.set(id, ptyProcess);
+      const parser = meta.shellIntegration ? new ShellIntegrationParser() : null;
+      if (parser) shellParsers.set(id, parser);
+      // Remote commands aren't recorded as blocks; only the cwd is kept
+      const remoteParser = meta.sshHostId ? new ShellIntegrationParser() : null;
+      if (remoteParser) remoteCwdParsers.set(id, remoteParser);
 
       ptyProcess.onData((data) => {
+        sessionStore?.append(id, data);
+        scrollbackIndex?.append(id, data);
+        remoteParser?.push(data);
+        const events = parser ? parser.push(data) : [];
+        for (const event of events) {
+          if (event.type !== 'commandEnd') continue;
+          // Finished blocks feed local command completion and global search
+          getCommandHistory?.().record(event);
+          scrollbackIndex?.addBlock(id, event);
+        }
         const win = getMainWindow();
         if (win && !win.isDestroyed()) {
           win.webContents.send('terminal:data', { id, data });
+          // Sent after the data so blocks line up with rendered output
+          for (const event of events) {
+            win.webContents.send('terminal:shellEvent', { id, ...event });
+          }
         }
       });
 
       ptyProcess.onExit(({ exitCode }) => {
         terminals.delete(id);
+        shellParsers.delete(id);
+        remoteCwdParsers.delete(id);
         const win = getMainWindow();
         if (win && !win.isDestroyed()) {
           win.webContents.send('terminal:exit', { id, exitCode });
         }
       });
 
-      return { success: true, id };
+      return { success: true, id, shellIntegration: Boolean(meta.shellIntegration), restored };
     } catch (error) {
       console.error('Failed to create terminal PTY:', error);
       return { success: false, error: error.message || 'Failed to spawn shell process' };
@@ -97,6 +238,12 @@ function registerTerminalHandlers(dependencies) {
     if (term) {
       term.kill();
       terminals.delete(id);
+      shellParsers.delete(id);
+      remoteCwdParsers.delete(id);
+      // Closed by the user, so its output isn't restored; it stays
+      // searchable if it was recorded (checked before discarding)
+      getScrollbackIndex?.()?.close(id);
+      getSessionStore?.()?.discard(id);
       return { success: true };
     }
     return { success: false, error: 'Terminal not found' };
@@ -107,21 +254,121 @@ function registerTerminalHandlers(dependencies) {
       return { success: false, error: 'Invalid terminal ID format' };
     }
     const term = terminals.get(id);
+    if (term && remoteCwdParsers.has(id)) {
+      // The PTY runs the local ssh client; only the remote shell knows its cwd
+      return { success: true, cwd: remoteCwdParsers.get(id).cwd, remote: true };
+    }
     if (term) {
-      try {
-        const pid = term.pid;
-        if (!Number.isInteger(pid) || pid <= 0) {
-          return { success: true, cwd: os.homedir() };
-        }
-        const { execSync } = require('child_process');
-        const cwd = execSync(`lsof -p ${pid} | grep cwd | awk '{print $NF}'`, { encoding: 'utf8' }).trim();
-        return { success: true, cwd };
-      } catch {
-        return { success: true, cwd: os.homedir() };
-      }
+      // OSC 7 reports from the shell are exact and free; fall back to the process
+      const cwd = shellParsers.get(id)?.cwd || getProcessCwd(term.pid) || os.homedir();
+      return { success: true, cwd };
     }
     return { success: false, error: 'Terminal not found' };
   });
+
+  // Completions from shell history, command blocks and accepted suggestions
+  ipcMain.handle('terminal:getHistorySuggestions', (event, { input, cwd, limit } = {}) => {
+    if (typeof input !== 'string') return { success: false, suggestions: [], error: 'Missing input' };
+    try {
+      const suggestions = getCommandHistory().suggest(input.slice(0, 1000), {
+        cwd: typeof cwd === 'string' ? cwd : null,
+        limit: Number.isInteger(limit) && limit > 0 && limit <= 20 ? limit : 3
+      });
+      return { success: true, suggestions };
+    } catch (error) {
+      console.error('Failed to get history suggestions:', error);
+      return { success: false, suggestions: [], error: error.message };
+    }
+  });
+
+  ipcMain.handle('terminal:addAcceptedSuggestions', (event, { entries } = {}) => {
+    if (!Array.isArray(entries)) return { success: false, error: 'Missing entries' };
+    getCommandHistory().addAccepted(entries.filter(entry => entry && typeof entry === 'object').slice(-100));
+    return { success: true };
+  });
+
+  // Sessions to restore on launch (none when session restore is off)
+  // With the PTY daemon the layout is kept even without scrollback, to reattach
+  ipcMain.handle('terminal:getSavedSessions', async () => {
+    const sessionStore = getSessionStore?.();
+    if (!sessionStore) return { success: false, error: 'Session restore unavailable' };
+    try {
+      configureSessionStore(sessionStore, getTerminalConfig?.());
+      const backend = await getPtyBackend();
+      if (!sessionStore.enabled) {
+        sessionStore.clear({ keepLayout: backend.isDaemon });
+        getScrollbackIndex?.()?.clear();
+        if (!backend.isDaemon) return { success: true, activeId: null, sessions: [] };
+      }
+      sessionStore.prune();
+      const layout = sessionStore.loadLayout();
+
+      // Daemon terminals no saved session will reattach to
+      const saved = new Set(layout.sessions.map(s => s.id));
+      for (const terminal of await backend.list()) {
+        if (!saved.has(terminal.id) && !terminals.has(terminal.id)) backend.kill(terminal.id);
+      }
+      return { success: true, ...layout };
+    } catch (error) {
+      console.error('Failed to load saved sessions:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('terminal:saveSessionLayout', async (event, { activeId, sessions } = {}) => {
+    const sessionStore = getSessionStore?.();
+    if (!sessionStore) return { success: false, error: 'Session restore unavailable' };
+    if (!Array.isArray(sessions)) return { success: false, error: 'Invalid session layout' };
+    // Names for search results, also of sessions that aren't saved
+    getScrollbackIndex?.()?.setSessionInfo(sessions);
+    if (!sessionStore.enabled && !(await getPtyBackend()).isDaemon) return { success: true, sessions: [] };
+    const saved = sessionStore.saveLayout({ activeId, sessions });
+    return { success: true, sessions: saved.sessions };
+  });
+
+  // Exclude a session from recording (discarding its scrollback) or record it again
+  ipcMain.handle('terminal:setRecording', (event, { id, enabled }) => {
+    if (!validateTerminalId(id)) {
+      return { success: false, error: 'Invalid terminal ID format' };
+    }
+    const sessionStore = getSessionStore?.();
+    if (!sessionStore) return { success: false, error: 'Session restore unavailable' };
+    sessionStore.setRecording(id, Boolean(enabled));
+    if (!enabled) getScrollbackIndex?.()?.unsave(id);
+    return { success: true, recording: sessionStore.isRecording(id) };
+  });
+
+  // Global search over the output and command blocks of all sessions,
+  // including closed ones that were recorded
+  ipcMain.handle('terminal:search', async (event, { query, regex, caseSensitive, limit } = {}) => {
+    if (typeof query !== 'string' || query.length > 1000) {
+      return { success: false, sessions: [], error: 'Invalid search query' };
+    }
+    const scrollbackIndex = getScrollbackIndex?.();
+    if (!scrollbackIndex) return { success: false, sessions: [], error: 'Search unavailable' };
+    try {
+      const result = await scrollbackIndex.search(query, {
+        regex: regex === true,
+        caseSensitive: caseSensitive === true,
+        limit: Number.isInteger(limit) && limit > 0 ? limit : undefined
+      });
+      return { success: true, ...result };
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        return { success: false, sessions: [], error: `Invalid regular expression: ${error.message}` };
+      }
+      console.error('Failed to search terminals:', error);
+      return { success: false, sessions: [], error: error.message };
+    }
+  });
 }
 
-module.exports = { registerTerminalHandlers, validateTerminalId, validateTerminalDimensions };
+module.exports = {
+  registerTerminalHandlers,
+  validateTerminalId,
+  validateTerminalDimensions,
+  resolveWorkingDir,
+  configureSessionStore,
+  startRecording,
+  openPty
+};
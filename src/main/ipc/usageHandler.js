@@ -0,0 +1,36 @@
+/**
+ * Usage IPC Handlers
+ * Token usage and cost ledger queries
+ */
+const { ipcMain } = require('electron');
+
+function registerUsageHandlers(dependencies) {
+  const { getUsageLedger } = dependencies;
+
+  // Aggregate usage, optionally grouped by day, session, provider, model, source or agent
+  ipcMain.handle('usage:query', (event, options = {}) => {
+    try {
+      const result = getUsageLedger().query(options || {});
+      return { success: true, ...result };
+    } catch (error) { return { success: false, error: error.message }; }
+  });
+
+  ipcMain.handle('usage:getPrices', () => {
+    return { success: true, prices: getUsageLedger().getPrices() };
+  });
+
+  ipcMain.handle('usage:setPrices', (event, { prices } = {}) => {
+    if (!prices || typeof prices !== 'object' || Array.isArray(prices)) {
+      return { success: false, error: 'Missing price table' };
+    }
+    try {
+      return { success: getUsageLedger().setPrices(prices) };
+    } catch (error) { return { success: false, error: error.message }; }
+  });
+
+  ipcMain.handle('usage:clear', () => {
+    return { success: getUsageLedger().clear() };
+  });
+}
+
+module.exports = { registerUsageHandlers };
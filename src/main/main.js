@@ -6,9 +6,22 @@ const { createOrchestrator } = require('./models/orchestrator');
 const { createImageManager } = require('./imaging/imageProvider');
 const sdInstaller = require('./imaging/sdInstaller');
 const { ChatManager } = require('./chat/chatManager');
+const { ToolRegistry } = require('./models/toolRegistry');
+const { registerBuiltinTools } = require('./models/builtinTools');
 const { TerminalConfig } = require('./config/terminalConfig');
 const agentDefinitions = require('./agents/agentDefinitions');
+const { getCustomAgentLoader } = require('./agents/customAgents');
+const { loadConfigAdapters } = require('./agents/cliAdapters');
+const { getArenaWorktrees } = require('./agents/arenaWorktrees');
+const { getUsageLedger } = require('./usage/usageLedger');
+const { getRunStore } = require('./models/runStore');
+const { getSessionStore } = require('./terminal/sessionStore');
+const { getCommandHistory } = require('./terminal/commandHistory');
+const { getScrollbackIndex } = require('./terminal/scrollbackIndex');
+const { getSshHosts } = require('./terminal/sshHosts');
+const { createPtyBackend } = require('./terminal/ptyBackend');
 const { registerAllHandlers } = require('./ipc');
+const { loadSearchPath } = require('./utils/discovery');
 
 // State
 const terminals = new Map();
@@ -20,7 +33,11 @@ let modelConfig = {};
 let imageConfig = {};
 let imageManager = null;
 let chatManager = null;
+let toolRegistry = null;        // Built-in tools, shared by the orchestrator and chat
 let terminalConfig = null;
+let ptyBackend = null;        // Set once the backend promise resolves
+let ptyBackendPromise = null;
+let arenaCleanup = null;        // Discarding Arena worktrees, awaited before quitting
 
 // Config
 const configPath = path.join(os.homedir(), '.donna-desktop', 'config.json');
@@ -50,10 +67,31 @@ function saveConfig(config) {
   } catch (e) { console.error('Failed to save config:', e); return false; }
 }
 
+function initToolRegistry() {
+  if (!toolRegistry) {
+    loadConfig();
+    toolRegistry = registerBuiltinTools(new ToolRegistry(), modelConfig.tools);
+  }
+  return toolRegistry;
+}
+
 function initializeOrchestrator() {
   loadConfig();
-  orchestrator = createOrchestrator(modelConfig.models || {});
+  orchestrator = createOrchestrator(modelConfig.models || {}, {
+    ledger: getUsageLedger(),
+    scheduler: modelConfig.orchestrator,
+    runStore: getRunStore(),
+    tools: initToolRegistry()
+  });
   modelManager = orchestrator.modelManager;
+  orchestrator.on('progress', (data) => {
+    if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('orchestrator:progress', data);
+  });
+  for (const event of ['runStarted', 'runProgress', 'runCompleted']) {
+    orchestrator.on(event, ({ run }) => {
+      if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('orchestrator:runUpdate', { event, run });
+    });
+  }
   return orchestrator;
 }
 
@@ -64,7 +102,7 @@ function initializeImageManager() {
 }
 
 function initChatManager() {
-  if (!chatManager) chatManager = new ChatManager();
+  if (!chatManager) chatManager = new ChatManager({ tools: initToolRegistry() });
   return chatManager;
 }
 
@@ -73,10 +111,61 @@ function initTerminalConfig() {
   return terminalConfig;
 }
 
+/**
+ * Where terminals run: the PTY daemon when enabled (they outlive the app),
+ * else the app itself. Chosen once per window.
+ */
+function getPtyBackend() {
+  if (!ptyBackendPromise) {
+    const useDaemon = initTerminalConfig().isFeatureEnabled('ptyDaemon');
+    ptyBackendPromise = createPtyBackend({ useDaemon }).then((backend) => {
+      ptyBackend = backend;
+      return backend;
+    });
+  }
+  return ptyBackendPromise;
+}
+
+/**
+ * Remove Arena worktrees no agent works in any more, one run at a time.
+ * Agents in the PTY daemon outlive the app, so their worktrees stay until
+ * they exit.
+ * @param {boolean} checkDaemon - Keep worktrees of agents running in the
+ *   daemon; false once every agent was stopped
+ */
+function discardArenas(checkDaemon = true) {
+  const run = (arenaCleanup || Promise.resolve())
+    .then(async () => {
+      const backend = checkDaemon ? await getPtyBackend() : null;
+      const running = backend?.isDaemon ? await backend.list() : [];
+      await getArenaWorktrees().discardAll({ inUse: running.map(t => t.meta?.cwd).filter(Boolean) });
+    })
+    .catch(error => console.error('Failed to discard arenas:', error))
+    .finally(() => {
+      if (arenaCleanup === run) arenaCleanup = null;
+    });
+  arenaCleanup = run;
+  return run;
+}
+
 function getDefaultShell() {
   return process.platform === 'darwin' ? (process.env.SHELL || '/bin/zsh') : (process.env.SHELL || '/bin/bash');
 }
 
+/**
+ * Register CLI adapters from config.json, then load user-defined agents and
+ * reload them when their files change
+ */
+function initCustomAgents() {
+  loadConfigAdapters(loadConfig().cliAdapters);
+  const loader = getCustomAgentLoader();
+  agentDefinitions.setCustomAgents(loader.load().agents);
+  loader.watch(({ agents, errors }) => {
+    agentDefinitions.setCustomAgents(agents);
+    if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('agents:changed', { errors });
+  });
+}
+
 function createWindow() {
   mainWindow = new BrowserWindow({
     width: 1400, height: 900, minWidth: 800, minHeight: 600,
@@ -106,21 +195,47 @@ registerAllHandlers({
   getModelConfig: () => modelConfig,
   setModelConfig: (cfg) => { modelConfig = cfg; },
   sdInstaller,
-  agentDefinitions
+  agentDefinitions,
+  getCustomAgentLoader,
+  getUsageLedger,
+  getSessionStore,
+  getPtyBackend,
+  getArenaWorktrees,
+  getCommandHistory,
+  getScrollbackIndex,
+  getSshHosts
 });
 
 // App lifecycle
 app.whenReady().then(() => {
+  // Login-shell PATH for finding agent CLIs, read without blocking startup
+  loadSearchPath();
   initializeOrchestrator();
   initializeImageManager();
   initChatManager();
   initTerminalConfig();
+  initCustomAgents();
+  // Worktrees of arenas still open when the app last quit
+  discardArenas();
   createWindow();
 });
 
 app.on('window-all-closed', () => {
-  for (const [id, term] of terminals) term.kill();
+  // Keep scrollback of open sessions for restore on the next launch
+  getSessionStore().flush();
+  getScrollbackIndex().flush();
+  if (ptyBackend?.isDaemon) {
+    // Terminals keep running in the daemon and are reattached on the next
+    // launch; so do Arena agents, which still need their worktrees
+    ptyBackend.disconnect();
+  } else {
+    for (const [id, term] of terminals) term.kill();
+    // Arena agents are gone, so their worktrees can go too
+    discardArenas(false);
+  }
   terminals.clear();
+  ptyBackend = null;
+  ptyBackendPromise = null;
   for (const [streamId, stream] of activeStreams) stream.aborted = true;
   activeStreams.clear();
   if (orchestrator) { orchestrator.cleanup(); orchestrator = null; }
@@ -134,3 +249,14 @@ app.on('window-all-closed', () => {
 app.on('activate', () => {
   if (BrowserWindow.getAllWindows().length === 0) createWindow();
 });
+
+app.on('will-quit', (event) => {
+  getSessionStore().flush();
+  getScrollbackIndex().flush();
+  getCustomAgentLoader().unwatch();
+  // Quitting halfway through would leave worktrees and branches half removed
+  if (arenaCleanup) {
+    event.preventDefault();
+    arenaCleanup.finally(() => app.quit());
+  }
+});
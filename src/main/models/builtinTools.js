@@ -0,0 +1,226 @@
+/**
+ * Donna Desktop - Built-in Tools
+ * Tools registered with the shared ToolRegistry when the app starts.
+ *
+ * - read_file / write_file: files inside the allowed directories only
+ * - vault_search / vault_read: notes in the configured Obsidian vault
+ * - run_command: an allowlisted program run without a shell, inside the
+ *   allowed directories, with a timeout and a cap on output
+ *
+ * Configured by the `tools` section of config.json:
+ *   { allowedPaths: [...], commands: [...], commandTimeoutMs }
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { FileSandbox } = require('../security/fileSandbox');
+const { getVaultManager } = require('../obsidian/vaultManager');
+
+const DEFAULT_WORKSPACE = path.join(os.homedir(), '.donna-desktop', 'workspace');
+const DEFAULT_COMMANDS = ['ls', 'cat', 'head', 'tail', 'wc', 'grep', 'diff', 'stat', 'file', 'pwd', 'echo'];
+// Options that make a program run other programs, rejected even when the
+// program is added to `commands` ('*' rejects every argument)
+const PROGRAM_RUNNING_OPTIONS = {
+  rg: ['--pre', '--pre-glob', '--search-zip', '-z'],
+  find: ['-exec', '-execdir', '-ok', '-okdir', '-delete', '-fprint', '-fprintf', '-fls'],
+  sort: ['--compress-program'],
+  tar: ['--to-command', '--use-compress-program', '--checkpoint-action', '--info-script', '--new-volume-script', '-I', '-F'],
+  git: ['-c', '--config-env', '--exec-path', '--upload-pack', '--receive-pack', '--ext-diff', '--textconv'],
+  xargs: ['*'],
+  env: ['*']
+};
+const DEFAULT_COMMAND_TIMEOUT_MS = 30000;
+const MAX_FILE_SIZE = 1024 * 1024;
+const MAX_COMMAND_OUTPUT = 1024 * 1024;
+
+/**
+ * Resolve a tool's path argument against the first allowed directory
+ * @param {FileSandbox} sandbox
+ * @param {string} filePath - Absolute, or relative to the first allowed directory
+ * @param {string} operation - For error messages
+ * @returns {string} The validated absolute path
+ */
+function resolveToolPath(sandbox, filePath, operation) {
+  if (!filePath || typeof filePath !== 'string') {
+    throw new Error('path is required');
+  }
+  const [root] = sandbox.getAllowedPaths();
+  const expanded = filePath.startsWith('~/') ? path.join(os.homedir(), filePath.slice(2)) : filePath;
+  return sandbox.validateAccess(path.resolve(root, expanded), operation);
+}
+
+/**
+ * Whether an argument is an option that makes a command run other programs
+ */
+function isProgramRunningOption(command, arg) {
+  const blocked = PROGRAM_RUNNING_OPTIONS[path.basename(command)] || [];
+  if (blocked.includes('*')) return true;
+  const name = arg.split('=')[0];
+  return blocked.some(option => {
+    // GNU tools accept any unambiguous prefix of a long option
+    if (option.startsWith('--')) return name.length > 2 && name.startsWith('--') && option.startsWith(name);
+    // Short options may be bundled (-nz) or carry their value (-Iprog)
+    if (option.length === 2) return /^-[^-]/.test(name) && name.includes(option[1]);
+    return name === option;
+  });
+}
+
+/**
+ * Check that no argument of a command names a path outside the sandbox
+ * or makes the command run another program
+ * @param {FileSandbox} sandbox
+ * @param {string} command - Program name
+ * @param {string} cwd - Directory the command runs in
+ * @param {string[]} args
+ */
+function validateCommandArgs(sandbox, command, cwd, args) {
+  for (const arg of args) {
+    if (isProgramRunningOption(command, arg)) {
+      throw new Error(`Option not allowed: ${command} ${arg.split('=')[0]}`);
+    }
+    // --file=path style options carry the path after '='
+    const value = arg.startsWith('-') && arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : arg;
+    if (value.startsWith('-')) continue;
+    if (value.includes('/') || value.startsWith('~') || value === '..') {
+      const expanded = value.startsWith('~') ? path.join(os.homedir(), value.slice(1)) : value;
+      sandbox.validateAccess(path.resolve(cwd, expanded), 'run a command on');
+    }
+  }
+}
+
+/**
+ * Register the built-in tools
+ * @param {ToolRegistry} registry - Registry to add the tools to
+ * @param {Object} config - { allowedPaths, commands, commandTimeoutMs } (config.json `tools`)
+ * @param {Object} deps - { vaultManager } overrides, for tests
+ * @returns {ToolRegistry} The registry
+ */
+function registerBuiltinTools(registry, config = {}, deps = {}) {
+  const vaultManager = deps.vaultManager || getVaultManager();
+  const allowedPaths = Array.isArray(config.allowedPaths) && config.allowedPaths.length > 0
+    ? config.allowedPaths
+    : [DEFAULT_WORKSPACE];
+  for (const dir of allowedPaths) {
+    if (dir === DEFAULT_WORKSPACE) fs.mkdirSync(dir, { recursive: true });
+  }
+  const sandbox = new FileSandbox(allowedPaths);
+  const commands = new Set(Array.isArray(config.commands) ? config.commands : DEFAULT_COMMANDS);
+  const commandTimeoutMs = config.commandTimeoutMs || DEFAULT_COMMAND_TIMEOUT_MS;
+
+  registry.register({
+    name: 'read_file',
+    description: `Read a text file. Relative paths are resolved against ${sandbox.getAllowedPaths()[0]}.`,
+    parameters: {
+      type: 'object',
+      properties: { path: { type: 'string', description: 'File path' } },
+      required: ['path']
+    },
+    handler: async ({ path: filePath }) => {
+      const fullPath = resolveToolPath(sandbox, filePath, 'read');
+      const stats = await fs.promises.stat(fullPath);
+      if (!stats.isFile()) throw new Error(`Not a file: ${filePath}`);
+      if (stats.size > MAX_FILE_SIZE) throw new Error(`File is larger than ${MAX_FILE_SIZE} bytes`);
+      return fs.promises.readFile(fullPath, 'utf-8');
+    }
+  });
+
+  registry.register({
+    name: 'write_file',
+    description: `Write a text file, replacing its content. Relative paths are resolved against ${sandbox.getAllowedPaths()[0]}.`,
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path' },
+        content: { type: 'string', description: 'New file content' }
+      },
+      required: ['path', 'content']
+    },
+    handler: async ({ path: filePath, content }) => {
+      if (typeof content !== 'string') throw new Error('content must be a string');
+      const fullPath = resolveToolPath(sandbox, filePath, 'write');
+      await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.promises.writeFile(fullPath, content, 'utf-8');
+      return `Wrote ${Buffer.byteLength(content)} bytes to ${fullPath}`;
+    }
+  });
+
+  registry.register({
+    name: 'vault_search',
+    description: 'Search notes in the Obsidian vault by title and content.',
+    parameters: {
+      type: 'object',
+      properties: { query: { type: 'string', description: 'Text to search for' } },
+      required: ['query']
+    },
+    handler: async ({ query }) => {
+      if (!vaultManager.vaultPath) throw new Error('No vault configured');
+      if (!query || typeof query !== 'string') throw new Error('query is required');
+      const results = await vaultManager.search(query);
+      return results.map(({ path: notePath, title, excerpt }) => ({ path: notePath, title, excerpt }));
+    }
+  });
+
+  registry.register({
+    name: 'vault_read',
+    description: 'Read a note from the Obsidian vault.',
+    parameters: {
+      type: 'object',
+      properties: { path: { type: 'string', description: 'Note path relative to the vault' } },
+      required: ['path']
+    },
+    handler: async ({ path: notePath }) => {
+      if (!vaultManager.vaultPath) throw new Error('No vault configured');
+      // readNote joins paths as given; keep the note inside the vault
+      new FileSandbox([vaultManager.vaultPath]).validateRelativePath(vaultManager.vaultPath, notePath, 'read');
+      const note = await vaultManager.readNote(notePath);
+      if (!note.success) throw new Error(note.error);
+      return note.content;
+    }
+  });
+
+  registry.register({
+    name: 'run_command',
+    description: `Run a program without a shell (no pipes, globs or redirects). Allowed programs: ${[...commands].join(', ')}.`,
+    parameters: {
+      type: 'object',
+      properties: {
+        command: { type: 'string', description: 'Program name' },
+        args: { type: 'array', items: { type: 'string' }, description: 'Arguments' },
+        cwd: { type: 'string', description: 'Working directory' }
+      },
+      required: ['command']
+    },
+    handler: async ({ command, args = [], cwd }) => {
+      if (!commands.has(command)) throw new Error(`Command not allowed: ${command}`);
+      if (!Array.isArray(args) || args.some(arg => typeof arg !== 'string')) {
+        throw new Error('args must be an array of strings');
+      }
+      const workingDir = resolveToolPath(sandbox, cwd || '.', 'run a command in');
+      validateCommandArgs(sandbox, command, workingDir, args);
+
+      return new Promise((resolve) => {
+        execFile(command, args, {
+          cwd: workingDir,
+          timeout: commandTimeoutMs,
+          maxBuffer: MAX_COMMAND_OUTPUT,
+          env: { PATH: process.env.PATH, HOME: os.homedir(), LANG: process.env.LANG || 'C.UTF-8' }
+        }, (error, stdout, stderr) => {
+          // A failing command is a result for the model, not a tool error
+          const exitCode = error ? (typeof error.code === 'number' ? error.code : null) : 0;
+          if (error?.killed) stderr += `\nTimed out after ${commandTimeoutMs}ms`;
+          else if (exitCode === null && error) stderr = error.message;
+          resolve({ exitCode, stdout, stderr });
+        });
+      });
+    }
+  });
+
+  return registry;
+}
+
+module.exports = {
+  registerBuiltinTools,
+  DEFAULT_COMMANDS
+};
@@ -3,6 +3,107 @@
  * Supports Claude, Gemini, Ollama, and local models
  */
 
+const { ToolRegistry } = require('./toolRegistry');
+
+const DEFAULT_MAX_TOOL_ROUNDS = 8;
+
+/**
+ * Default retry and fallback policy. `chain` lists providers to try, in order,
+ * after the requested one fails.
+ */
+const DEFAULT_RETRY_POLICY = {
+  chain: [],
+  maxRetries: 2,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000
+};
+
+// Rate limited (429) and overloaded (529) requests are retried with backoff
+const RETRYABLE_STATUSES = [429, 529];
+
+/**
+ * Error raised by a provider request, carrying the HTTP status and any
+ * Retry-After delay so ModelManager can decide whether to retry or fall back.
+ */
+class ProviderError extends Error {
+  constructor(message, { provider, status = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get retryable() {
+    return RETRYABLE_STATUSES.includes(this.status);
+  }
+
+  /**
+   * Whether another provider might succeed: connection failures, auth
+   * problems, rate limits and server errors. Malformed requests are not.
+   */
+  get shouldFallback() {
+    return !this.status || this.status >= 500 || [401, 403, 408, 429].includes(this.status);
+  }
+
+  static async fromResponse(response, label, provider) {
+    let message = response.statusText;
+    try {
+      const body = await response.json();
+      message = body.error?.message || (typeof body.error === 'string' ? body.error : null) || message;
+    } catch (e) {
+      // Non-JSON error body
+    }
+    return new ProviderError(`${label} error: ${message}`, {
+      provider,
+      status: response.status,
+      retryAfterMs: parseRetryAfter(response.headers?.get('retry-after'))
+    });
+  }
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) to milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Wait for ms, or reject with the signal's reason as soon as it aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function generateToolCallId() {
+  return 'call_' + Math.random().toString(36).substring(2, 11) + Date.now().toString(36);
+}
+
+function parseToolArguments(json) {
+  if (!json) return {};
+  try {
+    return JSON.parse(json);
+  } catch (e) {
+    return {};
+  }
+}
+
 class ModelProvider {
   constructor(config = {}) {
     this.config = config;
@@ -21,6 +122,32 @@ class ModelProvider {
     return true;
   }
 
+  /**
+   * fetch() wrapper that turns connection failures and non-2xx responses
+   * into ProviderErrors
+   */
+  async request(url, init, label) {
+    let response;
+    try {
+      response = await fetch(url, init);
+    } catch (error) {
+      // Cancellation is not a provider failure; never retry or fall back on it
+      if (error.name === 'AbortError') throw error;
+      throw new ProviderError(`${label} error: ${error.message}`, { provider: this.name });
+    }
+    if (!response.ok) {
+      throw await ProviderError.fromResponse(response, label, this.name);
+    }
+    return response;
+  }
+
+  /**
+   * Map provider-neutral tool definitions to this provider's wire format
+   */
+  formatTools(tools) {
+    throw new Error(`${this.name} does not support tool calling`);
+  }
+
   getCapabilities() {
     return {
       streaming: false,
@@ -57,8 +184,9 @@ class ClaudeProvider extends ModelProvider {
   }
 
   async chat(messages, options = {}) {
-    const response = await fetch(`${this.baseUrl}/messages`, {
+    const response = await this.request(`${this.baseUrl}/messages`, {
       method: 'POST',
+      signal: options.signal,
       headers: {
         'Content-Type': 'application/json',
         'x-api-key': this.apiKey,
@@ -68,18 +196,19 @@ class ClaudeProvider extends ModelProvider {
         model: options.model || this.model,
         max_tokens: options.maxTokens || 4096,
         messages: this.formatMessages(messages),
-        system: options.system || undefined
+        system: options.system || undefined,
+        tools: options.tools ? this.formatTools(options.tools) : undefined
       })
-    });
-
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(`Claude API error: ${error.error?.message || response.statusText}`);
-    }
+    }, 'Claude API');
 
     const data = await response.json();
+    const toolCalls = data.content
+      .filter(block => block.type === 'tool_use')
+      .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} }));
+
     return {
-      content: data.content[0].text,
+      content: data.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+      toolCalls,
       usage: data.usage,
       model: data.model,
       stopReason: data.stop_reason
@@ -87,8 +216,9 @@ class ClaudeProvider extends ModelProvider {
   }
 
   async *stream(messages, options = {}) {
-    const response = await fetch(`${this.baseUrl}/messages`, {
+    const response = await this.request(`${this.baseUrl}/messages`, {
       method: 'POST',
+      signal: options.signal,
       headers: {
         'Content-Type': 'application/json',
         'x-api-key': this.apiKey,
@@ -99,18 +229,17 @@ class ClaudeProvider extends ModelProvider {
         max_tokens: options.maxTokens || 4096,
         messages: this.formatMessages(messages),
         system: options.system || undefined,
+        tools: options.tools ? this.formatTools(options.tools) : undefined,
         stream: true
       })
-    });
-
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(`Claude API error: ${error.error?.message || response.statusText}`);
-    }
+    }, 'Claude API');
 
     const reader = response.body.getReader();
     const decoder = new TextDecoder();
     let buffer = '';
+    // tool_use blocks arrive as a start event followed by partial JSON deltas
+    const toolBlocks = new Map();
+    let usage = { inputTokens: 0, outputTokens: 0 };
 
     while (true) {
       const { done, value } = await reader.read();
@@ -125,27 +254,83 @@ class ClaudeProvider extends ModelProvider {
           const data = line.slice(6);
           if (data === '[DONE]') return;
 
+          let parsed;
           try {
-            const parsed = JSON.parse(data);
-            if (parsed.type === 'content_block_delta' && parsed.delta?.text) {
-              yield { type: 'text', content: parsed.delta.text };
-            } else if (parsed.type === 'message_stop') {
-              return;
-            }
+            parsed = JSON.parse(data);
           } catch (e) {
             // Skip invalid JSON
+            continue;
+          }
+
+          if (parsed.type === 'content_block_start' && parsed.content_block?.type === 'tool_use') {
+            toolBlocks.set(parsed.index, { id: parsed.content_block.id, name: parsed.content_block.name, json: '' });
+          } else if (parsed.type === 'content_block_delta' && parsed.delta?.type === 'input_json_delta') {
+            const block = toolBlocks.get(parsed.index);
+            if (block) block.json += parsed.delta.partial_json || '';
+          } else if (parsed.type === 'content_block_delta' && parsed.delta?.text) {
+            yield { type: 'text', content: parsed.delta.text };
+          } else if (parsed.type === 'content_block_stop' && toolBlocks.has(parsed.index)) {
+            const block = toolBlocks.get(parsed.index);
+            toolBlocks.delete(parsed.index);
+            yield {
+              type: 'tool_call',
+              toolCall: { id: block.id, name: block.name, arguments: parseToolArguments(block.json) }
+            };
+          } else if (parsed.type === 'message_start' && parsed.message?.usage) {
+            usage = { inputTokens: parsed.message.usage.input_tokens || 0, outputTokens: parsed.message.usage.output_tokens || 0 };
+          } else if (parsed.type === 'message_delta' && parsed.usage) {
+            usage = { ...usage, outputTokens: parsed.usage.output_tokens || 0 };
+            yield { type: 'usage', usage };
+          } else if (parsed.type === 'message_stop') {
+            return;
           }
         }
       }
     }
   }
 
-  formatMessages(messages) {
-    return messages.map(msg => ({
-      role: msg.role === 'system' ? 'user' : msg.role,
-      content: msg.content
+  formatTools(tools) {
+    return tools.map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      input_schema: tool.parameters
     }));
   }
+
+  formatMessages(messages) {
+    const formatted = [];
+
+    for (const msg of messages) {
+      if (msg.role === 'tool') {
+        // All results for one assistant turn go back in a single user message
+        const block = {
+          type: 'tool_result',
+          tool_use_id: msg.toolCallId,
+          content: msg.content,
+          is_error: msg.isError || undefined
+        };
+        const last = formatted[formatted.length - 1];
+        if (last?.role === 'user' && Array.isArray(last.content) && last.content.every(b => b.type === 'tool_result')) {
+          last.content.push(block);
+        } else {
+          formatted.push({ role: 'user', content: [block] });
+        }
+      } else if (msg.role === 'assistant' && msg.toolCalls?.length) {
+        const content = msg.content ? [{ type: 'text', text: msg.content }] : [];
+        for (const call of msg.toolCalls) {
+          content.push({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments || {} });
+        }
+        formatted.push({ role: 'assistant', content });
+      } else {
+        formatted.push({
+          role: msg.role === 'system' ? 'user' : msg.role,
+          content: msg.content
+        });
+      }
+    }
+
+    return formatted;
+  }
 }
 
 /**
@@ -177,28 +362,27 @@ class GeminiProvider extends ModelProvider {
     const model = options.model || this.model;
     const url = `${this.baseUrl}/models/${model}:generateContent?key=${this.apiKey}`;
 
-    const response = await fetch(url, {
+    const response = await this.request(url, {
       method: 'POST',
+      signal: options.signal,
       headers: {
         'Content-Type': 'application/json'
       },
       body: JSON.stringify({
         contents: this.formatMessages(messages),
+        tools: options.tools ? this.formatTools(options.tools) : undefined,
         generationConfig: {
           maxOutputTokens: options.maxTokens || 4096,
           temperature: options.temperature || 0.7
         }
       })
-    });
-
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(`Gemini API error: ${error.error?.message || response.statusText}`);
-    }
+    }, 'Gemini API');
 
     const data = await response.json();
+    const parts = data.candidates[0].content?.parts || [];
     return {
-      content: data.candidates[0].content.parts[0].text,
+      content: parts.filter(part => part.text).map(part => part.text).join(''),
+      toolCalls: this.extractToolCalls(parts),
       usage: {
         inputTokens: data.usageMetadata?.promptTokenCount,
         outputTokens: data.usageMetadata?.candidatesTokenCount
@@ -212,24 +396,21 @@ class GeminiProvider extends ModelProvider {
     const model = options.model || this.model;
     const url = `${this.baseUrl}/models/${model}:streamGenerateContent?key=${this.apiKey}`;
 
-    const response = await fetch(url, {
+    const response = await this.request(url, {
       method: 'POST',
+      signal: options.signal,
       headers: {
         'Content-Type': 'application/json'
       },
       body: JSON.stringify({
         contents: this.formatMessages(messages),
+        tools: options.tools ? this.formatTools(options.tools) : undefined,
         generationConfig: {
           maxOutputTokens: options.maxTokens || 4096,
           temperature: options.temperature || 0.7
         }
       })
-    });
-
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(`Gemini API error: ${error.error?.message || response.statusText}`);
-    }
+    }, 'Gemini API');
 
     const reader = response.body.getReader();
     const decoder = new TextDecoder();
@@ -246,8 +427,23 @@ class GeminiProvider extends ModelProvider {
         const chunks = buffer.split('\n').filter(line => line.trim());
         for (const chunk of chunks) {
           const parsed = JSON.parse(chunk.replace(/^\[|\]$/g, '').replace(/^,/, ''));
-          if (parsed.candidates?.[0]?.content?.parts?.[0]?.text) {
-            yield { type: 'text', content: parsed.candidates[0].content.parts[0].text };
+          const parts = parsed.candidates?.[0]?.content?.parts || [];
+          for (const part of parts) {
+            if (part.text) {
+              yield { type: 'text', content: part.text };
+            }
+          }
+          for (const toolCall of this.extractToolCalls(parts)) {
+            yield { type: 'tool_call', toolCall };
+          }
+          if (parsed.usageMetadata) {
+            yield {
+              type: 'usage',
+              usage: {
+                inputTokens: parsed.usageMetadata.promptTokenCount || 0,
+                outputTokens: parsed.usageMetadata.candidatesTokenCount || 0
+              }
+            };
           }
         }
         buffer = '';
@@ -257,11 +453,58 @@ class GeminiProvider extends ModelProvider {
     }
   }
 
+  formatTools(tools) {
+    return [{
+      functionDeclarations: tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters
+      }))
+    }];
+  }
+
+  /**
+   * Gemini function calls carry no ID, so one is generated per call
+   */
+  extractToolCalls(parts) {
+    return parts
+      .filter(part => part.functionCall)
+      .map(part => ({
+        id: generateToolCallId(),
+        name: part.functionCall.name,
+        arguments: part.functionCall.args || {}
+      }));
+  }
+
   formatMessages(messages) {
-    return messages.map(msg => ({
-      role: msg.role === 'assistant' ? 'model' : 'user',
-      parts: [{ text: msg.content }]
-    }));
+    const formatted = [];
+
+    for (const msg of messages) {
+      if (msg.role === 'tool') {
+        const part = {
+          functionResponse: { name: msg.name, response: { content: msg.content, isError: !!msg.isError } }
+        };
+        const last = formatted[formatted.length - 1];
+        if (last?.role === 'user' && last.parts.every(p => p.functionResponse)) {
+          last.parts.push(part);
+        } else {
+          formatted.push({ role: 'user', parts: [part] });
+        }
+      } else if (msg.role === 'assistant' && msg.toolCalls?.length) {
+        const parts = msg.content ? [{ text: msg.content }] : [];
+        for (const call of msg.toolCalls) {
+          parts.push({ functionCall: { name: call.name, args: call.arguments || {} } });
+        }
+        formatted.push({ role: 'model', parts });
+      } else {
+        formatted.push({
+          role: msg.role === 'assistant' ? 'model' : 'user',
+          parts: [{ text: msg.content }]
+        });
+      }
+    }
+
+    return formatted;
   }
 }
 
@@ -291,8 +534,9 @@ class OllamaProvider extends ModelProvider {
   }
 
   async chat(messages, options = {}) {
-    const response = await fetch(`${this.baseUrl}/api/chat`, {
+    const response = await this.request(`${this.baseUrl}/api/chat`, {
       method: 'POST',
+      signal: options.signal,
       headers: {
         'Content-Type': 'application/json'
       },
@@ -304,11 +548,7 @@ class OllamaProvider extends ModelProvider {
           num_predict: options.maxTokens || 4096
         }
       })
-    });
-
-    if (!response.ok) {
-      throw new Error(`Ollama error: ${response.statusText}`);
-    }
+    }, 'Ollama');
 
     const data = await response.json();
     return {
@@ -323,8 +563,9 @@ class OllamaProvider extends ModelProvider {
   }
 
   async *stream(messages, options = {}) {
-    const response = await fetch(`${this.baseUrl}/api/chat`, {
+    const response = await this.request(`${this.baseUrl}/api/chat`, {
       method: 'POST',
+      signal: options.signal,
       headers: {
         'Content-Type': 'application/json'
       },
@@ -336,11 +577,7 @@ class OllamaProvider extends ModelProvider {
           num_predict: options.maxTokens || 4096
         }
       })
-    });
-
-    if (!response.ok) {
-      throw new Error(`Ollama error: ${response.statusText}`);
-    }
+    }, 'Ollama');
 
     const reader = response.body.getReader();
     const decoder = new TextDecoder();
@@ -357,6 +594,7 @@ class OllamaProvider extends ModelProvider {
             yield { type: 'text', content: data.message.content };
           }
           if (data.done) {
+            yield { type: 'usage', usage: { inputTokens: data.prompt_eval_count || 0, outputTokens: data.eval_count || 0 } };
             return;
           }
         } catch (e) {
@@ -393,27 +631,30 @@ class OpenAICompatibleProvider extends ModelProvider {
   }
 
   async chat(messages, options = {}) {
-    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+    const response = await this.request(`${this.baseUrl}/chat/completions`, {
       method: 'POST',
+      signal: options.signal,
       headers: {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${this.apiKey}`
       },
       body: JSON.stringify({
         model: options.model || this.model,
-        messages: messages,
-        max_tokens: options.maxTokens || 4096
+        messages: this.formatMessages(messages),
+        max_tokens: options.maxTokens || 4096,
+        tools: options.tools ? this.formatTools(options.tools) : undefined
       })
-    });
-
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(`OpenAI API error: ${error.error?.message || response.statusText}`);
-    }
+    }, 'OpenAI API');
 
     const data = await response.json();
+    const message = data.choices[0].message;
     return {
-      content: data.choices[0].message.content,
+      content: message.content || '',
+      toolCalls: (message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: parseToolArguments(call.function.arguments)
+      })),
       usage: data.usage,
       model: data.model,
       stopReason: data.choices[0].finish_reason
@@ -421,28 +662,38 @@ class OpenAICompatibleProvider extends ModelProvider {
   }
 
   async *stream(messages, options = {}) {
-    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+    const response = await this.request(`${this.baseUrl}/chat/completions`, {
       method: 'POST',
+      signal: options.signal,
       headers: {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${this.apiKey}`
       },
       body: JSON.stringify({
         model: options.model || this.model,
-        messages: messages,
+        messages: this.formatMessages(messages),
         max_tokens: options.maxTokens || 4096,
-        stream: true
+        tools: options.tools ? this.formatTools(options.tools) : undefined,
+        stream: true,
+        stream_options: { include_usage: true }
       })
-    });
-
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(`OpenAI API error: ${error.error?.message || response.statusText}`);
-    }
+    }, 'OpenAI API');
 
     const reader = response.body.getReader();
     const decoder = new TextDecoder();
     let buffer = '';
+    // Tool call name/arguments are streamed as fragments keyed by index
+    const pendingCalls = new Map();
+
+    const flushToolCalls = function* () {
+      for (const call of pendingCalls.values()) {
+        yield {
+          type: 'tool_call',
+          toolCall: { id: call.id || generateToolCallId(), name: call.name, arguments: parseToolArguments(call.args) }
+        };
+      }
+      pendingCalls.clear();
+    };
 
     while (true) {
       const { done, value } = await reader.read();
@@ -455,20 +706,72 @@ class OpenAICompatibleProvider extends ModelProvider {
       for (const line of lines) {
         if (line.startsWith('data: ')) {
           const data = line.slice(6);
-          if (data === '[DONE]') return;
+          if (data === '[DONE]') {
+            yield* flushToolCalls();
+            return;
+          }
 
+          let parsed;
           try {
-            const parsed = JSON.parse(data);
-            const content = parsed.choices[0]?.delta?.content;
-            if (content) {
-              yield { type: 'text', content };
-            }
+            parsed = JSON.parse(data);
           } catch (e) {
             // Skip invalid JSON
+            continue;
+          }
+
+          const choice = parsed.choices?.[0];
+          if (choice?.delta?.content) {
+            yield { type: 'text', content: choice.delta.content };
+          }
+          for (const fragment of choice?.delta?.tool_calls || []) {
+            const call = pendingCalls.get(fragment.index) || { id: null, name: '', args: '' };
+            if (fragment.id) call.id = fragment.id;
+            if (fragment.function?.name) call.name += fragment.function.name;
+            if (fragment.function?.arguments) call.args += fragment.function.arguments;
+            pendingCalls.set(fragment.index, call);
+          }
+          if (choice?.finish_reason) {
+            yield* flushToolCalls();
+          }
+          if (parsed.usage) {
+            yield { type: 'usage', usage: { inputTokens: parsed.usage.prompt_tokens || 0, outputTokens: parsed.usage.completion_tokens || 0 } };
           }
         }
       }
     }
+
+    yield* flushToolCalls();
+  }
+
+  formatTools(tools) {
+    return tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters
+      }
+    }));
+  }
+
+  formatMessages(messages) {
+    return messages.map(msg => {
+      if (msg.role === 'tool') {
+        return { role: 'tool', tool_call_id: msg.toolCallId, content: msg.content };
+      }
+      if (msg.role === 'assistant' && msg.toolCalls?.length) {
+        return {
+          role: 'assistant',
+          content: msg.content || null,
+          tool_calls: msg.toolCalls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+          }))
+        };
+      }
+      return { role: msg.role, content: msg.content };
+    });
   }
 }
 
@@ -476,9 +779,12 @@ class OpenAICompatibleProvider extends ModelProvider {
  * Model Manager - Handles multiple providers and routing
  */
 class ModelManager {
-  constructor() {
+  constructor(options = {}) {
     this.providers = new Map();
     this.defaultProvider = null;
+    this.tools = options.tools || new ToolRegistry();
+    this.ledger = options.ledger || null;
+    this.setRetryPolicy(options.retryPolicy);
   }
 
   registerProvider(name, provider) {
@@ -507,20 +813,285 @@ class ModelManager {
     }));
   }
 
+  /**
+   * Record a provider response in the usage ledger.
+   * options.usageContext carries { source, sessionId, agentId } from the caller.
+   */
+  recordUsage(providerName, provider, model, usage, options) {
+    if (!this.ledger || !usage) return;
+    try {
+      this.ledger.record({
+        provider: providerName,
+        model: model || options.model || provider.model,
+        usage,
+        ...options.usageContext
+      });
+    } catch (e) {
+      console.error('Failed to record usage:', e);
+    }
+  }
+
+  /**
+   * Register a JS tool the model may call
+   * @param {Object} tool - { name, description, parameters, handler(args, context) }
+   */
+  registerTool(tool) {
+    return this.tools.register(tool);
+  }
+
+  unregisterTool(name) {
+    return this.tools.unregister(name);
+  }
+
+  listTools() {
+    return this.tools.list();
+  }
+
+  /**
+   * Set the retry and fallback policy
+   * @param {Object} policy - { chain, maxRetries, baseDelayMs, maxDelayMs }
+   */
+  setRetryPolicy(policy = {}) {
+    this.retryPolicy = { ...DEFAULT_RETRY_POLICY, ...policy };
+    if (!Array.isArray(this.retryPolicy.chain)) this.retryPolicy.chain = [];
+  }
+
+  getRetryPolicy() {
+    return { ...this.retryPolicy };
+  }
+
+  /**
+   * Providers to try for a request: the requested one, then the fallback
+   * chain, skipping unregistered or unconfigured providers (and, when tools
+   * are requested, providers without function calling). The requested
+   * provider's model is not passed on to fallbacks, which use their own.
+   * options.fallback === false disables the chain for one call.
+   * @returns {Object} { candidates: [{ name, provider, options }], failures }
+   */
+  getCandidates(options, tools) {
+    const primaryName = options.provider || this.defaultProvider;
+    const primary = this.providers.get(primaryName);
+    const candidates = [];
+    const failures = [];
+
+    if (primary) {
+      if (tools && !primary.getCapabilities().functionCalling) {
+        throw new Error(`Provider does not support tool calling: ${primary.name}`);
+      }
+      candidates.push({ name: primaryName, provider: primary, options });
+    } else {
+      failures.push({ provider: primaryName, error: `Provider not found: ${primaryName}` });
+    }
+
+    if (options.fallback !== false) {
+      for (const name of this.retryPolicy.chain) {
+        const provider = this.providers.get(name);
+        if (!provider || name === primaryName || candidates.some(c => c.name === name)) continue;
+        if (!provider.validateConfig()) continue;
+        if (tools && !provider.getCapabilities().functionCalling) continue;
+        candidates.push({ name, provider, options: { ...options, provider: name, model: undefined } });
+      }
+    }
+
+    if (candidates.length === 0) {
+      throw new Error(failures[0].error);
+    }
+    return { candidates, failures };
+  }
+
+  getRetryDelay(error, attempt) {
+    const { baseDelayMs, maxDelayMs } = this.retryPolicy;
+    if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+      return Math.min(error.retryAfterMs, maxDelayMs);
+    }
+    const backoff = baseDelayMs * 2 ** attempt;
+    return Math.min(backoff + Math.random() * backoff * 0.25, maxDelayMs);
+  }
+
+  /**
+   * Run a provider request, retrying rate-limited and overloaded responses
+   * with exponential backoff (or the provider's Retry-After delay).
+   * Aborting the signal ends the wait between attempts.
+   */
+  async withRetries(request, signal) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await request();
+      } catch (error) {
+        if (!(error instanceof ProviderError) || !error.retryable || attempt >= this.retryPolicy.maxRetries) {
+          throw error;
+        }
+        await sleep(this.getRetryDelay(error, attempt), signal);
+      }
+    }
+  }
+
+  /**
+   * Error for a request where every candidate provider failed
+   */
+  createFallbackError(failures, lastError) {
+    if (failures.length === 1) return lastError;
+    return new ProviderError(
+      `All providers failed: ${failures.map(f => `${f.provider}: ${f.error}`).join('; ')}`,
+      { provider: lastError.provider, status: lastError.status }
+    );
+  }
+
+  /**
+   * Tool calls are only executed when every call has a handler;
+   * otherwise they are returned to the caller unexecuted.
+   */
+  canExecuteToolCalls(toolCalls, tools) {
+    return toolCalls.length > 0 && toolCalls.every(call =>
+      tools.find(tool => tool.name === call.name)?.handler
+    );
+  }
+
+  /**
+   * Chat with a provider. Failed requests are retried and then passed down
+   * the fallback chain; the response records which provider answered in
+   * `provider` and the providers that failed before it in `fallbackFrom`.
+   *
+   * When options.tools is set, tool calls are executed and their results fed
+   * back until the model answers without calling tools or
+   * options.maxToolRounds is reached.
+   *
+   * options.signal (an AbortSignal) cancels in-flight provider requests.
+   */
   async chat(messages, options = {}) {
-    const provider = this.getProvider(options.provider);
-    if (!provider) {
-      throw new Error(`Provider not found: ${options.provider || this.defaultProvider}`);
+    const tools = this.tools.resolve(options.tools);
+    const { candidates, failures } = this.getCandidates(options, tools);
+    let lastError = null;
+
+    for (const candidate of candidates) {
+      const state = { toolsExecuted: false };
+      try {
+        const response = await this.chatWithProvider(candidate, messages, tools, state);
+        return { ...response, provider: candidate.name, fallbackFrom: failures.length > 0 ? failures : undefined };
+      } catch (error) {
+        // Never replay a conversation whose tools have already run
+        if (!(error instanceof ProviderError) || !error.shouldFallback || state.toolsExecuted) throw error;
+        failures.push({ provider: candidate.name, error: error.message });
+        lastError = error;
+      }
     }
-    return provider.chat(messages, options);
+
+    throw this.createFallbackError(failures, lastError);
   }
 
+  async chatWithProvider({ name, provider, options }, messages, tools, state) {
+    if (!tools) {
+      const response = await this.withRetries(() => provider.chat(messages, options), options.signal);
+      this.recordUsage(name, provider, response.model, response.usage, options);
+      return response;
+    }
+
+    const maxRounds = options.maxToolRounds ?? DEFAULT_MAX_TOOL_ROUNDS;
+    const conversation = [...messages];
+    const toolResults = [];
+
+    for (let round = 0; ; round++) {
+      const response = await this.withRetries(() => provider.chat(conversation, { ...options, tools }), options.signal);
+      this.recordUsage(name, provider, response.model, response.usage, options);
+      const toolCalls = response.toolCalls || [];
+
+      if (round >= maxRounds || !this.canExecuteToolCalls(toolCalls, tools)) {
+        return { ...response, toolResults };
+      }
+
+      state.toolsExecuted = true;
+      conversation.push({ role: 'assistant', content: response.content, toolCalls });
+      for (const toolCall of toolCalls) {
+        const result = await this.tools.execute(toolCall, tools, options.toolContext);
+        toolResults.push(result);
+        conversation.push({ role: 'tool', ...result });
+      }
+    }
+  }
+
+  /**
+   * Stream from a provider. The first chunk is `{ type: 'provider', provider,
+   * fallbackFrom }` naming the provider that answered. Retries and fallback
+   * only happen before that chunk; later errors are thrown to the caller.
+   *
+   * With tools, yields `tool_call` chunks as the model requests them and
+   * `tool_result` chunks as handlers complete, then continues streaming the
+   * model's follow-up.
+   *
+   * Providers may yield `usage` chunks; each carries the cumulative usage of
+   * the current response, so the last one seen is recorded.
+   */
   async *stream(messages, options = {}) {
-    const provider = this.getProvider(options.provider);
-    if (!provider) {
-      throw new Error(`Provider not found: ${options.provider || this.defaultProvider}`);
+    const tools = this.tools.resolve(options.tools);
+    const { candidates, failures } = this.getCandidates(options, tools);
+    let lastError = null;
+
+    for (const candidate of candidates) {
+      const state = { started: false };
+      try {
+        yield* this.streamWithProvider(candidate, messages, tools, state, failures);
+        return;
+      } catch (error) {
+        if (!(error instanceof ProviderError) || !error.shouldFallback || state.started) throw error;
+        failures.push({ provider: candidate.name, error: error.message });
+        lastError = error;
+      }
+    }
+
+    throw this.createFallbackError(failures, lastError);
+  }
+
+  /**
+   * Open a provider stream, retrying until its first chunk arrives
+   */
+  async openStream(provider, messages, options) {
+    return this.withRetries(async () => {
+      const iterator = provider.stream(messages, options)[Symbol.asyncIterator]();
+      const first = await iterator.next();
+      return { iterator, first };
+    }, options.signal);
+  }
+
+  async *streamWithProvider({ name, provider, options }, messages, tools, state, failures) {
+    const maxRounds = options.maxToolRounds ?? DEFAULT_MAX_TOOL_ROUNDS;
+    const conversation = [...messages];
+
+    for (let round = 0; ; round++) {
+      let content = '';
+      const toolCalls = [];
+      let usage = null;
+
+      const { iterator, first } = await this.openStream(provider, conversation, tools ? { ...options, tools } : options);
+      if (!state.started) {
+        state.started = true;
+        yield { type: 'provider', provider: name, fallbackFrom: failures.length > 0 ? [...failures] : undefined };
+      }
+
+      try {
+        for (let step = first; !step.done; step = await iterator.next()) {
+          const chunk = step.value;
+          if (chunk.type === 'text') content += chunk.content;
+          else if (chunk.type === 'tool_call') toolCalls.push(chunk.toolCall);
+          else if (chunk.type === 'usage') usage = chunk.usage;
+          yield chunk;
+        }
+      } finally {
+        // Also runs when the consumer aborts mid-stream
+        await iterator.return?.();
+        this.recordUsage(name, provider, null, usage, options);
+      }
+
+      if (!tools || round >= maxRounds || !this.canExecuteToolCalls(toolCalls, tools)) {
+        return;
+      }
+
+      conversation.push({ role: 'assistant', content, toolCalls });
+      for (const toolCall of toolCalls) {
+        const result = await this.tools.execute(toolCall, tools, options.toolContext);
+        yield { type: 'tool_result', toolResult: result };
+        conversation.push({ role: 'tool', ...result });
+      }
     }
-    yield* provider.stream(messages, options);
   }
 }
 
@@ -530,5 +1101,6 @@ module.exports = {
   GeminiProvider,
   OllamaProvider,
   OpenAICompatibleProvider,
-  ModelManager
+  ModelManager,
+  ProviderError
 };
@@ -4,6 +4,41 @@
  */
 
 const { ModelManager, ClaudeProvider, GeminiProvider, OllamaProvider, OpenAICompatibleProvider } = require('./modelProvider');
+const { validatePlan } = require('./taskGraph');
+
+const PRIORITY_ORDER = { high: 0, normal: 1, low: 2 };
+
+// Task types used by planTask that differ from the agent role they map to
+const TYPE_ROLES = { research: 'researcher' };
+const AGENT_ROLES = ['researcher', 'coder', 'analyst', 'writer', 'assistant'];
+
+const DEFAULT_SCHEDULER_OPTIONS = {
+  // Maximum tasks running at once per provider; `default` applies to unlisted providers
+  concurrency: { default: 2, ollama: 1 },
+  // Upper bound on agents spawned automatically for queued tasks
+  maxAgents: 8,
+  taskTimeoutMs: 5 * 60 * 1000
+};
+
+/**
+ * Agent role that should handle a task type
+ */
+function roleForType(type) {
+  const role = TYPE_ROLES[type] || type;
+  return AGENT_ROLES.includes(role) ? role : 'assistant';
+}
+
+/**
+ * Settle with the promise, or reject with the signal's reason as soon as it aborts.
+ * Lets a cancelled task release its agent even if the provider ignores the signal.
+ */
+function abortable(promise, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) return reject(signal.reason);
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    promise.then(resolve, reject);
+  });
+}
 
 /**
  * Task represents a unit of work that can be assigned to an AI agent
@@ -14,25 +49,74 @@ class Task {
     this.type = config.type || 'general';
     this.prompt = config.prompt;
     this.context = config.context || [];
-    this.priority = config.priority || 'normal';
+    this.priority = PRIORITY_ORDER[config.priority] !== undefined ? config.priority : 'normal';
+    this.provider = config.provider || null;
+    this.timeout = config.timeout || null;
     this.status = 'pending';
     this.result = null;
     this.error = null;
     this.assignedAgent = null;
+    this.abortController = null;
+    this.onAssign = null; // Set by streamTask; called with { agent, timer } when the task starts
     this.createdAt = Date.now();
+    this.startedAt = null;
     this.completedAt = null;
+    // Resolves with the task once it completes, fails or is cancelled
+    this.done = new Promise(resolve => { this.resolveDone = resolve; });
+  }
+
+  get isFinished() {
+    return this.status === 'completed' || this.status === 'failed' || this.status === 'cancelled';
+  }
+
+  start(agentId) {
+    this.status = 'running';
+    this.assignedAgent = agentId;
+    this.startedAt = Date.now();
+    this.abortController = new AbortController();
   }
 
   complete(result) {
     this.status = 'completed';
     this.result = result;
-    this.completedAt = Date.now();
+    this.finish();
   }
 
   fail(error) {
     this.status = 'failed';
     this.error = error;
+    this.finish();
+  }
+
+  cancel(reason = 'Cancelled') {
+    this.status = 'cancelled';
+    this.error = reason;
+    this.finish();
+  }
+
+  finish() {
     this.completedAt = Date.now();
+    this.abortController = null;
+    this.resolveDone(this);
+  }
+
+  /**
+   * Plain summary safe to send over IPC
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      priority: this.priority,
+      provider: this.provider,
+      status: this.status,
+      result: this.result,
+      error: this.error,
+      assignedAgent: this.assignedAgent,
+      createdAt: this.createdAt,
+      startedAt: this.startedAt,
+      completedAt: this.completedAt
+    };
   }
 }
 
@@ -67,15 +151,28 @@ class Agent {
 
 /**
  * Orchestrator - Donna's brain for coordinating AI helpers
+ *
+ * Queued tasks run in priority order on idle agents, spawning agents by role
+ * when none is free, with at most `concurrency[provider]` tasks per provider
+ * at once. Every task state change emits a `progress` event.
+ *
+ * Plan runs are kept in memory and, when a run store is given, saved to disk
+ * after every change.
  */
 class Orchestrator {
-  constructor(modelManager) {
+  constructor(modelManager, options = {}) {
     this.modelManager = modelManager;
+    this.options = {
+      ...DEFAULT_SCHEDULER_OPTIONS,
+      ...options,
+      concurrency: { ...DEFAULT_SCHEDULER_OPTIONS.concurrency, ...options.concurrency }
+    };
+    this.runStore = options.runStore || null;
     this.agents = new Map();
     this.tasks = new Map();
     this.taskQueue = [];
+    this.runs = new Map();
     this.eventHandlers = new Map();
-    this.isRunning = false;
   }
 
   /**
@@ -90,13 +187,13 @@ class Orchestrator {
   }
 
   /**
-   * Terminate an agent
+   * Terminate an agent, failing its current task
    */
   terminateAgent(agentId) {
     const agent = this.agents.get(agentId);
     if (agent) {
-      if (agent.currentTask) {
-        agent.currentTask.fail('Agent terminated');
+      if (agent.currentTask?.abortController) {
+        agent.currentTask.abortController.abort(new Error('Agent terminated'));
       }
       this.agents.delete(agentId);
       this.emit('agentTerminated', { agentId });
@@ -106,72 +203,141 @@ class Orchestrator {
   }
 
   /**
-   * Create a new task
+   * Create a new task and queue it for execution
+   * @param {Object} config - { type, prompt, context, priority, provider, timeout }
    */
   createTask(config = {}) {
-    const id = this.generateId();
-    const task = new Task(id, config);
-    this.tasks.set(id, task);
+    const task = this.addTask(config);
     this.taskQueue.push(task);
     this.emit('taskCreated', { task });
+    this.emitProgress(task);
     this.processQueue();
     return task;
   }
 
   /**
-   * Process the task queue
+   * Register a task without queueing it
    */
-  async processQueue() {
-    if (this.isRunning) return;
-    this.isRunning = true;
+  addTask(config = {}) {
+    const id = this.generateId();
+    const task = new Task(id, config);
+    this.tasks.set(id, task);
+    return task;
+  }
 
-    while (this.taskQueue.length > 0) {
-      const task = this.taskQueue.shift();
-      const agent = this.findAvailableAgent(task);
+  /**
+   * Cancel a queued or running task
+   */
+  cancelTask(taskId, reason = 'Cancelled by user') {
+    const task = this.tasks.get(taskId);
+    if (!task || task.isFinished) return false;
+
+    const agent = this.agents.get(task.assignedAgent);
+    const controller = task.abortController;
+    this.taskQueue = this.taskQueue.filter(t => t !== task);
+    task.cancel(reason);
+    controller?.abort(new Error(reason));
+
+    this.emit('taskCancelled', { task, agent });
+    this.emitProgress(task);
+    return true;
+  }
 
-      if (agent) {
-        await this.executeTask(agent, task);
+  /**
+   * Start every queued task that has an agent and provider capacity.
+   * Tasks that can't start yet stay queued until a running task finishes.
+   */
+  processQueue() {
+    this.taskQueue.sort((a, b) =>
+      PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority] || a.createdAt - b.createdAt
+    );
+
+    for (const task of [...this.taskQueue]) {
+      const agent = this.findAvailableAgent(task) || this.autoSpawnAgent(task);
+      if (!agent) continue;
+
+      this.taskQueue.splice(this.taskQueue.indexOf(task), 1);
+      if (task.onAssign) {
+        // A streamTask waiting for its turn runs the task itself
+        task.onAssign({ agent, timer: this.startTask(agent, task) });
       } else {
-        // No agent available, put task back in queue
-        this.taskQueue.unshift(task);
-        break;
+        this.executeTask(agent, task).then(() => this.processQueue());
       }
     }
+  }
 
-    this.isRunning = false;
+  /**
+   * Whether another task may start on a provider
+   */
+  hasCapacity(provider) {
+    const limit = this.options.concurrency[provider] ?? this.options.concurrency.default;
+    let running = 0;
+    for (const [, agent] of this.agents) {
+      if (agent.status === 'working' && agent.provider === provider) running++;
+    }
+    return running < limit;
   }
 
   /**
    * Find an available agent for a task
    */
   findAvailableAgent(task) {
-    // First try to find an agent with matching role
-    for (const [, agent] of this.agents) {
-      if (agent.status === 'idle' && agent.role === task.type) {
-        return agent;
-      }
-    }
+    const candidates = Array.from(this.agents.values()).filter(agent =>
+      agent.status === 'idle' &&
+      (!task.provider || agent.provider === task.provider) &&
+      this.hasCapacity(agent.provider)
+    );
+
+    // Prefer an agent with the matching role, then any available agent
+    const role = roleForType(task.type);
+    return candidates.find(agent => agent.role === role) || candidates[0] || null;
+  }
 
-    // Fall back to any available agent
-    for (const [, agent] of this.agents) {
-      if (agent.status === 'idle') {
-        return agent;
-      }
+  /**
+   * Spawn an agent for a task when no idle agent can take it. At maxAgents,
+   * an idle agent of another provider is terminated to make room; without
+   * one, the task waits for a running agent to finish.
+   */
+  autoSpawnAgent(task) {
+    const provider = task.provider || this.modelManager.defaultProvider || 'claude';
+    if (!this.hasCapacity(provider)) return null;
+
+    if (this.agents.size >= this.options.maxAgents) {
+      const idle = Array.from(this.agents.values()).find(agent =>
+        agent.status === 'idle' && agent.provider !== provider
+      );
+      if (!idle) return null;
+      this.terminateAgent(idle.id);
     }
 
-    return null;
+    return this.spawnAgent({ role: roleForType(task.type), provider });
   }
 
   /**
-   * Execute a task with an agent
+   * Mark a task running on an agent and start its timeout
+   * @returns {Object|null} The timeout timer, for the caller to clear
    */
-  async executeTask(agent, task) {
+  startTask(agent, task) {
     agent.status = 'working';
     agent.currentTask = task;
-    task.status = 'running';
-    task.assignedAgent = agent.id;
+    task.start(agent.id);
+
+    const timeoutMs = task.timeout || this.options.taskTimeoutMs;
+    const timer = timeoutMs
+      ? setTimeout(() => task.abortController?.abort(new Error(`Task timed out after ${timeoutMs}ms`)), timeoutMs)
+      : null;
 
     this.emit('taskStarted', { task, agent });
+    this.emitProgress(task);
+    return timer;
+  }
+
+  /**
+   * Execute a task with an agent
+   */
+  async executeTask(agent, task) {
+    const timer = this.startTask(agent, task);
+    const { signal } = task.abortController;
 
     try {
       const messages = [
@@ -180,36 +346,47 @@ class Orchestrator {
         { role: 'user', content: task.prompt }
       ];
 
-      const response = await this.modelManager.chat(messages, {
+      const response = await abortable(this.modelManager.chat(messages, {
         provider: agent.provider,
-        model: agent.model
-      });
+        model: agent.model,
+        signal,
+        usageContext: { source: 'orchestrator', agentId: agent.id }
+      }), signal);
 
       task.complete(response.content);
       agent.completedTasks.push(task.id);
       this.emit('taskCompleted', { task, agent, result: response.content });
     } catch (error) {
-      task.fail(error.message);
-      this.emit('taskFailed', { task, agent, error: error.message });
+      // Cancelled tasks are already settled by cancelTask
+      if (!task.isFinished) {
+        task.fail(error.message);
+        this.emit('taskFailed', { task, agent, error: error.message });
+      }
     } finally {
+      clearTimeout(timer);
       agent.status = 'idle';
       agent.currentTask = null;
+      if (task.status !== 'cancelled') this.emitProgress(task);
     }
   }
 
   /**
-   * Stream a task result
+   * Stream a task result. Streamed tasks wait in the queue like any other,
+   * so they count against maxAgents and the provider concurrency limits,
+   * and can be cancelled while queued or running.
    */
   async *streamTask(config = {}) {
-    const task = this.createTask(config);
-    const agent = this.findAvailableAgent(task) || this.spawnAgent({ role: config.type });
-
-    agent.status = 'working';
-    agent.currentTask = task;
-    task.status = 'running';
-    task.assignedAgent = agent.id;
+    const task = this.addTask(config);
+    const assigned = new Promise(resolve => { task.onAssign = resolve; });
+    this.taskQueue.push(task);
+    this.emit('taskCreated', { task });
+    this.emitProgress(task);
+    this.processQueue();
 
-    this.emit('taskStarted', { task, agent });
+    // Cancelling a queued task settles `done` before it is ever assigned
+    const { agent, timer } = await Promise.race([assigned, task.done.then(() => ({}))]);
+    if (!agent) throw new Error(task.error);
+    const { signal } = task.abortController;
 
     try {
       const messages = [
@@ -221,9 +398,12 @@ class Orchestrator {
       let fullContent = '';
       for await (const chunk of this.modelManager.stream(messages, {
         provider: agent.provider,
-        model: agent.model
+        model: agent.model,
+        signal,
+        usageContext: { source: 'orchestrator', agentId: agent.id }
       })) {
-        fullContent += chunk.content;
+        if (signal.aborted) throw signal.reason;
+        if (chunk.type === 'text') fullContent += chunk.content;
         yield chunk;
       }
 
@@ -231,12 +411,18 @@ class Orchestrator {
       agent.completedTasks.push(task.id);
       this.emit('taskCompleted', { task, agent, result: fullContent });
     } catch (error) {
-      task.fail(error.message);
-      this.emit('taskFailed', { task, agent, error: error.message });
-      throw error;
+      const message = signal.aborted ? signal.reason.message : error.message;
+      if (!task.isFinished) {
+        task.fail(message);
+        this.emit('taskFailed', { task, agent, error: message });
+      }
+      throw signal.aborted ? signal.reason : error;
     } finally {
+      clearTimeout(timer);
       agent.status = 'idle';
       agent.currentTask = null;
+      if (task.status !== 'cancelled') this.emitProgress(task);
+      this.processQueue();
     }
   }
 
@@ -249,21 +435,23 @@ class Orchestrator {
 Task: ${description}
 
 Respond with a JSON array of subtasks, each with:
+- name: a short snake_case identifier for the subtask's output
 - type: one of "research", "coder", "analyst", "writer", "assistant"
 - prompt: the specific instruction for that subtask
 - priority: "high", "normal", or "low"
 - dependencies: array of subtask indices this depends on (empty if none)
 
-Only respond with the JSON array, no other text.`;
+Subtasks without dependencies run in parallel. Only respond with the JSON array, no other text.`;
 
     const response = await this.modelManager.chat([
       { role: 'system', content: 'You are a task planning assistant. Respond only with valid JSON.' },
       ...context,
       { role: 'user', content: planningPrompt }
-    ]);
+    ], { usageContext: { source: 'orchestrator' } });
 
     try {
-      return JSON.parse(response.content);
+      // Models sometimes wrap JSON in a code fence despite the instructions
+      return JSON.parse(response.content.trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
     } catch (e) {
       // If JSON parsing fails, create a single task
       return [{
@@ -277,58 +465,221 @@ Only respond with the JSON array, no other text.`;
 
   /**
    * Execute a complex task with automatic planning and coordination
+   * @returns {Promise<Object>} Plan-run report, see executePlan
+   */
+  async executeComplexTask(description, context = [], options = {}) {
+    const plan = await this.planTask(description, context);
+    return this.executePlan(plan, { ...options, description, context });
+  }
+
+  /**
+   * Execute a plan as a dependency graph. Each subtask is queued as soon as
+   * its dependencies complete, so independent branches run in parallel, and
+   * receives their outputs under their names. Subtasks whose dependencies
+   * failed are skipped. When every subtask completes, a final synthesis step
+   * combines their outputs into `result`.
+   *
+   * @param {Array} plan - Subtasks as returned by planTask
+   * @param {Object} options
+   * @param {string} [options.description] - The original task
+   * @param {Array} [options.context] - Conversation context for every subtask
+   * @param {boolean} [options.synthesize] - Set false to skip the synthesis step
+   * @param {Object} [options.previous] - Earlier run whose completed nodes are reused
+   * @param {string} [options.rerunOf] - ID of the run this re-runs, if not `previous`
+   * @returns {Promise<Object>} Report: { id, status, nodes, synthesis, result, timings }
+   * @throws {Error} If the plan is invalid or has a dependency cycle
    */
-  async executeComplexTask(description, context = []) {
-    const subtasks = await this.planTask(description, context);
-    const results = [];
-    const taskMap = new Map();
-
-    // Create all tasks
-    for (let i = 0; i < subtasks.length; i++) {
-      const subtask = subtasks[i];
+  async executePlan(plan, options = {}) {
+    const nodes = validatePlan(plan);
+    const { description = '', context = [], previous = null } = options;
+
+    const run = {
+      id: this.generateId(),
+      description,
+      context,
+      status: 'running',
+      rerunOf: options.rerunOf || previous?.id || null,
+      nodes: nodes.map((node, index) => {
+        const earlier = previous?.nodes[index];
+        if (earlier?.status === 'completed') return { ...earlier };
+        return {
+          index,
+          ...node,
+          status: 'pending',
+          result: null,
+          error: null,
+          taskId: null,
+          agentId: null,
+          startedAt: null,
+          completedAt: null,
+          durationMs: null
+        };
+      }),
+      synthesis: null,
+      result: null,
+      startedAt: Date.now(),
+      completedAt: null,
+      durationMs: null
+    };
+
+    this.runs.set(run.id, run);
+    this.updateRun('runStarted', run);
+
+    const tasks = new Map();
+    const unfinished = () => run.nodes.some(node => node.status === 'pending' || node.status === 'running');
+
+    while (unfinished()) {
+      for (const node of run.nodes) {
+        if (node.status !== 'pending') continue;
+
+        const deps = node.dependencies.map(d => run.nodes[d]);
+        const failedDeps = deps.filter(dep => ['failed', 'skipped', 'cancelled'].includes(dep.status));
+        if (failedDeps.length > 0) {
+          node.status = 'skipped';
+          node.error = `Dependency did not complete: ${failedDeps.map(dep => dep.name).join(', ')}`;
+          continue;
+        }
+        if (!deps.every(dep => dep.status === 'completed')) continue;
+
+        const task = this.createTask({
+          type: node.type,
+          priority: node.priority,
+          prompt: this.buildNodePrompt(node, deps),
+          context
+        });
+        node.status = 'running';
+        node.taskId = task.id;
+        tasks.set(node.index, task);
+      }
+
+      const running = run.nodes.filter(node => node.status === 'running');
+      if (running.length === 0) continue;
+
+      // Wait for the next subtask to finish
+      const index = await Promise.race(running.map(node => tasks.get(node.index).done.then(() => node.index)));
+      Object.assign(run.nodes[index], this.summarizeTask(tasks.get(index)));
+      this.updateRun('runProgress', run);
+    }
+
+    const allCompleted = run.nodes.every(node => node.status === 'completed');
+    if (allCompleted && run.nodes.length === 1) {
+      run.result = run.nodes[0].result;
+    } else if (allCompleted && options.synthesize !== false) {
       const task = this.createTask({
-        type: subtask.type,
-        prompt: subtask.prompt,
-        priority: subtask.priority,
-        context: context
+        type: 'writer',
+        priority: 'high',
+        prompt: this.buildSynthesisPrompt(run),
+        context
       });
-      taskMap.set(i, task);
+      await task.done;
+      run.synthesis = { name: 'synthesis', ...this.summarizeTask(task) };
+      run.result = run.synthesis.result;
     }
 
-    // Execute tasks respecting dependencies
-    const completed = new Set();
-    while (completed.size < subtasks.length) {
-      for (let i = 0; i < subtasks.length; i++) {
-        if (completed.has(i)) continue;
-
-        const subtask = subtasks[i];
-        const deps = subtask.dependencies || [];
-        const depsCompleted = deps.every(d => completed.has(d));
-
-        if (depsCompleted) {
-          const task = taskMap.get(i);
-
-          // Add results from dependencies to context
-          if (deps.length > 0) {
-            const depResults = deps.map(d => ({
-              role: 'assistant',
-              content: `Previous result: ${results[d]}`
-            }));
-            task.context = [...context, ...depResults];
-          }
-
-          // Wait for task completion
-          while (task.status === 'pending' || task.status === 'running') {
-            await new Promise(resolve => setTimeout(resolve, 100));
-          }
-
-          results[i] = task.result;
-          completed.add(i);
+    run.status = allCompleted && (!run.synthesis || run.synthesis.status === 'completed') ? 'completed' : 'failed';
+    run.completedAt = Date.now();
+    run.durationMs = run.completedAt - run.startedAt;
+    this.updateRun('runCompleted', run);
+    return run;
+  }
+
+  /**
+   * Re-run a finished plan, executing only the nodes that did not complete
+   * @returns {Promise<Object>} New plan-run report with `rerunOf` set
+   */
+  async rerunFailed(runId, options = {}) {
+    const previous = this.getRun(runId);
+    if (!previous) throw new Error(`Run not found: ${runId}`);
+    if (previous.status === 'running') throw new Error(`Run is still in progress: ${runId}`);
+
+    return this.executePlan(previous.nodes, {
+      ...options,
+      description: previous.description,
+      context: previous.context,
+      previous
+    });
+  }
+
+  /**
+   * Emit a run event and persist the run
+   */
+  updateRun(event, run) {
+    this.runStore?.save(run);
+    this.emit(event, { run });
+  }
+
+  /**
+   * Get a run from memory or the run store. Stored runs that are still marked
+   * running belong to an earlier session and are reported as interrupted.
+   */
+  getRun(runId) {
+    if (this.runs.has(runId)) return this.runs.get(runId);
+
+    const run = this.runStore?.get(runId);
+    if (!run) return null;
+    if (run.status === 'running') {
+      run.status = 'interrupted';
+      for (const node of run.nodes) {
+        if (node.status === 'running' || node.status === 'pending') {
+          node.status = 'cancelled';
+          node.error = 'Interrupted';
         }
       }
     }
+    return run;
+  }
+
+  /**
+   * Summaries of stored runs, newest first
+   */
+  listRuns() {
+    if (!this.runStore) return [];
+    return this.runStore.list().map(summary =>
+      summary.status === 'running' && !this.runs.has(summary.id)
+        ? { ...summary, status: 'interrupted' }
+        : summary
+    );
+  }
 
-    return results;
+  deleteRun(runId) {
+    if (this.runs.get(runId)?.status === 'running') return false;
+    this.runs.delete(runId);
+    return this.runStore ? this.runStore.delete(runId) : false;
+  }
+
+  /**
+   * Subtask prompt with the outputs of its dependencies appended by name
+   */
+  buildNodePrompt(node, deps) {
+    if (deps.length === 0) return node.prompt;
+
+    const outputs = deps.map(dep => `## ${dep.name}\n${dep.result}`).join('\n\n');
+    return `${node.prompt}\n\nResults from the steps this depends on:\n\n${outputs}`;
+  }
+
+  buildSynthesisPrompt(run) {
+    const outputs = run.nodes.map(node => `## ${node.name}\n${node.result}`).join('\n\n');
+    return `Combine the results of these steps into one complete answer to the original task.
+
+Task: ${run.description}
+
+${outputs}`;
+  }
+
+  /**
+   * Status, output and timings of a finished task for a plan-run report
+   */
+  summarizeTask(task) {
+    return {
+      status: task.status,
+      result: task.result,
+      error: task.error,
+      taskId: task.id,
+      agentId: task.assignedAgent,
+      startedAt: task.startedAt,
+      completedAt: task.completedAt,
+      durationMs: task.startedAt ? task.completedAt - task.startedAt : null
+    };
   }
 
   /**
@@ -348,11 +699,19 @@ Only respond with the JSON array, no other text.`;
         pending: this.taskQueue.length,
         running: Array.from(this.tasks.values()).filter(t => t.status === 'running').length,
         completed: Array.from(this.tasks.values()).filter(t => t.status === 'completed').length,
-        failed: Array.from(this.tasks.values()).filter(t => t.status === 'failed').length
+        failed: Array.from(this.tasks.values()).filter(t => t.status === 'failed').length,
+        cancelled: Array.from(this.tasks.values()).filter(t => t.status === 'cancelled').length
       }
     };
   }
 
+  /**
+   * Emit a progress event for a task state change
+   */
+  emitProgress(task) {
+    this.emit('progress', { task: task.toJSON(), tasks: this.getStatus().tasks });
+  }
+
   /**
    * Event handling
    */
@@ -379,6 +738,9 @@ Only respond with the JSON array, no other text.`;
    * Cleanup all agents and tasks
    */
   cleanup() {
+    for (const task of this.taskQueue) {
+      this.cancelTask(task.id, 'Orchestrator shut down');
+    }
     for (const [id] of this.agents) {
       this.terminateAgent(id);
     }
@@ -389,9 +751,13 @@ Only respond with the JSON array, no other text.`;
 
 /**
  * Create a fully configured orchestrator with all providers
+ * @param {Object} config - Provider config (the `models` section of config.json)
+ * @param {Object} options - { ledger, scheduler, runStore, tools } usage ledger to record calls in,
+ *   scheduler options ({ concurrency, maxAgents, taskTimeoutMs }), plan run storage and
+ *   the ToolRegistry shared with chat
  */
-function createOrchestrator(config = {}) {
-  const modelManager = new ModelManager();
+function createOrchestrator(config = {}, options = {}) {
+  const modelManager = new ModelManager({ ledger: options.ledger, tools: options.tools });
 
   // Register Claude provider
   if (config.claude?.apiKey || process.env.ANTHROPIC_API_KEY) {
@@ -438,7 +804,10 @@ function createOrchestrator(config = {}) {
     modelManager.setDefaultProvider(config.defaultProvider);
   }
 
-  return new Orchestrator(modelManager);
+  // Retry and fallback policy, e.g. { chain: ['openai', 'ollama'], maxRetries: 2 }
+  modelManager.setRetryPolicy(config.fallback);
+
+  return new Orchestrator(modelManager, { ...options.scheduler, runStore: options.runStore });
 }
 
 module.exports = {
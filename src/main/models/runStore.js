@@ -0,0 +1,123 @@
+/**
+ * Run Store - Persisted orchestrator plan runs
+ *
+ * Each plan run (plan, subtask prompts, results, errors and timings) is saved
+ * as ~/.donna-desktop/runs/<id>.json so runs can be audited and re-run after
+ * a restart.
+ */
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Run IDs come from Orchestrator.generateId
+const RUN_ID_PATTERN = /^[a-z0-9]{1,64}$/;
+
+class RunStore {
+  constructor(options = {}) {
+    this.runsDir = options.runsDir || path.join(os.homedir(), '.donna-desktop', 'runs');
+  }
+
+  ensureDirectory() {
+    if (!fs.existsSync(this.runsDir)) {
+      fs.mkdirSync(this.runsDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Path for a run, or null if the ID is not a valid run ID
+   */
+  getRunPath(id) {
+    if (typeof id !== 'string' || !RUN_ID_PATTERN.test(id)) return null;
+    return path.join(this.runsDir, `${id}.json`);
+  }
+
+  /**
+   * Save a run, replacing any earlier version
+   */
+  save(run) {
+    const filePath = this.getRunPath(run.id);
+    if (!filePath) return false;
+
+    try {
+      this.ensureDirectory();
+      fs.writeFileSync(filePath, JSON.stringify(run, null, 2));
+      return true;
+    } catch (e) {
+      console.error('Failed to save run:', e);
+      return false;
+    }
+  }
+
+  /**
+   * Load a run
+   * @returns {Object|null}
+   */
+  get(id) {
+    const filePath = this.getRunPath(id);
+    if (!filePath) return null;
+
+    try {
+      if (fs.existsSync(filePath)) {
+        return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      }
+    } catch (e) {
+      console.error('Failed to load run:', e);
+    }
+    return null;
+  }
+
+  /**
+   * List run summaries, newest first
+   */
+  list() {
+    if (!fs.existsSync(this.runsDir)) return [];
+
+    const runs = [];
+    for (const file of fs.readdirSync(this.runsDir)) {
+      if (!file.endsWith('.json')) continue;
+      const run = this.get(path.basename(file, '.json'));
+      if (!run) continue;
+
+      runs.push({
+        id: run.id,
+        description: run.description,
+        status: run.status,
+        rerunOf: run.rerunOf || null,
+        nodeCount: run.nodes.length,
+        failedCount: run.nodes.filter(node => node.status !== 'completed').length,
+        startedAt: run.startedAt,
+        completedAt: run.completedAt,
+        durationMs: run.durationMs
+      });
+    }
+
+    return runs.sort((a, b) => b.startedAt - a.startedAt);
+  }
+
+  delete(id) {
+    const filePath = this.getRunPath(id);
+    if (!filePath) return false;
+
+    try {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+        return true;
+      }
+    } catch (e) {
+      console.error('Failed to delete run:', e);
+    }
+    return false;
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getRunStore() {
+  if (!instance) {
+    instance = new RunStore();
+  }
+  return instance;
+}
+
+module.exports = { RunStore, getRunStore };
@@ -0,0 +1,104 @@
+/**
+ * Task Graph - Validation and ordering for planned subtasks
+ *
+ * planTask returns subtasks whose `dependencies` reference other subtasks by
+ * index (or by name). Before execution the plan is normalized and checked so
+ * that every reference exists and the graph has no cycles.
+ */
+
+const NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Find one dependency cycle, as a list of node indices ending where it started
+ * @returns {number[]|null}
+ */
+function findCycle(nodes) {
+  const state = new Array(nodes.length).fill(0); // 0 = unvisited, 1 = on stack, 2 = done
+  const stack = [];
+
+  const visit = (index) => {
+    state[index] = 1;
+    stack.push(index);
+    for (const dep of nodes[index].dependencies) {
+      if (state[dep] === 1) return [...stack.slice(stack.indexOf(dep)), dep];
+      if (state[dep] === 0) {
+        const cycle = visit(dep);
+        if (cycle) return cycle;
+      }
+    }
+    stack.pop();
+    state[index] = 2;
+    return null;
+  };
+
+  for (let i = 0; i < nodes.length; i++) {
+    if (state[i] === 0) {
+      const cycle = visit(i);
+      if (cycle) return cycle;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate and normalize a plan
+ * @param {Array} subtasks - [{ name, type, prompt, priority, dependencies }]
+ * @returns {Array} Nodes with a unique `name` and `dependencies` as indices
+ * @throws {Error} On empty plans, missing prompts, duplicate names,
+ *   unknown or self references, and cycles
+ */
+function validatePlan(subtasks) {
+  if (!Array.isArray(subtasks) || subtasks.length === 0) {
+    throw new Error('Plan must be a non-empty array of subtasks');
+  }
+
+  const names = new Map();
+  const nodes = subtasks.map((subtask, index) => {
+    if (!subtask || typeof subtask.prompt !== 'string' || !subtask.prompt.trim()) {
+      throw new Error(`Subtask ${index} has no prompt`);
+    }
+
+    const name = subtask.name === undefined ? `step_${index + 1}` : String(subtask.name);
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(`Subtask ${index} has an invalid name: ${name}`);
+    }
+    if (names.has(name)) {
+      throw new Error(`Duplicate subtask name: ${name}`);
+    }
+    names.set(name, index);
+
+    return {
+      name,
+      type: subtask.type || 'assistant',
+      prompt: subtask.prompt,
+      priority: subtask.priority || 'normal',
+      dependencies: subtask.dependencies ?? []
+    };
+  });
+
+  for (const [index, node] of nodes.entries()) {
+    if (!Array.isArray(node.dependencies)) {
+      throw new Error(`Subtask ${node.name} dependencies must be an array`);
+    }
+
+    node.dependencies = [...new Set(node.dependencies.map(dep => {
+      const depIndex = typeof dep === 'string' && names.has(dep) ? names.get(dep) : dep;
+      if (!Number.isInteger(depIndex) || depIndex < 0 || depIndex >= nodes.length) {
+        throw new Error(`Subtask ${node.name} depends on unknown subtask: ${dep}`);
+      }
+      if (depIndex === index) {
+        throw new Error(`Subtask ${node.name} depends on itself`);
+      }
+      return depIndex;
+    }))];
+  }
+
+  const cycle = findCycle(nodes);
+  if (cycle) {
+    throw new Error(`Plan has a dependency cycle: ${cycle.map(i => nodes[i].name).join(' -> ')}`);
+  }
+
+  return nodes;
+}
+
+module.exports = { validatePlan, findCycle };
@@ -0,0 +1,170 @@
+/**
+ * Donna Desktop - Tool Registry
+ * Provider-neutral tool (function calling) definitions and execution.
+ *
+ * A tool is described once as { name, description, parameters, handler }
+ * where `parameters` is a JSON Schema object. Each provider maps these
+ * definitions to its own wire format (see formatTools in modelProvider.js).
+ *
+ * Tool calls returned by providers use the neutral shape:
+ *   { id, name, arguments }
+ * and results are fed back to the model as messages of the shape:
+ *   { role: 'tool', toolCallId, name, content, isError }
+ */
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const MAX_RESULT_LENGTH = 100000;
+
+/**
+ * Validate and normalize a tool definition
+ * @param {Object} tool - Tool definition
+ * @returns {Object} Normalized tool definition
+ */
+function normalizeToolDefinition(tool) {
+  if (!tool || typeof tool !== 'object') {
+    throw new Error('Tool definition must be an object');
+  }
+  if (typeof tool.name !== 'string' || !TOOL_NAME_PATTERN.test(tool.name)) {
+    throw new Error(`Invalid tool name: ${tool.name}`);
+  }
+  if (tool.handler !== undefined && typeof tool.handler !== 'function') {
+    throw new Error(`Tool handler must be a function: ${tool.name}`);
+  }
+
+  return {
+    name: tool.name,
+    description: tool.description || '',
+    parameters: tool.parameters || { type: 'object', properties: {} },
+    handler: tool.handler
+  };
+}
+
+/**
+ * Convert a tool handler's return value to the string sent back to the model
+ * @param {*} value - Handler result
+ * @returns {string}
+ */
+function stringifyToolResult(value) {
+  let text;
+  if (value === undefined || value === null) {
+    text = '';
+  } else if (typeof value === 'string') {
+    text = value;
+  } else {
+    try {
+      text = JSON.stringify(value);
+    } catch (e) {
+      text = String(value);
+    }
+  }
+  return text.length > MAX_RESULT_LENGTH ? text.slice(0, MAX_RESULT_LENGTH) + '\n[truncated]' : text;
+}
+
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  /**
+   * Register a tool
+   * @param {Object} tool - { name, description, parameters, handler }
+   * @returns {Object} The normalized tool definition
+   */
+  register(tool) {
+    const definition = normalizeToolDefinition(tool);
+    if (!definition.handler) {
+      throw new Error(`Registered tools require a handler: ${definition.name}`);
+    }
+    this.tools.set(definition.name, definition);
+    return definition;
+  }
+
+  unregister(name) {
+    return this.tools.delete(name);
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  get(name) {
+    return this.tools.get(name);
+  }
+
+  /**
+   * List registered tool definitions (without handlers)
+   */
+  list() {
+    return Array.from(this.tools.values()).map(({ name, description, parameters }) => ({
+      name, description, parameters
+    }));
+  }
+
+  /**
+   * Resolve a tool selection from chat options into definitions.
+   * Accepts `true` (all registered tools), or an array of tool names
+   * and/or inline tool definitions.
+   * @param {boolean|Array} selection
+   * @returns {Array|null} Normalized definitions, or null if none selected
+   */
+  resolve(selection) {
+    if (!selection) return null;
+
+    if (selection === true) {
+      const all = Array.from(this.tools.values());
+      return all.length > 0 ? all : null;
+    }
+
+    if (!Array.isArray(selection)) {
+      throw new Error('tools option must be true or an array');
+    }
+
+    const resolved = selection.map(entry => {
+      if (typeof entry === 'string') {
+        const tool = this.tools.get(entry);
+        if (!tool) throw new Error(`Unknown tool: ${entry}`);
+        return tool;
+      }
+      const definition = normalizeToolDefinition(entry);
+      // Inline definitions without a handler fall back to a registered one
+      if (!definition.handler && this.tools.has(definition.name)) {
+        definition.handler = this.tools.get(definition.name).handler;
+      }
+      return definition;
+    });
+
+    return resolved.length > 0 ? resolved : null;
+  }
+
+  /**
+   * Execute a tool call
+   * @param {Object} toolCall - { id, name, arguments }
+   * @param {Array} definitions - Resolved definitions for this request
+   * @param {Object} context - Extra context passed to the handler
+   * @returns {Promise<Object>} { toolCallId, name, content, isError }
+   */
+  async execute(toolCall, definitions = [], context = {}) {
+    const tool = definitions.find(t => t.name === toolCall.name) || this.tools.get(toolCall.name);
+    const result = { toolCallId: toolCall.id, name: toolCall.name, content: '', isError: false };
+
+    if (!tool?.handler) {
+      result.content = `Error: Unknown tool: ${toolCall.name}`;
+      result.isError = true;
+      return result;
+    }
+
+    try {
+      result.content = stringifyToolResult(await tool.handler(toolCall.arguments || {}, context));
+    } catch (error) {
+      result.content = `Error: ${error.message}`;
+      result.isError = true;
+    }
+    return result;
+  }
+}
+
+module.exports = {
+  ToolRegistry,
+  normalizeToolDefinition,
+  stringifyToolResult
+};
@@ -4,12 +4,20 @@ const { contextBridge, ipcRenderer } = require('electron');
 // the ipcRenderer without exposing the entire object
 contextBridge.exposeInMainWorld('donnaTerminal', {
   // Terminal operations
-  create: (id, cols, rows) => ipcRenderer.invoke('terminal:create', { id, cols, rows }),
+  // options: { cwd, restoreId, record }
+  create: (id, cols, rows, options = {}) => ipcRenderer.invoke('terminal:create', { id, cols, rows, ...options }),
   write: (id, data) => ipcRenderer.invoke('terminal:write', { id, data }),
   resize: (id, cols, rows) => ipcRenderer.invoke('terminal:resize', { id, cols, rows }),
   destroy: (id) => ipcRenderer.invoke('terminal:destroy', { id }),
   getCwd: (id) => ipcRenderer.invoke('terminal:getCwd', { id }),
 
+  // Session restore
+  getSavedSessions: () => ipcRenderer.invoke('terminal:getSavedSessions'),
+  saveSessionLayout: (layout) => ipcRenderer.invoke('terminal:saveSessionLayout', layout),
+  setRecording: (id, enabled) => ipcRenderer.invoke('terminal:setRecording', { id, enabled }),
+  // Search all sessions' output and command blocks: { query, regex, caseSensitive, limit }
+  search: (params) => ipcRenderer.invoke('terminal:search', params),
+
   // Event listeners
   onData: (callback) => {
     const handler = (event, data) => callback(data);
@@ -21,6 +29,12 @@ contextBridge.exposeInMainWorld('donnaTerminal', {
     ipcRenderer.on('terminal:exit', handler);
     return () => ipcRenderer.removeListener('terminal:exit', handler);
   },
+  // Shell integration: prompt, commandStart, commandEnd and cwd events
+  onShellEvent: (callback) => {
+    const handler = (event, data) => callback(data);
+    ipcRenderer.on('terminal:shellEvent', handler);
+    return () => ipcRenderer.removeListener('terminal:shellEvent', handler);
+  },
 
   // Terminal configuration
   getTerminalConfig: () => ipcRenderer.invoke('terminal:getConfig'),
@@ -29,13 +43,23 @@ contextBridge.exposeInMainWorld('donnaTerminal', {
   updateFeatureSettings: (feature, settings) => ipcRenderer.invoke('terminal:updateFeatureSettings', { feature, settings }),
 
   // Workflows
-  getWorkflows: () => ipcRenderer.invoke('terminal:getWorkflows'),
+  getWorkflows: (cwd) => ipcRenderer.invoke('terminal:getWorkflows', { cwd }),
   addWorkflow: (workflow) => ipcRenderer.invoke('terminal:addWorkflow', { workflow }),
   updateWorkflow: (id, updates) => ipcRenderer.invoke('terminal:updateWorkflow', { id, updates }),
   deleteWorkflow: (id) => ipcRenderer.invoke('terminal:deleteWorkflow', { id }),
+  resolveWorkflowDefaults: (variables, cwd) => ipcRenderer.invoke('terminal:resolveWorkflowDefaults', { variables, cwd }),
+  exportWorkflows: (options = {}) => ipcRenderer.invoke('terminal:exportWorkflows', options),
+  importWorkflows: (options = {}) => ipcRenderer.invoke('terminal:importWorkflows', options),
+  pickWorkflowFile: (defaultPath, title) => ipcRenderer.invoke('terminal:pickWorkflowFile', { defaultPath, title }),
 
-  // AI Suggestions
-  getSuggestions: (params) => ipcRenderer.invoke('terminal:getSuggestions', params)
+  // Suggestions: local history first, then AI
+  getHistorySuggestions: (input, cwd, limit) => ipcRenderer.invoke('terminal:getHistorySuggestions', { input, cwd, limit }),
+  addAcceptedSuggestions: (entries) => ipcRenderer.invoke('terminal:addAcceptedSuggestions', { entries }),
+  getSuggestions: (params) => ipcRenderer.invoke('terminal:getSuggestions', params),
+  // Natural language to command: { command, explanation, flags, risk, reasons }
+  translateCommand: (params) => ipcRenderer.invoke('terminal:translateCommand', params),
+  // Failed block to { diagnosis, fix: { command, explanation, risk, reasons } | null }
+  explainError: (params) => ipcRenderer.invoke('terminal:explainError', params)
 });
 
 // Platform info
@@ -48,6 +72,7 @@ contextBridge.exposeInMainWorld('platform', {
 // Model providers API
 contextBridge.exposeInMainWorld('donnaModels', {
   listProviders: () => ipcRenderer.invoke('models:listProviders'),
+  listTools: () => ipcRenderer.invoke('models:listTools'),
   chat: (messages, options = {}) => ipcRenderer.invoke('models:chat', { messages, options }),
   stream: (messages, options = {}) => {
     const streamId = Math.random().toString(36).substring(2, 11);
@@ -78,6 +103,7 @@ contextBridge.exposeInMainWorld('donnaOrchestrator', {
   spawnAgent: (config = {}) => ipcRenderer.invoke('orchestrator:spawnAgent', config),
   terminateAgent: (agentId) => ipcRenderer.invoke('orchestrator:terminateAgent', { agentId }),
   createTask: (config) => ipcRenderer.invoke('orchestrator:createTask', config),
+  cancelTask: (taskId) => ipcRenderer.invoke('orchestrator:cancelTask', { taskId }),
   streamTask: (config) => {
     const streamId = Math.random().toString(36).substring(2, 11);
     return {
@@ -87,6 +113,12 @@ contextBridge.exposeInMainWorld('donnaOrchestrator', {
   },
   executeComplex: (description, context = []) =>
     ipcRenderer.invoke('orchestrator:executeComplex', { description, context }),
+  rerunFailed: (runId) => ipcRenderer.invoke('orchestrator:rerunFailed', { runId }),
+  runPlan: (plan, { description, context = [], rerunOf } = {}) =>
+    ipcRenderer.invoke('orchestrator:runPlan', { plan, description, context, rerunOf }),
+  listRuns: () => ipcRenderer.invoke('orchestrator:listRuns'),
+  getRun: (runId) => ipcRenderer.invoke('orchestrator:getRun', { runId }),
+  deleteRun: (runId) => ipcRenderer.invoke('orchestrator:deleteRun', { runId }),
   getStatus: () => ipcRenderer.invoke('orchestrator:status'),
   onTaskChunk: (callback) => {
     const handler = (event, data) => callback(data);
@@ -102,6 +134,16 @@ contextBridge.exposeInMainWorld('donnaOrchestrator', {
     const handler = (event, data) => callback(data);
     ipcRenderer.on('orchestrator:taskError', handler);
     return () => ipcRenderer.removeListener('orchestrator:taskError', handler);
+  },
+  onProgress: (callback) => {
+    const handler = (event, data) => callback(data);
+    ipcRenderer.on('orchestrator:progress', handler);
+    return () => ipcRenderer.removeListener('orchestrator:progress', handler);
+  },
+  onRunUpdate: (callback) => {
+    const handler = (event, data) => callback(data);
+    ipcRenderer.on('orchestrator:runUpdate', handler);
+    return () => ipcRenderer.removeListener('orchestrator:runUpdate', handler);
   }
 });
 
@@ -164,6 +206,16 @@ contextBridge.exposeInMainWorld('donnaChat', {
     const handler = (event, data) => callback(data);
     ipcRenderer.on('chat:userMessage', handler);
     return () => ipcRenderer.removeListener('chat:userMessage', handler);
+  },
+  onToolCall: (callback) => {
+    const handler = (event, data) => callback(data);
+    ipcRenderer.on('chat:toolCall', handler);
+    return () => ipcRenderer.removeListener('chat:toolCall', handler);
+  },
+  onToolResult: (callback) => {
+    const handler = (event, data) => callback(data);
+    ipcRenderer.on('chat:toolResult', handler);
+    return () => ipcRenderer.removeListener('chat:toolResult', handler);
   }
 });
 
@@ -178,10 +230,19 @@ contextBridge.exposeInMainWorld('donnaAgents', {
   // Check if a CLI is installed
   checkCli: (cli) => ipcRenderer.invoke('agents:checkCli', { cli }),
   // Create an agent session (spawns the CLI with personality)
-  createSession: (id, agentId, cols, rows, workingDir) =>
-    ipcRenderer.invoke('agents:createSession', { id, agentId, cols, rows, workingDir }),
-  // Check if Arena mode is available (both Claude and Gemini installed)
-  isArenaAvailable: () => ipcRenderer.invoke('agents:isArenaAvailable')
+  // options: { restoreId, record, yolo (auto-accept, for Arena contestants) }
+  createSession: (id, agentId, cols, rows, workingDir, options = {}) =>
+    ipcRenderer.invoke('agents:createSession', { id, agentId, cols, rows, workingDir, ...options }),
+  // Check if Arena mode is available (agent CLIs for at least two contestants installed)
+  isArenaAvailable: () => ipcRenderer.invoke('agents:isArenaAvailable'),
+  // Errors from invalid files in ~/.donna-desktop/agents
+  getLoadErrors: () => ipcRenderer.invoke('agents:loadErrors'),
+  // Custom agent files were added, changed or removed
+  onChanged: (callback) => {
+    const handler = (event, data) => callback(data);
+    ipcRenderer.on('agents:changed', handler);
+    return () => ipcRenderer.removeListener('agents:changed', handler);
+  }
 });
 
 // Config API
@@ -276,3 +337,36 @@ contextBridge.exposeInMainWorld('donnaVault', {
     return () => ipcRenderer.removeListener('vault:fileChanged', handler);
   }
 });
+
+// Usage API - Token usage and cost ledger
+contextBridge.exposeInMainWorld('donnaUsage', {
+  query: (options = {}) => ipcRenderer.invoke('usage:query', options),
+  getPrices: () => ipcRenderer.invoke('usage:getPrices'),
+  setPrices: (prices) => ipcRenderer.invoke('usage:setPrices', { prices }),
+  clear: () => ipcRenderer.invoke('usage:clear')
+});
+
+// Arena API - each contestant works in its own git worktree
+contextBridge.exposeInMainWorld('donnaArena', {
+  // Fails with code 'DIRTY' if the repo has uncommitted changes, unless stash is set
+  prepare: (arenaId, workingDir, contestants, options = {}) =>
+    ipcRenderer.invoke('arena:prepare', { arenaId, workingDir, contestants, ...options }),
+  // Files each contestant changed, with lines added/removed
+  getChanges: (arenaId) => ipcRenderer.invoke('arena:changes', { arenaId }),
+  // One file at the base commit and in every worktree, highlighted per line
+  getFile: (arenaId, file) => ipcRenderer.invoke('arena:file', { arenaId, file }),
+  // Run the project's test command in one contestant's worktree
+  runTests: (arenaId, index) => ipcRenderer.invoke('arena:runTests', { arenaId, index }),
+  // strategy: 'merge' or 'cherry-pick'
+  keep: (arenaId, index, strategy = 'merge') => ipcRenderer.invoke('arena:keep', { arenaId, index, strategy }),
+  discard: (arenaId) => ipcRenderer.invoke('arena:discard', { arenaId })
+});
+
+// SSH API - saved hosts and ~/.ssh/config entries; sessions are created with
+// donnaTerminal.create / donnaAgents.createSession and the sshHostId option
+contextBridge.exposeInMainWorld('donnaSsh', {
+  listHosts: () => ipcRenderer.invoke('ssh:listHosts'),
+  // host: { id?, name, host, user, port, identityFile, jumpHost, defaultDir }
+  saveHost: (host) => ipcRenderer.invoke('ssh:saveHost', { host }),
+  removeHost: (id) => ipcRenderer.invoke('ssh:removeHost', { id })
+});
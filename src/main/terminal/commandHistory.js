@@ -0,0 +1,427 @@
+/**
+ * Donna Desktop - Command History
+ * Local command completion, tried before asking a model for suggestions.
+ *
+ * Indexes three sources: the user's bash, zsh and fish history files,
+ * commands finished in command blocks (appended to
+ * ~/.donna-desktop/history/commands.jsonl with their cwd, git repo and exit
+ * code) and suggestions accepted in the renderer (kept in its localStorage and
+ * sent here). Completions are ranked by frecency, with a boost for commands
+ * run in the same directory or repo.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Recorded commands kept on disk; the file is compacted when it doubles
+const MAX_RECORDED = 5000;
+// Only the end of large shell history files is read
+const MAX_HISTORY_BYTES = 2 * 1024 * 1024;
+// Shell history files are checked for changes at most this often
+const RELOAD_INTERVAL_MS = 30 * 1000;
+const MAX_COMMAND_LENGTH = 1000;
+// Timestamps kept per command for frecency
+const MAX_VISITS = 10;
+// Below this a completion isn't worth showing over asking the model
+const MIN_SCORE = 1;
+const CWD_BOOST = 3;
+const REPO_BOOST = 2;
+// Failed runs count for less; "command not found" not at all
+const FAILED_WEIGHT = 0.5;
+const NOT_FOUND_EXIT_CODE = 127;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Weight of one use by its age (Firefox-style frecency buckets)
+ * @param {number|null} timestamp - ms, or null if the source has no times
+ */
+function recencyWeight(timestamp, now = Date.now()) {
+  if (!timestamp) return 0.25;
+  const age = now - timestamp;
+  if (age < HOUR) return 4;
+  if (age < DAY) return 2;
+  if (age < 7 * DAY) return 1;
+  if (age < 30 * DAY) return 0.5;
+  return 0.25;
+}
+
+/**
+ * bash history: one command per line, with "#<seconds>" lines before them
+ * when HISTTIMEFORMAT is set
+ * @returns {Array} [{ command, timestamp }]
+ */
+function parseBashHistory(text) {
+  const entries = [];
+  let timestamp = null;
+  for (const line of text.split('\n')) {
+    const time = line.match(/^#(\d{9,})$/);
+    if (time) {
+      timestamp = parseInt(time[1], 10) * 1000;
+    } else if (line.trim()) {
+      entries.push({ command: line, timestamp });
+      timestamp = null;
+    }
+  }
+  return entries;
+}
+
+/**
+ * zsh history: plain lines or ": <seconds>:<duration>;<command>" with
+ * EXTENDED_HISTORY; multi-line commands end their lines with a backslash
+ */
+function parseZshHistory(text) {
+  const entries = [];
+  let pending = null;
+  for (const line of text.split('\n')) {
+    if (pending) {
+      pending.command += '\n' + line;
+    } else {
+      const extended = line.match(/^: (\d+):\d+;([\s\S]*)$/);
+      pending = extended
+        ? { command: extended[2], timestamp: parseInt(extended[1], 10) * 1000 }
+        : { command: line, timestamp: null };
+    }
+    if (pending.command.endsWith('\\')) {
+      pending.command = pending.command.slice(0, -1);
+    } else {
+      if (pending.command.trim()) entries.push(pending);
+      pending = null;
+    }
+  }
+  return entries;
+}
+
+/**
+ * zsh writes bytes 0x83-0x9f and some others as 0x83 followed by the
+ * byte XOR 0x20 ("metafied"), which breaks multi-byte UTF-8 characters
+ */
+function unmetafyZsh(buffer) {
+  const out = Buffer.alloc(buffer.length);
+  let length = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    out[length++] = buffer[i] === 0x83 && i + 1 < buffer.length ? buffer[++i] ^ 0x20 : buffer[i];
+  }
+  return out.subarray(0, length).toString('utf-8');
+}
+
+/**
+ * fish history: YAML-like "- cmd: ..." entries with "  when: <seconds>"
+ */
+function parseFishHistory(text) {
+  const entries = [];
+  for (const line of text.split('\n')) {
+    const cmd = line.match(/^- cmd: (.*)$/);
+    if (cmd) {
+      const command = cmd[1].replace(/\\(\\|n)/g, (match, char) => (char === 'n' ? '\n' : '\\'));
+      entries.push({ command, timestamp: null });
+      continue;
+    }
+    const when = line.match(/^ {2}when: (\d+)$/);
+    if (when && entries.length > 0) {
+      entries[entries.length - 1].timestamp = parseInt(when[1], 10) * 1000;
+    }
+  }
+  return entries;
+}
+
+/**
+ * History files of the shells Donna launches
+ * @returns {Array} [{ path, parse, raw? }]
+ */
+function getShellHistoryFiles(homeDir = os.homedir(), env = process.env) {
+  const dataHome = env.XDG_DATA_HOME || path.join(homeDir, '.local', 'share');
+  const zdotdir = env.ZDOTDIR || homeDir;
+  return [
+    { path: path.join(homeDir, '.bash_history'), parse: parseBashHistory },
+    { path: path.join(zdotdir, '.zsh_history'), parse: parseZshHistory, raw: unmetafyZsh },
+    { path: path.join(dataHome, 'fish', 'fish_history'), parse: parseFishHistory }
+  ];
+}
+
+/**
+ * The end of a file, without a partial first line when cut
+ */
+function readTail(filePath, maxBytes) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const { size } = fs.fstatSync(fd);
+    const length = Math.min(size, maxBytes);
+    const buffer = Buffer.alloc(length);
+    fs.readSync(fd, buffer, 0, length, size - length);
+    if (length === size) return buffer;
+    const newline = buffer.indexOf(0x0a);
+    return newline === -1 ? Buffer.alloc(0) : buffer.subarray(newline + 1);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+class CommandHistory {
+  /**
+   * @param {Object} options
+   * @param {string} [options.historyDir] - Where recorded commands are kept
+   * @param {Array} [options.shellHistoryFiles] - From getShellHistoryFiles()
+   */
+  constructor(options = {}) {
+    this.historyDir = options.historyDir || path.join(os.homedir(), '.donna-desktop', 'history');
+    this.recordedPath = path.join(this.historyDir, 'commands.jsonl');
+    this.shellHistoryFiles = options.shellHistoryFiles || getShellHistoryFiles();
+
+    this.recorded = [];
+    this.shellEntries = [];
+    this.shellMtimes = null;
+    this.shellCheckedAt = 0;
+    this.acceptedKeys = new Set();
+    this.accepted = [];
+    this.index = null; // command -> { command, count, visits, cwds, repos }
+    this.repoRoots = new Map();
+    this.load();
+  }
+
+  ensureDirectory() {
+    if (!fs.existsSync(this.historyDir)) {
+      fs.mkdirSync(this.historyDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Load recorded commands, compacting the file if it has grown too long
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.recordedPath)) return;
+      const lines = fs.readFileSync(this.recordedPath, 'utf-8').split('\n');
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          const entry = JSON.parse(line);
+          if (typeof entry?.command === 'string') this.recorded.push(entry);
+        } catch (e) {
+          // Skip a partially written line
+        }
+      }
+      if (this.recorded.length > MAX_RECORDED * 2) this.compact();
+    } catch (e) {
+      console.error('Failed to load command history:', e);
+    }
+  }
+
+  compact() {
+    this.recorded = this.recorded.slice(-MAX_RECORDED);
+    try {
+      fs.writeFileSync(this.recordedPath, this.recorded.map(entry => JSON.stringify(entry) + '\n').join(''));
+    } catch (e) {
+      console.error('Failed to compact command history:', e);
+    }
+  }
+
+  /**
+   * Closest enclosing git repo of a directory
+   * @returns {string|null}
+   */
+  getRepoRoot(dir) {
+    if (!dir || !path.isAbsolute(dir)) return null;
+    if (this.repoRoots.has(dir)) return this.repoRoots.get(dir);
+
+    let root = null;
+    for (let current = dir; ; current = path.dirname(current)) {
+      if (fs.existsSync(path.join(current, '.git'))) {
+        root = current;
+        break;
+      }
+      if (path.dirname(current) === current) break;
+    }
+    this.repoRoots.set(dir, root);
+    return root;
+  }
+
+  /**
+   * Record a command finished in a command block
+   * @param {Object} event - commandEnd event: { command, cwd, exitCode, endedAt }
+   * @returns {Object|null} The stored entry, or null if it isn't kept
+   */
+  record({ command, cwd, exitCode, endedAt }) {
+    const text = typeof command === 'string' ? command.trim() : '';
+    // A leading space keeps a command out of history, as in bash and zsh
+    if (!text || command.startsWith(' ') || text.length > MAX_COMMAND_LENGTH) return null;
+
+    const entry = {
+      command: text,
+      cwd: cwd || null,
+      repo: this.getRepoRoot(cwd),
+      exitCode: Number.isInteger(exitCode) ? exitCode : null,
+      timestamp: endedAt || Date.now()
+    };
+    this.recorded.push(entry);
+    if (this.index) this.addToIndex(entry);
+
+    try {
+      this.ensureDirectory();
+      fs.appendFileSync(this.recordedPath, JSON.stringify(entry) + '\n');
+      if (this.recorded.length > MAX_RECORDED * 2) this.compact();
+    } catch (e) {
+      console.error('Failed to write command history:', e);
+    }
+    return entry;
+  }
+
+  /**
+   * Index suggestions the user accepted; the renderer keeps them, so they
+   * may arrive more than once
+   * @param {Array} entries - [{ command, timestamp, cwd }]
+   */
+  addAccepted(entries) {
+    for (const { command, timestamp, cwd } of entries) {
+      if (typeof command !== 'string' || !command.trim()) continue;
+      const key = `${timestamp}:${command}`;
+      if (this.acceptedKeys.has(key)) continue;
+      this.acceptedKeys.add(key);
+
+      const entry = {
+        command: command.trim(),
+        cwd: typeof cwd === 'string' ? cwd : null,
+        repo: typeof cwd === 'string' ? this.getRepoRoot(cwd) : null,
+        exitCode: null,
+        timestamp: Number.isFinite(timestamp) ? timestamp : null
+      };
+      this.accepted.push(entry);
+      if (this.index) this.addToIndex(entry);
+    }
+  }
+
+  /**
+   * Re-read shell history files that changed since they were last read
+   * @returns {boolean} Whether anything was re-read
+   */
+  reloadShellHistory() {
+    const now = Date.now();
+    if (this.shellMtimes && now - this.shellCheckedAt < RELOAD_INTERVAL_MS) return false;
+    this.shellCheckedAt = now;
+
+    const mtimes = this.shellHistoryFiles.map(file => {
+      try {
+        return fs.statSync(file.path).mtimeMs;
+      } catch {
+        return null;
+      }
+    });
+    if (this.shellMtimes && mtimes.every((mtime, i) => mtime === this.shellMtimes[i])) return false;
+    this.shellMtimes = mtimes;
+
+    this.shellEntries = [];
+    this.shellHistoryFiles.forEach((file, i) => {
+      if (mtimes[i] === null) return;
+      try {
+        const buffer = readTail(file.path, MAX_HISTORY_BYTES);
+        const text = file.raw ? file.raw(buffer) : buffer.toString('utf-8');
+        this.shellEntries.push(...file.parse(text));
+      } catch (e) {
+        console.error(`Failed to read shell history ${file.path}:`, e.message);
+      }
+    });
+    return true;
+  }
+
+  addToIndex({ command, cwd, repo, exitCode, timestamp }) {
+    const text = command.trim();
+    // Multi-line commands don't complete a single prompt line
+    if (!text || text.includes('\n') || text.length > MAX_COMMAND_LENGTH) return;
+    if (exitCode === NOT_FOUND_EXIT_CODE) return;
+
+    let item = this.index.get(text);
+    if (!item) {
+      item = { command: text, count: 0, visits: [], cwds: new Set(), repos: new Set() };
+      this.index.set(text, item);
+    }
+    item.count += exitCode ? FAILED_WEIGHT : 1;
+    item.visits.push(timestamp || null);
+    if (item.visits.length > MAX_VISITS) {
+      item.visits.sort((a, b) => (b || 0) - (a || 0));
+      item.visits.length = MAX_VISITS;
+    }
+    if (cwd) item.cwds.add(cwd);
+    if (repo) item.repos.add(repo);
+  }
+
+  buildIndex() {
+    if (this.reloadShellHistory() || !this.index) {
+      this.index = new Map();
+      for (const entry of this.shellEntries) this.addToIndex(entry);
+      for (const entry of this.recorded) this.addToIndex(entry);
+      for (const entry of this.accepted) this.addToIndex(entry);
+    }
+    return this.index;
+  }
+
+  /**
+   * Score a command: uses times the average weight of its recent uses,
+   * boosted when it was run in this directory or repo
+   */
+  score(item, cwd, repo, now) {
+    const recency = item.visits.reduce((sum, visit) => sum + recencyWeight(visit, now), 0) / item.visits.length;
+    let score = item.count * recency;
+    if (cwd && item.cwds.has(cwd)) score *= CWD_BOOST;
+    else if (repo && item.repos.has(repo)) score *= REPO_BOOST;
+    return score;
+  }
+
+  /**
+   * Completions of what has been typed so far
+   * @param {string} input - The prompt line
+   * @param {Object} options - { cwd, limit }
+   * @returns {Array} [{ command, description, source: 'history', score }],
+   *   best first; empty when nothing scores well enough
+   */
+  suggest(input, { cwd = null, limit = 3 } = {}) {
+    if (typeof input !== 'string' || !input.trim()) return [];
+    const prefix = input.trimStart();
+    const repo = this.getRepoRoot(cwd);
+    const now = Date.now();
+
+    const matches = [];
+    for (const item of this.buildIndex().values()) {
+      if (item.command.length <= prefix.length || !item.command.startsWith(prefix)) continue;
+      const score = this.score(item, cwd, repo, now);
+      if (score >= MIN_SCORE) matches.push({ item, score });
+    }
+
+    return matches
+      .sort((a, b) => b.score - a.score || a.item.command.localeCompare(b.item.command))
+      .slice(0, limit)
+      .map(({ item, score }) => ({
+        command: item.command,
+        description: this.describe(item, cwd, repo),
+        source: 'history',
+        score
+      }));
+  }
+
+  describe(item, cwd, repo) {
+    const uses = Math.round(item.count);
+    const where = cwd && item.cwds.has(cwd) ? ' here' : repo && item.repos.has(repo) ? ' in this repo' : '';
+    return `Used ${uses} time${uses === 1 ? '' : 's'}${where}`;
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getCommandHistory() {
+  if (!instance) {
+    instance = new CommandHistory();
+  }
+  return instance;
+}
+
+module.exports = {
+  CommandHistory,
+  getCommandHistory,
+  getShellHistoryFiles,
+  parseBashHistory,
+  parseZshHistory,
+  parseFishHistory,
+  unmetafyZsh
+};
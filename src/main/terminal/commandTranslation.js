@@ -0,0 +1,248 @@
+/**
+ * Donna Desktop - Command Translation
+ * Turns a natural-language request ("# find large files here") into a shell
+ * command with an explanation of each flag and a risk rating.
+ *
+ * The model rates the command, but it is also rated here from the command
+ * itself; the higher of the two wins, so a model can't talk a destructive
+ * command down to read-only.
+ */
+
+const os = require('os');
+const path = require('path');
+
+// Lowest to highest
+const RISK_LEVELS = ['read-only', 'network', 'modifies-files', 'destructive'];
+
+// Recent terminal output sent as context
+const MAX_OUTPUT_CHARS = 4000;
+const MAX_REQUEST_CHARS = 1000;
+
+// Programs whose arguments are the real command
+const WRAPPERS = ['sudo', 'doas', 'env', 'nohup', 'time', 'command', 'exec', 'xargs', 'nice'];
+
+const DESTRUCTIVE_PROGRAMS = ['rm', 'rmdir', 'shred', 'dd', 'mkfs', 'fdisk', 'wipefs', 'truncate', 'kill', 'killall', 'pkill', 'shutdown', 'reboot', 'halt', 'format', 'del', 'rd'];
+const NETWORK_PROGRAMS = ['curl', 'wget', 'ssh', 'scp', 'sftp', 'rsync', 'ftp', 'nc', 'ncat', 'telnet', 'ping', 'dig', 'nslookup', 'http', 'gh'];
+const MODIFYING_PROGRAMS = ['mv', 'cp', 'mkdir', 'touch', 'ln', 'chmod', 'chown', 'chgrp', 'tee', 'tar', 'unzip', 'zip', 'gzip', 'gunzip', 'patch', 'install', 'make', 'npx'];
+
+// [program, pattern on the rest of the command, risk, reason]
+const SUBCOMMAND_RULES = [
+  ['git', /^(reset\s+.*--hard|clean\s+.*-\w*f|push\s+.*(--force|-f\b)|branch\s+-D|checkout\s+(--\s+)?\.|restore\s|stash\s+(drop|clear)|filter-branch)/, 'destructive', 'discards git history or changes'],
+  ['git', /^(push|pull|fetch|clone|ls-remote|submodule\s+update)\b/, 'network', 'talks to a git remote'],
+  ['git', /^(add|commit|merge|rebase|checkout|switch|cherry-pick|revert|stash|tag|mv|rm|apply|am|init|branch\s+\S)/, 'modifies-files', 'changes the repository'],
+  ['docker', /^(rm|rmi|system\s+prune|volume\s+(rm|prune)|image\s+prune|container\s+prune)\b/, 'destructive', 'deletes Docker data'],
+  ['docker', /^(pull|push|login)\b/, 'network', 'talks to a registry'],
+  ['docker', /^(run|build|compose|stop|start|exec|create)\b/, 'modifies-files', 'changes containers'],
+  ['kubectl', /^(delete|drain)\b/, 'destructive', 'deletes cluster resources'],
+  ['kubectl', /^(apply|create|scale|patch|edit|rollout|set)\b/, 'modifies-files', 'changes cluster resources'],
+  ['kubectl', /^\S/, 'network', 'talks to a cluster'],
+  ['npm', /^(install|i|add|ci|update|publish|uninstall|remove)\b/, 'network', 'installs or publishes packages'],
+  ['yarn', /^((install|add|upgrade|publish|remove)\b|$)/, 'network', 'installs or publishes packages'],
+  ['pnpm', /^(install|i|add|update|publish|remove)\b/, 'network', 'installs or publishes packages'],
+  ['pip', /^(install|uninstall|download)\b/, 'network', 'installs packages'],
+  ['pip3', /^(install|uninstall|download)\b/, 'network', 'installs packages'],
+  ['brew', /^(install|upgrade|update|uninstall|tap)\b/, 'network', 'installs packages'],
+  ['apt', /^(install|upgrade|update|remove|purge)\b/, 'network', 'installs packages'],
+  ['apt-get', /^(install|upgrade|update|remove|purge)\b/, 'network', 'installs packages'],
+  ['cargo', /^(install|publish|update|add)\b/, 'network', 'installs or publishes packages'],
+  ['find', /(^|\s)(-delete|-exec\s+rm)\b/, 'destructive', 'deletes the files it finds'],
+  ['sed', /(^|\s)-\w*i/, 'modifies-files', 'edits files in place']
+];
+
+// Redirecting output over a file, except to /dev/null or a descriptor
+const OVERWRITE_PATTERN = /(^|[^>&\d])>(?!>)\|?\s*(?!&|\/dev\/null)\S/;
+const APPEND_PATTERN = />>\s*(?!\/dev\/null)\S/;
+// Downloading into a shell runs whatever was downloaded
+const PIPE_TO_SHELL_PATTERN = /\b(curl|wget)\b[^|]*\|\s*(sudo\s+)?(ba|z|fi)?sh\b/;
+const SQL_DESTRUCTIVE_PATTERN = /\b(drop\s+(table|database)|truncate\s+table|delete\s+from)\b/i;
+// Commands are written to the PTY as typed keys: a newline would press
+// Enter (so inserting would run it) and other control characters are keys too
+const CONTROL_CHARACTER_PATTERN = /[\x00-\x1f\x7f]/;
+
+/**
+ * The higher of two risk levels
+ */
+function higherRisk(a, b) {
+  return RISK_LEVELS.indexOf(a) >= RISK_LEVELS.indexOf(b) ? a : b;
+}
+
+/**
+ * Split a command line into simple commands at ;, &&, || and |
+ * (quotes are respected; subshells are not parsed)
+ */
+function splitCommands(commandLine) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+  for (let i = 0; i < commandLine.length; i++) {
+    const char = commandLine[i];
+    if (quote) {
+      if (char === quote) quote = null;
+      current += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === ';' || char === '|' || char === '&' || char === '\n') {
+      // "&>" and ">&" are redirections, not separators
+      if (char === '&' && (commandLine[i + 1] === '>' || current.endsWith('>'))) {
+        current += char;
+        continue;
+      }
+      if (current.trim()) parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Program name and arguments of a simple command, past sudo, env and
+ * VAR=value prefixes
+ */
+function getProgram(simpleCommand) {
+  const words = simpleCommand.split(/\s+/);
+  while (words.length > 0 && (WRAPPERS.includes(words[0]) || /^\w+=/.test(words[0]) || (words[0].startsWith('-') && words.length > 1))) {
+    words.shift();
+  }
+  const program = path.basename(words.shift() || '').replace(/\.exe$/i, '').toLowerCase();
+  return { program, args: words.join(' ') };
+}
+
+/**
+ * Rate a command from its text
+ * @param {string} commandLine
+ * @returns {Object} { risk, reasons }: the highest RISK_LEVELS entry found
+ *   and why, e.g. ['rm deletes or stops things']
+ */
+function classifyCommand(commandLine) {
+  let risk = 'read-only';
+  const reasons = [];
+  const flag = (level, reason) => {
+    risk = higherRisk(risk, level);
+    if (!reasons.includes(reason)) reasons.push(reason);
+  };
+
+  if (PIPE_TO_SHELL_PATTERN.test(commandLine)) flag('destructive', 'runs a downloaded script');
+  if (SQL_DESTRUCTIVE_PATTERN.test(commandLine)) flag('destructive', 'deletes database data');
+  if (OVERWRITE_PATTERN.test(commandLine)) flag('modifies-files', 'overwrites a file with output');
+  else if (APPEND_PATTERN.test(commandLine)) flag('modifies-files', 'appends output to a file');
+
+  for (const simpleCommand of splitCommands(commandLine)) {
+    const { program, args } = getProgram(simpleCommand);
+    if (!program) continue;
+    if (/^mkfs\./.test(program) || DESTRUCTIVE_PROGRAMS.includes(program)) {
+      flag('destructive', `${program} deletes or stops things`);
+    } else if (NETWORK_PROGRAMS.includes(program)) {
+      flag('network', `${program} uses the network`);
+    } else if (MODIFYING_PROGRAMS.includes(program)) {
+      flag('modifies-files', `${program} changes files`);
+    }
+    for (const [ruleProgram, pattern, level, reason] of SUBCOMMAND_RULES) {
+      if (program === ruleProgram && pattern.test(args)) {
+        flag(level, `${program} ${reason}`);
+        break;
+      }
+    }
+    if (/^(sudo|doas)\s/.test(simpleCommand)) flag('modifies-files', 'runs as administrator');
+  }
+
+  return { risk, reasons };
+}
+
+/**
+ * Where a command runs, for prompts: OS, shell and directory
+ */
+function describeEnvironment({ cwd, shell }) {
+  const platform = { darwin: 'macOS', win32: 'Windows', linux: 'Linux' }[process.platform] || process.platform;
+  return [
+    `OS: ${platform} ${os.release()}`,
+    `Shell: ${shell || 'unknown'}`,
+    `Current directory: ${cwd || 'unknown'}`
+  ].join('\n');
+}
+
+/**
+ * Chat messages asking the model for a command
+ * @param {Object} context - { request, cwd, shell, recentOutput }
+ */
+function buildTranslationMessages({ request, cwd, shell, recentOutput }) {
+  const output = (recentOutput || '').slice(-MAX_OUTPUT_CHARS);
+  const context = describeEnvironment({ cwd, shell }) +
+    (output.trim() ? `\nRecent terminal output:\n${output}` : '');
+
+  return [
+    {
+      role: 'system',
+      content: 'You turn requests into a single shell command for the user\'s OS and shell. Respond only with valid JSON.'
+    },
+    {
+      role: 'user',
+      content: `${context}\n\nRequest: ${String(request).slice(0, MAX_REQUEST_CHARS)}\n\n` +
+        'Return ONLY a JSON object: {"command": "...", "explanation": "one sentence", ' +
+        '"flags": [{"flag": "-l", "description": "..."}], "risk": "read-only" | "network" | "modifies-files" | "destructive"}. ' +
+        'List every flag and argument that isn\'t obvious in "flags". Prefer safe, read-only commands when they do the job.'
+    }
+  ];
+}
+
+/**
+ * The JSON object in a model's answer, tolerating code fences and prose
+ * around it
+ * @returns {Object|null}
+ */
+function extractJson(content) {
+  const text = String(content || '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) return null;
+  try {
+    const parsed = JSON.parse(text.slice(start, end + 1));
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the model's answer
+ * @returns {Object} { command, explanation, flags, risk, reasons }
+ * @throws {Error} When there is no command in it
+ */
+function parseTranslation(content) {
+  const parsed = extractJson(content);
+  if (!parsed) throw new Error('The model did not return a command');
+  const command = typeof parsed.command === 'string' ? parsed.command.trim() : '';
+  if (!command) throw new Error('The model did not return a command');
+  if (CONTROL_CHARACTER_PATTERN.test(command)) {
+    throw new Error('The model returned a command with several lines or control characters');
+  }
+
+  const flags = (Array.isArray(parsed.flags) ? parsed.flags : [])
+    .filter(item => item && typeof item.flag === 'string' && typeof item.description === 'string')
+    .map(({ flag, description }) => ({ flag, description }));
+
+  const rated = classifyCommand(command);
+  const modelRisk = RISK_LEVELS.includes(parsed.risk) ? parsed.risk : 'read-only';
+  return {
+    command,
+    explanation: typeof parsed.explanation === 'string' ? parsed.explanation : '',
+    flags,
+    risk: higherRisk(rated.risk, modelRisk),
+    reasons: rated.reasons
+  };
+}
+
+module.exports = {
+  RISK_LEVELS,
+  CONTROL_CHARACTER_PATTERN,
+  classifyCommand,
+  higherRisk,
+  splitCommands,
+  extractJson,
+  describeEnvironment,
+  buildTranslationMessages,
+  parseTranslation
+};
@@ -0,0 +1,84 @@
+/**
+ * Donna Desktop - Error Explanation
+ * "Explain & fix" for failed command blocks: asks the model why a command
+ * failed and for a command that fixes it. The fix is rated for risk like
+ * natural-language commands (see commandTranslation.js).
+ */
+
+const { classifyCommand, higherRisk, extractJson, describeEnvironment, RISK_LEVELS, CONTROL_CHARACTER_PATTERN } = require('./commandTranslation');
+
+// Errors are usually at the end of the output, the command's context at the start
+const HEAD_LINES = 20;
+const TAIL_LINES = 80;
+const MAX_OUTPUT_CHARS = 8000;
+
+/**
+ * Keep the start and end of long output
+ * @param {string} output
+ * @returns {string}
+ */
+function trimOutput(output) {
+  const lines = String(output || '').replace(/\s+$/, '').split('\n');
+  let text = lines.length > HEAD_LINES + TAIL_LINES
+    ? [
+      ...lines.slice(0, HEAD_LINES),
+      `... (${lines.length - HEAD_LINES - TAIL_LINES} lines omitted)`,
+      ...lines.slice(-TAIL_LINES)
+    ].join('\n')
+    : lines.join('\n');
+  if (text.length > MAX_OUTPUT_CHARS) text = '...' + text.slice(-MAX_OUTPUT_CHARS);
+  return text;
+}
+
+/**
+ * Chat messages asking why a command failed
+ * @param {Object} block - { command, output, exitCode, cwd, shell }
+ */
+function buildExplainMessages({ command, output, exitCode, cwd, shell }) {
+  const trimmed = trimOutput(output);
+  return [
+    {
+      role: 'system',
+      content: 'You diagnose failed shell commands. Respond only with valid JSON.'
+    },
+    {
+      role: 'user',
+      content: `${describeEnvironment({ cwd, shell })}\n\n` +
+        `Command: ${command}\nExit code: ${exitCode ?? 'unknown'}\n` +
+        `Output:\n${trimmed || '(no output)'}\n\n` +
+        'Return ONLY a JSON object: {"diagnosis": "why it failed, in one or two sentences", ' +
+        '"fix": {"command": "...", "explanation": "what it changes"}}. ' +
+        'Use "fix": null when no command would fix it (e.g. the user must edit code).'
+    }
+  ];
+}
+
+/**
+ * Read the model's answer
+ * @returns {Object} { diagnosis, fix }: fix is { command, explanation, risk,
+ *   reasons } or null
+ * @throws {Error} When there is no diagnosis in it
+ */
+function parseExplanation(content) {
+  const parsed = extractJson(content);
+  const diagnosis = typeof parsed?.diagnosis === 'string' ? parsed.diagnosis.trim() : '';
+  if (!diagnosis) throw new Error('The model did not explain the error');
+
+  const fixCommand = typeof parsed.fix?.command === 'string' ? parsed.fix.command.trim() : '';
+  // Inserting a fix with a newline would run it, so such fixes are dropped
+  if (!fixCommand || CONTROL_CHARACTER_PATTERN.test(fixCommand)) return { diagnosis, fix: null };
+
+  const rated = classifyCommand(fixCommand);
+  const modelRisk = RISK_LEVELS.includes(parsed.fix.risk) ? parsed.fix.risk : 'read-only';
+  return {
+    diagnosis,
+    fix: {
+      command: fixCommand,
+      explanation: typeof parsed.fix.explanation === 'string' ? parsed.fix.explanation : '',
+      risk: higherRisk(rated.risk, modelRisk),
+      reasons: rated.reasons
+    }
+  };
+}
+
+module.exports = { trimOutput, buildExplainMessages, parseExplanation };
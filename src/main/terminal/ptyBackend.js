@@ -0,0 +1,300 @@
+/**
+ * Donna Desktop - PTY Backends
+ * Where terminal processes run: in the app itself (node-pty), or in the PTY
+ * daemon so they outlive the app (see ptyDaemon.js). Both backends return
+ * processes with the node-pty interface (pid, onData, onExit, write, resize,
+ * kill), so the terminal handlers treat them the same.
+ */
+
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const pty = require('node-pty');
+const { MessageReader, getSocketPath, isListening, PROTOCOL_VERSION } = require('./ptyDaemon');
+
+const DAEMON_SCRIPT = path.join(__dirname, 'ptyDaemon.js');
+const CONNECT_TIMEOUT_MS = 5000;
+const CONNECT_RETRY_MS = 100;
+
+// Terminals run in the app and end with it
+const localBackend = {
+  isDaemon: false,
+  async spawn(id, file, args, options) {
+    return pty.spawn(file, args, options);
+  },
+  async attach() {
+    return null;
+  },
+  async list() {
+    return [];
+  },
+  kill() {},
+  disconnect() {}
+};
+
+/**
+ * A terminal process running in the daemon
+ */
+class RemotePty {
+  constructor(client, id, pid) {
+    this.client = client;
+    this.id = id;
+    this.pid = pid;
+    this.dataListeners = [];
+    this.exitListeners = [];
+  }
+
+  onData(callback) {
+    this.dataListeners.push(callback);
+    return { dispose: () => { this.dataListeners = this.dataListeners.filter(cb => cb !== callback); } };
+  }
+
+  onExit(callback) {
+    this.exitListeners.push(callback);
+    return { dispose: () => { this.exitListeners = this.exitListeners.filter(cb => cb !== callback); } };
+  }
+
+  write(data) {
+    this.client.notify({ type: 'write', id: this.id, data });
+  }
+
+  resize(cols, rows) {
+    this.client.notify({ type: 'resize', id: this.id, cols, rows });
+  }
+
+  kill() {
+    this.client.notify({ type: 'kill', id: this.id });
+  }
+}
+
+class PtyDaemonClient {
+  /**
+   * @param {Object} options - { socketPath, spawnDaemon (start the daemon if
+   *   it isn't running; default true), connectTimeoutMs }
+   */
+  constructor(options = {}) {
+    this.isDaemon = true;
+    this.socketPath = options.socketPath || getSocketPath();
+    this.spawnDaemon = options.spawnDaemon !== false;
+    this.connectTimeoutMs = options.connectTimeoutMs ?? CONNECT_TIMEOUT_MS;
+
+    this.socket = null;
+    this.connecting = null;
+    this.seq = 0;
+    this.pending = new Map(); // seq -> { resolve, reject }
+    this.remotes = new Map(); // terminal ID -> RemotePty
+    this.daemonPid = null;
+  }
+
+  /**
+   * Connect to the daemon, starting it if needed
+   * @throws {Error} If it can't be reached or speaks another protocol version
+   */
+  connect() {
+    if (this.socket && !this.socket.destroyed) return Promise.resolve();
+    if (!this.connecting) {
+      this.connecting = this.openConnection().finally(() => { this.connecting = null; });
+    }
+    return this.connecting;
+  }
+
+  async openConnection() {
+    if (!(await isListening(this.socketPath))) {
+      if (!this.spawnDaemon) throw new Error('PTY daemon is not running');
+      this.startDaemon();
+    }
+
+    const deadline = Date.now() + this.connectTimeoutMs;
+    let socket = null;
+    while (!socket) {
+      socket = await connectSocket(this.socketPath).catch(() => null);
+      if (!socket) {
+        if (Date.now() > deadline) throw new Error('Timed out connecting to the PTY daemon');
+        await new Promise(resolve => setTimeout(resolve, CONNECT_RETRY_MS));
+      }
+    }
+
+    this.attachSocket(socket);
+    const { version, pid } = await this.request({ type: 'hello', version: PROTOCOL_VERSION });
+    if (version !== PROTOCOL_VERSION) {
+      this.disconnect();
+      throw new Error(`PTY daemon speaks protocol ${version}, expected ${PROTOCOL_VERSION}`);
+    }
+    this.daemonPid = pid;
+  }
+
+  /**
+   * Start the daemon detached from the app, so it survives quitting
+   */
+  startDaemon() {
+    const child = spawn(process.execPath, [DAEMON_SCRIPT, '--socket', this.socketPath], {
+      detached: true,
+      stdio: 'ignore',
+      env: { ...process.env, ELECTRON_RUN_AS_NODE: '1' }
+    });
+    child.unref();
+  }
+
+  attachSocket(socket) {
+    socket.setEncoding('utf-8');
+    const reader = new MessageReader(message => this.handleMessage(message));
+    socket.on('data', chunk => reader.push(chunk));
+    socket.on('error', (error) => console.error('PTY daemon connection error:', error.message));
+    socket.on('close', () => this.handleClose(socket));
+    this.socket = socket;
+  }
+
+  handleMessage(message) {
+    if (message.seq !== undefined) {
+      const pending = this.pending.get(message.seq);
+      if (!pending) return;
+      this.pending.delete(message.seq);
+      if (message.ok) pending.resolve(message);
+      else pending.reject(new Error(message.error));
+      return;
+    }
+
+    const remote = this.remotes.get(message.id);
+    if (!remote) return;
+    if (message.event === 'data') {
+      for (const callback of remote.dataListeners) callback(message.data);
+    } else if (message.event === 'exit') {
+      this.remotes.delete(message.id);
+      for (const callback of remote.exitListeners) callback({ exitCode: message.exitCode });
+    }
+  }
+
+  handleClose(socket) {
+    if (socket !== this.socket) return;
+    this.socket = null;
+    for (const { reject } of this.pending.values()) reject(new Error('PTY daemon disconnected'));
+    this.pending.clear();
+
+    // Not a detach: the daemon went away and took its terminals with it
+    const remotes = Array.from(this.remotes.values());
+    this.remotes.clear();
+    for (const remote of remotes) {
+      for (const callback of remote.exitListeners) callback({ exitCode: null });
+    }
+  }
+
+  request(message) {
+    if (!this.socket) return Promise.reject(new Error('Not connected to the PTY daemon'));
+    const seq = ++this.seq;
+    return new Promise((resolve, reject) => {
+      this.pending.set(seq, { resolve, reject });
+      this.socket.write(JSON.stringify({ ...message, seq }) + '\n');
+    });
+  }
+
+  // Requests without a response (input and resizes)
+  notify(message) {
+    if (this.socket) this.socket.write(JSON.stringify(message) + '\n');
+  }
+
+  /**
+   * Spawn a terminal process in the daemon
+   * @param {Object} meta - Kept with the terminal and returned on attach
+   * @returns {Promise<RemotePty>}
+   */
+  async spawn(id, file, args, options, meta = {}) {
+    await this.connect();
+    const { pid } = await this.request({ type: 'spawn', id, file, args, options, meta });
+    const remote = new RemotePty(this, id, pid);
+    this.remotes.set(id, remote);
+    return remote;
+  }
+
+  /**
+   * Reattach to a terminal still running in the daemon, under a new ID
+   * @returns {Promise<Object|null>} { pty, meta, output } with its recent
+   *   output, or null if it isn't running
+   */
+  async attach(id, newId) {
+    await this.connect();
+    let result;
+    try {
+      result = await this.request({ type: 'attach', id, newId });
+    } catch {
+      return null;
+    }
+    // Processes attached under the old ID get no more events
+    this.remotes.delete(id);
+    const remote = new RemotePty(this, newId, result.pid);
+    this.remotes.set(newId, remote);
+    return { pty: remote, meta: result.meta || {}, output: result.output || '' };
+  }
+
+  /**
+   * Terminals running in the daemon
+   * @returns {Promise<Array>} [{ id, pid, meta, startedAt }]
+   */
+  async list() {
+    await this.connect();
+    const { terminals } = await this.request({ type: 'list' });
+    return terminals;
+  }
+
+  kill(id) {
+    this.notify({ type: 'kill', id });
+  }
+
+  /**
+   * Stop every terminal and the daemon
+   */
+  async shutdown() {
+    await this.connect();
+    await this.request({ type: 'shutdown' });
+    this.disconnect();
+  }
+
+  /**
+   * Detach, leaving terminals running in the daemon
+   */
+  disconnect() {
+    const socket = this.socket;
+    this.socket = null;
+    this.remotes.clear();
+    for (const { reject } of this.pending.values()) reject(new Error('Disconnected from the PTY daemon'));
+    this.pending.clear();
+    if (socket) socket.end();
+  }
+}
+
+function connectSocket(socketPath) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(socketPath);
+    socket.once('connect', () => {
+      socket.removeListener('error', reject);
+      resolve(socket);
+    });
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * Pick the backend for this launch. Falls back to running terminals in the
+ * app if the daemon can't be started.
+ * @param {Object} options - { useDaemon, socketPath }
+ * @returns {Promise<Object>} localBackend or a connected PtyDaemonClient
+ */
+async function createPtyBackend({ useDaemon, socketPath } = {}) {
+  if (!useDaemon) {
+    // Turned off: stop a daemon left from earlier launches, whose terminals
+    // would never be reattached
+    const client = new PtyDaemonClient({ socketPath, spawnDaemon: false });
+    client.shutdown().catch(() => {});
+    return localBackend;
+  }
+
+  const client = new PtyDaemonClient({ socketPath });
+  try {
+    await client.connect();
+    return client;
+  } catch (error) {
+    console.warn('PTY daemon unavailable, running terminals in the app:', error.message);
+    return localBackend;
+  }
+}
+
+module.exports = { PtyDaemonClient, RemotePty, localBackend, createPtyBackend };
@@ -0,0 +1,288 @@
+/**
+ * Donna Desktop - PTY Daemon
+ * Background process (in the style of a tmux server) that owns terminal
+ * processes so they keep running when the window is closed or the app is
+ * restarted or updated. The app connects over a Unix socket (a named pipe on
+ * Windows) and reattaches to its terminals on the next launch.
+ *
+ * Started by the app with:
+ *   ELECTRON_RUN_AS_NODE=1 <electron> ptyDaemon.js --socket <path>
+ *
+ * Protocol: one JSON message per line. Requests carry a `seq` and get
+ * `{ seq, ok, ...result }` or `{ seq, ok: false, error }` back (writes and
+ * resizes may omit `seq`). Terminal output and exits are broadcast to every
+ * client as `{ event: 'data', id, data }` and `{ event: 'exit', id, exitCode }`.
+ *
+ *   hello    { version }                      -> { version, pid }
+ *   spawn    { id, file, args, options, meta } -> { pid }
+ *   attach   { id, newId }                    -> { pid, meta, output }
+ *   write    { id, data }
+ *   resize   { id, cols, rows }
+ *   kill     { id }
+ *   list                                      -> { terminals: [{ id, pid, meta, startedAt }] }
+ *   shutdown                                  (kills every terminal and exits)
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const PROTOCOL_VERSION = 1;
+// Output kept per terminal for redrawing it on reattach
+const MAX_REPLAY_CHARS = 256 * 1024;
+// With no terminals and no app connected, exit after this long
+const IDLE_EXIT_MS = 30 * 1000;
+const TERMINAL_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Socket path for the current user, in a directory of its own so the
+ * directory can be owner-only whatever ~/.donna-desktop allows
+ */
+function getSocketPath(homeDir = os.homedir()) {
+  if (process.platform === 'win32') {
+    return `\\\\.\\pipe\\donna-pty-${os.userInfo().username}`;
+  }
+  return path.join(homeDir, '.donna-desktop', 'pty', 'pty.sock');
+}
+
+/**
+ * Splits a socket stream into JSON messages
+ */
+class MessageReader {
+  constructor(onMessage) {
+    this.onMessage = onMessage;
+    this.buffer = '';
+  }
+
+  push(chunk) {
+    this.buffer += chunk;
+    let newline;
+    while ((newline = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, newline);
+      this.buffer = this.buffer.slice(newline + 1);
+      if (!line.trim()) continue;
+      try {
+        this.onMessage(JSON.parse(line));
+      } catch (e) {
+        console.error('Invalid PTY daemon message:', e.message);
+      }
+    }
+  }
+}
+
+function send(socket, message) {
+  if (!socket.destroyed) socket.write(JSON.stringify(message) + '\n');
+}
+
+class PtyDaemon {
+  /**
+   * @param {Object} options - { socketPath, pty (node-pty or a compatible
+   *   module), idleExitMs, onExit }
+   */
+  constructor(options = {}) {
+    this.socketPath = options.socketPath || getSocketPath();
+    this.pty = options.pty || require('node-pty');
+    this.idleExitMs = options.idleExitMs ?? IDLE_EXIT_MS;
+    this.onExit = options.onExit || (() => process.exit(0));
+
+    this.terminals = new Map(); // id -> { process, meta, output, startedAt }
+    this.clients = new Set();
+    this.server = null;
+    this.idleTimer = null;
+  }
+
+  /**
+   * Listen on the socket, replacing a stale one
+   * @throws {Error} If another daemon is already listening
+   */
+  async listen() {
+    if (process.platform !== 'win32') {
+      fs.mkdirSync(path.dirname(this.socketPath), { recursive: true, mode: 0o700 });
+      if (fs.existsSync(this.socketPath)) {
+        if (await isListening(this.socketPath)) {
+          throw new Error('PTY daemon already running');
+        }
+        fs.unlinkSync(this.socketPath);
+      }
+    }
+
+    this.server = net.createServer(socket => this.handleConnection(socket));
+    // SECURITY: Only the user may connect; the umask makes the socket
+    // owner-only from the moment it is created
+    const previousUmask = process.platform !== 'win32' ? process.umask(0o077) : null;
+    try {
+      await new Promise((resolve, reject) => {
+        this.server.once('error', reject);
+        this.server.listen(this.socketPath, resolve);
+      });
+    } finally {
+      if (previousUmask !== null) process.umask(previousUmask);
+    }
+    if (process.platform !== 'win32') fs.chmodSync(this.socketPath, 0o600);
+    this.scheduleIdleExit();
+  }
+
+  handleConnection(socket) {
+    socket.setEncoding('utf-8');
+    this.clients.add(socket);
+    this.cancelIdleExit();
+
+    const reader = new MessageReader(message => this.handleMessage(socket, message));
+    socket.on('data', chunk => reader.push(chunk));
+    socket.on('error', () => {});
+    socket.on('close', () => {
+      this.clients.delete(socket);
+      this.scheduleIdleExit();
+    });
+  }
+
+  handleMessage(socket, message) {
+    const { seq } = message;
+    try {
+      const result = this.handleRequest(message);
+      if (seq !== undefined) send(socket, { seq, ok: true, ...result });
+    } catch (error) {
+      if (seq !== undefined) send(socket, { seq, ok: false, error: error.message });
+    }
+  }
+
+  handleRequest(message) {
+    switch (message.type) {
+      case 'hello':
+        return { version: PROTOCOL_VERSION, pid: process.pid };
+      case 'spawn':
+        return this.spawn(message);
+      case 'attach':
+        return this.attach(message.id, message.newId);
+      case 'write':
+        this.getTerminal(message.id).process.write(String(message.data));
+        return {};
+      case 'resize':
+        this.getTerminal(message.id).process.resize(message.cols, message.rows);
+        return {};
+      case 'kill':
+        this.getTerminal(message.id).process.kill();
+        return {};
+      case 'list':
+        return {
+          terminals: Array.from(this.terminals, ([id, t]) => ({
+            id, pid: t.process.pid, meta: t.meta, startedAt: t.startedAt
+          }))
+        };
+      case 'shutdown':
+        this.shutdown();
+        return {};
+      default:
+        throw new Error(`Unknown request: ${message.type}`);
+    }
+  }
+
+  getTerminal(id) {
+    const terminal = this.terminals.get(id);
+    if (!terminal) throw new Error(`Terminal not found: ${id}`);
+    return terminal;
+  }
+
+  spawn({ id, file, args, options, meta }) {
+    if (!TERMINAL_ID_PATTERN.test(id || '')) throw new Error('Invalid terminal ID format');
+    if (this.terminals.has(id)) throw new Error(`Terminal already exists: ${id}`);
+    if (typeof file !== 'string' || !file) throw new Error('Missing command');
+
+    const ptyProcess = this.pty.spawn(file, Array.isArray(args) ? args : [], options || {});
+    const terminal = { id, process: ptyProcess, meta: meta || {}, output: '', startedAt: Date.now() };
+    this.terminals.set(id, terminal);
+
+    ptyProcess.onData((data) => {
+      terminal.output += data;
+      if (terminal.output.length > MAX_REPLAY_CHARS * 1.25) {
+        terminal.output = terminal.output.slice(-MAX_REPLAY_CHARS);
+      }
+      this.broadcast({ event: 'data', id: terminal.id, data });
+    });
+
+    ptyProcess.onExit(({ exitCode }) => {
+      this.terminals.delete(terminal.id);
+      this.broadcast({ event: 'exit', id: terminal.id, exitCode });
+      this.scheduleIdleExit();
+    });
+
+    this.cancelIdleExit();
+    return { pid: ptyProcess.pid };
+  }
+
+  /**
+   * Take over a running terminal under a new ID
+   * @returns {Object} { pid, meta, output } - recent output to redraw it
+   */
+  attach(id, newId = id) {
+    const terminal = this.getTerminal(id);
+    if (!TERMINAL_ID_PATTERN.test(newId || '')) throw new Error('Invalid terminal ID format');
+    if (newId !== id) {
+      if (this.terminals.has(newId)) throw new Error(`Terminal already exists: ${newId}`);
+      this.terminals.delete(id);
+      terminal.id = newId;
+      this.terminals.set(newId, terminal);
+    }
+    return { pid: terminal.process.pid, meta: terminal.meta, output: terminal.output };
+  }
+
+  broadcast(message) {
+    for (const client of this.clients) send(client, message);
+  }
+
+  scheduleIdleExit() {
+    if (!this.server || this.idleTimer || this.terminals.size > 0 || this.clients.size > 0) return;
+    this.idleTimer = setTimeout(() => {
+      this.idleTimer = null;
+      if (this.terminals.size === 0 && this.clients.size === 0) this.close();
+    }, this.idleExitMs);
+  }
+
+  cancelIdleExit() {
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
+    }
+  }
+
+  shutdown() {
+    for (const terminal of this.terminals.values()) terminal.process.kill();
+    this.terminals.clear();
+    // Let the response go out first
+    setImmediate(() => this.close());
+  }
+
+  close() {
+    this.cancelIdleExit();
+    for (const client of this.clients) client.destroy();
+    this.clients.clear();
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+    this.onExit();
+  }
+}
+
+/**
+ * Whether something accepts connections on a socket path
+ */
+function isListening(socketPath) {
+  return new Promise((resolve) => {
+    const socket = net.connect(socketPath);
+    socket.once('connect', () => { socket.destroy(); resolve(true); });
+    socket.once('error', () => resolve(false));
+  });
+}
+
+if (require.main === module) {
+  const index = process.argv.indexOf('--socket');
+  const daemon = new PtyDaemon({ socketPath: index !== -1 ? process.argv[index + 1] : undefined });
+  daemon.listen().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { PtyDaemon, MessageReader, getSocketPath, isListening, PROTOCOL_VERSION };
@@ -0,0 +1,602 @@
+/**
+ * Donna Desktop - Scrollback Index
+ * Full-text search over the output and command blocks of every terminal,
+ * including sessions that were closed.
+ *
+ * Output is kept as plain lines (escape sequences and alternate screen
+ * contents removed) per session, with the command blocks reported by shell
+ * integration. Sessions that are recorded for session restore are also
+ * written to ~/.donna-desktop/search/<id>.json.gz, and stay searchable after
+ * they are closed; other sessions are forgotten when they close.
+ *
+ * Regex searches run in a worker thread that is terminated when it takes
+ * too long, so a catastrophically backtracking pattern can't freeze the
+ * main process.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const zlib = require('zlib');
+const { Worker } = require('worker_threads');
+
+const MAX_LINES = 10000;
+const MAX_LINE_CHARS = 500;
+const MAX_BLOCKS = 1000;
+// Trimming splices the whole array, so let it grow a little past the limit first
+const TRIM_SLACK = 1.25;
+const FLUSH_DELAY_MS = 5000;
+const MAX_CLOSED_SESSIONS = 20;
+const CLOSED_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+const MAX_MATCHES = 500;
+const MAX_SESSION_MATCHES = 200;
+// Searches stop early with partial results after this long...
+const SEARCH_TIME_LIMIT_MS = 1500;
+// ...but a regex stuck on a single line only stops when its worker is terminated
+const SEARCH_WORKER_TIMEOUT_MS = 3000;
+const SNIPPET_CHARS = 200;
+const CONTEXT_LINES = 2;
+
+// Same format as terminal IDs (see validateTerminalId)
+const SESSION_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const ALT_SCREEN_PATTERN = /\x1b\[\?(?:1049|1047|47)([hl])/g;
+const UNFINISHED_ESCAPE_PATTERN = /\x1b(?:\[[0-?]*)?$/;
+const ESCAPE_PATTERN = /\x1b\][\s\S]*?(?:\x07|\x1b\\)|\x1b\[[0-?]*[ -/]*[@-~]|\x1b[()][0-9A-Za-z]|\x1b[=>78MDEc]/g;
+const CONTROL_PATTERN = /[\x00-\x08\x0b-\x1f\x7f]/g;
+
+/**
+ * A line of raw terminal output as it reads on screen
+ * @param {string} line - Without the trailing newline
+ * @returns {string}
+ */
+function toPlainLine(line) {
+  let text = line.replace(ESCAPE_PATTERN, '').replace(/\r+$/, '');
+  // A carriage return starts the line over (progress bars, spinners)
+  const lastReturn = text.lastIndexOf('\r');
+  if (lastReturn !== -1) text = text.slice(lastReturn + 1);
+  return text.replace(CONTROL_PATTERN, '').slice(0, MAX_LINE_CHARS);
+}
+
+/**
+ * Matcher for a search query
+ * @param {string} query
+ * @param {Object} options - { regex, caseSensitive }
+ * @returns {Function} line => { start, end } of the first match, or null
+ * @throws {SyntaxError} When `regex` is set and the query isn't a valid one
+ */
+function createMatcher(query, { regex = false, caseSensitive = false } = {}) {
+  const source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(source, caseSensitive ? 'g' : 'gi');
+  return (line) => {
+    pattern.lastIndex = 0;
+    const match = pattern.exec(line);
+    // Empty matches (e.g. "a*") would match every line
+    if (!match || match[0].length === 0) return null;
+    return { start: match.index, end: match.index + match[0].length };
+  };
+}
+
+/**
+ * Cut a long line down to the part around a match
+ * @returns {Object} { text, start, end } with the match offsets in `text`
+ */
+function makeSnippet(line, { start, end }) {
+  if (line.length <= SNIPPET_CHARS) return { text: line, start, end };
+  const from = Math.max(0, Math.min(start - 40, line.length - SNIPPET_CHARS));
+  const to = Math.min(line.length, from + SNIPPET_CHARS);
+  const prefix = from > 0 ? '…' : '';
+  return {
+    text: prefix + line.slice(from, to) + (to < line.length ? '…' : ''),
+    start: start - from + prefix.length,
+    end: Math.min(end, to) - from + prefix.length
+  };
+}
+
+/**
+ * Search sessions in order, up to the limit and time limit
+ * @param {Array} sessions - [{ id, name, type, closedAt, lines, firstLine, blocks }]
+ * @param {string} query
+ * @param {Object} options - { regex, caseSensitive, limit }
+ * @returns {Object} { sessions, truncated } (see ScrollbackIndex#search)
+ */
+function searchSessions(sessions, query, { regex = false, caseSensitive = false, limit = MAX_MATCHES } = {}) {
+  const match = createMatcher(query, { regex, caseSensitive });
+  const deadline = Date.now() + SEARCH_TIME_LIMIT_MS;
+  let remaining = Math.min(limit, MAX_MATCHES);
+  let truncated = false;
+
+  const results = [];
+  for (const session of sessions) {
+    if (remaining <= 0 || Date.now() > deadline) {
+      truncated = true;
+      break;
+    }
+    const matches = searchSession(session, match, Math.min(remaining, MAX_SESSION_MATCHES), deadline);
+    if (matches.truncated) truncated = true;
+    if (matches.length === 0) continue;
+    remaining -= matches.length;
+    results.push({
+      sessionId: session.id,
+      name: session.name,
+      type: session.type,
+      open: !session.closedAt,
+      closedAt: session.closedAt,
+      matches
+    });
+  }
+  return { sessions: results, truncated };
+}
+
+/**
+ * Matches in one session, newest first
+ * @param {Object} session - { lines, firstLine, blocks }
+ * @returns {Array} With `truncated` set when the limit or deadline was hit
+ */
+function searchSession(session, match, limit, deadline) {
+  const matches = [];
+  const { lines, firstLine, blocks } = session;
+  const endLine = firstLine + lines.length;
+  const describeBlock = (block) => block
+    ? { command: block.command, cwd: block.cwd, exitCode: block.exitCode, startedAt: block.startedAt }
+    : null;
+
+  // Blocks are ordered by line, so walk both lists from the end together
+  let blockIndex = blocks.length - 1;
+  const blockAt = (line) => {
+    while (blockIndex >= 0 && blocks[blockIndex].startLine > line) blockIndex--;
+    const block = blocks[blockIndex];
+    return block && line < block.endLine ? block : null;
+  };
+  let nextCommand = blocks.length - 1;
+  const addCommandsFrom = (line) => {
+    for (; nextCommand >= 0 && blocks[nextCommand].startLine >= line && matches.length < limit; nextCommand--) {
+      const block = blocks[nextCommand];
+      const found = match(block.command);
+      if (!found) continue;
+      matches.push({
+        kind: 'command',
+        line: block.startLine,
+        fromEnd: endLine - block.startLine,
+        ...makeSnippet(block.command, found),
+        context: null,
+        block: describeBlock(block)
+      });
+    }
+  };
+
+  for (let i = lines.length - 1; i >= 0; i--) {
+    const line = firstLine + i;
+    addCommandsFrom(line + 1);
+    if (matches.length >= limit || (i % 500 === 0 && Date.now() > deadline)) {
+      matches.truncated = true;
+      return matches;
+    }
+    const found = match(lines[i]);
+    if (!found) continue;
+    matches.push({
+      kind: 'output',
+      line,
+      fromEnd: endLine - line,
+      ...makeSnippet(lines[i], found),
+      context: {
+        before: lines.slice(Math.max(0, i - CONTEXT_LINES), i),
+        after: lines.slice(i + 1, i + 1 + CONTEXT_LINES)
+      },
+      block: describeBlock(blockAt(line))
+    });
+  }
+  // Commands whose output was trimmed away
+  addCommandsFrom(-Infinity);
+  if (matches.length >= limit && nextCommand >= 0) matches.truncated = true;
+  return matches;
+}
+
+class ScrollbackIndex {
+  /**
+   * @param {Object} options - { indexDir, isPersisted, flushDelayMs, searchTimeoutMs };
+   *   isPersisted(id) says whether a session may be written to disk
+   */
+  constructor(options = {}) {
+    this.indexDir = options.indexDir || path.join(os.homedir(), '.donna-desktop', 'search');
+    this.isPersisted = options.isPersisted || (() => false);
+    this.flushDelayMs = options.flushDelayMs ?? FLUSH_DELAY_MS;
+    this.searchTimeoutMs = options.searchTimeoutMs ?? SEARCH_WORKER_TIMEOUT_MS;
+
+    // id -> { id, name, type, closedAt, firstLine, lines, pending, altScreen,
+    //   carry, blocks, dirty, saved }; firstLine is the number of lines trimmed so far
+    this.sessions = new Map();
+    this.loaded = false;
+    this.flushTimer = null;
+    this.cancelSearch = null; // Rejects the regex search running in a worker
+  }
+
+  ensureDirectory() {
+    if (!fs.existsSync(this.indexDir)) {
+      fs.mkdirSync(this.indexDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Path of a session's index file, or null if the ID is invalid
+   */
+  getIndexPath(id) {
+    if (typeof id !== 'string' || !SESSION_ID_PATTERN.test(id)) return null;
+    return path.join(this.indexDir, `${id}.json.gz`);
+  }
+
+  /**
+   * Read closed and not yet restored sessions from disk, once
+   */
+  load() {
+    if (this.loaded) return;
+    this.loaded = true;
+    if (!fs.existsSync(this.indexDir)) return;
+
+    for (const file of fs.readdirSync(this.indexDir)) {
+      if (!file.endsWith('.json.gz')) continue;
+      const id = file.slice(0, -'.json.gz'.length);
+      const indexPath = this.getIndexPath(id);
+      if (!indexPath || this.sessions.has(id)) continue;
+      try {
+        const saved = JSON.parse(zlib.gunzipSync(fs.readFileSync(indexPath)).toString('utf-8'));
+        if (!Array.isArray(saved.lines) || !Array.isArray(saved.blocks)) throw new Error('Invalid index file');
+        this.sessions.set(id, {
+          ...this.createSession(id),
+          name: typeof saved.name === 'string' ? saved.name : null,
+          type: typeof saved.type === 'string' ? saved.type : 'terminal',
+          // Still open when the app quit: closed unless it is restored
+          closedAt: saved.closedAt || saved.savedAt || Date.now(),
+          firstLine: Number.isInteger(saved.firstLine) ? saved.firstLine : 0,
+          lines: saved.lines.filter(line => typeof line === 'string'),
+          blocks: saved.blocks.filter(block => block && typeof block.command === 'string'),
+          saved: true
+        });
+      } catch (e) {
+        console.error('Failed to load search index:', e);
+        this.deleteFile(id);
+      }
+    }
+    this.prune();
+  }
+
+  createSession(id) {
+    return {
+      id,
+      name: null,
+      type: 'terminal',
+      closedAt: null,
+      firstLine: 0,
+      lines: [],
+      pending: '',
+      carry: '',
+      altScreen: false,
+      blocks: [],
+      dirty: false,
+      saved: false
+    };
+  }
+
+  /**
+   * The open session with this ID, created on first use
+   */
+  getOpenSession(id) {
+    let session = this.sessions.get(id);
+    if (!session || session.closedAt) {
+      session = this.createSession(id);
+      this.sessions.set(id, session);
+    }
+    return session;
+  }
+
+  /**
+   * Index output from a terminal
+   */
+  append(id, data) {
+    if (!data || typeof data !== 'string') return;
+    const session = this.getOpenSession(id);
+
+    // An escape sequence cut off at the end of a chunk is finished by the next
+    data = session.carry + data;
+    const cut = data.match(UNFINISHED_ESCAPE_PATTERN);
+    session.carry = cut ? cut[0].slice(0, 64) : '';
+    if (cut) data = data.slice(0, cut.index);
+
+    // Full-screen apps (vim, less) draw on the alternate screen; skip it
+    let text = '';
+    let index = 0;
+    ALT_SCREEN_PATTERN.lastIndex = 0;
+    for (const match of data.matchAll(ALT_SCREEN_PATTERN)) {
+      if (!session.altScreen) text += data.slice(index, match.index);
+      session.altScreen = match[1] === 'h';
+      index = match.index + match[0].length;
+    }
+    if (!session.altScreen) text += data.slice(index);
+    if (!text) return;
+
+    const parts = (session.pending + text).split('\n');
+    session.pending = parts.pop();
+    // Output without newlines (a redrawn prompt, a spinner) can't grow forever
+    if (session.pending.length > MAX_LINE_CHARS * 8) {
+      session.pending = session.pending.slice(-MAX_LINE_CHARS * 8);
+    }
+    if (parts.length === 0) return;
+
+    for (const line of parts) session.lines.push(toPlainLine(line));
+    if (session.lines.length > MAX_LINES * TRIM_SLACK) {
+      const removed = session.lines.length - MAX_LINES;
+      session.lines.splice(0, removed);
+      session.firstLine += removed;
+    }
+    this.markDirty(session);
+  }
+
+  /**
+   * Index a finished command block (a shell integration commandEnd event)
+   * @param {Object} event - { command, cwd, exitCode, startedAt, endedAt, output }
+   */
+  addBlock(id, { command, cwd, exitCode, startedAt, endedAt, output } = {}) {
+    if (typeof command !== 'string' || !command.trim()) return;
+    const session = this.getOpenSession(id);
+
+    // Its output ends at the lines indexed so far
+    const endLine = session.firstLine + session.lines.length;
+    const outputLines = typeof output === 'string' && output ? output.replace(/\n$/, '').split('\n').length : 0;
+    session.blocks.push({
+      command: command.trim(),
+      cwd: typeof cwd === 'string' ? cwd : null,
+      exitCode: Number.isInteger(exitCode) ? exitCode : null,
+      startedAt: Number.isFinite(startedAt) ? startedAt : null,
+      endedAt: Number.isFinite(endedAt) ? endedAt : null,
+      startLine: Math.max(0, endLine - outputLines),
+      endLine
+    });
+    if (session.blocks.length > MAX_BLOCKS) session.blocks.splice(0, session.blocks.length - MAX_BLOCKS);
+    this.markDirty(session);
+  }
+
+  /**
+   * Names and types of open sessions, from the renderer's layout
+   * @param {Array} sessions - [{ id, name, type }]
+   */
+  setSessionInfo(sessions) {
+    for (const info of sessions) {
+      const session = this.sessions.get(info?.id);
+      if (!session || session.closedAt) continue;
+      if (typeof info.name === 'string' && info.name !== session.name) {
+        session.name = info.name.slice(0, 200);
+        this.markDirty(session);
+      }
+      if (typeof info.type === 'string') session.type = info.type;
+    }
+  }
+
+  /**
+   * A session was closed: keep it searchable if it may be saved, otherwise
+   * forget it
+   */
+  close(id) {
+    const session = this.sessions.get(id);
+    if (!session || session.closedAt) return;
+    if (!this.isPersisted(id)) {
+      this.forget(id);
+      return;
+    }
+    if (session.pending) {
+      session.lines.push(toPlainLine(session.pending));
+      session.pending = '';
+    }
+    session.closedAt = Date.now();
+    this.markDirty(session);
+    this.prune();
+  }
+
+  /**
+   * Move a previous session's index to the session restoring it
+   */
+  restore(oldId, newId) {
+    if (oldId === newId || !this.getIndexPath(oldId)) return;
+    this.load();
+    const old = this.sessions.get(oldId);
+    if (!old) return;
+
+    const current = this.sessions.get(newId);
+    this.sessions.delete(oldId);
+    this.deleteFile(oldId);
+    const restored = { ...old, id: newId, closedAt: null, pending: '', carry: '', altScreen: false, saved: false };
+    // Output that arrived before the restore follows the old output
+    if (current && !current.closedAt) {
+      const offset = old.firstLine + old.lines.length - current.firstLine;
+      restored.lines = old.lines.concat(current.lines);
+      restored.blocks = old.blocks.concat(current.blocks.map(block => ({
+        ...block,
+        startLine: block.startLine + offset,
+        endLine: block.endLine + offset
+      })));
+      restored.pending = current.pending;
+      restored.carry = current.carry;
+      restored.altScreen = current.altScreen;
+    }
+    this.sessions.set(newId, restored);
+    this.markDirty(restored);
+  }
+
+  /**
+   * Forget a session, in memory and on disk
+   */
+  forget(id) {
+    this.sessions.delete(id);
+    this.deleteFile(id);
+  }
+
+  /**
+   * Stop saving a session (excluded from recording); it stays searchable
+   * while open
+   */
+  unsave(id) {
+    const session = this.sessions.get(id);
+    if (session) session.saved = false;
+    this.deleteFile(id);
+  }
+
+  deleteFile(id) {
+    const indexPath = this.getIndexPath(id);
+    if (!indexPath) return;
+    try {
+      if (fs.existsSync(indexPath)) fs.unlinkSync(indexPath);
+    } catch (e) {
+      console.error('Failed to delete search index:', e);
+    }
+  }
+
+  /**
+   * Drop the oldest closed sessions past the limits
+   */
+  prune() {
+    const closed = [...this.sessions.values()]
+      .filter(session => session.closedAt)
+      .sort((a, b) => b.closedAt - a.closedAt);
+    const cutoff = Date.now() - CLOSED_MAX_AGE_MS;
+    closed.forEach((session, i) => {
+      if (i >= MAX_CLOSED_SESSIONS || session.closedAt < cutoff) this.forget(session.id);
+    });
+  }
+
+  /**
+   * Forget all closed sessions and everything on disk; open sessions stay
+   * searchable (session restore was turned off)
+   */
+  clear() {
+    for (const session of [...this.sessions.values()]) {
+      if (session.closedAt) this.sessions.delete(session.id);
+      else session.saved = false;
+    }
+    try {
+      fs.rmSync(this.indexDir, { recursive: true, force: true });
+    } catch (e) {
+      console.error('Failed to clear search index:', e);
+    }
+  }
+
+  markDirty(session) {
+    session.dirty = true;
+    if (this.isPersisted(session.id) || session.closedAt) this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.flushDelayMs);
+    // Don't keep the process alive just to flush
+    this.flushTimer.unref?.();
+  }
+
+  /**
+   * Write changed sessions that may be saved to disk
+   */
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    for (const session of this.sessions.values()) {
+      if (!session.dirty) continue;
+      // Closed sessions were checked when they closed
+      if (!session.closedAt && !this.isPersisted(session.id)) continue;
+      const indexPath = this.getIndexPath(session.id);
+      if (!indexPath) continue;
+      try {
+        this.ensureDirectory();
+        const lines = session.pending ? [...session.lines, toPlainLine(session.pending)] : session.lines;
+        fs.writeFileSync(indexPath, zlib.gzipSync(JSON.stringify({
+          id: session.id,
+          name: session.name,
+          type: session.type,
+          closedAt: session.closedAt,
+          savedAt: Date.now(),
+          firstLine: session.firstLine,
+          lines,
+          blocks: session.blocks
+        })));
+        session.dirty = false;
+        session.saved = true;
+      } catch (e) {
+        console.error('Failed to save search index:', e);
+      }
+    }
+  }
+
+  /**
+   * Search every session's command blocks and output
+   * @param {string} query
+   * @param {Object} options - { regex, caseSensitive, limit }
+   * @returns {Promise<Object>} { sessions: [{ sessionId, name, type, open, closedAt,
+   *   matches }], truncated }: open sessions first, then the most recently
+   *   closed; matches are newest first, each { kind: 'command' | 'output',
+   *   line, fromEnd, text, start, end, context, block }. fromEnd counts lines
+   *   from the end of the output, block is the command block the match is in
+   *   ({ command, cwd, exitCode, startedAt }) or null
+   * @throws {SyntaxError} For an invalid regex
+   * @throws {Error} When a regex search times out or a newer one replaces it
+   */
+  async search(query, { regex = false, caseSensitive = false, limit = MAX_MATCHES } = {}) {
+    this.load();
+    if (typeof query !== 'string' || !query) return { sessions: [], truncated: false };
+    // Invalid regexes fail here rather than in the worker
+    createMatcher(query, { regex, caseSensitive });
+
+    const ordered = [...this.sessions.values()].sort((a, b) =>
+      (a.closedAt ? 1 : 0) - (b.closedAt ? 1 : 0) || (b.closedAt || 0) - (a.closedAt || 0));
+    const options = { regex, caseSensitive, limit };
+    // Escaped plain text matches in linear time
+    if (!regex) return searchSessions(ordered, query, options);
+
+    const sessions = ordered.map(({ id, name, type, closedAt, lines, firstLine, blocks }) =>
+      ({ id, name, type, closedAt, lines, firstLine, blocks }));
+    return this.searchInWorker({ sessions, query, options });
+  }
+
+  /**
+   * Run searchSessions() in a worker thread, terminating it after
+   * searchTimeoutMs. Only the latest regex search keeps running.
+   */
+  searchInWorker(workerData) {
+    this.cancelSearch?.(new Error('Search replaced by a newer one'));
+
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(path.join(__dirname, 'scrollbackSearchWorker.js'), { workerData });
+      const settle = (error, result) => {
+        clearTimeout(timer);
+        if (this.cancelSearch === cancel) this.cancelSearch = null;
+        worker.terminate();
+        if (error) reject(error);
+        else resolve(result);
+      };
+      const cancel = (error) => settle(error);
+      const timer = setTimeout(() => settle(new Error(
+        'Search timed out; the regular expression may backtrack too much'
+      )), this.searchTimeoutMs);
+      this.cancelSearch = cancel;
+
+      worker.once('message', result => settle(null, result));
+      worker.once('error', error => settle(error));
+    });
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getScrollbackIndex() {
+  if (!instance) {
+    // Saved exactly when the session's scrollback is (session restore on, recording)
+    const { getSessionStore } = require('./sessionStore');
+    instance = new ScrollbackIndex({ isPersisted: id => getSessionStore().isRecording(id) });
+  }
+  return instance;
+}
+
+module.exports = { ScrollbackIndex, getScrollbackIndex, toPlainLine, createMatcher, searchSessions };
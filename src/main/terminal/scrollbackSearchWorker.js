@@ -0,0 +1,10 @@
+/**
+ * Donna Desktop - Scrollback Search Worker
+ * Runs a regex search off the main process (see ScrollbackIndex#searchInWorker).
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { searchSessions } = require('./scrollbackIndex');
+
+const { sessions, query, options } = workerData;
+parentPort.postMessage(searchSessions(sessions, query, options));
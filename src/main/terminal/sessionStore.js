@@ -0,0 +1,386 @@
+/**
+ * Donna Desktop - Session Store
+ * Persists terminal scrollback and the session layout so sessions can be
+ * recreated with their old output after a restart.
+ *
+ * Output of each recorded terminal is kept in memory up to a size limit and
+ * written gzip-compressed to ~/.donna-desktop/sessions/<id>.log.gz. The
+ * renderer's layout (type, name, cwd, agent) is kept in sessions/layout.json.
+ * Closing a session discards its scrollback; quitting the app keeps it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const zlib = require('zlib');
+
+const DEFAULT_SCROLLBACK_BYTES = 512 * 1024;
+const FLUSH_DELAY_MS = 5000;
+// Trimming slices the whole buffer, so let it grow a little past the limit first
+const TRIM_SLACK = 1.25;
+
+// Same format as terminal IDs (see validateTerminalId)
+const SESSION_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const LAYOUT_TYPES = ['terminal', 'agent', 'ssh'];
+const MAX_LAYOUT_SESSIONS = 50;
+const PANE_DIRECTIONS = ['row', 'column'];
+const MAX_PANE_DEPTH = 8;
+const MAX_REMOTE_CWD_CHARS = 1024;
+
+// Alternate screen (full-screen apps like vim): its contents make no sense replayed
+const ALT_SCREEN_PATTERN = /\x1b\[\?(?:1049|1047|47)h[\s\S]*?(?:\x1b\[\?(?:1049|1047|47)l|$)/g;
+const OSC_PATTERN = /\x1b\][\s\S]*?(?:\x07|\x1b\\|$)/g;
+// CSI sequences; SGR (colors) is kept, cursor movement and clearing are dropped
+const CSI_PATTERN = /\x1b\[([0-?]*)([ -/]*)([@-~])/g;
+const OTHER_ESCAPE_PATTERN = /\x1b[()][0-9A-Za-z]|\x1b[=>78MDEc]/g;
+
+/**
+ * Make recorded output safe to replay above a fresh shell, dimmed
+ * @param {string} text - Raw recorded output
+ * @returns {string} Output with colors kept but dimmed, without cursor
+ *   movement, screen clears, OSC marks or alternate screen contents
+ */
+function prepareReplay(text) {
+  if (!text) return '';
+  const replay = text
+    .replace(ALT_SCREEN_PATTERN, '')
+    .replace(OSC_PATTERN, '')
+    .replace(OTHER_ESCAPE_PATTERN, '')
+    // Any color reset would undo the dim, so dim again after every SGR
+    .replace(CSI_PATTERN, (match, params, intermediate, final) =>
+      final === 'm' && !params.startsWith('?') && !intermediate ? `${match}\x1b[2m` : '')
+    // Stray escapes, e.g. half a sequence at the end of the log
+    .replace(/\x1b(?!\[)/g, '');
+  return `\x1b[0;2m${replay}\x1b[0m`;
+}
+
+/**
+ * Working directory of a saved session
+ * @param {*} cwd
+ * @param {boolean} remote - Whether it is a directory on an SSH host, which
+ *   may be relative to the home directory there
+ * @returns {string|null}
+ */
+function sanitizeLayoutCwd(cwd, remote) {
+  if (typeof cwd !== 'string' || !cwd) return null;
+  if (!remote) return path.isAbsolute(cwd) ? cwd : null;
+  return cwd.length <= MAX_REMOTE_CWD_CHARS && !/[\x00-\x1f]/.test(cwd) ? cwd : null;
+}
+
+/**
+ * Keep a saved pane tree to panes of saved sessions
+ * @param {Object} node - { sessionId } or { direction, sizes, children }
+ * @param {Set} ids - IDs of saved sessions
+ * @returns {Object|null} The tree without other panes, with splits of one
+ *   child collapsed, or null if no pane is left
+ */
+function sanitizePanes(node, ids, depth = 0) {
+  if (!node || typeof node !== 'object' || depth > MAX_PANE_DEPTH) return null;
+  if (!Array.isArray(node.children)) {
+    return ids.has(node.sessionId) ? { sessionId: node.sessionId } : null;
+  }
+  if (!PANE_DIRECTIONS.includes(node.direction)) return null;
+
+  const children = [];
+  const sizes = [];
+  node.children.slice(0, MAX_LAYOUT_SESSIONS).forEach((child, i) => {
+    const sanitized = sanitizePanes(child, ids, depth + 1);
+    if (!sanitized) return;
+    const size = Array.isArray(node.sizes) ? Number(node.sizes[i]) : NaN;
+    children.push(sanitized);
+    sizes.push(Number.isFinite(size) && size > 0 ? size : 1);
+  });
+  if (children.length < 2) return children[0] || null;
+  return { direction: node.direction, sizes, children };
+}
+
+class SessionStore {
+  constructor(options = {}) {
+    this.sessionsDir = options.sessionsDir || path.join(os.homedir(), '.donna-desktop', 'sessions');
+    this.layoutPath = path.join(this.sessionsDir, 'layout.json');
+    this.maxBytes = options.maxBytes || DEFAULT_SCROLLBACK_BYTES;
+    this.flushDelayMs = options.flushDelayMs ?? FLUSH_DELAY_MS;
+    this.enabled = true;
+
+    this.buffers = new Map();  // id -> { text, dirty }
+    this.excluded = new Set(); // IDs not being recorded
+    this.flushTimer = null;
+  }
+
+  ensureDirectory() {
+    if (!fs.existsSync(this.sessionsDir)) {
+      fs.mkdirSync(this.sessionsDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Path of a session's scrollback log, or null if the ID is invalid
+   */
+  getLogPath(id) {
+    if (typeof id !== 'string' || !SESSION_ID_PATTERN.test(id)) return null;
+    return path.join(this.sessionsDir, `${id}.log.gz`);
+  }
+
+  /**
+   * Apply settings
+   * @param {Object} options - { enabled, maxBytes }
+   */
+  configure({ enabled, maxBytes } = {}) {
+    if (enabled !== undefined) this.enabled = Boolean(enabled);
+    if (Number.isInteger(maxBytes) && maxBytes > 0) this.maxBytes = maxBytes;
+  }
+
+  isRecording(id) {
+    return this.enabled && !this.excluded.has(id) && this.getLogPath(id) !== null;
+  }
+
+  /**
+   * Start or stop recording a session; stopping discards what was recorded
+   */
+  setRecording(id, enabled) {
+    if (enabled) {
+      this.excluded.delete(id);
+    } else {
+      this.excluded.add(id);
+      this.deleteScrollback(id);
+    }
+  }
+
+  /**
+   * Record output from a terminal
+   */
+  append(id, data) {
+    if (!data || !this.isRecording(id)) return;
+
+    const buffer = this.buffers.get(id) || { text: '', dirty: false };
+    buffer.text += data;
+    buffer.dirty = true;
+    if (buffer.text.length > this.maxBytes * TRIM_SLACK) {
+      buffer.text = this.trim(buffer.text);
+    }
+    this.buffers.set(id, buffer);
+    this.scheduleFlush();
+  }
+
+  /**
+   * Keep the last maxBytes of output, starting at a line
+   */
+  trim(text) {
+    if (text.length <= this.maxBytes) return text;
+    const tail = text.slice(-this.maxBytes);
+    const lineStart = tail.indexOf('\n');
+    return lineStart === -1 ? tail : tail.slice(lineStart + 1);
+  }
+
+  /**
+   * Recorded output of a session, from memory or disk
+   * @returns {string}
+   */
+  getScrollback(id) {
+    const buffer = this.buffers.get(id);
+    if (buffer) return buffer.text;
+
+    const logPath = this.getLogPath(id);
+    if (!logPath) return '';
+    try {
+      if (fs.existsSync(logPath)) {
+        return zlib.gunzipSync(fs.readFileSync(logPath)).toString('utf-8');
+      }
+    } catch (e) {
+      console.error('Failed to read scrollback:', e);
+    }
+    return '';
+  }
+
+  /**
+   * Move a previous session's scrollback to the session restoring it
+   * @param {string} oldId - Session ID before the restart
+   * @param {string} newId - Session ID of the restored session
+   * @returns {Object|null} { output, savedAt } - the raw old output, or
+   *   null if there was none
+   */
+  restore(oldId, newId) {
+    const logPath = this.getLogPath(oldId);
+    if (!logPath || oldId === newId) return null;
+
+    let savedAt = null;
+    try {
+      savedAt = fs.statSync(logPath).mtimeMs;
+    } catch {
+      // Not flushed yet or never recorded
+    }
+    const output = this.trim(this.getScrollback(oldId));
+    this.deleteScrollback(oldId);
+    if (!output) return null;
+
+    // History carries over to the next restart
+    if (this.isRecording(newId)) {
+      const buffer = this.buffers.get(newId) || { text: '', dirty: false };
+      this.buffers.set(newId, { text: this.trim(output + buffer.text), dirty: true });
+      this.scheduleFlush();
+    }
+    return { output, savedAt };
+  }
+
+  /**
+   * Forget a session's scrollback (in memory and on disk)
+   */
+  deleteScrollback(id) {
+    this.buffers.delete(id);
+    const logPath = this.getLogPath(id);
+    if (!logPath) return;
+    try {
+      if (fs.existsSync(logPath)) fs.unlinkSync(logPath);
+    } catch (e) {
+      console.error('Failed to delete scrollback:', e);
+    }
+  }
+
+  /**
+   * A closed session: drop its scrollback and recording state
+   */
+  discard(id) {
+    this.deleteScrollback(id);
+    this.excluded.delete(id);
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.flushDelayMs);
+    // Don't keep the process alive just to flush
+    this.flushTimer.unref?.();
+  }
+
+  /**
+   * Write changed scrollback to disk
+   */
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    for (const [id, buffer] of this.buffers) {
+      if (!buffer.dirty) continue;
+      const logPath = this.getLogPath(id);
+      try {
+        this.ensureDirectory();
+        fs.writeFileSync(logPath, zlib.gzipSync(buffer.text));
+        buffer.dirty = false;
+      } catch (e) {
+        console.error('Failed to save scrollback:', e);
+      }
+    }
+  }
+
+  /**
+   * Save the session layout
+   * @param {Object} layout - { activeId, sessions: [{ id, type, name, cwd,
+   *   agentId, sshHostId, pinned, record }], panes }; other session types are
+   *   left out, and so are their panes. With sshHostId, cwd is on that host
+   * @returns {Object} The layout as saved
+   */
+  saveLayout(layout = {}) {
+    const sessions = (Array.isArray(layout.sessions) ? layout.sessions : [])
+      .filter(s => s && LAYOUT_TYPES.includes(s.type) && this.getLogPath(s.id))
+      .slice(0, MAX_LAYOUT_SESSIONS)
+      .map(s => {
+        const sshHostId = s.type !== 'terminal' && typeof s.sshHostId === 'string' ? s.sshHostId.slice(0, 200) : null;
+        if (s.type === 'ssh' && !sshHostId) return null;
+        return {
+          id: s.id,
+          type: s.type,
+          name: typeof s.name === 'string' ? s.name.slice(0, 200) : null,
+          cwd: sanitizeLayoutCwd(s.cwd, Boolean(sshHostId)),
+          agentId: s.type === 'agent' && typeof s.agentId === 'string' ? s.agentId : null,
+          sshHostId,
+          pinned: s.pinned === true,
+          record: s.record !== false
+        };
+      })
+      .filter(Boolean);
+    const panes = sanitizePanes(layout.panes, new Set(sessions.map(s => s.id)));
+    const saved = {
+      activeId: sessions.some(s => s.id === layout.activeId) ? layout.activeId : null,
+      sessions,
+      // A single pane is no split
+      panes: panes?.children ? panes : null,
+      savedAt: Date.now()
+    };
+
+    try {
+      this.ensureDirectory();
+      fs.writeFileSync(this.layoutPath, JSON.stringify(saved, null, 2));
+    } catch (e) {
+      console.error('Failed to save session layout:', e);
+    }
+    return saved;
+  }
+
+  /**
+   * Load the saved session layout
+   * @returns {Object} { activeId, sessions, panes }
+   */
+  loadLayout() {
+    try {
+      if (fs.existsSync(this.layoutPath)) {
+        const layout = JSON.parse(fs.readFileSync(this.layoutPath, 'utf-8'));
+        if (layout && Array.isArray(layout.sessions)) {
+          return { activeId: layout.activeId || null, sessions: layout.sessions, panes: layout.panes || null };
+        }
+      }
+    } catch (e) {
+      console.error('Failed to load session layout:', e);
+    }
+    return { activeId: null, sessions: [], panes: null };
+  }
+
+  /**
+   * Delete scrollback logs of sessions that aren't in the layout (closed
+   * while the app was not saving, or excluded from recording)
+   */
+  prune() {
+    const keep = new Set(this.loadLayout().sessions.filter(s => s.record !== false).map(s => s.id));
+    if (!fs.existsSync(this.sessionsDir)) return;
+
+    for (const file of fs.readdirSync(this.sessionsDir)) {
+      if (!file.endsWith('.log.gz')) continue;
+      const id = file.slice(0, -'.log.gz'.length);
+      if (!keep.has(id) && !this.buffers.has(id)) this.deleteScrollback(id);
+    }
+  }
+
+  /**
+   * Forget all scrollback and, unless `keepLayout`, the saved sessions
+   */
+  clear({ keepLayout = false } = {}) {
+    this.buffers.clear();
+    try {
+      if (!keepLayout) {
+        fs.rmSync(this.sessionsDir, { recursive: true, force: true });
+        return;
+      }
+      if (!fs.existsSync(this.sessionsDir)) return;
+      for (const file of fs.readdirSync(this.sessionsDir)) {
+        if (file.endsWith('.log.gz')) fs.unlinkSync(path.join(this.sessionsDir, file));
+      }
+    } catch (e) {
+      console.error('Failed to clear saved sessions:', e);
+    }
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getSessionStore() {
+  if (!instance) {
+    instance = new SessionStore();
+  }
+  return instance;
+}
+
+module.exports = { SessionStore, getSessionStore, prepareReplay, DEFAULT_SCROLLBACK_BYTES };
@@ -0,0 +1,355 @@
+/**
+ * Donna Desktop - Shell Integration
+ * Injects scripts into bash, zsh and fish that mark prompts and commands with
+ * OSC 133 and report the cwd with OSC 7, and parses those marks from PTY
+ * output into exact command events:
+ *
+ *   OSC 133;A                     prompt start
+ *   OSC 133;B                     prompt end (command input starts)
+ *   OSC 133;C;cmdline_url=<cmd>   command executed (output starts)
+ *   OSC 133;D;<exit status>       command finished
+ *   OSC 7;file://<host><path>     current directory
+ *
+ * Scripts are written to ~/.donna-desktop/shell-integration so shells can
+ * source them from a packaged app.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Output kept per command (the tail, for long-running commands)
+const MAX_OUTPUT_CHARS = 64 * 1024;
+// An unterminated OSC longer than this is treated as plain output
+const MAX_PENDING_CHARS = 4096;
+
+// CSI, OSC leftovers, charset and keypad escapes, and carriage returns
+const ANSI_PATTERN = /\x1b\[[0-?]*[ -/]*[@-~]|\x1b[()][0-9A-Za-z]|\x1b[=>78MDEc]|\r/g;
+
+const BASH_SCRIPT = `# Donna Desktop shell integration for bash
+if [ -f ~/.bashrc ]; then . ~/.bashrc; fi
+
+if [ -z "$__donna_integration" ]; then
+__donna_integration=1
+
+__donna_urlencode() {
+  local LC_ALL=C s="$1" out="" c i
+  for (( i = 0; i < \${#s}; i++ )); do
+    c="\${s:i:1}"
+    case "$c" in
+      [a-zA-Z0-9./_~-]) out+="$c" ;;
+      *) printf -v c '%%%02X' "'$c"; out+="$c" ;;
+    esac
+  done
+  printf '%s' "$out"
+}
+
+# Runs first in PROMPT_COMMAND so $? is the command's exit status
+__donna_precmd() {
+  local ret=$?
+  printf '\\e]133;D;%s\\a' "$ret"
+  printf '\\e]7;file://%s%s\\a' "$HOSTNAME" "$(__donna_urlencode "$PWD")"
+  printf '\\e]133;A\\a'
+  return $ret
+}
+
+# Runs last so prompt themes have already set PS1
+__donna_prompt() {
+  local ret=$?
+  case "$PS1" in
+    *'133;B'*) ;;
+    *) PS1="$PS1"'\\[\\e]133;B\\a\\]' ;;
+  esac
+  return $ret
+}
+
+# Expanded by PS0 (bash 4.4+) after a command is read, before it runs
+__donna_preexec() {
+  local cmd re='^[[:space:]]*[0-9]+[*[:space:]]+(.*)$'
+  cmd=$(HISTTIMEFORMAT= builtin history 1)
+  [[ $cmd =~ $re ]] && cmd="\${BASH_REMATCH[1]}"
+  printf '\\e]133;C;cmdline_url=%s\\a' "$(__donna_urlencode "$cmd")"
+}
+
+PROMPT_COMMAND="__donna_precmd;\${PROMPT_COMMAND:+$PROMPT_COMMAND;}__donna_prompt"
+PS0="\${PS0}"'$(__donna_preexec)'
+fi
+`;
+
+// Read first: restores the user's ZDOTDIR and sources their .zshenv, then
+// points zsh back here so it reads the .zshrc below
+const ZSHENV_SCRIPT = `# Donna Desktop shell integration for zsh
+__donna_zdotdir="$ZDOTDIR"
+ZDOTDIR="\${DONNA_USER_ZDOTDIR:-$HOME}"
+[[ -f "$ZDOTDIR/.zshenv" ]] && source "$ZDOTDIR/.zshenv"
+DONNA_USER_ZDOTDIR="$ZDOTDIR"
+ZDOTDIR="$__donna_zdotdir"
+unset __donna_zdotdir
+`;
+
+const ZSHRC_SCRIPT = `# Donna Desktop shell integration for zsh
+ZDOTDIR="\${DONNA_USER_ZDOTDIR:-$HOME}"
+unset DONNA_USER_ZDOTDIR
+[[ -f "$ZDOTDIR/.zshrc" ]] && source "$ZDOTDIR/.zshrc"
+
+if [[ -z "$__donna_integration" ]]; then
+__donna_integration=1
+
+__donna_urlencode() {
+  emulate -L zsh
+  local LC_ALL=C s="$1" out="" c i
+  for (( i = 1; i <= \${#s}; i++ )); do
+    c="\${s[i]}"
+    case "$c" in
+      [a-zA-Z0-9./_~-]) out+="$c" ;;
+      *) out+=$(printf '%%%02X' "'$c") ;;
+    esac
+  done
+  print -rn -- "$out"
+}
+
+# First precmd hook, so $? is the command's exit status
+__donna_precmd() {
+  local ret=$?
+  if [[ -n "$__donna_running" ]]; then
+    printf '\\e]133;D;%s\\a' "$ret"
+    unset __donna_running
+  fi
+  printf '\\e]7;file://%s%s\\a' "$HOST" "$(__donna_urlencode "$PWD")"
+  printf '\\e]133;A\\a'
+  return $ret
+}
+
+# Last precmd hook, so prompt themes have already set PS1
+__donna_prompt() {
+  [[ "$PS1" == *'133;B'* ]] || PS1="$PS1%{"$'\\e]133;B\\a'"%}"
+}
+
+__donna_preexec() {
+  __donna_running=1
+  printf '\\e]133;C;cmdline_url=%s\\a' "$(__donna_urlencode "$1")"
+}
+
+precmd_functions=(__donna_precmd $precmd_functions __donna_prompt)
+preexec_functions+=(__donna_preexec)
+fi
+`;
+
+const FISH_SCRIPT = `# Donna Desktop shell integration for fish
+if not set -q __donna_integration
+  set -g __donna_integration 1
+
+  function __donna_postexec --on-event fish_postexec
+    printf '\\e]133;D;%s\\a' $status
+  end
+
+  function __donna_prompt_start --on-event fish_prompt
+    printf '\\e]7;file://%s%s\\a' $hostname (string escape --style=url -- $PWD)
+    printf '\\e]133;A\\a'
+  end
+
+  function __donna_preexec --on-event fish_preexec
+    printf '\\e]133;C;cmdline_url=%s\\a' (string escape --style=url -- $argv[1])
+  end
+
+  functions -c fish_prompt __donna_fish_prompt
+  function fish_prompt
+    __donna_fish_prompt
+    printf '\\e]133;B\\a'
+  end
+end
+`;
+
+const SCRIPTS = {
+  'bash.sh': BASH_SCRIPT,
+  'zsh/.zshenv': ZSHENV_SCRIPT,
+  'zsh/.zshrc': ZSHRC_SCRIPT,
+  'donna.fish': FISH_SCRIPT
+};
+
+let installedDir = null;
+
+/**
+ * Write the integration scripts (only if they changed)
+ * @returns {string} Directory containing the scripts
+ */
+function installScripts(baseDir = path.join(os.homedir(), '.donna-desktop', 'shell-integration')) {
+  if (installedDir === baseDir) return baseDir;
+
+  for (const [file, content] of Object.entries(SCRIPTS)) {
+    const filePath = path.join(baseDir, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    if (!fs.existsSync(filePath) || fs.readFileSync(filePath, 'utf8') !== content) {
+      fs.writeFileSync(filePath, content);
+    }
+  }
+
+  installedDir = baseDir;
+  return baseDir;
+}
+
+/**
+ * Arguments and environment to launch a shell with integration
+ * @param {string} shell - Shell path, e.g. /bin/zsh
+ * @param {Object} env - Base environment
+ * @returns {Object} { args, env, integrated }. Unsupported shells launch unchanged.
+ */
+function getShellLaunch(shell, env = process.env, baseDir) {
+  const name = path.basename(shell || '');
+  try {
+    if (name === 'bash') {
+      const dir = installScripts(baseDir);
+      return { args: ['--rcfile', path.join(dir, 'bash.sh')], env, integrated: true };
+    }
+    if (name === 'zsh') {
+      const dir = installScripts(baseDir);
+      return {
+        args: [],
+        env: { ...env, ZDOTDIR: path.join(dir, 'zsh'), DONNA_USER_ZDOTDIR: env.ZDOTDIR || '' },
+        integrated: true
+      };
+    }
+    if (name === 'fish') {
+      const dir = installScripts(baseDir);
+      const script = path.join(dir, 'donna.fish').replace(/[\\']/g, '\\$&');
+      return { args: ['--init-command', `source '${script}'`], env, integrated: true };
+    }
+  } catch (e) {
+    console.error('Failed to install shell integration:', e);
+  }
+  return { args: [], env, integrated: false };
+}
+
+/**
+ * Path from an OSC 7 file:// URI
+ */
+function parseFileUri(uri) {
+  if (!uri.startsWith('file://')) return null;
+  const rest = uri.slice('file://'.length);
+  const slash = rest.indexOf('/');
+  if (slash === -1) return null;
+  try {
+    return decodeURIComponent(rest.slice(slash));
+  } catch {
+    return null;
+  }
+}
+
+function stripAnsi(text) {
+  return text.replace(ANSI_PATTERN, '');
+}
+
+/**
+ * Turns OSC 133 / OSC 7 marks in PTY output into command events.
+ * Sequences may be split across chunks.
+ */
+class ShellIntegrationParser {
+  constructor() {
+    this.pending = '';
+    this.cwd = null;
+    this.command = null; // Running command: { command, cwd, startedAt, output }
+    this.active = false; // Set once the shell has sent a mark
+  }
+
+  /**
+   * Parse a chunk of PTY output
+   * @returns {Array} Events: { type: 'prompt' | 'commandStart' | 'commandEnd' | 'cwd', ... }
+   */
+  push(data) {
+    const events = [];
+    let text = this.pending + data;
+    this.pending = '';
+
+    while (text.length > 0) {
+      const start = text.indexOf('\x1b]');
+      if (start === -1) {
+        // Hold a trailing ESC in case it starts an OSC in the next chunk
+        const hold = text.endsWith('\x1b') ? 1 : 0;
+        this.appendOutput(text.slice(0, text.length - hold));
+        this.pending = text.slice(text.length - hold);
+        break;
+      }
+
+      this.appendOutput(text.slice(0, start));
+      const bel = text.indexOf('\x07', start + 2);
+      const st = text.indexOf('\x1b\\', start + 2);
+      const end = bel === -1 ? st : (st === -1 ? bel : Math.min(bel, st));
+
+      if (end === -1) {
+        if (text.length - start > MAX_PENDING_CHARS) {
+          this.appendOutput(text.slice(start));
+        } else {
+          this.pending = text.slice(start);
+        }
+        break;
+      }
+
+      const event = this.handleOsc(text.slice(start + 2, end));
+      if (event) events.push(event);
+      text = text.slice(end + (end === bel ? 1 : 2));
+    }
+
+    return events;
+  }
+
+  handleOsc(body) {
+    if (body.startsWith('7;')) {
+      const cwd = parseFileUri(body.slice(2));
+      if (!cwd) return null;
+      this.active = true;
+      this.cwd = cwd;
+      return { type: 'cwd', cwd };
+    }
+
+    if (!body.startsWith('133;')) return null;
+    this.active = true;
+    const [mark, ...params] = body.slice(4).split(';');
+
+    if (mark === 'A') {
+      return { type: 'prompt' };
+    }
+
+    if (mark === 'C') {
+      const cmdline = params.find(p => p.startsWith('cmdline_url='));
+      let command = '';
+      try {
+        command = cmdline ? decodeURIComponent(cmdline.slice('cmdline_url='.length)) : '';
+      } catch {
+        command = cmdline.slice('cmdline_url='.length);
+      }
+      this.command = { command, cwd: this.cwd, startedAt: Date.now(), output: '' };
+      return { type: 'commandStart', command, cwd: this.cwd, startedAt: this.command.startedAt };
+    }
+
+    if (mark === 'D') {
+      // bash reports D on every prompt; only a started command makes a block
+      if (!this.command) return null;
+      const { command, cwd, startedAt, output } = this.command;
+      this.command = null;
+      const exitCode = params.length > 0 && /^-?\d+$/.test(params[0]) ? parseInt(params[0], 10) : null;
+      const endedAt = Date.now();
+      return {
+        type: 'commandEnd',
+        command,
+        cwd,
+        exitCode,
+        startedAt,
+        endedAt,
+        durationMs: endedAt - startedAt,
+        output: stripAnsi(output)
+      };
+    }
+
+    return null;
+  }
+
+  appendOutput(text) {
+    if (!this.command || !text) return;
+    this.command.output += text;
+    if (this.command.output.length > MAX_OUTPUT_CHARS) {
+      this.command.output = this.command.output.slice(-MAX_OUTPUT_CHARS);
+    }
+  }
+}
+
+module.exports = { ShellIntegrationParser, getShellLaunch, installScripts, stripAnsi, SCRIPTS };
@@ -0,0 +1,350 @@
+/**
+ * Donna Desktop - SSH Hosts
+ * Hosts for SSH sessions: saved in ~/.donna-desktop/ssh-hosts.json, plus the
+ * concrete Host entries of ~/.ssh/config. Sessions run the system `ssh`
+ * in a PTY, so keys, agents, known_hosts and the user's config all apply.
+ *
+ * A saved host has { id, name, host, user, port, identityFile, jumpHost,
+ * defaultDir }; defaultDir is a directory on the remote machine to start
+ * in. Hosts from ~/.ssh/config are connected to by their alias and may be
+ * saved under the same alias to give them a name or default directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { findExecutable } = require('../utils/discovery');
+
+const MAX_HOSTS = 200;
+const MAX_INCLUDE_DEPTH = 5;
+const MAX_CONFIG_BYTES = 1024 * 1024;
+
+// Hostnames, IP addresses and ssh config aliases; never an option
+const HOST_PATTERN = /^[a-zA-Z0-9_.:[\]%][a-zA-Z0-9_.:[\]%-]{0,252}$/;
+const USER_PATTERN = /^[a-zA-Z0-9_.][a-zA-Z0-9_.@-]{0,63}$/;
+// One hop of a jump host list: [user@]host[:port]
+const JUMP_HOP_PATTERN = /^([a-zA-Z0-9_.][a-zA-Z0-9_.-]{0,63}@)?[a-zA-Z0-9_.[\]][a-zA-Z0-9_.:[\]-]{0,252}$/;
+const HOST_ID_PATTERN = /^(host-[a-z0-9]{1,32}|config:[a-zA-Z0-9_.:[\]%-]{1,253})$/;
+const MAX_PATH_CHARS = 1024;
+
+/**
+ * Quote a word for a POSIX shell
+ */
+function shellQuote(word) {
+  const text = String(word);
+  return /^[a-zA-Z0-9_./:=@%+,-]+$/.test(text) ? text : `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Quote a remote directory, keeping a leading ~ expandable
+ */
+function quoteRemotePath(dir) {
+  if (dir === '~') return '"$HOME"';
+  if (dir.startsWith('~/')) return `"$HOME"/${shellQuote(dir.slice(2))}`;
+  return shellQuote(dir);
+}
+
+/**
+ * Parse ssh_config text into its concrete hosts
+ * @param {string} text
+ * @returns {Object} { hosts: [{ alias, hostName, user, port, identityFile,
+ *   proxyJump }], includes: [path patterns] }. Wildcard and negated Host
+ *   patterns are left out; like ssh, the first value of an option wins.
+ */
+function parseSshConfig(text) {
+  const hosts = [];
+  const includes = [];
+  let current = [];
+
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+    const match = line.match(/^(\S+?)(?:\s*=\s*|\s+)(.+)$/);
+    if (!match) continue;
+    const keyword = match[1].toLowerCase();
+    const value = match[2].trim();
+    const unquoted = value.replace(/^"(.*)"$/, '$1');
+
+    if (keyword === 'host') {
+      current = value.split(/\s+/)
+        .filter(alias => !/[*?!]/.test(alias) && HOST_PATTERN.test(alias))
+        .map(alias => ({ alias, hostName: null, user: null, port: null, identityFile: null, proxyJump: null }));
+      hosts.push(...current);
+    } else if (keyword === 'match') {
+      current = [];
+    } else if (keyword === 'include') {
+      includes.push(...value.split(/\s+/).map(pattern => pattern.replace(/^"(.*)"$/, '$1')));
+    } else {
+      const field = { hostname: 'hostName', user: 'user', port: 'port', identityfile: 'identityFile', proxyjump: 'proxyJump' }[keyword];
+      if (!field) continue;
+      for (const host of current) {
+        if (host[field] !== null) continue;
+        host[field] = field === 'port' ? (parseInt(unquoted, 10) || null) : unquoted;
+      }
+    }
+  }
+  return { hosts, includes };
+}
+
+/**
+ * Files an Include pattern names: relative to ~/.ssh, with * and ? in the
+ * file name
+ */
+function resolveInclude(pattern, homeDir) {
+  let file = pattern.startsWith('~/') ? path.join(homeDir, pattern.slice(2)) : pattern;
+  if (!path.isAbsolute(file)) file = path.join(homeDir, '.ssh', file);
+
+  const dir = path.dirname(file);
+  const base = path.basename(file);
+  if (!/[*?]/.test(base)) return [file];
+  const matcher = new RegExp('^' + base.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$');
+  try {
+    return fs.readdirSync(dir).filter(name => matcher.test(name)).sort().map(name => path.join(dir, name));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Concrete hosts of an ssh config file and the files it includes
+ * @returns {Array} [{ alias, hostName, user, port, identityFile, proxyJump }]
+ */
+function readSshConfig(file, homeDir = os.homedir(), depth = 0, seen = new Set()) {
+  if (depth > MAX_INCLUDE_DEPTH || seen.has(file)) return [];
+  seen.add(file);
+  let text;
+  try {
+    const stat = fs.statSync(file);
+    if (!stat.isFile() || stat.size > MAX_CONFIG_BYTES) return [];
+    text = fs.readFileSync(file, 'utf-8');
+  } catch {
+    return [];
+  }
+
+  const { hosts, includes } = parseSshConfig(text);
+  for (const pattern of includes) {
+    for (const included of resolveInclude(pattern, homeDir)) {
+      hosts.push(...readSshConfig(included, homeDir, depth + 1, seen));
+    }
+  }
+  return hosts;
+}
+
+/**
+ * The command run on the remote host: cd to a directory, then a login
+ * shell or the given program
+ * @param {Object} options - { cwd, command: [program, ...args] }
+ * @returns {string|null} Null for a plain login shell in the home directory
+ */
+function buildRemoteCommand({ cwd, command } = {}) {
+  const parts = [];
+  if (cwd) parts.push(`cd ${quoteRemotePath(cwd)}`);
+  if (Array.isArray(command) && command.length > 0) {
+    parts.push(`exec ${command.map(shellQuote).join(' ')}`);
+  } else if (cwd) {
+    parts.push('exec "$SHELL" -l');
+  }
+  return parts.length > 0 ? parts.join(' && ') : null;
+}
+
+/**
+ * The system ssh client (on the login shell's PATH when launched from the Dock)
+ */
+function getSshPath() {
+  return findExecutable('ssh') || 'ssh';
+}
+
+/**
+ * Arguments for `ssh` to connect to a host
+ * @param {Object} host - From SshHosts.list()
+ * @param {Object} options - { cwd, command }: remote directory (default:
+ *   the host's defaultDir) and program to run instead of a shell
+ * @returns {string[]}
+ */
+function buildSshArgs(host, { cwd, command } = {}) {
+  const args = [];
+  // Hosts from ~/.ssh/config take their settings from it
+  if (host.source !== 'ssh-config') {
+    if (host.port) args.push('-p', String(host.port));
+    if (host.identityFile) args.push('-i', host.identityFile.replace(/^~(?=\/)/, os.homedir()));
+    if (host.jumpHost) args.push('-J', host.jumpHost);
+  }
+
+  const remoteCommand = buildRemoteCommand({ cwd: cwd || host.defaultDir, command });
+  // A program run by ssh gets no terminal unless asked for
+  if (remoteCommand) args.push('-t');
+
+  const target = host.user && host.source !== 'ssh-config' ? `${host.user}@${host.host}` : host.host;
+  args.push('--', target);
+  if (remoteCommand) args.push(remoteCommand);
+  return args;
+}
+
+/**
+ * Check a host from the renderer
+ * @returns {Object} The host as it is saved
+ * @throws {Error} When a field is invalid
+ */
+function validateHost(input) {
+  if (!input || typeof input !== 'object') throw new Error('Invalid host');
+  const text = (value) => typeof value === 'string' && value.trim() ? value.trim() : null;
+
+  const host = text(input.host);
+  if (!host || !HOST_PATTERN.test(host)) throw new Error('Enter a host name or address');
+
+  const user = text(input.user);
+  if (user && !USER_PATTERN.test(user)) throw new Error('Invalid user name');
+
+  let port = null;
+  if (input.port !== null && input.port !== undefined && input.port !== '') {
+    port = Number(input.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) throw new Error('Port must be between 1 and 65535');
+  }
+
+  const identityFile = text(input.identityFile);
+  if (identityFile && (identityFile.length > MAX_PATH_CHARS || !(path.isAbsolute(identityFile) || identityFile.startsWith('~/')))) {
+    throw new Error('Identity file must be an absolute path or start with ~/');
+  }
+
+  const jumpHost = text(input.jumpHost);
+  if (jumpHost && !jumpHost.split(',').every(hop => JUMP_HOP_PATTERN.test(hop.trim()))) {
+    throw new Error('Jump hosts must be [user@]host[:port], separated by commas');
+  }
+
+  const defaultDir = text(input.defaultDir);
+  if (defaultDir && (defaultDir.length > MAX_PATH_CHARS || /[\0\n\r]/.test(defaultDir))) {
+    throw new Error('Invalid default directory');
+  }
+
+  const name = text(input.name);
+  return {
+    id: typeof input.id === 'string' && /^host-[a-z0-9]{1,32}$/.test(input.id) ? input.id : null,
+    name: name ? name.slice(0, 100) : (user ? `${user}@${host}` : host),
+    host,
+    user,
+    port,
+    identityFile,
+    jumpHost: jumpHost ? jumpHost.split(',').map(hop => hop.trim()).join(',') : null,
+    defaultDir
+  };
+}
+
+class SshHosts {
+  constructor(options = {}) {
+    this.homeDir = options.homeDir || os.homedir();
+    this.hostsPath = options.hostsPath || path.join(this.homeDir, '.donna-desktop', 'ssh-hosts.json');
+    this.sshConfigPath = options.sshConfigPath || path.join(this.homeDir, '.ssh', 'config');
+  }
+
+  /**
+   * Saved hosts
+   * @returns {Array}
+   */
+  loadSaved() {
+    try {
+      if (fs.existsSync(this.hostsPath)) {
+        const saved = JSON.parse(fs.readFileSync(this.hostsPath, 'utf-8'));
+        if (Array.isArray(saved.hosts)) {
+          return saved.hosts.filter(host => host && typeof host.id === 'string' && typeof host.host === 'string');
+        }
+      }
+    } catch (e) {
+      console.error('Failed to load SSH hosts:', e);
+    }
+    return [];
+  }
+
+  writeSaved(hosts) {
+    const dir = path.dirname(this.hostsPath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(this.hostsPath, JSON.stringify({ hosts }, null, 2));
+  }
+
+  /**
+   * Saved hosts, then ~/.ssh/config hosts that aren't saved under their alias
+   * @returns {Array} Hosts with `source: 'saved' | 'ssh-config'`
+   */
+  list() {
+    const saved = this.loadSaved().map(host => ({ ...host, source: 'saved' }));
+    const savedHosts = new Set(saved.map(host => host.host));
+    const fromConfig = [];
+    for (const entry of readSshConfig(this.sshConfigPath, this.homeDir)) {
+      if (savedHosts.has(entry.alias) || fromConfig.some(host => host.host === entry.alias)) continue;
+      fromConfig.push({
+        id: `config:${entry.alias}`,
+        name: entry.alias,
+        host: entry.alias,
+        user: entry.user,
+        port: entry.port,
+        identityFile: entry.identityFile,
+        jumpHost: entry.proxyJump,
+        defaultDir: null,
+        hostName: entry.hostName,
+        source: 'ssh-config'
+      });
+    }
+    return [...saved, ...fromConfig];
+  }
+
+  /**
+   * A host by ID, or null
+   */
+  get(id) {
+    if (typeof id !== 'string' || !HOST_ID_PATTERN.test(id)) return null;
+    return this.list().find(host => host.id === id) || null;
+  }
+
+  /**
+   * Add a host, or update the saved host with the same ID
+   * @returns {Object} The saved host
+   * @throws {Error} When it is invalid
+   */
+  save(input) {
+    const host = validateHost(input);
+    const hosts = this.loadSaved();
+    const index = host.id ? hosts.findIndex(saved => saved.id === host.id) : -1;
+    if (index === -1) {
+      if (hosts.length >= MAX_HOSTS) throw new Error(`At most ${MAX_HOSTS} hosts can be saved`);
+      host.id = `host-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+      hosts.push(host);
+    } else {
+      hosts[index] = host;
+    }
+    this.writeSaved(hosts);
+    return { ...host, source: 'saved' };
+  }
+
+  /**
+   * Delete a saved host
+   * @returns {boolean} Whether it existed
+   */
+  remove(id) {
+    const hosts = this.loadSaved();
+    const remaining = hosts.filter(host => host.id !== id);
+    if (remaining.length === hosts.length) return false;
+    this.writeSaved(remaining);
+    return true;
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getSshHosts() {
+  if (!instance) {
+    instance = new SshHosts();
+  }
+  return instance;
+}
+
+module.exports = {
+  SshHosts,
+  getSshHosts,
+  parseSshConfig,
+  readSshConfig,
+  getSshPath,
+  buildSshArgs,
+  buildRemoteCommand,
+  validateHost,
+  shellQuote
+};
@@ -0,0 +1,389 @@
+/**
+ * Usage Ledger - Token usage and cost tracking across all providers
+ *
+ * Every model call made through ModelManager is appended to
+ * ~/.donna-desktop/usage/ledger.jsonl. Costs are computed at query time
+ * from the price table in ~/.donna-desktop/usage/prices.json so that
+ * editing prices re-prices past usage.
+ *
+ * Only the most recent calls are kept individually. Older ones are folded
+ * into daily totals per provider, model and source in rollups.json (which
+ * still re-price), and the ledger file is rewritten without them, so neither
+ * memory nor the file grows without bound.
+ */
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+/**
+ * Default prices in USD per million tokens. Keys match model IDs
+ * exactly or as a prefix (e.g. "claude-sonnet-4" matches
+ * "claude-sonnet-4-20250514").
+ */
+const DEFAULT_PRICES = {
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini-pro': { input: 0.5, output: 1.5 }
+};
+
+// Local providers never cost anything
+const FREE_PROVIDERS = ['ollama'];
+
+const MAX_ENTRIES = 10000;
+// Compacting rewrites the ledger file, so let it grow a little past the limit first
+const COMPACT_SLACK = 1.25;
+
+/**
+ * Local calendar day of a timestamp, e.g. "2025-01-31"
+ */
+function dayKey(timestamp) {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Rollups have no session or agent, so they group under 'none'
+const GROUP_KEYS = {
+  day: entry => dayKey(entry.timestamp),
+  session: entry => entry.sessionId || 'none',
+  provider: entry => entry.provider,
+  model: entry => entry.model || 'unknown',
+  source: entry => entry.source || 'unknown',
+  agent: entry => entry.agentId || 'none'
+};
+
+/**
+ * Normalize provider-specific usage objects to { inputTokens, outputTokens }
+ * Handles Anthropic (input_tokens), OpenAI (prompt_tokens) and the
+ * camelCase shape used by the Gemini and Ollama providers.
+ * @param {Object} usage - Raw usage object from a provider
+ * @returns {Object|null}
+ */
+function normalizeUsage(usage) {
+  if (!usage || typeof usage !== 'object') return null;
+
+  const inputTokens = usage.inputTokens ?? usage.input_tokens ?? usage.prompt_tokens ?? 0;
+  const outputTokens = usage.outputTokens ?? usage.output_tokens ?? usage.completion_tokens ?? 0;
+
+  if (!inputTokens && !outputTokens) return null;
+  return { inputTokens, outputTokens };
+}
+
+class UsageLedger {
+  constructor(options = {}) {
+    this.usageDir = options.usageDir || path.join(os.homedir(), '.donna-desktop', 'usage');
+    this.ledgerPath = path.join(this.usageDir, 'ledger.jsonl');
+    this.pricesPath = path.join(this.usageDir, 'prices.json');
+    this.rollupsPath = path.join(this.usageDir, 'rollups.json');
+    this.maxEntries = options.maxEntries || MAX_ENTRIES;
+    this.entries = [];
+    // `${day}|${provider}|${model}|${source}` -> { timestamp (start of day),
+    //   provider, model, source, requests, inputTokens, outputTokens }
+    this.rollups = new Map();
+    this.rolledUpThrough = 0; // Timestamp of the newest entry folded into rollups
+    this.prices = { ...DEFAULT_PRICES };
+    this.load();
+  }
+
+  /**
+   * Load ledger entries, rollups and price overrides from disk
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.rollupsPath)) {
+        const data = JSON.parse(fs.readFileSync(this.rollupsPath, 'utf-8'));
+        this.rolledUpThrough = data.through || 0;
+        for (const rollup of data.rollups || []) {
+          this.rollups.set(this.getRollupKey(rollup), rollup);
+        }
+      }
+    } catch (e) {
+      console.error('Failed to load usage rollups:', e);
+    }
+
+    try {
+      if (fs.existsSync(this.ledgerPath)) {
+        const lines = fs.readFileSync(this.ledgerPath, 'utf-8').split('\n');
+        this.entries = [];
+        for (const line of lines) {
+          if (!line.trim()) continue;
+          try {
+            const entry = JSON.parse(line);
+            // Already in the rollups if compacting stopped before rewriting the ledger
+            if (entry.timestamp > this.rolledUpThrough) this.entries.push(entry);
+          } catch (e) {
+            // Skip a partially written line
+          }
+        }
+        if (this.entries.length > this.maxEntries * COMPACT_SLACK) this.compact();
+      }
+    } catch (e) {
+      console.error('Failed to load usage ledger:', e);
+    }
+
+    try {
+      if (fs.existsSync(this.pricesPath)) {
+        // A saved table replaces the defaults entirely so removed models stay removed
+        this.prices = JSON.parse(fs.readFileSync(this.pricesPath, 'utf-8'));
+      }
+    } catch (e) {
+      console.error('Failed to load usage prices:', e);
+    }
+  }
+
+  ensureDirectory() {
+    if (!fs.existsSync(this.usageDir)) {
+      fs.mkdirSync(this.usageDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Generate unique ID
+   */
+  generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substring(2, 9);
+  }
+
+  /**
+   * Record one model call
+   * @param {Object} record
+   * @param {string} record.provider - Registered provider name
+   * @param {string} record.model - Model ID
+   * @param {Object} record.usage - Raw or normalized usage object
+   * @param {string} [record.source] - chat, orchestrator, terminal, ...
+   * @param {string} [record.sessionId] - Chat session ID
+   * @param {string} [record.agentId] - Orchestrator agent ID
+   * @returns {Object|null} The stored entry, or null if there was no usage
+   */
+  record({ provider, model, usage, source, sessionId, agentId }) {
+    const normalized = normalizeUsage(usage);
+    if (!normalized) return null;
+
+    const entry = {
+      id: this.generateId(),
+      timestamp: Date.now(),
+      provider,
+      model: model || null,
+      source: source || null,
+      sessionId: sessionId || null,
+      agentId: agentId || null,
+      ...normalized
+    };
+
+    this.entries.push(entry);
+
+    try {
+      this.ensureDirectory();
+      fs.appendFileSync(this.ledgerPath, JSON.stringify(entry) + '\n');
+    } catch (e) {
+      console.error('Failed to write usage ledger:', e);
+    }
+
+    if (this.entries.length > this.maxEntries * COMPACT_SLACK) this.compact();
+    return entry;
+  }
+
+  getRollupKey({ timestamp, provider, model, source }) {
+    return `${dayKey(timestamp)}|${provider}|${model}|${source}`;
+  }
+
+  /**
+   * Fold all but the newest maxEntries entries into daily rollups, save
+   * them, then rewrite the ledger with the entries that are left
+   */
+  compact() {
+    let count = this.entries.length - this.maxEntries;
+    if (count <= 0) return;
+    // Entries are told apart from folded ones by timestamp, so fold ties together
+    while (count < this.entries.length && this.entries[count].timestamp === this.entries[count - 1].timestamp) {
+      count++;
+    }
+
+    const folded = this.entries.splice(0, count);
+    for (const entry of folded) {
+      const key = this.getRollupKey(entry);
+      if (!this.rollups.has(key)) {
+        const start = new Date(entry.timestamp);
+        start.setHours(0, 0, 0, 0);
+        this.rollups.set(key, {
+          timestamp: start.getTime(),
+          provider: entry.provider,
+          model: entry.model,
+          source: entry.source,
+          requests: 0,
+          inputTokens: 0,
+          outputTokens: 0
+        });
+      }
+      const rollup = this.rollups.get(key);
+      rollup.requests++;
+      rollup.inputTokens += entry.inputTokens;
+      rollup.outputTokens += entry.outputTokens;
+    }
+    this.rolledUpThrough = folded[folded.length - 1].timestamp;
+
+    try {
+      this.ensureDirectory();
+      fs.writeFileSync(this.rollupsPath, JSON.stringify({
+        through: this.rolledUpThrough,
+        rollups: Array.from(this.rollups.values())
+      }));
+      const tempPath = `${this.ledgerPath}.tmp`;
+      fs.writeFileSync(tempPath, this.entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+      fs.renameSync(tempPath, this.ledgerPath);
+    } catch (e) {
+      console.error('Failed to compact usage ledger:', e);
+    }
+  }
+
+  /**
+   * Look up the price for a model, falling back to the longest matching prefix
+   * @returns {Object|null} { input, output } per million tokens, or null if unpriced
+   */
+  getPrice(model, provider) {
+    if (FREE_PROVIDERS.includes(provider)) return { input: 0, output: 0 };
+    if (!model) return null;
+    if (this.prices[model]) return this.prices[model];
+
+    let best = null;
+    for (const key of Object.keys(this.prices)) {
+      if (model.startsWith(key) && (!best || key.length > best.length)) {
+        best = key;
+      }
+    }
+    // OpenRouter IDs are namespaced, e.g. "anthropic/claude-3.5-sonnet"
+    if (!best && model.includes('/')) {
+      return this.getPrice(model.split('/').pop().replace(/\./g, '-'), provider);
+    }
+    return best ? this.prices[best] : null;
+  }
+
+  /**
+   * Cost of an entry in USD, or null if the model has no price
+   */
+  getCost(entry) {
+    const price = this.getPrice(entry.model, entry.provider);
+    if (!price) return null;
+    return (entry.inputTokens * price.input + entry.outputTokens * price.output) / 1e6;
+  }
+
+  /**
+   * Aggregate usage
+   * @param {Object} options
+   * @param {string} [options.groupBy] - day, session, provider, model, source or agent
+   * @param {number} [options.since] - Start timestamp (inclusive)
+   * @param {number} [options.until] - End timestamp (exclusive)
+   * @param {string} [options.provider] - Only this provider
+   * @param {string} [options.sessionId] - Only this session
+   * @returns {Object} { totals, groups }. Rolled-up calls count from the start
+   *   of their day, and are left out when filtering by session
+   */
+  query(options = {}) {
+    const { groupBy, since, until, provider, sessionId } = options;
+    if (groupBy && !GROUP_KEYS[groupBy]) {
+      throw new Error(`Invalid groupBy: ${groupBy}`);
+    }
+
+    const emptyTotals = () => ({ requests: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpricedRequests: 0 });
+    // Entries count as one request; rollups carry their own count
+    const add = (totals, entry) => {
+      const cost = this.getCost(entry);
+      const requests = entry.requests ?? 1;
+      totals.requests += requests;
+      totals.inputTokens += entry.inputTokens;
+      totals.outputTokens += entry.outputTokens;
+      if (cost === null) totals.unpricedRequests += requests;
+      else totals.cost += cost;
+    };
+
+    const totals = emptyTotals();
+    const groups = new Map();
+
+    const rollups = sessionId ? [] : this.rollups.values();
+    for (const entry of [...rollups, ...this.entries]) {
+      if (since && entry.timestamp < since) continue;
+      if (until && entry.timestamp >= until) continue;
+      if (provider && entry.provider !== provider) continue;
+      if (sessionId && entry.sessionId !== sessionId) continue;
+
+      add(totals, entry);
+
+      if (groupBy) {
+        const key = GROUP_KEYS[groupBy](entry);
+        if (!groups.has(key)) groups.set(key, { key, ...emptyTotals() });
+        add(groups.get(key), entry);
+      }
+    }
+
+    return {
+      totals,
+      groups: Array.from(groups.values()).sort((a, b) =>
+        groupBy === 'day' ? b.key.localeCompare(a.key) : b.cost - a.cost || b.outputTokens - a.outputTokens
+      )
+    };
+  }
+
+  getPrices() {
+    return { ...this.prices };
+  }
+
+  /**
+   * Replace the price table
+   * @param {Object} prices - { [model]: { input, output } } in USD per million tokens
+   */
+  setPrices(prices) {
+    const sanitized = {};
+    for (const [model, price] of Object.entries(prices || {})) {
+      const input = Number(price?.input);
+      const output = Number(price?.output);
+      if (!model || !Number.isFinite(input) || !Number.isFinite(output) || input < 0 || output < 0) {
+        throw new Error(`Invalid price for ${model || '(empty model)'}`);
+      }
+      sanitized[model] = { input, output };
+    }
+
+    this.prices = sanitized;
+    try {
+      this.ensureDirectory();
+      fs.writeFileSync(this.pricesPath, JSON.stringify(sanitized, null, 2));
+      return true;
+    } catch (e) {
+      console.error('Failed to save usage prices:', e);
+      return false;
+    }
+  }
+
+  /**
+   * Delete all recorded usage
+   */
+  clear() {
+    this.entries = [];
+    this.rollups.clear();
+    this.rolledUpThrough = 0;
+    try {
+      if (fs.existsSync(this.ledgerPath)) fs.unlinkSync(this.ledgerPath);
+      if (fs.existsSync(this.rollupsPath)) fs.unlinkSync(this.rollupsPath);
+      return true;
+    } catch (e) {
+      console.error('Failed to clear usage ledger:', e);
+      return false;
+    }
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getUsageLedger() {
+  if (!instance) {
+    instance = new UsageLedger();
+  }
+  return instance;
+}
+
+module.exports = { UsageLedger, getUsageLedger, normalizeUsage, DEFAULT_PRICES };
@@ -0,0 +1,192 @@
+/**
+ * Discovery - Locate CLIs and inspect PTY processes across platforms
+ *
+ * Apps launched from the Dock or a desktop launcher get a minimal PATH, so
+ * the user's login-shell PATH is read once at startup (without blocking the
+ * main process), cached, and searched together with common install locations.
+ */
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execFile, execFileSync } = require('child_process');
+
+// Login shells that print a banner or hang in rc files shouldn't block startup
+const LOGIN_SHELL_TIMEOUT_MS = 5000;
+const PATH_MARKER = '__DONNA_PATH__';
+
+let cachedSearchPath = null;
+let searchPathPromise = null;
+
+/**
+ * Common install locations that may be missing from the login PATH
+ */
+function getCommonPaths() {
+  return [
+    path.join(os.homedir(), '.local', 'bin'),
+    path.join(os.homedir(), '.npm-global', 'bin'),
+    '/opt/homebrew/bin',
+    '/usr/local/bin',
+    '/usr/bin',
+    '/bin'
+  ];
+}
+
+/**
+ * Shell command printing PATH between markers, which separate it from
+ * anything rc files print. fish expands "$PATH" joined with spaces, so
+ * it joins the list itself.
+ */
+function getPrintPathCommand(shell) {
+  const value = path.basename(shell) === 'fish' ? '(string join : $PATH)' : '"$PATH"';
+  return `printf '${PATH_MARKER}%s${PATH_MARKER}' ${value}`;
+}
+
+/**
+ * Read PATH from the user's login shell
+ * @param {string} shell - Shell to run (defaults to $SHELL)
+ * @returns {Promise<string[]>} Directories, or [] if the shell fails
+ */
+function readLoginShellPath(shell = process.env.SHELL || (process.platform === 'darwin' ? '/bin/zsh' : '/bin/bash')) {
+  if (process.platform === 'win32') return Promise.resolve([]);
+
+  return new Promise((resolve) => {
+    const child = execFile(shell, ['-l', '-c', getPrintPathCommand(shell)], {
+      encoding: 'utf8',
+      timeout: LOGIN_SHELL_TIMEOUT_MS
+    }, (error, stdout) => {
+      if (error) {
+        console.warn('Failed to read login shell PATH:', error.message);
+        resolve([]);
+        return;
+      }
+      const match = stdout.match(new RegExp(`${PATH_MARKER}(.*?)${PATH_MARKER}`, 's'));
+      resolve(match ? match[1].split(path.delimiter).filter(Boolean) : []);
+    });
+    // rc files that read input get EOF instead of waiting for the timeout
+    child.stdin?.end();
+  });
+}
+
+/**
+ * Login-shell PATH, then the app's PATH, then common install locations
+ */
+function buildSearchPath(loginPath) {
+  const appPath = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+  return [...new Set([...loginPath, ...appPath, ...getCommonPaths()])];
+}
+
+/**
+ * Read the login-shell PATH in the background and cache the search PATH.
+ * Called once at startup; later calls share the same read.
+ * @returns {Promise<string[]>}
+ */
+function loadSearchPath() {
+  if (!searchPathPromise) {
+    const promise = readLoginShellPath().then(loginPath => {
+      const searchPath = buildSearchPath(loginPath);
+      // Unless clearDiscoveryCache() ran during the read
+      if (searchPathPromise === promise) cachedSearchPath = searchPath;
+      return searchPath;
+    });
+    searchPathPromise = promise;
+  }
+  return searchPathPromise;
+}
+
+/**
+ * Directories to search for CLIs. Until loadSearchPath() finishes, the
+ * login-shell PATH is left out.
+ * @returns {string[]}
+ */
+function getSearchPath() {
+  return cachedSearchPath || buildSearchPath([]);
+}
+
+/**
+ * Environment for spawned CLIs, with the full search PATH
+ */
+function getSpawnEnv(env = process.env) {
+  return { ...env, PATH: getSearchPath().join(path.delimiter) };
+}
+
+function isExecutable(filePath) {
+  try {
+    if (!fs.statSync(filePath).isFile()) return false;
+    if (process.platform !== 'win32') fs.accessSync(filePath, fs.constants.X_OK);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Find an executable by name (searched on the search PATH) or absolute path
+ * @param {string} name - Command name or absolute path
+ * @param {string[]} searchPath - Directories to search
+ * @returns {string|null} Full path, or null if not found
+ */
+function findExecutable(name, searchPath = getSearchPath()) {
+  if (!name || typeof name !== 'string') return null;
+  if (path.isAbsolute(name)) return isExecutable(name) ? name : null;
+  // SECURITY: Names are looked up, never passed to a shell
+  if (name.includes('/') || name.includes('\\')) return null;
+
+  const extensions = process.platform === 'win32'
+    ? ['', ...(process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';').map(ext => ext.toLowerCase())]
+    : [''];
+
+  for (const dir of searchPath) {
+    for (const ext of extensions) {
+      const candidate = path.join(dir, name + ext);
+      if (isExecutable(candidate)) return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Current working directory of a process, e.g. a PTY's shell
+ * Linux reads /proc/<pid>/cwd; macOS asks lsof.
+ * @returns {string|null}
+ */
+function getProcessCwd(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) return null;
+
+  try {
+    if (process.platform === 'linux') {
+      return fs.readlinkSync(`/proc/${pid}/cwd`);
+    }
+    if (process.platform === 'darwin') {
+      // -Fn prints the name field as a line starting with "n"
+      const output = execFileSync('lsof', ['-a', '-p', String(pid), '-d', 'cwd', '-Fn'], {
+        encoding: 'utf8',
+        timeout: LOGIN_SHELL_TIMEOUT_MS,
+        stdio: ['ignore', 'pipe', 'ignore']
+      });
+      const line = output.split('\n').find(l => l.startsWith('n'));
+      return line ? line.slice(1) : null;
+    }
+  } catch {
+    // Process exited or lsof is unavailable
+  }
+  return null;
+}
+
+/**
+ * Forget the cached search PATH (e.g. after the user installs a CLI);
+ * the next loadSearchPath() reads it again
+ */
+function clearDiscoveryCache() {
+  cachedSearchPath = null;
+  searchPathPromise = null;
+}
+
+module.exports = {
+  readLoginShellPath,
+  loadSearchPath,
+  getSearchPath,
+  getSpawnEnv,
+  findExecutable,
+  getProcessCwd,
+  clearDiscoveryCache
+};
@@ -0,0 +1,89 @@
+/**
+ * Highlight - Syntax highlighting for code shown line by line
+ *
+ * Uses the bundled highlight.js. The package has no browser build and the
+ * renderer is sandboxed, so code is highlighted here and sent as HTML, one
+ * string per line, with spans that cross lines closed and reopened.
+ */
+const path = require('path');
+
+// Larger files are shown escaped but uncolored
+const MAX_HIGHLIGHT_CHARS = 256 * 1024;
+
+const FILENAME_LANGUAGES = {
+  makefile: 'makefile',
+  dockerfile: 'dockerfile',
+  gemfile: 'ruby',
+  rakefile: 'ruby'
+};
+
+let hljs = null;
+
+// Loading every language takes a moment; only do it when first needed
+function getHljs() {
+  if (!hljs) hljs = require('highlight.js');
+  return hljs;
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * highlight.js language for a file, from its name or extension
+ * @returns {string|null}
+ */
+function getLanguage(filePath) {
+  const name = path.basename(String(filePath)).toLowerCase();
+  if (FILENAME_LANGUAGES[name]) return FILENAME_LANGUAGES[name];
+  const ext = path.extname(name).slice(1);
+  return ext && getHljs().getLanguage(ext) ? ext : null;
+}
+
+/**
+ * Split highlighted HTML into lines, each with balanced spans
+ */
+function splitHtmlLines(html) {
+  const lines = [];
+  const open = [];
+  let current = '';
+  for (const token of html.split(/(<span[^>]*>|<\/span>|\n)/)) {
+    if (token === '\n') {
+      lines.push(current + '</span>'.repeat(open.length));
+      current = open.join('');
+    } else if (token.startsWith('<span')) {
+      open.push(token);
+      current += token;
+    } else if (token === '</span>') {
+      open.pop();
+      current += token;
+    } else {
+      current += token;
+    }
+  }
+  lines.push(current + '</span>'.repeat(open.length));
+  return lines;
+}
+
+/**
+ * Highlight code and split it into lines of HTML
+ * @param {string} code
+ * @param {string|null} language - From getLanguage(); null leaves it plain
+ * @returns {string[]} One HTML string per line (no trailing empty line)
+ */
+function highlightLines(code, language) {
+  const text = code.endsWith('\n') ? code.slice(0, -1) : code;
+  if (text === '') return code === '' ? [] : [''];
+
+  let html = null;
+  if (language && text.length <= MAX_HIGHLIGHT_CHARS) {
+    try {
+      html = getHljs().highlight(text, { language, ignoreIllegals: true }).value;
+    } catch {
+      // Fall back to plain text
+    }
+  }
+  return splitHtmlLines(html ?? escapeHtml(text));
+}
+
+module.exports = { getLanguage, highlightLines, splitHtmlLines, escapeHtml };
@@ -4,6 +4,8 @@
  */
 
 const streamManager = require('./streamManager');
+const discovery = require('./discovery');
+const highlight = require('./highlight');
 const {
   ClaudeOutputParser,
   createClaudeParser,
@@ -15,6 +17,8 @@ const {
 
 module.exports = {
   streamManager,
+  discovery,
+  highlight,
   ClaudeOutputParser,
   createClaudeParser,
   ParserState,
@@ -10,10 +10,14 @@ class DonnaApp {
     // V4: Model settings and image generator
     this.modelSettings = null;
     this.imageGenerator = null;
+    // Orchestrator run history browser
+    this.runHistory = null;
     // V5: Power features
     this.commandPalette = null;
     this.workflowManager = null;
     this.terminalSettings = null;
+    this.globalSearch = null;
+    this.sshHostManager = null;
     this.config = null;
     // Agent picker for CLI-based AI sessions
     this.agentPicker = null;
@@ -37,6 +41,9 @@ class DonnaApp {
     this.modelSettings = new ModelSettings();
     await this.modelSettings.init();
 
+    // Initialize run history browser (Cmd+Shift+H)
+    this.runHistory = new RunHistory();
+
     // Initialize image generator (V4)
     this.imageGenerator = window.imageGenerator;
     if (this.imageGenerator) {
@@ -126,23 +133,27 @@ class DonnaApp {
         ...this.config.commandPalette
       });
 
-      // Load workflows into palette
-      const workflows = await window.donnaTerminal?.getWorkflows?.() || [];
-      this.commandPalette.setWorkflows(workflows);
     }
 
     // Workflow Manager (always on)
-    this.workflowManager = new WorkflowManager({
-      workflows: await window.donnaTerminal?.getWorkflows?.() || []
-    });
+    this.workflowManager = new WorkflowManager();
+    await this.refreshWorkflows();
 
     // Terminal Settings
     this.terminalSettings = new TerminalSettings();
 
+    // Search across all sessions' scrollback (from the palette)
+    this.globalSearch = new GlobalSearch();
+
+    // Saved SSH hosts: connect a shell or launch an agent (from the palette)
+    this.sshHostManager = new SshHostManager();
+
     // Make available globally for other components
     window.commandPalette = this.commandPalette;
     window.workflowManager = this.workflowManager;
     window.terminalSettings = this.terminalSettings;
+    window.globalSearch = this.globalSearch;
+    window.sshHostManager = this.sshHostManager;
   }
 
   /**
@@ -167,31 +178,42 @@ class DonnaApp {
     window.addEventListener('workflowCommand', async (e) => {
       const command = e.detail?.command;
       if (!command) return;
-      const { onComplete, onError } = e.detail;
+      const { timeoutMs, onComplete, onError } = e.detail;
       try {
-        await this.executeCommand(command);
-        onComplete?.();
+        const result = await this.executeCommand(command, { timeoutMs });
+        onComplete?.(result);
       } catch (error) {
         onError?.(error);
       }
     });
 
+    // Project workflows depend on the active terminal's directory
+    window.addEventListener('paletteOpened', () => this.refreshWorkflows());
+    window.addEventListener('workflowsChanged', () => this.refreshWorkflows());
+
     // Workflow CRUD events
     window.addEventListener('workflowCreate', async (e) => {
-      const workflow = await window.donnaTerminal?.addWorkflow?.(e.detail);
+      const { onSaved, onError, ...data } = e.detail;
+      const workflow = await window.donnaTerminal?.addWorkflow?.(data);
+      if (workflow?.success === false) {
+        onError?.(workflow.error);
+        return;
+      }
       if (workflow) {
-        const workflows = await window.donnaTerminal?.getWorkflows?.();
-        this.commandPalette?.setWorkflows(workflows);
-        this.workflowManager?.setWorkflows(workflows);
+        await this.refreshWorkflows();
+        onSaved?.(workflow);
       }
     });
 
     window.addEventListener('workflowUpdate', async (e) => {
-      const { id, ...updates } = e.detail;
-      await window.donnaTerminal?.updateWorkflow?.(id, updates);
-      const workflows = await window.donnaTerminal?.getWorkflows?.();
-      this.commandPalette?.setWorkflows(workflows);
-      this.workflowManager?.setWorkflows(workflows);
+      const { id, onSaved, onError, ...updates } = e.detail;
+      const result = await window.donnaTerminal?.updateWorkflow?.(id, updates);
+      if (result?.success === false) {
+        onError?.(result.error);
+        return;
+      }
+      await this.refreshWorkflows();
+      onSaved?.(result);
     });
 
     // Feature toggle events
@@ -223,21 +245,30 @@ class DonnaApp {
     });
   }
 
+  /**
+   * Reload workflows, including project workflows for the active terminal's directory
+   */
+  async refreshWorkflows() {
+    const cwd = this.sessionManager?.getActiveSession()?.terminal?.cwd;
+    const workflows = await window.donnaTerminal?.getWorkflows?.(cwd) || [];
+    this.commandPalette?.setWorkflows(workflows);
+    this.workflowManager?.setWorkflows(workflows);
+  }
+
   /**
    * Execute a command in the active terminal
-   * Returns a promise that resolves after command is sent
+   * Returns a promise that resolves with the command result (see DonnaTerminal.runCommand)
    */
-  executeCommand(command) {
+  executeCommand(command, options = {}) {
     return new Promise((resolve, reject) => {
       const activeSession = this.sessionManager.getActiveSession();
       if (!activeSession?.terminal) {
         reject(new Error('No active terminal'));
         return;
       }
-      // Write command + Enter to terminal
-      activeSession.terminal.write(command + '\r');
-      // Resolve after brief delay (command sent, not necessarily complete)
-      setTimeout(() => resolve(), 100);
+      // Send command + Enter to the shell; resolves with its exit code when
+      // shell integration is active, otherwise once sent
+      activeSession.terminal.runCommand(command, options).then(resolve);
     });
   }
 
@@ -252,15 +283,47 @@ class DonnaApp {
       case 'new-agent':
         this.openAgentPicker();
         break;
+      case 'split-right':
+        this.sessionManager.splitPane('row');
+        break;
+      case 'split-down':
+        this.sessionManager.splitPane('column');
+        break;
+      case 'close-pane':
+        this.sessionManager.closePane();
+        break;
+      case 'broadcast-all':
+        this.sessionManager.toggleBroadcastAll();
+        break;
+      case 'broadcast-session':
+        if (this.sessionManager.activeSessionId) {
+          this.sessionManager.toggleBroadcast(this.sessionManager.activeSessionId);
+        }
+        break;
       case 'clear-terminal':
         const activeSession = this.sessionManager.getActiveSession();
         if (activeSession?.terminal) {
           activeSession.terminal.clear();
         }
         break;
+      case 'search-terminals':
+        this.globalSearch?.open();
+        break;
+      case 'ssh-connect':
+        this.sshHostManager?.open();
+        break;
+      case 'explain-last-error': {
+        const blocks = this.sessionManager.getActiveSession()?.terminal?.commandBlocks;
+        const failed = blocks?.getLastFailedBlock();
+        if (failed) blocks.explainBlock(failed.id);
+        break;
+      }
       case 'settings':
         this.terminalSettings?.toggle();
         break;
+      case 'run-history':
+        this.runHistory?.open();
+        break;
     }
   }
 
@@ -273,8 +336,8 @@ class DonnaApp {
       console.log('[App] Agent selected:', agent, 'workingDir:', workingDir);
       try {
         if (agent.type === 'arena') {
-          // Create duel/arena session
-          await this.sessionManager.createDuelSession(workingDir);
+          // Create arena session with the picked contestants
+          await this.sessionManager.createDuelSession(workingDir, agent.contestants);
         } else {
           // Create regular agent session
           await this.sessionManager.createAgentSession(agent, workingDir);
@@ -369,6 +432,33 @@ class DonnaApp {
         return;
       }
 
+      // Split the pane with a new terminal beside / below: Cmd+D / Cmd+Shift+D
+      // on macOS, Ctrl+Shift+D / Ctrl+Shift+E elsewhere (Ctrl+D ends shell input)
+      const key = e.key.toLowerCase();
+      const splitDirection = isMac
+        ? (e.metaKey && !e.altKey && key === 'd' ? (e.shiftKey ? 'column' : 'row') : null)
+        : (e.ctrlKey && e.shiftKey && !e.altKey ? { d: 'row', e: 'column' }[key] : null);
+      if (splitDirection) {
+        e.preventDefault();
+        this.sessionManager.splitPane(splitDirection);
+        return;
+      }
+
+      // Cmd+Alt+Arrows: Move focus between panes
+      const paneDirections = { ArrowLeft: 'left', ArrowRight: 'right', ArrowUp: 'up', ArrowDown: 'down' };
+      if (cmdOrCtrl && e.altKey && paneDirections[e.key]) {
+        e.preventDefault();
+        this.sessionManager.focusPane(paneDirections[e.key]);
+        return;
+      }
+
+      // Cmd+Shift+B: Broadcast input to every terminal on screen, or stop
+      if (cmdOrCtrl && e.shiftKey && e.code === 'KeyB') {
+        e.preventDefault();
+        this.sessionManager.toggleBroadcastAll();
+        return;
+      }
+
       // Cmd+]: Next session
       if (cmdOrCtrl && e.key === ']') {
         e.preventDefault();
@@ -1,6 +1,7 @@
 /**
  * Donna Desktop - Agent Picker Component
- * Modal for selecting AI personality (Donna, Jarvis, Claude, Gemini)
+ * Modal for selecting AI personality (Donna, Jarvis, Claude, Gemini and
+ * user-defined agents from ~/.donna-desktop/agents)
  * Spawns Claude Code or Gemini CLI with personality prompts
  */
 
@@ -11,12 +12,24 @@ class AgentPicker {
     this.selectedAgent = null;
     this.onSelectCallback = null;
     this.workingDir = null; // Will be set to home directory on open
+
+    // Arena: pick contestants instead of starting a session
+    this.ARENA_MIN_CONTESTANTS = 2;
+    this.ARENA_MAX_CONTESTANTS = 4;
+    this.arenaMode = false;
+    this.arenaPicks = [];
+
     this.init();
   }
 
   init() {
     this.createModal();
     this.setupKeyboardShortcuts();
+
+    // Reload when agent files change while the picker is open
+    window.donnaAgents?.onChanged?.(() => {
+      if (this.modal.classList.contains('active')) this.loadAgents();
+    });
   }
 
   createModal() {
@@ -27,11 +40,12 @@ class AgentPicker {
       <div class="agent-picker-container" role="dialog" aria-modal="true" aria-labelledby="agent-picker-title">
         <div class="agent-picker-header">
           <h2 id="agent-picker-title">Choose Your AI</h2>
-          <p>Select a personality to start a new session</p>
+          <p class="agent-picker-subtitle">Select a personality to start a new session</p>
         </div>
         <div class="agent-picker-grid" id="agent-grid">
           <!-- Agents will be populated here -->
         </div>
+        <div class="agent-picker-load-errors" id="agent-load-errors" style="display: none;"></div>
         <div class="agent-picker-arena" id="arena-section" style="display: none;">
           <div class="arena-divider">
             <span>or</span>
@@ -42,7 +56,7 @@ class AgentPicker {
             </div>
             <div class="arena-info">
               <h3 class="arena-title">Agent Arena</h3>
-              <p class="arena-desc">Race Claude vs Gemini on the same task</p>
+              <p class="arena-desc">Race 2–4 agents on the same task</p>
             </div>
             <span class="arena-badge">YOLO Mode</span>
           </button>
@@ -60,6 +74,7 @@ class AgentPicker {
         </div>
         <div class="agent-picker-footer">
           <button class="agent-picker-cancel">Cancel</button>
+          <button class="agent-picker-start-arena" disabled>Start Arena</button>
         </div>
       </div>
     `;
@@ -67,7 +82,11 @@ class AgentPicker {
 
     // Close on backdrop click
     this.modal.querySelector('.agent-picker-backdrop').addEventListener('click', () => this.close());
-    this.modal.querySelector('.agent-picker-cancel').addEventListener('click', () => this.close());
+    this.modal.querySelector('.agent-picker-cancel').addEventListener('click', () => {
+      if (this.arenaMode) this.exitArenaMode();
+      else this.close();
+    });
+    this.modal.querySelector('.agent-picker-start-arena').addEventListener('click', () => this.startArena());
 
     // Browse button for working directory
     this.modal.querySelector('.workdir-browse').addEventListener('click', () => this.browseWorkingDir());
@@ -77,16 +96,73 @@ class AgentPicker {
   }
 
   /**
-   * Select Arena mode (duel between Claude and Gemini)
+   * Select Arena mode: the agent cards now pick 2–4 contestants
    */
   selectArenaMode() {
-    console.log('[AgentPicker] Arena mode selected, workingDir:', this.workingDir);
+    this.arenaMode = true;
+    this.arenaPicks = [];
+    this.modal.classList.add('arena-mode');
+    this.modal.querySelector('#agent-picker-title').textContent = 'Pick Arena Contestants';
+    this.modal.querySelector('.agent-picker-subtitle').textContent =
+      `Choose ${this.ARENA_MIN_CONTESTANTS}–${this.ARENA_MAX_CONTESTANTS} agents to race on the same task`;
+    this.updateArenaPicks();
+    this.modal.querySelector('.agent-card')?.focus();
+  }
+
+  /**
+   * Back to picking a single agent
+   */
+  exitArenaMode() {
+    this.arenaMode = false;
+    this.arenaPicks = [];
+    this.modal.classList.remove('arena-mode');
+    this.modal.querySelector('#agent-picker-title').textContent = 'Choose Your AI';
+    this.modal.querySelector('.agent-picker-subtitle').textContent = 'Select a personality to start a new session';
+    this.updateArenaPicks();
+  }
+
+  /**
+   * Add or remove an Arena contestant
+   */
+  toggleContestant(agent) {
+    const index = this.arenaPicks.findIndex(a => a.id === agent.id);
+    if (index !== -1) {
+      this.arenaPicks.splice(index, 1);
+    } else if (this.arenaPicks.length < this.ARENA_MAX_CONTESTANTS) {
+      this.arenaPicks.push(agent);
+    }
+    this.updateArenaPicks();
+  }
+
+  /**
+   * Mark picked cards with their order and enable Start once enough are picked
+   */
+  updateArenaPicks() {
+    this.modal.querySelectorAll('.agent-card').forEach((card) => {
+      const pick = this.arenaPicks.findIndex(a => a.id === card.dataset.agentId);
+      card.classList.toggle('arena-picked', pick !== -1);
+      card.setAttribute('aria-pressed', this.arenaMode ? String(pick !== -1) : 'false');
+      const order = card.querySelector('.arena-pick-order');
+      if (order) order.textContent = pick !== -1 ? pick + 1 : '';
+    });
+
+    const startBtn = this.modal.querySelector('.agent-picker-start-arena');
+    startBtn.disabled = this.arenaPicks.length < this.ARENA_MIN_CONTESTANTS;
+    startBtn.textContent = this.arenaPicks.length > 0 ? `Start Arena (${this.arenaPicks.length})` : 'Start Arena';
+  }
+
+  /**
+   * Start the Arena with the picked contestants
+   */
+  startArena() {
+    if (this.arenaPicks.length < this.ARENA_MIN_CONTESTANTS) return;
+    console.log('[AgentPicker] Arena contestants:', this.arenaPicks.map(a => a.id), 'workingDir:', this.workingDir);
     const callback = this.onSelectCallback;
     const workingDir = this.workingDir;
+    const contestants = [...this.arenaPicks];
     this.close();
     if (callback) {
-      // Pass null agent but with arena flag
-      callback({ id: 'arena', type: 'arena' }, workingDir);
+      callback({ id: 'arena', type: 'arena', contestants }, workingDir);
     }
   }
 
@@ -123,11 +199,12 @@ class AgentPicker {
       if (!this.modal.classList.contains('active')) return;
 
       if (e.key === 'Escape') {
-        this.close();
+        if (this.arenaMode) this.exitArenaMode();
+        else this.close();
       } else if (e.key >= '1' && e.key <= '9') {
         const index = parseInt(e.key) - 1;
         if (this.agents[index]) {
-          this.selectAgent(this.agents[index]);
+          this.pickAgent(this.agents[index]);
         }
       }
     });
@@ -138,8 +215,9 @@ class AgentPicker {
       // Get only agents with available CLIs
       this.agents = await window.donnaAgents.available();
       this.renderAgents();
+      this.renderLoadErrors(await window.donnaAgents.getLoadErrors());
 
-      // Check if arena mode is available (both Claude and Gemini installed)
+      // Check if arena mode is available (agents for two CLIs installed)
       const arenaAvailable = await window.donnaAgents.isArenaAvailable();
       const arenaSection = this.modal.querySelector('#arena-section');
       if (arenaAvailable && arenaSection) {
@@ -176,17 +254,20 @@ class AgentPicker {
       return;
     }
 
+    // Custom agents come from user files, so escape everything
     grid.innerHTML = validAgents.map((agent, index) => `
-      <div class="agent-card" data-agent-id="${agent.id}" tabindex="0" role="button" aria-label="${agent.name}: ${agent.description || ''}. Press ${index + 1} or Enter to select.">
-        <div class="agent-icon" style="background: ${agent.color || '#6366f1'}20; color: ${agent.color || '#6366f1'}" aria-hidden="true">
-          ${agent.icon || '?'}
+      <div class="agent-card" data-agent-id="${this.escapeHtml(agent.id)}" tabindex="0" role="button" aria-label="${this.escapeHtml(agent.name)}: ${this.escapeHtml(agent.description || '')}. Press ${index + 1} or Enter to select.">
+        <div class="agent-icon" style="background: ${this.escapeHtml(agent.color || '#6366f1')}20; color: ${this.escapeHtml(agent.color || '#6366f1')}" aria-hidden="true">
+          ${this.escapeHtml(agent.icon || '?')}
         </div>
         <div class="agent-info">
-          <h3 class="agent-name">${agent.name}</h3>
-          <p class="agent-description">${agent.description || ''}</p>
-          <span class="agent-cli">${agent.cli || 'unknown'}</span>
+          <h3 class="agent-name">${this.escapeHtml(agent.name)}</h3>
+          <p class="agent-description">${this.escapeHtml(agent.description || '')}</p>
+          <span class="agent-cli">${this.escapeHtml(agent.cli || 'unknown')}</span>
+          ${agent.custom ? '<span class="agent-custom">custom</span>' : ''}
         </div>
         <span class="agent-shortcut" aria-hidden="true">${index + 1}</span>
+        <span class="arena-pick-order" aria-hidden="true"></span>
       </div>
     `).join('');
 
@@ -195,7 +276,7 @@ class AgentPicker {
       card.addEventListener('click', () => {
         const agentId = card.dataset.agentId;
         const agent = this.agents.find(a => a.id === agentId);
-        if (agent) this.selectAgent(agent);
+        if (agent) this.pickAgent(agent);
       });
 
       card.addEventListener('keydown', (e) => {
@@ -203,10 +284,48 @@ class AgentPicker {
           e.preventDefault();
           const agentId = card.dataset.agentId;
           const agent = this.agents.find(a => a.id === agentId);
-          if (agent) this.selectAgent(agent);
+          if (agent) this.pickAgent(agent);
         }
       });
     });
+
+    // Keep picks across reloads, dropping agents that went away
+    this.arenaPicks = this.arenaPicks.filter(pick => validAgents.some(a => a.id === pick.id));
+    this.updateArenaPicks();
+  }
+
+  /**
+   * A card was chosen: start its session, or toggle it as an Arena contestant
+   */
+  pickAgent(agent) {
+    if (this.arenaMode) this.toggleContestant(agent);
+    else this.selectAgent(agent);
+  }
+
+  /**
+   * Show agent files that were skipped because they failed validation
+   */
+  renderLoadErrors(errors) {
+    const container = this.modal.querySelector('#agent-load-errors');
+    if (!errors || errors.length === 0) {
+      container.style.display = 'none';
+      container.innerHTML = '';
+      return;
+    }
+
+    container.innerHTML = errors.map(({ file, error }) => `
+      <div class="agent-load-error"><code>${this.escapeHtml(file)}</code> ${this.escapeHtml(error)}</div>
+    `).join('');
+    container.style.display = 'block';
+  }
+
+  /**
+   * Escape HTML for safe display
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
   }
 
   renderError(message) {
@@ -259,6 +378,7 @@ class AgentPicker {
 
   close() {
     this.modal.classList.remove('active');
+    if (this.arenaMode) this.exitArenaMode();
     this.onSelectCallback = null;
     // Return focus to the element that opened the modal
     if (this.previouslyFocusedElement) {
@@ -1,6 +1,8 @@
 /**
  * Donna Desktop - AI Command Suggestions
- * Provides intelligent command suggestions as you type
+ * Provides intelligent command suggestions as you type.
+ * Completions from local history (shell history files, command blocks and
+ * accepted suggestions) come first; the AI is only asked when there are none.
  */
 
 class AISuggestionManager {
@@ -20,6 +22,7 @@ class AISuggestionManager {
     this.suggestions = [];
     this.selectedIndex = -1;
     this.debounceTimer = null;
+    this.requestId = 0; // Answers for older input are dropped
     this.suggestionElement = null;
     this.isVisible = false;
 
@@ -58,6 +61,9 @@ class AISuggestionManager {
 
     // Keyboard handling
     this.handleKeydown = this.handleKeydown.bind(this);
+
+    // Accepted suggestions live in localStorage; the local history indexes them too
+    window.donnaTerminal?.addAcceptedSuggestions?.(this.getAcceptedSuggestions());
   }
 
   /**
@@ -129,13 +135,28 @@ class AISuggestionManager {
       clearTimeout(this.debounceTimer);
     }
 
+    const requestId = ++this.requestId;
+
     // Don't suggest for empty or very short input
     if (input.trim().length < 2) {
       this.hide();
       return;
     }
 
-    // Check quick patterns first
+    this.suggestLocally(input, cursorPosition, requestId);
+  }
+
+  /**
+   * Local history, then quick patterns, then (debounced) the AI
+   */
+  async suggestLocally(input, cursorPosition, requestId) {
+    const historySuggestions = await this.fetchHistorySuggestions(input);
+    if (requestId !== this.requestId) return;
+    if (historySuggestions.length > 0) {
+      this.showSuggestions(historySuggestions, cursorPosition);
+      return;
+    }
+
     const quickSuggestions = this.getQuickSuggestions(input);
     if (quickSuggestions.length > 0) {
       this.showSuggestions(quickSuggestions, cursorPosition);
@@ -144,10 +165,25 @@ class AISuggestionManager {
 
     // Debounce AI suggestions
     this.debounceTimer = setTimeout(() => {
-      this.fetchAISuggestions(input, cursorPosition);
+      this.fetchAISuggestions(input, cursorPosition, requestId);
     }, this.options.triggerDelay);
   }
 
+  /**
+   * Completions ranked by frecency, cwd and repo in the main process
+   */
+  async fetchHistorySuggestions(input) {
+    try {
+      const result = await window.donnaTerminal?.getHistorySuggestions?.(
+        input, this.terminal?.cwd, this.options.maxSuggestions
+      );
+      return result?.success ? result.suggestions : [];
+    } catch (error) {
+      console.error('Failed to fetch history suggestions:', error);
+      return [];
+    }
+  }
+
   /**
    * Get quick pattern-based suggestions
    */
@@ -167,7 +203,7 @@ class AISuggestionManager {
   /**
    * Fetch AI-powered suggestions
    */
-  async fetchAISuggestions(input, cursorPosition) {
+  async fetchAISuggestions(input, cursorPosition, requestId) {
     if (!this.enabled) return;
 
     try {
@@ -181,6 +217,7 @@ class AISuggestionManager {
         cwd: this.terminal?.cwd || '~',
         provider: this.options.provider
       });
+      if (requestId !== this.requestId) return;
 
       if (result?.suggestions && result.suggestions.length > 0) {
         this.showSuggestions(result.suggestions.slice(0, this.options.maxSuggestions), cursorPosition);
@@ -323,15 +360,26 @@ class AISuggestionManager {
    * Record accepted suggestion for learning
    */
   recordAcceptedSuggestion(suggestion) {
-    // Could be used to improve future suggestions
-    const history = JSON.parse(localStorage.getItem('acceptedSuggestions') || '[]');
-    history.push({
+    const history = this.getAcceptedSuggestions();
+    const entry = {
       command: suggestion.command,
       timestamp: Date.now(),
-      context: this.currentInput
-    });
+      context: this.currentInput,
+      cwd: this.terminal?.cwd || null
+    };
+    history.push(entry);
     // Keep last 100
     localStorage.setItem('acceptedSuggestions', JSON.stringify(history.slice(-100)));
+    window.donnaTerminal?.addAcceptedSuggestions?.([entry]);
+  }
+
+  getAcceptedSuggestions() {
+    try {
+      const history = JSON.parse(localStorage.getItem('acceptedSuggestions') || '[]');
+      return Array.isArray(history) ? history : [];
+    } catch {
+      return [];
+    }
   }
 
   /**
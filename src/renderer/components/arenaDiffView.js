@@ -0,0 +1,238 @@
+/**
+ * Donna Desktop - Arena Diff View Component
+ * Compares Arena contestants' changes against the base commit, file by file.
+ * "Diff" shows each contestant's hunks side by side; "Full file" shows the
+ * base version next to every contestant's version with changed lines marked.
+ * Lines arrive already highlighted by the main process (highlight.js).
+ */
+
+class ArenaDiffView {
+  /**
+   * @param {HTMLElement} container
+   * @param {Object} options - { arenaId, contestants: [{ index, agent }], onClose }
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.arenaId = options.arenaId;
+    this.contestants = options.contestants || [];
+    this.onClose = options.onClose || null;
+
+    this.mode = 'diff'; // 'diff' or 'full'
+    this.changes = [];
+    this.selectedPath = null;
+    this.file = null;
+    this.element = null;
+  }
+
+  async open() {
+    this.render();
+    const result = await window.donnaArena.getChanges(this.arenaId);
+    // Closed while loading
+    if (!this.element) return;
+    if (!result.success) {
+      this.showMessage(result.error);
+      return;
+    }
+    this.changes = result.contestants;
+    this.renderFileList();
+    const [first] = this.getPaths();
+    if (first) {
+      await this.selectFile(first);
+    } else {
+      this.showMessage('No contestant changed any files.');
+    }
+  }
+
+  render() {
+    this.element = document.createElement('div');
+    this.element.className = 'arena-diff';
+    this.element.innerHTML = `
+      <div class="arena-diff-header">
+        <span class="arena-diff-title">Changes</span>
+        <div class="arena-diff-modes" role="tablist">
+          <button class="arena-diff-mode active" data-mode="diff" role="tab">Diff</button>
+          <button class="arena-diff-mode" data-mode="full" role="tab">Full file</button>
+        </div>
+        <button class="arena-diff-close" title="Back to terminals">
+          <svg width="12" height="12" viewBox="0 0 12 12" fill="none">
+            <path d="M3 3l6 6M9 3l-6 6" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+          </svg>
+        </button>
+      </div>
+      <div class="arena-diff-body">
+        <div class="arena-diff-files"></div>
+        <div class="arena-diff-columns">
+          <p class="arena-diff-message">Loading changes...</p>
+        </div>
+      </div>
+    `;
+    this.container.appendChild(this.element);
+
+    this.element.querySelector('.arena-diff-close').addEventListener('click', () => this.close());
+    this.element.querySelectorAll('.arena-diff-mode').forEach(btn => {
+      btn.addEventListener('click', () => this.setMode(btn.dataset.mode));
+    });
+  }
+
+  /**
+   * Every changed path, across contestants
+   */
+  getPaths() {
+    const paths = new Set();
+    for (const { files } of this.changes) {
+      for (const file of files) paths.add(file.path);
+    }
+    return [...paths].sort();
+  }
+
+  getContestant(index) {
+    return this.contestants.find(c => c.index === index);
+  }
+
+  renderFileList() {
+    const list = this.element.querySelector('.arena-diff-files');
+    list.innerHTML = this.getPaths().map(filePath => {
+      const stats = this.changes.map(({ index, files }) => {
+        const file = files.find(f => f.path === filePath);
+        const color = this.escapeHtml(this.getContestant(index)?.agent.color || '#6366f1');
+        if (!file) return `<span class="arena-diff-stat unchanged" style="border-color: ${color}">–</span>`;
+        const label = file.binary ? 'bin' : file.status === 'D' ? 'del' : `+${file.added} −${file.removed}`;
+        return `<span class="arena-diff-stat" style="border-color: ${color}">${label}</span>`;
+      }).join('');
+      return `
+        <button class="arena-diff-file" data-path="${this.escapeHtml(filePath)}" title="${this.escapeHtml(filePath)}">
+          <span class="arena-diff-file-name">${this.escapeHtml(filePath)}</span>
+          <span class="arena-diff-stats">${stats}</span>
+        </button>
+      `;
+    }).join('');
+
+    list.querySelectorAll('.arena-diff-file').forEach(btn => {
+      btn.addEventListener('click', () => this.selectFile(btn.dataset.path));
+    });
+  }
+
+  async selectFile(filePath) {
+    this.selectedPath = filePath;
+    this.element.querySelectorAll('.arena-diff-file').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.path === filePath);
+    });
+
+    const result = await window.donnaArena.getFile(this.arenaId, filePath);
+    // Another file was picked while this one loaded
+    if (this.selectedPath !== filePath || !this.element) return;
+    if (!result.success) {
+      this.showMessage(result.error);
+      return;
+    }
+    this.file = result;
+    this.renderColumns();
+  }
+
+  setMode(mode) {
+    this.mode = mode;
+    this.element.querySelectorAll('.arena-diff-mode').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.mode === mode);
+    });
+    if (this.file) this.renderColumns();
+  }
+
+  renderColumns() {
+    const columns = this.element.querySelector('.arena-diff-columns');
+    const { base, contestants } = this.file;
+
+    const contestantColumns = contestants.map(version => {
+      const { agent } = this.getContestant(version.index);
+      const body = this.mode === 'diff'
+        ? this.renderHunks(version, base)
+        : this.renderFullFile(version, new Set(version.hunks.flatMap(h => h.lines.filter(l => l.type === 'add').map(l => l.newNo))));
+      return this.renderColumn(agent.name, agent.color, body);
+    });
+
+    const baseColumn = this.mode === 'full' ? [this.renderColumn('Base', null, this.renderFullFile(base, new Set()))] : [];
+    columns.innerHTML = [...baseColumn, ...contestantColumns].join('');
+  }
+
+  renderColumn(title, color, body) {
+    const style = color ? ` style="color: ${this.escapeHtml(color)}"` : '';
+    return `
+      <div class="arena-diff-column">
+        <div class="arena-diff-column-header"${style}>${this.escapeHtml(title)}</div>
+        <div class="arena-diff-code">${body}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Why a version has no lines to show, if it hasn't
+   */
+  describeMissing(version) {
+    if (!version.exists) return 'File does not exist';
+    if (version.binary) return 'Binary file';
+    if (version.tooLarge) return 'File too large to show';
+    return null;
+  }
+
+  renderHunks(version, base) {
+    const changed = this.changes.find(c => c.index === version.index)?.files.find(f => f.path === this.file.path);
+    if (!changed) return '<p class="arena-diff-empty">No changes</p>';
+
+    // Removed lines come from the base version, the rest from this one
+    const lines = version.hunks.flatMap(h => h.lines);
+    const missing = (lines.some(l => l.type !== 'del') && this.describeMissing(version)) ||
+      (lines.some(l => l.type === 'del') && this.describeMissing(base)) ||
+      (lines.length === 0 && (changed.binary ? 'Binary file' : 'No line changes'));
+    if (missing) return `<p class="arena-diff-empty">${missing}</p>`;
+
+    return version.hunks.map(hunk => `
+      <div class="arena-diff-hunk">${this.escapeHtml(hunk.header)}</div>
+      ${hunk.lines.map(line => {
+        const html = line.type === 'del' ? base.lines[line.oldNo - 1] : version.lines[line.newNo - 1];
+        return this.renderLine(line.type, line.type === 'del' ? line.oldNo : line.newNo, html ?? '');
+      }).join('')}
+    `).join('');
+  }
+
+  renderFullFile(version, addedLines) {
+    const missing = this.describeMissing(version);
+    if (missing) return `<p class="arena-diff-empty">${missing}</p>`;
+    return version.lines.map((html, i) => this.renderLine(addedLines.has(i + 1) ? 'add' : 'context', i + 1, html)).join('');
+  }
+
+  /**
+   * One code line; html is highlight.js output, already escaped
+   */
+  renderLine(type, number, html) {
+    const marker = type === 'add' ? '+' : type === 'del' ? '−' : ' ';
+    return `<div class="arena-diff-line ${type}"><span class="arena-diff-num">${number ?? ''}</span><span class="arena-diff-marker">${marker}</span><code class="hljs">${html}</code></div>`;
+  }
+
+  showMessage(message) {
+    this.element.querySelector('.arena-diff-columns').innerHTML =
+      `<p class="arena-diff-message">${this.escapeHtml(message)}</p>`;
+  }
+
+  /**
+   * Escape HTML for safe display
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
+  close() {
+    this.destroy();
+    if (this.onClose) this.onClose();
+  }
+
+  destroy() {
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+    this.element = null;
+  }
+}
+
+// Export
+window.ArenaDiffView = ArenaDiffView;
@@ -1,6 +1,10 @@
 /**
  * Donna Desktop - Command Blocks
- * Groups terminal commands with their output in visual blocks
+ * Groups terminal commands with their output in visual blocks.
+ * With shell integration, blocks come from exact OSC 133 command events
+ * (handleShellEvent) with real exit codes; otherwise prompts are guessed.
+ * Failed blocks offer "Explain & fix": a diagnosis and a fix command from
+ * the AI suggestions provider, shown under the block.
  */
 
 class CommandBlockManager {
@@ -12,6 +16,7 @@ class CommandBlockManager {
       showDuration: true,
       collapseLongOutput: true,
       collapseThreshold: 50,
+      provider: 'claude', // For Explain & fix
       ...options
     };
 
@@ -21,6 +26,8 @@ class CommandBlockManager {
     this.isCapturing = false;
     this.outputBuffer = [];
     this.lastPromptLine = 0;
+    this.shellIntegration = false; // Set by the first shell integration event
+    this.blockCounter = 0;
 
     // Regex patterns for detecting prompts and commands
     this.promptPatterns = [
@@ -64,7 +71,7 @@ class CommandBlockManager {
    * Process incoming terminal data
    */
   processData(data) {
-    if (!this.enabled) return;
+    if (!this.enabled || this.shellIntegration) return;
 
     // Check if this looks like a prompt (command input)
     const lines = data.split('\n');
@@ -98,6 +105,24 @@ class CommandBlockManager {
     }
   }
 
+  /**
+   * Handle a shell integration event (see DonnaTerminal.handleShellEvent)
+   */
+  handleShellEvent(event) {
+    this.shellIntegration = true;
+    if (!this.enabled) return;
+
+    if (event.type === 'commandStart') {
+      this.startBlock(event.command, { cwd: event.cwd, startTime: new Date(event.startedAt) });
+    } else if (event.type === 'commandEnd') {
+      if (!this.currentBlock) {
+        this.startBlock(event.command, { cwd: event.cwd, startTime: new Date(event.startedAt) });
+      }
+      this.outputBuffer = event.output ? event.output.replace(/\n$/, '').split('\n') : [];
+      this.finalizeBlock({ exitCode: event.exitCode, endTime: new Date(event.endedAt) });
+    }
+  }
+
   /**
    * Check if a line looks like a shell prompt
    */
@@ -108,11 +133,12 @@ class CommandBlockManager {
   /**
    * Start a new command block
    */
-  startBlock(command) {
+  startBlock(command, { cwd = null, startTime = new Date() } = {}) {
     this.currentBlock = {
-      id: `block-${Date.now()}`,
+      id: `block-${Date.now()}-${++this.blockCounter}`,
       command: command,
-      startTime: new Date(),
+      cwd,
+      startTime,
       endTime: null,
       output: [],
       exitCode: null,
@@ -124,10 +150,11 @@ class CommandBlockManager {
   /**
    * Finalize the current block
    */
-  finalizeBlock() {
+  finalizeBlock({ exitCode = null, endTime = new Date() } = {}) {
     if (!this.currentBlock) return;
 
-    this.currentBlock.endTime = new Date();
+    this.currentBlock.endTime = endTime;
+    this.currentBlock.exitCode = exitCode;
     this.currentBlock.output = [...this.outputBuffer];
     this.currentBlock.duration = this.currentBlock.endTime - this.currentBlock.startTime;
 
@@ -170,13 +197,21 @@ class CommandBlockManager {
 
     blockEl.innerHTML = `
       <div class="block-header" style="pointer-events: auto;">
-        <div class="block-command">
+        <div class="block-command"${block.cwd ? ` title="${this.escapeHtml(block.cwd)}"` : ''}>
           <span class="block-prompt">$</span>
           <span class="block-cmd-text">${this.escapeHtml(block.command)}</span>
         </div>
         <div class="block-meta">
+          ${block.exitCode !== null ? `
+            <span class="block-exit ${block.exitCode === 0 ? 'success' : 'error'}" title="Exit code ${block.exitCode}">
+              ${block.exitCode === 0 ? '✓' : `✗ ${block.exitCode}`}
+            </span>
+          ` : ''}
           ${this.options.showTimestamps ? `<span class="block-time">${timestamp}</span>` : ''}
           ${this.options.showDuration && duration ? `<span class="block-duration">${duration}</span>` : ''}
+          ${this.isFailed(block) ? `
+            <button class="block-explain" title="Explain the error and suggest a fix">Explain &amp; fix</button>
+          ` : ''}
           <button class="block-copy" title="Copy command">
             <svg width="14" height="14" viewBox="0 0 14 14" fill="none">
               <rect x="4" y="4" width="8" height="8" rx="1" stroke="currentColor" stroke-width="1.5"/>
@@ -211,6 +246,11 @@ class CommandBlockManager {
       this.toggleBlock(block.id);
     });
 
+    const explainBtn = blockEl.querySelector('.block-explain');
+    explainBtn?.addEventListener('click', () => {
+      this.explainBlock(block.id);
+    });
+
     this.blocksContainer?.appendChild(blockEl);
 
     // Emit event for UI updates
@@ -245,6 +285,115 @@ class CommandBlockManager {
     }
   }
 
+  /**
+   * Whether a block ended in failure (unknown exit codes don't count)
+   */
+  isFailed(block) {
+    return block.exitCode !== null && block.exitCode !== 0;
+  }
+
+  /**
+   * Most recent failed block, for the command palette
+   */
+  getLastFailedBlock() {
+    for (let i = this.blocks.length - 1; i >= 0; i--) {
+      if (this.isFailed(this.blocks[i])) return this.blocks[i];
+    }
+    return null;
+  }
+
+  /**
+   * Scroll to the block that started at a time and flash it (global search)
+   * @param {number} startedAt - Start time in ms, as reported by the shell
+   * @returns {boolean} Whether the block is still shown
+   */
+  revealBlock(startedAt) {
+    const block = this.blocks.find(b => b.startTime.getTime() === startedAt);
+    const blockEl = block && document.getElementById(block.id);
+    if (!blockEl) return false;
+
+    blockEl.scrollIntoView({ block: 'nearest' });
+    blockEl.classList.remove('search-hit');
+    // Restart the animation when revealed again
+    void blockEl.offsetWidth;
+    blockEl.classList.add('search-hit');
+    return true;
+  }
+
+  /**
+   * Ask the AI why a block failed and show its diagnosis and fix under it
+   */
+  async explainBlock(blockId) {
+    const block = this.blocks.find(b => b.id === blockId);
+    const blockEl = document.getElementById(blockId);
+    if (!block || !blockEl || block.explaining) return;
+
+    let explanationEl = blockEl.querySelector('.block-explanation');
+    if (!explanationEl) {
+      explanationEl = document.createElement('div');
+      explanationEl.className = 'block-explanation';
+      blockEl.appendChild(explanationEl);
+    }
+    explanationEl.classList.remove('error');
+    explanationEl.innerHTML = '<div class="explanation-status">Looking into the error...</div>';
+    blockEl.scrollIntoView({ block: 'nearest' });
+
+    block.explaining = true;
+    let result;
+    try {
+      result = await window.donnaTerminal.explainError({
+        command: block.command,
+        output: block.output.join('\n'),
+        exitCode: block.exitCode,
+        cwd: block.cwd || this.terminal?.cwd || null,
+        provider: this.options.provider
+      });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    } finally {
+      block.explaining = false;
+    }
+    // Dropped from the list meanwhile
+    if (!explanationEl.isConnected) return;
+
+    if (!result?.success) {
+      explanationEl.classList.add('error');
+      explanationEl.innerHTML = `
+        <div class="explanation-status">${this.escapeHtml(result?.error || 'Could not explain the error')}</div>
+        <button class="explanation-retry">Try again</button>
+      `;
+      explanationEl.querySelector('.explanation-retry').addEventListener('click', () => this.explainBlock(blockId));
+      return;
+    }
+
+    const { diagnosis, fix } = result;
+    explanationEl.innerHTML = `
+      <p class="explanation-diagnosis">${this.escapeHtml(diagnosis)}</p>
+      ${fix ? `
+        <div class="explanation-fix">
+          <code class="explanation-fix-command">${this.escapeHtml(fix.command)}</code>
+          ${fix.risk !== 'read-only' ? `<span class="explanation-risk risk-${this.escapeHtml(fix.risk)}" title="${this.escapeHtml(fix.reasons.join('; '))}">${this.escapeHtml(fix.risk.replace('-', ' '))}</span>` : ''}
+          <button class="explanation-insert" title="Insert at the prompt">Insert</button>
+        </div>
+        ${fix.explanation ? `<p class="explanation-fix-desc">${this.escapeHtml(fix.explanation)}</p>` : ''}
+      ` : '<p class="explanation-fix-desc">No command fixes this on its own.</p>'}
+    `;
+    explanationEl.querySelector('.explanation-insert')?.addEventListener('click', () => this.insertFix(fix));
+  }
+
+  /**
+   * Put a fix at the prompt without running it; destructive ones need a confirmation
+   */
+  insertFix(fix) {
+    if (!this.terminal) return;
+    if (fix.risk === 'destructive' && !confirm(`This fix is destructive${fix.reasons.length ? ` (it ${fix.reasons.join(', ')})` : ''}:\n\n${fix.command}\n\nInsert it anyway?`)) {
+      return;
+    }
+    window.donnaTerminal.write(this.terminal.sessionId, fix.command);
+    this.terminal.currentLine = fix.command;
+    this.terminal.focus();
+  }
+
   /**
    * Remove a block element
    */
@@ -282,7 +431,7 @@ class CommandBlockManager {
   escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;');
   }
 
   /**
@@ -88,6 +88,11 @@ class CommandPalette {
    */
   setWorkflows(workflows) {
     this.workflows = workflows || [];
+    // Refresh results if workflows arrive while open
+    if (this.isOpen) {
+      if (this.query) this.search(this.query);
+      else this.showDefaultResults();
+    }
   }
 
   /**
@@ -118,6 +123,7 @@ class CommandPalette {
 
     // Show default results (recent + workflows)
     this.showDefaultResults();
+    window.dispatchEvent(new CustomEvent('paletteOpened'));
 
     // Animate in
     requestAnimationFrame(() => {
@@ -199,6 +205,7 @@ class CommandPalette {
           label: w.name,
           description: w.description,
           icon: w.icon || 'workflow',
+          badge: w.isProject ? 'project' : null,
           commands: w.commands
         });
       });
@@ -227,6 +234,51 @@ class CommandPalette {
       icon: 'plus',
       shortcut: '⌘T'
     });
+    results.push({
+      type: 'action',
+      id: 'split-right',
+      label: 'Split Right',
+      description: 'Open a new terminal beside the current pane',
+      icon: 'plus',
+      shortcut: '⌘D'
+    });
+    results.push({
+      type: 'action',
+      id: 'split-down',
+      label: 'Split Down',
+      description: 'Open a new terminal below the current pane',
+      icon: 'plus',
+      shortcut: '⌘⇧D'
+    });
+    results.push({
+      type: 'action',
+      id: 'close-pane',
+      label: 'Close Pane',
+      description: 'Close the current pane; its session keeps running',
+      icon: 'clear'
+    });
+    results.push({
+      type: 'action',
+      id: 'ssh-connect',
+      label: 'Connect to SSH Host',
+      description: 'Open a shell or launch an agent on a saved or ~/.ssh/config host',
+      icon: 'terminal'
+    });
+    results.push({
+      type: 'action',
+      id: 'broadcast-all',
+      label: 'Broadcast Input',
+      description: 'Type into every terminal on screen at once, or stop broadcasting',
+      icon: 'terminal',
+      shortcut: '⌘⇧B'
+    });
+    results.push({
+      type: 'action',
+      id: 'broadcast-session',
+      label: 'Toggle Broadcast for Session',
+      description: 'Add the current session to the broadcast group, or take it out',
+      icon: 'terminal'
+    });
     results.push({
       type: 'action',
       id: 'clear-terminal',
@@ -235,6 +287,20 @@ class CommandPalette {
       icon: 'clear',
       shortcut: '⌘K'
     });
+    results.push({
+      type: 'action',
+      id: 'search-terminals',
+      label: 'Search All Terminals',
+      description: 'Search the output and commands of every session, including closed ones',
+      icon: 'search'
+    });
+    results.push({
+      type: 'action',
+      id: 'explain-last-error',
+      label: 'Explain Last Error',
+      description: 'Explain & fix the last failed command in this terminal',
+      icon: 'terminal'
+    });
     results.push({
       type: 'action',
       id: 'settings',
@@ -242,6 +308,14 @@ class CommandPalette {
       description: 'Open terminal settings',
       icon: 'settings'
     });
+    results.push({
+      type: 'action',
+      id: 'run-history',
+      label: 'Run History',
+      description: 'Browse and re-run orchestrator plans',
+      icon: 'workflow',
+      shortcut: '⌘⇧H'
+    });
 
     this.results = results;
     this.renderResults();
@@ -270,6 +344,7 @@ class CommandPalette {
             label: w.name,
             description: w.description,
             icon: w.icon || 'workflow',
+            badge: w.isProject ? 'project' : null,
             commands: w.commands
           });
         });
@@ -327,6 +402,7 @@ class CommandPalette {
               <div class="palette-item-label">${typeof result.label === 'string' ? this.escapeHtml(result.label) : result.label}</div>
               ${result.description ? `<div class="palette-item-desc">${this.escapeHtml(result.description)}</div>` : ''}
             </div>
+            ${result.badge ? `<span class="palette-item-badge">${this.escapeHtml(result.badge)}</span>` : ''}
             ${result.shortcut ? `<div class="palette-item-shortcut">${result.shortcut}</div>` : ''}
           </div>
         `;
@@ -508,6 +584,7 @@ class CommandPalette {
       workflow: '<svg width="16" height="16" viewBox="0 0 16 16" fill="none"><circle cx="4" cy="8" r="2" stroke="currentColor" stroke-width="1.5"/><circle cx="12" cy="4" r="2" stroke="currentColor" stroke-width="1.5"/><circle cx="12" cy="12" r="2" stroke="currentColor" stroke-width="1.5"/><path d="M6 7l4-2M6 9l4 2" stroke="currentColor" stroke-width="1.5"/></svg>',
       git: '<svg width="16" height="16" viewBox="0 0 16 16" fill="none"><circle cx="8" cy="8" r="2" stroke="currentColor" stroke-width="1.5"/><circle cx="4" cy="4" r="2" stroke="currentColor" stroke-width="1.5"/><circle cx="12" cy="12" r="2" stroke="currentColor" stroke-width="1.5"/><path d="M6 6l-0.5-0.5M10 10l0.5 0.5" stroke="currentColor" stroke-width="1.5"/></svg>',
       plus: '<svg width="16" height="16" viewBox="0 0 16 16" fill="none"><path d="M8 3v10M3 8h10" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/></svg>',
+      search: '<svg width="16" height="16" viewBox="0 0 16 16" fill="none"><circle cx="7" cy="7" r="4.5" stroke="currentColor" stroke-width="1.5"/><path d="M10.5 10.5L14 14" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/></svg>',
       clear: '<svg width="16" height="16" viewBox="0 0 16 16" fill="none"><path d="M3 3l10 10M13 3L3 13" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/></svg>',
       settings: '<svg width="16" height="16" viewBox="0 0 16 16" fill="none"><circle cx="8" cy="8" r="2" stroke="currentColor" stroke-width="1.5"/><path d="M8 1v2M8 13v2M1 8h2M13 8h2M2.93 2.93l1.41 1.41M11.66 11.66l1.41 1.41M2.93 13.07l1.41-1.41M11.66 4.34l1.41-1.41" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/></svg>',
       play: '<svg width="16" height="16" viewBox="0 0 16 16" fill="none"><path d="M4 3l9 5-9 5V3z" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/></svg>',
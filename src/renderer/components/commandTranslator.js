@@ -0,0 +1,222 @@
+/**
+ * Donna Desktop - Natural Language Commands
+ * Type "# describe what you want" at a prompt and press Enter: the request
+ * is turned into a command, shown as ghost text at the cursor (via the
+ * inline suggestion renderer) with a card explaining its flags and risk.
+ * Enter runs it, Tab inserts it for editing, Escape dismisses it.
+ * Destructive commands are only sent to the shell after a confirmation.
+ */
+
+class CommandTranslator {
+  constructor(terminal, options = {}) {
+    this.terminal = terminal;
+    this.options = {
+      provider: 'claude',
+      outputLines: 40, // Terminal lines sent as context
+      ...options
+    };
+
+    this.riskLabels = {
+      'read-only': 'Read-only',
+      network: 'Network',
+      'modifies-files': 'Modifies files',
+      destructive: 'Destructive'
+    };
+
+    this.ghost = new window.InlineSuggestionRenderer(terminal);
+    this.cardElement = null;
+    this.translation = null; // { command, explanation, flags, risk, reasons }
+    this.requestId = 0;
+    this.handleKeydown = this.handleKeydown.bind(this);
+  }
+
+  /**
+   * Attach to a terminal body element
+   */
+  attach(terminalBody) {
+    this.ghost.attach(terminalBody);
+
+    this.cardElement = document.createElement('div');
+    this.cardElement.className = 'nl-command-card';
+    this.cardElement.style.display = 'none';
+    terminalBody.appendChild(this.cardElement);
+
+    document.addEventListener('keydown', this.handleKeydown, true);
+  }
+
+  /**
+   * Whether a typed line is a request, e.g. "# list large files"
+   */
+  isRequest(line) {
+    return /^\s*#\s*\S/.test(line);
+  }
+
+  /**
+   * Ask for a command for the request
+   * @param {string} line - The typed line, starting with "#"
+   */
+  async translate(line) {
+    const request = line.trim().replace(/^#\s*/, '');
+    const requestId = ++this.requestId;
+    this.translation = null;
+    this.ghost.hide();
+    this.showCard(`<div class="nl-command-status">Working out a command for “${this.escapeHtml(request)}”...</div>`);
+
+    let result;
+    try {
+      result = await window.donnaTerminal.translateCommand({
+        request,
+        cwd: this.terminal.cwd || null,
+        recentOutput: this.getRecentOutput(),
+        provider: this.options.provider
+      });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+    // Dismissed or asked again meanwhile
+    if (requestId !== this.requestId) return;
+
+    if (!result?.success) {
+      this.showCard(`
+        <div class="nl-command-status error">${this.escapeHtml(result?.error || 'No command found')}</div>
+        <div class="nl-command-keys"><kbd>Esc</kbd> dismiss</div>
+      `);
+      this.bindCardButtons();
+      return;
+    }
+
+    this.translation = result;
+    this.ghost.show(result.command);
+    this.renderTranslation();
+  }
+
+  /**
+   * The last lines of the terminal, for context
+   */
+  getRecentOutput() {
+    const buffer = this.terminal.term?.buffer.active;
+    if (!buffer) return '';
+    const end = buffer.baseY + buffer.cursorY;
+    const lines = [];
+    for (let i = Math.max(0, end - this.options.outputLines); i < end; i++) {
+      lines.push(buffer.getLine(i)?.translateToString(true) ?? '');
+    }
+    return lines.join('\n');
+  }
+
+  renderTranslation() {
+    const { command, explanation, flags, risk, reasons } = this.translation;
+    const destructive = risk === 'destructive';
+
+    this.showCard(`
+      <div class="nl-command-header">
+        <code class="nl-command-text">${this.escapeHtml(command)}</code>
+        <span class="nl-command-risk risk-${this.escapeHtml(risk)}" title="${this.escapeHtml(reasons.join('; '))}">
+          ${this.escapeHtml(this.riskLabels[risk] || risk)}
+        </span>
+      </div>
+      ${explanation ? `<p class="nl-command-explanation">${this.escapeHtml(explanation)}</p>` : ''}
+      ${flags.length > 0 ? `
+        <dl class="nl-command-flags">
+          ${flags.map(({ flag, description }) => `
+            <dt><code>${this.escapeHtml(flag)}</code></dt>
+            <dd>${this.escapeHtml(description)}</dd>
+          `).join('')}
+        </dl>
+      ` : ''}
+      ${destructive && reasons.length > 0 ? `<p class="nl-command-warning">This command ${this.escapeHtml(reasons.join(', '))}.</p>` : ''}
+      <div class="nl-command-keys">
+        <button class="nl-command-btn primary${destructive ? ' danger' : ''}" data-action="run"><kbd>Enter</kbd> ${destructive ? 'Run after confirming' : 'Run'}</button>
+        <button class="nl-command-btn" data-action="insert"><kbd>Tab</kbd> Insert</button>
+        <button class="nl-command-btn" data-action="dismiss"><kbd>Esc</kbd> Dismiss</button>
+      </div>
+    `);
+    this.bindCardButtons();
+  }
+
+  showCard(html) {
+    if (!this.cardElement) return;
+    this.cardElement.innerHTML = html;
+    this.cardElement.style.display = 'block';
+  }
+
+  bindCardButtons() {
+    this.cardElement.querySelectorAll('.nl-command-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const { action } = btn.dataset;
+        if (action === 'dismiss') this.dismiss();
+        else this.accept(action === 'run');
+        this.terminal.focus();
+      });
+    });
+  }
+
+  isVisible() {
+    return this.cardElement?.style.display === 'block';
+  }
+
+  /**
+   * Enter, Tab and Escape act on the card while this terminal has focus
+   */
+  handleKeydown(e) {
+    if (!this.isVisible() || !this.terminal.wrapper?.contains(document.activeElement)) return;
+
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      this.dismiss();
+    } else if (this.translation && (e.key === 'Enter' || e.key === 'Tab')) {
+      e.preventDefault();
+      e.stopPropagation();
+      this.accept(e.key === 'Enter');
+    }
+  }
+
+  /**
+   * Send the command to the shell, running it or leaving it to edit
+   */
+  accept(run) {
+    if (!this.translation) return;
+    const { command, risk, reasons } = this.translation;
+
+    if (risk === 'destructive') {
+      const message = `This command is destructive${reasons.length ? ` (it ${reasons.join(', ')})` : ''}:\n\n${command}\n\n${run ? 'Run' : 'Insert'} it anyway?`;
+      if (!confirm(message)) return;
+    }
+
+    this.dismiss();
+    window.donnaTerminal.write(this.terminal.sessionId, run ? command + '\r' : command);
+    if (!run) this.terminal.currentLine = command;
+  }
+
+  dismiss() {
+    this.requestId++;
+    this.translation = null;
+    this.ghost.hide();
+    if (this.cardElement) {
+      this.cardElement.style.display = 'none';
+      this.cardElement.innerHTML = '';
+    }
+  }
+
+  /**
+   * Escape HTML for safe display
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
+  destroy() {
+    this.dismiss();
+    document.removeEventListener('keydown', this.handleKeydown, true);
+    this.ghost.destroy();
+    this.cardElement?.remove();
+    this.cardElement = null;
+    this.terminal = null;
+  }
+}
+
+// Export for use
+window.CommandTranslator = CommandTranslator;
@@ -1,32 +1,50 @@
 /**
  * Donna Desktop - Duel View Component
- * Split-screen view for running Claude and Gemini in parallel
- * "Agent Arena" - compete two AI agents on the same task
+ * Split-screen view for running 2–4 agents in parallel
+ * "Agent Arena" - compete AI agents on the same task
  */
 
 class DuelView {
+  /**
+   * @param {Object} options - { workingDir, contestants: agents from
+   *   donnaAgents.available() (default Claude vs Gemini) }
+   */
   constructor(sessionId, container, options = {}) {
     this.sessionId = sessionId;
     this.container = container;
     this.options = options;
 
-    // Terminal instances for each agent
-    this.claudeTerminal = null;
-    this.geminiTerminal = null;
+    this.MIN_CONTESTANTS = 2;
+    this.MAX_CONTESTANTS = 4;
+    this.DEFAULT_CONTESTANTS = [
+      { id: 'claude', name: 'Claude Code', icon: 'C', color: '#a78bfa' },
+      { id: 'gemini', name: 'Gemini CLI', icon: 'G', color: '#60a5fa' }
+    ];
 
-    // Session IDs for PTY processes
-    this.claudeSessionId = `${sessionId}-claude`;
-    this.geminiSessionId = `${sessionId}-gemini`;
+    // Working directory
+    this.workingDir = options.workingDir || null;
+
+    // One entry per agent: its terminal, PTY session and progress
+    const agents = options.contestants?.length >= this.MIN_CONTESTANTS
+      ? options.contestants.slice(0, this.MAX_CONTESTANTS)
+      : this.DEFAULT_CONTESTANTS;
+    this.contestants = agents.map((agent, index) => ({
+      index,
+      agent,
+      ptyId: `${sessionId}-${index}`,
+      workingDir: this.workingDir, // Its git worktree once prepared
+      branch: null,
+      terminal: null,
+      fitAddon: null,
+      output: '',
+      complete: false
+    }));
 
     // State tracking
     this.taskSent = false;
-    this.claudeComplete = false;
-    this.geminiComplete = false;
-    this.claudeOutput = '';
-    this.geminiOutput = '';
-
-    // Working directory
-    this.workingDir = options.workingDir || null;
+    this.arena = null; // Worktrees from donnaArena.prepare, until kept or discarded
+    this.summaryRun = 0; // Newer summaries stop older test runs updating the panel
+    this.diffView = null;
 
     // DOM elements
     this.wrapper = null;
@@ -36,16 +54,84 @@ class DuelView {
 
   async init() {
     this.createWrapper();
-    await this.initTerminals();
+    if (await this.prepareWorktrees()) {
+      await this.initTerminals();
+    }
     this.setupEventListeners();
     return this;
   }
 
+  /**
+   * Give each contestant its own git worktree, offering to stash uncommitted
+   * changes first
+   * @returns {Promise<boolean>} false (with the reason shown) if the Arena
+   *   can't start
+   */
+  async prepareWorktrees() {
+    const names = this.contestants.map(c => ({ name: c.agent.name }));
+    let result = await window.donnaArena.prepare(this.sessionId, this.workingDir, names);
+    if (!result.success && result.code === 'DIRTY' &&
+        confirm('The repository has uncommitted changes. Stash them while the Arena runs? They are restored when you keep or discard the results.')) {
+      result = await window.donnaArena.prepare(this.sessionId, this.workingDir, names, { stash: true });
+    }
+
+    if (!result.success) {
+      this.showSetupError(result.code === 'DIRTY'
+        ? 'The repository has uncommitted changes. Commit or stash them to start an Arena.'
+        : result.error);
+      return false;
+    }
+
+    this.arena = result.arena;
+    for (const worktree of result.arena.contestants) {
+      const contestant = this.contestants[worktree.index];
+      contestant.workingDir = worktree.workingDir;
+      contestant.branch = worktree.branch;
+      const branchEl = this.wrapper.querySelector(`.duel-branch[data-index="${worktree.index}"]`);
+      branchEl.textContent = worktree.branch;
+      branchEl.title = worktree.path;
+    }
+    return true;
+  }
+
+  /**
+   * Explain why the Arena didn't start, in place of the terminals
+   */
+  showSetupError(message) {
+    this.wrapper.querySelector('.duel-terminals').innerHTML = `
+      <div class="duel-setup-error">
+        <h3>Arena not started</h3>
+        <p>${this.escapeHtml(message)}</p>
+      </div>
+    `;
+    this.taskInput.disabled = true;
+    this.wrapper.querySelector('.duel-send-btn').disabled = true;
+    this.summaryPanel.querySelector('.duel-summary-content').innerHTML = '';
+  }
+
   createWrapper() {
     this.wrapper = document.createElement('div');
     this.wrapper.className = 'duel-view';
     this.wrapper.id = `duel-${this.sessionId}`;
 
+    const count = this.contestants.length;
+    const panes = this.contestants.map(({ index, agent }) => {
+      const color = this.escapeHtml(agent.color || '#6366f1');
+      return `
+        <div class="duel-pane" data-index="${index}">
+          <div class="duel-pane-header">
+            <span class="duel-agent-badge" style="background: ${color}26; color: ${color}">
+              <span class="agent-icon" style="background: ${color}33">${this.escapeHtml(agent.icon || '?')}</span>
+              <span class="agent-name">${this.escapeHtml(agent.name)}</span>
+            </span>
+            <span class="duel-branch" data-index="${index}"></span>
+            <span class="duel-status" data-index="${index}">Ready</span>
+          </div>
+          <div class="duel-terminal-body"></div>
+        </div>
+      `;
+    }).join('');
+
     this.wrapper.innerHTML = `
       <div class="duel-header">
         <div class="duel-warning">
@@ -53,43 +139,22 @@ class DuelView {
             <path d="M8 1L15 14H1L8 1z" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/>
             <path d="M8 6v4M8 11.5v.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
           </svg>
-          <span>Arena Mode: Both agents run with full permissions. Review changes before accepting.</span>
+          <span>Arena Mode: All ${count} agents run with full permissions, each in its own git worktree. Review changes before keeping them.</span>
         </div>
         <div class="duel-task-bar">
-          <input type="text" class="duel-task-input" placeholder="Enter task for both agents..." />
-          <button class="duel-send-btn" title="Send to Both">
+          <input type="text" class="duel-task-input" placeholder="Enter task for all agents..." />
+          <button class="duel-send-btn" title="Send to All">
             <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
               <path d="M14 8L2 14V2L14 8Z" fill="currentColor"/>
             </svg>
             <span>Race!</span>
           </button>
+          <button class="duel-compare-btn" title="Compare changes and run tests now" style="display: none;">Compare</button>
         </div>
       </div>
 
-      <div class="duel-terminals">
-        <div class="duel-pane duel-claude">
-          <div class="duel-pane-header">
-            <span class="duel-agent-badge claude-badge">
-              <span class="agent-icon">C</span>
-              <span class="agent-name">Claude Code</span>
-            </span>
-            <span class="duel-status" id="claude-status-${this.sessionId}">Ready</span>
-          </div>
-          <div class="duel-terminal-body" id="claude-terminal-${this.sessionId}"></div>
-        </div>
-
-        <div class="duel-divider"></div>
-
-        <div class="duel-pane duel-gemini">
-          <div class="duel-pane-header">
-            <span class="duel-agent-badge gemini-badge">
-              <span class="agent-icon">G</span>
-              <span class="agent-name">Gemini CLI</span>
-            </span>
-            <span class="duel-status" id="gemini-status-${this.sessionId}">Ready</span>
-          </div>
-          <div class="duel-terminal-body" id="gemini-terminal-${this.sessionId}"></div>
-        </div>
+      <div class="duel-terminals contestants-${count}">
+        ${panes}
       </div>
 
       <div class="duel-summary" id="duel-summary-${this.sessionId}">
@@ -105,10 +170,15 @@ class DuelView {
           <p class="duel-summary-waiting">Send a task to begin the race...</p>
         </div>
         <div class="duel-actions" style="display: none;">
-          <button class="duel-action-btn" data-action="keep-claude">Keep Claude's</button>
-          <button class="duel-action-btn" data-action="keep-gemini">Keep Gemini's</button>
+          <select class="duel-keep-strategy" title="How kept changes join your branch">
+            <option value="merge">Merge</option>
+            <option value="cherry-pick">Cherry-pick</option>
+          </select>
+          ${this.contestants.map(({ index, agent }) => `
+            <button class="duel-action-btn" data-action="keep" data-index="${index}">Keep ${this.escapeHtml(agent.name)}'s</button>
+          `).join('')}
           <button class="duel-action-btn secondary" data-action="view-diff">View Diff</button>
-          <button class="duel-action-btn secondary" data-action="discard">Discard Both</button>
+          <button class="duel-action-btn secondary" data-action="discard">Discard All</button>
         </div>
       </div>
     `;
@@ -147,122 +217,93 @@ class DuelView {
       }
     };
 
-    // Initialize Claude terminal
-    const claudeContainer = this.wrapper.querySelector(`#claude-terminal-${this.sessionId}`);
-    this.claudeTerminal = new Terminal({
-      ...terminalConfig,
-      theme: { ...terminalConfig.theme, cursor: '#a78bfa' } // Purple for Claude
-    });
-    this.claudeFitAddon = new FitAddon();
-    this.claudeTerminal.loadAddon(this.claudeFitAddon);
-    this.claudeTerminal.loadAddon(new WebLinksAddon());
-    this.claudeTerminal.open(claudeContainer);
-    this.claudeFitAddon.fit();
-
-    // Initialize Gemini terminal
-    const geminiContainer = this.wrapper.querySelector(`#gemini-terminal-${this.sessionId}`);
-    this.geminiTerminal = new Terminal({
-      ...terminalConfig,
-      theme: { ...terminalConfig.theme, cursor: '#60a5fa' } // Blue for Gemini
-    });
-    this.geminiFitAddon = new FitAddon();
-    this.geminiTerminal.loadAddon(this.geminiFitAddon);
-    this.geminiTerminal.loadAddon(new WebLinksAddon());
-    this.geminiTerminal.open(geminiContainer);
-    this.geminiFitAddon.fit();
+    for (const contestant of this.contestants) {
+      const body = this.wrapper.querySelector(`.duel-pane[data-index="${contestant.index}"] .duel-terminal-body`);
+      // Cursor in the agent's color
+      contestant.terminal = new Terminal({
+        ...terminalConfig,
+        theme: { ...terminalConfig.theme, cursor: contestant.agent.color || terminalConfig.theme.cursor }
+      });
+      contestant.fitAddon = new FitAddon();
+      contestant.terminal.loadAddon(contestant.fitAddon);
+      contestant.terminal.loadAddon(new WebLinksAddon());
+      contestant.terminal.open(body);
+      contestant.fitAddon.fit();
+    }
 
-    // Spawn both PTY processes in YOLO mode
+    // Spawn every agent in YOLO mode
     await this.spawnAgents();
   }
 
   async spawnAgents() {
-    const { cols: claudeCols, rows: claudeRows } = this.claudeTerminal;
-    const { cols: geminiCols, rows: geminiRows } = this.geminiTerminal;
-
-    // Spawn Claude Code in YOLO mode
-    try {
-      const claudeResult = await window.donnaAgents.createSession(
-        this.claudeSessionId,
-        'claude-yolo', // Special agent ID for YOLO mode
-        claudeCols,
-        claudeRows,
-        this.workingDir
-      );
-
-      if (!claudeResult.success) {
-        this.claudeTerminal.write('\x1b[31mFailed to start Claude Code\x1b[0m\r\n');
-        console.error('Claude spawn failed:', claudeResult.error);
-      } else {
-        this.updateStatus('claude', 'Running');
+    for (const contestant of this.contestants) {
+      const { terminal, agent } = contestant;
+      try {
+        const result = await window.donnaAgents.createSession(
+          contestant.ptyId,
+          agent.id,
+          terminal.cols,
+          terminal.rows,
+          contestant.workingDir,
+          { yolo: true, record: false }
+        );
+
+        if (!result.success) {
+          terminal.write(`\x1b[31mFailed to start ${agent.name}\x1b[0m\r\n`);
+          console.error(`${agent.name} spawn failed:`, result.error);
+        } else {
+          this.updateStatus(contestant, 'Running');
+        }
+      } catch (error) {
+        terminal.write(`\x1b[31mError: ${error.message}\x1b[0m\r\n`);
       }
-    } catch (error) {
-      this.claudeTerminal.write(`\x1b[31mError: ${error.message}\x1b[0m\r\n`);
-    }
-
-    // Spawn Gemini CLI in YOLO mode
-    try {
-      const geminiResult = await window.donnaAgents.createSession(
-        this.geminiSessionId,
-        'gemini-yolo', // Special agent ID for YOLO mode
-        geminiCols,
-        geminiRows,
-        this.workingDir
-      );
-
-      if (!geminiResult.success) {
-        this.geminiTerminal.write('\x1b[31mFailed to start Gemini CLI\x1b[0m\r\n');
-        console.error('Gemini spawn failed:', geminiResult.error);
-      } else {
-        this.updateStatus('gemini', 'Running');
-      }
-    } catch (error) {
-      this.geminiTerminal.write(`\x1b[31mError: ${error.message}\x1b[0m\r\n`);
     }
 
     // Setup data listeners
     this.setupDataListeners();
   }
 
+  getContestant(ptyId) {
+    return this.contestants.find(c => c.ptyId === ptyId) || null;
+  }
+
   setupDataListeners() {
-    // Listen for PTY data from both terminals
+    // Listen for PTY data from every terminal
     this.dataCleanup = window.donnaTerminal.onData(({ id, data }) => {
-      if (id === this.claudeSessionId) {
-        this.claudeTerminal.write(data);
-        this.claudeOutput += data;
-      } else if (id === this.geminiSessionId) {
-        this.geminiTerminal.write(data);
-        this.geminiOutput += data;
+      const contestant = this.getContestant(id);
+      if (contestant) {
+        contestant.terminal.write(data);
+        contestant.output += data;
       }
     });
 
     // Listen for exits
     this.exitCleanup = window.donnaTerminal.onExit(({ id, exitCode }) => {
-      if (id === this.claudeSessionId) {
-        this.claudeComplete = true;
-        this.updateStatus('claude', `Done (${exitCode})`);
-        this.checkBothComplete();
-      } else if (id === this.geminiSessionId) {
-        this.geminiComplete = true;
-        this.updateStatus('gemini', `Done (${exitCode})`);
-        this.checkBothComplete();
+      const contestant = this.getContestant(id);
+      // Agents stopped by stopAgents() are already complete
+      if (contestant && !contestant.complete) {
+        contestant.complete = true;
+        this.updateStatus(contestant, `Done (${exitCode})`);
+        this.checkAllComplete();
       }
     });
 
     // Handle terminal input - send to respective PTY
-    this.claudeTerminal.onData((data) => {
-      window.donnaTerminal.write(this.claudeSessionId, data);
-    });
-
-    this.geminiTerminal.onData((data) => {
-      window.donnaTerminal.write(this.geminiSessionId, data);
-    });
+    for (const contestant of this.contestants) {
+      contestant.terminal.onData((data) => {
+        window.donnaTerminal.write(contestant.ptyId, data);
+      });
+    }
   }
 
   setupEventListeners() {
-    // Send task to both agents
+    // Send task to every agent
     const sendBtn = this.wrapper.querySelector('.duel-send-btn');
     sendBtn.addEventListener('click', () => this.sendTask());
 
+    // Compare without waiting for every agent to exit
+    this.wrapper.querySelector('.duel-compare-btn').addEventListener('click', () => this.generateSummary());
+
     this.taskInput.addEventListener('keydown', (e) => {
       if (e.key === 'Enter' && !e.shiftKey) {
         e.preventDefault();
@@ -276,11 +317,17 @@ class DuelView {
       this.summaryPanel.classList.toggle('collapsed');
     });
 
-    // Action buttons
-    this.wrapper.querySelectorAll('.duel-action-btn').forEach(btn => {
-      btn.addEventListener('click', () => {
-        const action = btn.dataset.action;
-        this.handleAction(action);
+    // Action buttons (disabled while one runs)
+    const actionButtons = this.wrapper.querySelectorAll('.duel-action-btn');
+    actionButtons.forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const { action, index } = btn.dataset;
+        actionButtons.forEach(b => { b.disabled = true; });
+        try {
+          await this.handleAction(action, index !== undefined ? this.contestants[Number(index)] : null);
+        } finally {
+          actionButtons.forEach(b => { b.disabled = false; });
+        }
       });
     });
 
@@ -297,19 +344,19 @@ class DuelView {
 
     // Update summary
     const summaryContent = this.summaryPanel.querySelector('.duel-summary-content');
-    summaryContent.innerHTML = `<p class="duel-summary-running">Racing on: "${task}"</p>`;
+    summaryContent.innerHTML = `<p class="duel-summary-running">Racing on: "${this.escapeHtml(task)}"</p>`;
+    this.wrapper.querySelector('.duel-compare-btn').style.display = '';
 
-    // Send to both terminals with newline
+    // Send to every terminal with newline
     const taskWithNewline = task + '\n';
-    window.donnaTerminal.write(this.claudeSessionId, taskWithNewline);
-    window.donnaTerminal.write(this.geminiSessionId, taskWithNewline);
-
-    this.updateStatus('claude', 'Working...');
-    this.updateStatus('gemini', 'Working...');
+    for (const contestant of this.contestants) {
+      window.donnaTerminal.write(contestant.ptyId, taskWithNewline);
+      this.updateStatus(contestant, 'Working...');
+    }
   }
 
-  updateStatus(agent, status) {
-    const statusEl = this.wrapper.querySelector(`#${agent}-status-${this.sessionId}`);
+  updateStatus(contestant, status) {
+    const statusEl = this.wrapper.querySelector(`.duel-status[data-index="${contestant.index}"]`);
     if (statusEl) {
       statusEl.textContent = status;
       statusEl.className = 'duel-status';
@@ -321,89 +368,177 @@ class DuelView {
     }
   }
 
-  checkBothComplete() {
-    if (this.claudeComplete && this.geminiComplete && this.taskSent) {
+  checkAllComplete() {
+    if (this.taskSent && this.contestants.every(c => c.complete)) {
       this.generateSummary();
     }
   }
 
+  /**
+   * Compare contestants by their actual changes, then run the project's
+   * tests in each worktree, one at a time
+   */
   async generateSummary() {
+    if (!this.arena) return;
+    const run = ++this.summaryRun;
     const summaryContent = this.summaryPanel.querySelector('.duel-summary-content');
     const actionsEl = this.wrapper.querySelector('.duel-actions');
 
     summaryContent.innerHTML = `<p class="duel-summary-analyzing">Analyzing results...</p>`;
 
-    // Simple analysis - count lines, look for patterns
-    const claudeLines = this.claudeOutput.split('\n').length;
-    const geminiLines = this.geminiOutput.split('\n').length;
-
-    // Check for file edits (common patterns in CLI output)
-    const claudeEdits = (this.claudeOutput.match(/(?:wrote|created|edited|modified|updated)/gi) || []).length;
-    const geminiEdits = (this.geminiOutput.match(/(?:wrote|created|edited|modified|updated)/gi) || []).length;
-
-    // Check for errors
-    const claudeErrors = (this.claudeOutput.match(/(?:error|failed|exception)/gi) || []).length;
-    const geminiErrors = (this.geminiOutput.match(/(?:error|failed|exception)/gi) || []).length;
+    const result = await window.donnaArena.getChanges(this.sessionId);
+    if (run !== this.summaryRun) return;
+    if (!result.success) {
+      summaryContent.innerHTML = `<p class="duel-action-result error">${this.escapeHtml(result.error)}</p>`;
+      return;
+    }
 
-    // Build summary
-    summaryContent.innerHTML = `
-      <div class="duel-comparison">
-        <div class="duel-agent-summary claude-summary">
-          <h4>Claude Code</h4>
+    const cards = result.contestants.map(({ index, files, added, removed }) => {
+      const { agent } = this.contestants[index];
+      return `
+        <div class="duel-agent-summary">
+          <h4 style="color: ${this.escapeHtml(agent.color || '#6366f1')}">${this.escapeHtml(agent.name)}</h4>
           <ul>
-            <li>${claudeLines} lines of output</li>
-            <li>${claudeEdits} file operations</li>
-            <li>${claudeErrors} errors/warnings</li>
+            <li>${files.length} file${files.length === 1 ? '' : 's'} changed</li>
+            <li><span class="duel-added">+${added}</span> <span class="duel-removed">−${removed}</span> lines</li>
+            <li class="duel-tests" data-index="${index}">Tests: waiting...</li>
           </ul>
         </div>
-        <div class="duel-agent-summary gemini-summary">
-          <h4>Gemini CLI</h4>
-          <ul>
-            <li>${geminiLines} lines of output</li>
-            <li>${geminiEdits} file operations</li>
-            <li>${geminiErrors} errors/warnings</li>
-          </ul>
-        </div>
-      </div>
-      <p class="duel-summary-note">Review both outputs above, then choose an action below.</p>
+      `;
+    }).join('');
+
+    summaryContent.innerHTML = `
+      <div class="duel-comparison">${cards}</div>
+      <p class="duel-summary-note">Review the changes with View Diff, then choose an action below.</p>
     `;
 
     // Show action buttons
     actionsEl.style.display = 'flex';
+
+    for (const contestant of this.contestants) {
+      const testsEl = summaryContent.querySelector(`.duel-tests[data-index="${contestant.index}"]`);
+      testsEl.textContent = 'Tests: running...';
+      const tests = await window.donnaArena.runTests(this.sessionId, contestant.index);
+      // Compared again, or kept/discarded, meanwhile
+      if (run !== this.summaryRun || !this.arena) return;
+      this.showTestResult(testsEl, tests);
+    }
+  }
+
+  showTestResult(testsEl, tests) {
+    testsEl.classList.remove('passed', 'failed');
+    if (!tests.success) {
+      testsEl.textContent = `Tests: ${tests.error}`;
+    } else if (!tests.command) {
+      testsEl.textContent = 'Tests: no test command found';
+    } else {
+      const exit = tests.exitCode === null ? 'timed out' : `exit ${tests.exitCode}`;
+      testsEl.textContent = tests.passed ? `Tests passed (${tests.command})` : `Tests failed (${tests.command}, ${exit})`;
+      testsEl.classList.add(tests.passed ? 'passed' : 'failed');
+      testsEl.title = tests.output;
+    }
+  }
+
+  /**
+   * Show the diff panel in place of the terminals
+   */
+  async openDiff() {
+    if (!this.arena || this.diffView) return;
+    const terminals = this.wrapper.querySelector('.duel-terminals');
+    terminals.style.display = 'none';
+    this.diffView = new window.ArenaDiffView(this.wrapper, {
+      arenaId: this.sessionId,
+      contestants: this.contestants,
+      onClose: () => this.closeDiff()
+    });
+    const opening = this.diffView.open();
+    // Sits where the terminals were, above the summary
+    this.summaryPanel.before(this.diffView.element);
+    await opening;
   }
 
-  handleAction(action) {
+  closeDiff() {
+    this.diffView?.destroy();
+    this.diffView = null;
+    this.wrapper.querySelector('.duel-terminals').style.display = '';
+    this.fit();
+  }
+
+  async handleAction(action, contestant) {
     switch (action) {
-      case 'keep-claude':
-        // TODO: Git operations to keep Claude's changes
-        console.log('Keeping Claude\'s changes');
-        this.showActionResult('Kept Claude\'s changes');
-        break;
-      case 'keep-gemini':
-        // TODO: Git operations to keep Gemini's changes
-        console.log('Keeping Gemini\'s changes');
-        this.showActionResult('Kept Gemini\'s changes');
+      case 'keep': {
+        const strategy = this.wrapper.querySelector('.duel-keep-strategy').value;
+        await this.stopAgents();
+        const result = await window.donnaArena.keep(this.sessionId, contestant.index, strategy);
+        if (!result.success) {
+          this.showActionResult(result.error, true);
+          break;
+        }
+        const verb = strategy === 'merge' ? 'Merged' : 'Cherry-picked';
+        const commits = `${result.commits} commit${result.commits === 1 ? '' : 's'}`;
+        this.finish(`${verb} ${contestant.agent.name}'s changes (${commits}) into ${result.branch || 'HEAD'}`, result);
         break;
+      }
       case 'view-diff':
-        // TODO: Show diff view
-        console.log('View diff');
+        await this.openDiff();
         break;
-      case 'discard':
-        // TODO: Git reset
-        console.log('Discarding both');
-        this.showActionResult('Discarded both - no changes kept');
+      case 'discard': {
+        await this.stopAgents();
+        const result = await window.donnaArena.discard(this.sessionId);
+        if (!result.success) {
+          this.showActionResult(result.error, true);
+          break;
+        }
+        this.finish('Discarded all - no changes kept', result);
         break;
+      }
     }
   }
 
-  showActionResult(message) {
+  /**
+   * Stop every agent before its worktree is merged or removed
+   */
+  async stopAgents() {
+    for (const contestant of this.contestants) {
+      if (contestant.complete) continue;
+      await window.donnaTerminal.destroy(contestant.ptyId);
+      contestant.complete = true;
+      this.updateStatus(contestant, 'Stopped');
+    }
+  }
+
+  /**
+   * The worktrees are gone: report the outcome and retire the actions
+   */
+  finish(message, result) {
+    this.arena = null;
+    this.closeDiff();
+    this.wrapper.querySelector('.duel-compare-btn').style.display = 'none';
+    this.wrapper.querySelector('.duel-actions').style.display = 'none';
+    this.showActionResult(message);
+    if (result.stashRestored === false) {
+      this.showActionResult('Your stashed changes did not apply cleanly and are still in git stash.', true);
+    }
+  }
+
+  showActionResult(message, isError = false) {
     const summaryContent = this.summaryPanel.querySelector('.duel-summary-content');
-    summaryContent.innerHTML += `<p class="duel-action-result">${message}</p>`;
+    summaryContent.innerHTML += `<p class="duel-action-result${isError ? ' error' : ''}">${this.escapeHtml(message)}</p>`;
+  }
+
+  /**
+   * Escape HTML for safe display (custom agents come from user files)
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
   }
 
   fit() {
-    this.claudeFitAddon?.fit();
-    this.geminiFitAddon?.fit();
+    for (const contestant of this.contestants) {
+      contestant.fitAddon?.fit();
+    }
   }
 
   show() {
@@ -422,15 +557,20 @@ class DuelView {
   async destroy() {
     // Clean up listeners
     if (this.dataCleanup) this.dataCleanup();
+    this.diffView?.destroy();
     if (this.exitCleanup) this.exitCleanup();
 
-    // Destroy PTY processes
-    await window.donnaTerminal.destroy({ id: this.claudeSessionId });
-    await window.donnaTerminal.destroy({ id: this.geminiSessionId });
+    for (const contestant of this.contestants) {
+      // Destroy PTY process and dispose terminal
+      await window.donnaTerminal.destroy(contestant.ptyId);
+      contestant.terminal?.dispose();
+    }
 
-    // Dispose terminals
-    this.claudeTerminal?.dispose();
-    this.geminiTerminal?.dispose();
+    // Closing an undecided Arena discards its worktrees
+    if (this.arena) {
+      await window.donnaArena.discard(this.sessionId);
+      this.arena = null;
+    }
 
     // Remove DOM
     if (this.wrapper && this.wrapper.parentNode) {
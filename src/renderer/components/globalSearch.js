@@ -0,0 +1,290 @@
+/**
+ * Donna Desktop - Global Search
+ * Search the output and command blocks of every terminal, including closed
+ * sessions when session restore is on (opened from the command palette).
+ * The index lives in the main process; results are grouped by session.
+ * Choosing a match in an open session switches to it, highlights the block
+ * and scrolls the terminal to the match; matches in closed sessions show
+ * the lines around them instead.
+ */
+
+class GlobalSearch {
+  constructor() {
+    this.isOpen = false;
+    this.query = '';
+    this.regex = false;
+    this.caseSensitive = false;
+    this.groups = [];
+    this.items = []; // Flat list of { group, match } for keyboard navigation
+    this.selectedIndex = 0;
+    this.expandedIndex = -1;
+    this.requestId = 0;
+    this.searchTimer = null;
+
+    this.element = null;
+    this.inputElement = null;
+    this.resultsElement = null;
+    this.statusElement = null;
+
+    this.init();
+  }
+
+  init() {
+    this.element = document.createElement('div');
+    this.element.className = 'global-search';
+    this.element.innerHTML = `
+      <div class="global-search-backdrop"></div>
+      <div class="global-search-container">
+        <div class="global-search-input-wrapper">
+          <svg class="global-search-icon" width="18" height="18" viewBox="0 0 18 18" fill="none">
+            <circle cx="8" cy="8" r="5.5" stroke="currentColor" stroke-width="1.5"/>
+            <path d="M12 12l4 4" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+          </svg>
+          <input type="text" class="global-search-input" placeholder="Search all terminals..." autocomplete="off" spellcheck="false">
+          <button class="global-search-option" data-option="caseSensitive" title="Match case (Alt+C)" aria-pressed="false">Aa</button>
+          <button class="global-search-option" data-option="regex" title="Regular expression (Alt+R)" aria-pressed="false">.*</button>
+        </div>
+        <div class="global-search-status"></div>
+        <div class="global-search-results"></div>
+      </div>
+    `;
+    this.element.style.display = 'none';
+    document.body.appendChild(this.element);
+
+    this.inputElement = this.element.querySelector('.global-search-input');
+    this.resultsElement = this.element.querySelector('.global-search-results');
+    this.statusElement = this.element.querySelector('.global-search-status');
+
+    this.element.querySelector('.global-search-backdrop').addEventListener('click', () => this.close());
+    this.inputElement.addEventListener('input', (e) => {
+      this.query = e.target.value;
+      this.scheduleSearch();
+    });
+    this.inputElement.addEventListener('keydown', (e) => this.handleKeydown(e));
+    this.element.querySelectorAll('.global-search-option').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.toggleOption(btn.dataset.option);
+        this.inputElement.focus();
+      });
+    });
+    this.resultsElement.addEventListener('click', (e) => {
+      const item = e.target.closest('.global-search-match');
+      if (item) this.activate(Number(item.dataset.index));
+    });
+  }
+
+  open() {
+    this.isOpen = true;
+    this.element.style.display = 'flex';
+    this.inputElement.focus();
+    this.inputElement.select();
+    // Sessions have printed more since the last search
+    if (this.query) this.search();
+    requestAnimationFrame(() => this.element.classList.add('open'));
+  }
+
+  close() {
+    this.isOpen = false;
+    this.requestId++;
+    clearTimeout(this.searchTimer);
+    this.element.classList.remove('open');
+    this.element.style.display = 'none';
+  }
+
+  toggle() {
+    if (this.isOpen) this.close();
+    else this.open();
+  }
+
+  toggleOption(option) {
+    this[option] = !this[option];
+    this.element.querySelector(`[data-option="${option}"]`).setAttribute('aria-pressed', String(this[option]));
+    this.search();
+  }
+
+  handleKeydown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this.close();
+    } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (this.items.length === 0) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      this.select((this.selectedIndex + step + this.items.length) % this.items.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (this.items.length > 0) this.activate(this.selectedIndex);
+    } else if (e.altKey && (e.code === 'KeyC' || e.code === 'KeyR')) {
+      e.preventDefault();
+      this.toggleOption(e.code === 'KeyC' ? 'caseSensitive' : 'regex');
+    }
+  }
+
+  scheduleSearch() {
+    clearTimeout(this.searchTimer);
+    this.searchTimer = setTimeout(() => this.search(), 200);
+  }
+
+  async search() {
+    clearTimeout(this.searchTimer);
+    const requestId = ++this.requestId;
+    if (!this.query) {
+      this.showResults([], false);
+      return;
+    }
+
+    let result;
+    try {
+      result = await window.donnaTerminal.search({
+        query: this.query,
+        regex: this.regex,
+        caseSensitive: this.caseSensitive
+      });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+    // Typed on or closed meanwhile
+    if (requestId !== this.requestId) return;
+
+    if (!result?.success) {
+      this.showResults([], false, result?.error || 'Search failed');
+      return;
+    }
+    this.showResults(result.sessions, result.truncated);
+  }
+
+  showResults(groups, truncated, error = null) {
+    this.groups = groups;
+    this.items = [];
+    this.selectedIndex = 0;
+    this.expandedIndex = -1;
+
+    const count = groups.reduce((sum, group) => sum + group.matches.length, 0);
+    this.statusElement.classList.toggle('error', Boolean(error));
+    if (error) {
+      this.statusElement.textContent = error;
+    } else if (!this.query) {
+      this.statusElement.textContent = '';
+    } else if (count === 0) {
+      this.statusElement.textContent = 'No matches';
+    } else {
+      const sessions = `${groups.length} session${groups.length === 1 ? '' : 's'}`;
+      this.statusElement.textContent = `${truncated ? 'First ' : ''}${count} match${count === 1 ? '' : 'es'} in ${sessions}`;
+    }
+
+    this.resultsElement.innerHTML = groups.map(group => `
+      <div class="global-search-group">
+        <div class="global-search-group-header">
+          <span class="global-search-session">${this.escapeHtml(this.getSessionName(group))}</span>
+          ${group.open ? '' : `<span class="global-search-closed">closed ${this.escapeHtml(this.formatTime(group.closedAt))}</span>`}
+          <span class="global-search-count">${group.matches.length}</span>
+        </div>
+        ${group.matches.map(match => this.renderMatch(group, match)).join('')}
+      </div>
+    `).join('');
+
+    if (this.items.length > 0) this.select(0);
+  }
+
+  renderMatch(group, match) {
+    const index = this.items.push({ group, match }) - 1;
+    const highlighted = this.highlight(match.text, match.start, match.end);
+    const inBlock = match.kind === 'output' && match.block
+      ? `<div class="global-search-block">in <code>${this.escapeHtml(match.block.command)}</code></div>`
+      : '';
+    return `
+      <div class="global-search-match ${match.kind}" data-index="${index}">
+        ${match.kind === 'command' ? '<span class="global-search-prompt">$</span>' : ''}
+        <code class="global-search-line">${highlighted}</code>
+        ${inBlock}
+      </div>
+    `;
+  }
+
+  highlight(text, start, end) {
+    return this.escapeHtml(text.slice(0, start)) +
+      `<mark>${this.escapeHtml(text.slice(start, end))}</mark>` +
+      this.escapeHtml(text.slice(end));
+  }
+
+  select(index) {
+    this.selectedIndex = index;
+    this.resultsElement.querySelectorAll('.global-search-match').forEach(item => {
+      item.classList.toggle('selected', Number(item.dataset.index) === index);
+    });
+    this.resultsElement.querySelector('.global-search-match.selected')?.scrollIntoView({ block: 'nearest' });
+  }
+
+  /**
+   * Jump to a match in an open session, or show the lines around a match
+   * in a closed one
+   */
+  async activate(index) {
+    const item = this.items[index];
+    if (!item) return;
+    this.select(index);
+
+    const session = item.group.open ? window.sessionManager?.sessions.get(item.group.sessionId) : null;
+    if (!session?.terminal) {
+      this.togglePreview(index);
+      return;
+    }
+
+    this.close();
+    await window.sessionManager.switchToSession(session.id);
+    session.terminal.revealSearchMatch(item.match);
+  }
+
+  togglePreview(index) {
+    this.resultsElement.querySelector('.global-search-preview')?.remove();
+    if (this.expandedIndex === index) {
+      this.expandedIndex = -1;
+      return;
+    }
+    this.expandedIndex = index;
+
+    const { match } = this.items[index];
+    const itemEl = this.resultsElement.querySelector(`.global-search-match[data-index="${index}"]`);
+    const preview = document.createElement('pre');
+    preview.className = 'global-search-preview';
+    if (match.context) {
+      preview.innerHTML = [
+        ...match.context.before.map(line => this.escapeHtml(line)),
+        `<span class="global-search-preview-line">${this.escapeHtml(match.text)}</span>`,
+        ...match.context.after.map(line => this.escapeHtml(line))
+      ].join('\n');
+    } else {
+      const { cwd, exitCode } = match.block || {};
+      preview.textContent = [
+        cwd ? `in ${cwd}` : null,
+        exitCode !== null && exitCode !== undefined ? `exit code ${exitCode}` : null
+      ].filter(Boolean).join(', ') || 'No output recorded';
+    }
+    itemEl?.after(preview);
+  }
+
+  /**
+   * Name of an open session as it is now, or as it was saved
+   */
+  getSessionName(group) {
+    const session = group.open ? window.sessionManager?.sessions.get(group.sessionId) : null;
+    return session?.name || group.name || (group.type === 'agent' ? 'Agent session' : group.type === 'ssh' ? 'SSH session' : 'Terminal');
+  }
+
+  formatTime(timestamp) {
+    if (!timestamp) return '';
+    const date = new Date(timestamp);
+    return date.toDateString() === new Date().toDateString()
+      ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+      : date.toLocaleDateString();
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
+// Export for use
+window.GlobalSearch = GlobalSearch;
@@ -44,6 +44,18 @@ class ModelSettings {
             </select>
           </div>
 
+          <div class="settings-section">
+            <h3>Fallback</h3>
+            <div class="model-select">
+              <label>Fallback chain (tried in order when the chosen provider fails)</label>
+              <input type="text" id="fallback-chain" placeholder="openai, ollama" autocomplete="off">
+            </div>
+            <div class="model-select">
+              <label>Retries when rate limited or overloaded</label>
+              <input type="number" id="fallback-retries" min="0" max="10" placeholder="2">
+            </div>
+          </div>
+
           <div class="settings-section">
             <h3>Claude (Anthropic)</h3>
             <div class="api-key-input">
@@ -145,6 +157,36 @@ class ModelSettings {
             </div>
             <div class="provider-status" id="openrouter-status"></div>
           </div>
+
+          <div class="settings-section usage-section">
+            <h3>Usage</h3>
+            <div class="usage-controls">
+              <select id="usage-range" class="settings-select">
+                <option value="1">Today</option>
+                <option value="7" selected>Last 7 days</option>
+                <option value="30">Last 30 days</option>
+                <option value="all">All time</option>
+              </select>
+              <select id="usage-group" class="settings-select">
+                <option value="day">By day</option>
+                <option value="provider">By provider</option>
+                <option value="model">By model</option>
+                <option value="session">By chat session</option>
+                <option value="source">By source</option>
+                <option value="agent">By agent</option>
+              </select>
+            </div>
+            <div class="usage-totals" id="usage-totals"></div>
+            <table class="usage-table" id="usage-table"></table>
+            <details class="usage-prices">
+              <summary>Price table (USD per million tokens)</summary>
+              <div class="usage-prices-list" id="usage-prices-list"></div>
+              <div class="usage-prices-actions">
+                <button class="usage-add-price">Add model</button>
+                <button class="usage-save-prices">Save prices</button>
+              </div>
+            </details>
+          </div>
         </div>
         <div class="model-settings-footer">
           <button class="save-btn">Save Settings</button>
@@ -364,6 +406,115 @@ class ModelSettings {
       .save-btn:active {
         transform: translateY(0);
       }
+
+      .usage-controls {
+        display: flex;
+        gap: 8px;
+        margin-bottom: 12px;
+      }
+
+      .usage-totals {
+        font-size: 13px;
+        color: #e4e4e7;
+        margin-bottom: 12px;
+      }
+
+      .usage-totals .usage-cost {
+        font-weight: 600;
+        color: var(--donna-accent, #a78bfa);
+      }
+
+      .usage-totals .usage-unpriced {
+        color: #a1a1aa;
+        font-size: 12px;
+      }
+
+      .usage-table {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: 12px;
+        color: #d4d4d8;
+      }
+
+      .usage-table th,
+      .usage-table td {
+        padding: 6px 8px;
+        text-align: right;
+        border-bottom: 1px solid rgba(255, 255, 255, 0.06);
+      }
+
+      .usage-table th:first-child,
+      .usage-table td:first-child {
+        text-align: left;
+        max-width: 200px;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
+      .usage-table th {
+        color: #a1a1aa;
+        font-weight: 500;
+      }
+
+      .usage-empty {
+        font-size: 12px;
+        color: #71717a;
+      }
+
+      .usage-prices {
+        margin-top: 16px;
+        font-size: 12px;
+        color: #a1a1aa;
+      }
+
+      .usage-prices summary {
+        cursor: pointer;
+        margin-bottom: 8px;
+      }
+
+      .usage-price-row {
+        display: flex;
+        gap: 6px;
+        margin-bottom: 6px;
+      }
+
+      .usage-price-row input {
+        padding: 6px 8px;
+        background: #27272a;
+        border: 1px solid rgba(255, 255, 255, 0.1);
+        border-radius: 6px;
+        color: #fff;
+        font-size: 12px;
+        outline: none;
+      }
+
+      .usage-price-row .price-model {
+        flex: 1;
+      }
+
+      .usage-price-row .price-input,
+      .usage-price-row .price-output {
+        width: 80px;
+      }
+
+      .usage-price-row .price-remove,
+      .usage-prices-actions button {
+        background: #27272a;
+        border: 1px solid rgba(255, 255, 255, 0.1);
+        border-radius: 6px;
+        color: #a1a1aa;
+        cursor: pointer;
+        padding: 6px 10px;
+        font-size: 12px;
+      }
+
+      .usage-prices-actions {
+        display: flex;
+        justify-content: flex-end;
+        gap: 8px;
+        margin-top: 8px;
+      }
     `;
     document.head.appendChild(styles);
   }
@@ -389,6 +540,12 @@ class ModelSettings {
     // Save button
     this.modal.querySelector('.save-btn').addEventListener('click', () => this.save());
 
+    // Usage view
+    document.getElementById('usage-range').addEventListener('change', () => this.loadUsage());
+    document.getElementById('usage-group').addEventListener('change', () => this.loadUsage());
+    this.modal.querySelector('.usage-add-price').addEventListener('click', () => this.addPriceRow('', { input: 0, output: 0 }));
+    this.modal.querySelector('.usage-save-prices').addEventListener('click', () => this.savePrices());
+
     // Escape key to close
     document.addEventListener('keydown', (e) => {
       if (e.key === 'Escape' && this.isOpen) {
@@ -405,6 +562,8 @@ class ModelSettings {
     // Populate form with current values
     this.populateForm();
     this.updateProviderStatuses();
+    this.loadUsage();
+    this.loadPrices();
 
     this.modal.classList.add('open');
     this.isOpen = true;
@@ -424,6 +583,14 @@ class ModelSettings {
       defaultProvider.value = this.config.defaultProvider;
     }
 
+    // Fallback
+    if (models.fallback?.chain) {
+      document.getElementById('fallback-chain').value = models.fallback.chain.join(', ');
+    }
+    if (models.fallback?.maxRetries !== undefined) {
+      document.getElementById('fallback-retries').value = models.fallback.maxRetries;
+    }
+
     // Claude
     if (models.claude?.apiKey) {
       document.getElementById('claude-api-key').value = models.claude.apiKey;
@@ -487,10 +654,131 @@ class ModelSettings {
     }
   }
 
+  /**
+   * Load usage totals for the selected range and grouping
+   */
+  async loadUsage() {
+    const range = document.getElementById('usage-range').value;
+    const groupBy = document.getElementById('usage-group').value;
+
+    let since;
+    if (range !== 'all') {
+      const start = new Date();
+      start.setHours(0, 0, 0, 0);
+      start.setDate(start.getDate() - (parseInt(range, 10) - 1));
+      since = start.getTime();
+    }
+
+    const result = await window.donnaUsage.query({ groupBy, since });
+    if (result.success) {
+      this.renderUsage(result);
+    }
+  }
+
+  renderUsage({ totals, groups }) {
+    const totalsEl = document.getElementById('usage-totals');
+    const tableEl = document.getElementById('usage-table');
+
+    totalsEl.innerHTML = `
+      <span class="usage-cost">${this.formatCost(totals.cost)}</span>
+      &middot; ${this.formatTokens(totals.inputTokens)} in / ${this.formatTokens(totals.outputTokens)} out
+      &middot; ${totals.requests} requests
+      ${totals.unpricedRequests ? `<span class="usage-unpriced">(${totals.unpricedRequests} without a price)</span>` : ''}
+    `;
+
+    if (groups.length === 0) {
+      tableEl.innerHTML = '<tr><td class="usage-empty">No usage recorded for this period</td></tr>';
+      return;
+    }
+
+    tableEl.innerHTML = `
+      <tr><th></th><th>Requests</th><th>Input</th><th>Output</th><th>Cost</th></tr>
+      ${groups.map(group => `
+        <tr>
+          <td title="${this.escapeHtml(group.key)}">${this.escapeHtml(group.key)}</td>
+          <td>${group.requests}</td>
+          <td>${this.formatTokens(group.inputTokens)}</td>
+          <td>${this.formatTokens(group.outputTokens)}</td>
+          <td>${this.formatCost(group.cost)}</td>
+        </tr>
+      `).join('')}
+    `;
+  }
+
+  async loadPrices() {
+    const result = await window.donnaUsage.getPrices();
+    if (!result.success) return;
+
+    document.getElementById('usage-prices-list').innerHTML = '';
+    Object.entries(result.prices).forEach(([model, price]) => this.addPriceRow(model, price));
+  }
+
+  addPriceRow(model, price) {
+    const row = document.createElement('div');
+    row.className = 'usage-price-row';
+    row.innerHTML = `
+      <input type="text" class="price-model" placeholder="model id or prefix" value="${this.escapeHtml(model)}">
+      <input type="number" class="price-input" min="0" step="0.01" title="Input" value="${price.input}">
+      <input type="number" class="price-output" min="0" step="0.01" title="Output" value="${price.output}">
+      <button class="price-remove" title="Remove">&times;</button>
+    `;
+    row.querySelector('.price-remove').addEventListener('click', () => row.remove());
+    document.getElementById('usage-prices-list').appendChild(row);
+  }
+
+  async savePrices() {
+    const prices = {};
+    this.modal.querySelectorAll('.usage-price-row').forEach(row => {
+      const model = row.querySelector('.price-model').value.trim();
+      if (!model) return;
+      prices[model] = {
+        input: parseFloat(row.querySelector('.price-input').value) || 0,
+        output: parseFloat(row.querySelector('.price-output').value) || 0
+      };
+    });
+
+    const result = await window.donnaUsage.setPrices(prices);
+    const button = this.modal.querySelector('.usage-save-prices');
+    const originalText = button.textContent;
+    button.textContent = result.success ? 'Saved!' : (result.error || 'Failed');
+    setTimeout(() => { button.textContent = originalText; }, 1500);
+
+    if (result.success) this.loadUsage();
+  }
+
+  formatTokens(count) {
+    if (count >= 1e6) return `${(count / 1e6).toFixed(1)}M`;
+    if (count >= 1e3) return `${(count / 1e3).toFixed(1)}k`;
+    return String(count);
+  }
+
+  formatCost(cost) {
+    return cost < 0.01 && cost > 0 ? '<$0.01' : `$${cost.toFixed(2)}`;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
   async save() {
+    const fallbackChain = document.getElementById('fallback-chain').value
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+    const fallbackRetries = document.getElementById('fallback-retries').value;
+
+    // Keep config sections this panel doesn't edit (imaging, etc.)
     const newConfig = {
+      ...this.config,
       defaultProvider: document.getElementById('default-provider').value,
       models: {
+        ...this.config.models,
+        fallback: {
+          chain: fallbackChain.length > 0 ? fallbackChain : undefined,
+          maxRetries: fallbackRetries !== '' ? parseInt(fallbackRetries, 10) : undefined
+        },
         claude: {
           apiKey: document.getElementById('claude-api-key').value || undefined,
           model: document.getElementById('claude-model').value
@@ -517,6 +805,7 @@ class ModelSettings {
     // Clean up empty values
     Object.keys(newConfig.models).forEach(key => {
       const model = newConfig.models[key];
+      if (!model || typeof model !== 'object') return;
       Object.keys(model).forEach(k => {
         if (model[k] === undefined || model[k] === '') {
           delete model[k];
@@ -529,6 +818,8 @@ class ModelSettings {
 
     const result = await window.donnaConfig.set(newConfig);
     if (result.success) {
+      this.config = newConfig;
+
       // Refresh providers
       this.providers = await window.donnaModels.listProviders();
       this.updateProviderStatuses();
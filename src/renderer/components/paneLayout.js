@@ -0,0 +1,495 @@
+/**
+ * Donna Desktop - Pane Layout
+ * Tiles sessions in split panes. The layout is a tree: a pane shows one
+ * session (or is empty), a split lays out two or more children in a row or
+ * column with relative sizes. With a single pane, session views stay directly
+ * in the terminal container as before.
+ */
+
+class PaneLayout {
+  /**
+   * @param {HTMLElement} container - The terminal container
+   * @param {Object} options - {
+   *   getSessionElement(sessionId): the session's view element,
+   *   onFocusPane(sessionId): a pane was clicked,
+   *   onDropSession(sessionId, paneId, edge): a session was dropped on a pane,
+   *   onClosePane(paneId): an empty pane's close button was clicked,
+   *   onResize(): pane sizes changed during a drag,
+   *   onChange(): the layout changed }
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.options = options;
+
+    this.paneCounter = 0;
+    this.root = this.createPane(null);
+    this.focusedPaneId = this.root.id;
+    this.rootEl = null;
+
+    // Smallest share of a split a pane can be dragged to
+    this.MIN_PANE_SIZE = 0.1;
+    // Drops this close to a pane's edge split it instead of replacing its session
+    this.DROP_EDGE_FRACTION = 0.25;
+    this.SESSION_DRAG_TYPE = 'application/x-donna-session';
+
+    this.setupEventListeners();
+  }
+
+  createPane(sessionId) {
+    return { type: 'pane', id: `pane-${++this.paneCounter}`, sessionId };
+  }
+
+  // ===== Tree queries =====
+
+  isSplit() {
+    return this.root.type === 'split';
+  }
+
+  getPanes(node = this.root) {
+    if (node.type === 'pane') return [node];
+    return node.children.flatMap(child => this.getPanes(child));
+  }
+
+  findPane(paneId) {
+    return this.getPanes().find(pane => pane.id === paneId) || null;
+  }
+
+  findPaneBySession(sessionId) {
+    return this.getPanes().find(pane => pane.sessionId === sessionId) || null;
+  }
+
+  getFocusedPane() {
+    return this.findPane(this.focusedPaneId) || this.getPanes()[0];
+  }
+
+  /**
+   * Sessions on screen, in pane order
+   */
+  getSessionIds() {
+    return this.getPanes().map(pane => pane.sessionId).filter(Boolean);
+  }
+
+  /**
+   * The split holding a node and the node's index in it
+   */
+  findParent(target, node = this.root) {
+    if (node.type !== 'split') return null;
+    const index = node.children.indexOf(target);
+    if (index !== -1) return { parent: node, index };
+    for (const child of node.children) {
+      const found = this.findParent(target, child);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  replaceNode(target, replacement) {
+    const found = this.findParent(target);
+    if (found) {
+      found.parent.children[found.index] = replacement;
+    } else {
+      this.root = replacement;
+    }
+  }
+
+  // ===== Changes =====
+
+  /**
+   * Show a session: focus its pane if it's on screen, else put it in the
+   * focused pane
+   * @returns {string|null} The session it replaced on screen
+   */
+  assign(sessionId) {
+    const existing = this.findPaneBySession(sessionId);
+    if (existing) {
+      this.setFocusedPane(existing.id);
+      return null;
+    }
+
+    const pane = this.getFocusedPane();
+    const displaced = pane.sessionId;
+    pane.sessionId = sessionId;
+    this.render();
+    return displaced;
+  }
+
+  /**
+   * Split a pane, adding an empty pane after it (or before it)
+   * @param {string} direction - 'row' (side by side) or 'column' (stacked)
+   * @returns {Object} The new pane, which gets the focus
+   */
+  split(direction, paneId = this.focusedPaneId, { before = false, render = true } = {}) {
+    const pane = this.findPane(paneId) || this.getFocusedPane();
+    const newPane = this.createPane(null);
+    const found = this.findParent(pane);
+
+    if (found && found.parent.direction === direction) {
+      // Same direction: share the pane's space with the new pane
+      const { parent, index } = found;
+      const half = parent.sizes[index] / 2;
+      parent.sizes[index] = half;
+      parent.children.splice(before ? index : index + 1, 0, newPane);
+      parent.sizes.splice(before ? index : index + 1, 0, half);
+    } else {
+      this.replaceNode(pane, {
+        type: 'split',
+        direction,
+        sizes: [1, 1],
+        children: before ? [newPane, pane] : [pane, newPane]
+      });
+    }
+
+    this.focusedPaneId = newPane.id;
+    if (render) this.render();
+    return newPane;
+  }
+
+  /**
+   * Close a pane; its neighbour takes its space. The last pane stays, empty.
+   * @returns {string|null} The session that was in it
+   */
+  closePane(paneId, { render = true } = {}) {
+    const pane = this.findPane(paneId);
+    if (!pane) return null;
+    const sessionId = pane.sessionId;
+
+    const found = this.findParent(pane);
+    if (!found) {
+      pane.sessionId = null;
+    } else {
+      const { parent, index } = found;
+      parent.children.splice(index, 1);
+      parent.sizes.splice(index, 1);
+      if (parent.children.length === 1) this.replaceNode(parent, parent.children[0]);
+
+      if (this.focusedPaneId === pane.id) {
+        const neighbour = parent.children[Math.max(0, index - 1)];
+        this.focusedPaneId = this.getPanes(neighbour)[0].id;
+      }
+    }
+
+    if (render) this.render();
+    return sessionId;
+  }
+
+  /**
+   * Take a closed session off screen, closing its pane
+   * @returns {boolean} Whether it was on screen
+   */
+  removeSession(sessionId) {
+    const pane = this.findPaneBySession(sessionId);
+    if (!pane) return false;
+    this.closePane(pane.id);
+    return true;
+  }
+
+  /**
+   * Move a session into a pane, or next to it when dropped on an edge
+   * @param {string|null} edge - 'left', 'right', 'top', 'bottom' or null
+   * @returns {string|null} The session it replaced on screen
+   */
+  moveSession(sessionId, paneId, edge = null) {
+    const target = this.findPane(paneId);
+    if (!target) return null;
+    const source = this.findPaneBySession(sessionId);
+    if (source === target) {
+      this.setFocusedPane(target.id);
+      return null;
+    }
+
+    // Keep the target pane while the source pane's space is given away
+    if (source) this.closePane(source.id, { render: false });
+
+    let displaced = null;
+    if (edge) {
+      const direction = edge === 'left' || edge === 'right' ? 'row' : 'column';
+      const before = edge === 'left' || edge === 'top';
+      this.split(direction, target.id, { before, render: false }).sessionId = sessionId;
+    } else {
+      displaced = target.sessionId;
+      target.sessionId = sessionId;
+      this.focusedPaneId = target.id;
+    }
+
+    this.render();
+    return displaced;
+  }
+
+  setFocusedPane(paneId) {
+    if (!this.findPane(paneId)) return;
+    this.focusedPaneId = paneId;
+    this.rootEl?.querySelectorAll('.pane').forEach((el) => {
+      el.classList.toggle('focused', el.dataset.paneId === paneId);
+    });
+  }
+
+  /**
+   * Focus the nearest pane in a direction
+   * @param {string} direction - 'left', 'right', 'up' or 'down'
+   * @returns {Object|null} The pane now focused, or null if there is none
+   */
+  focusDirection(direction) {
+    if (!this.rootEl) return null;
+    const current = this.rootEl.querySelector(`[data-pane-id="${this.focusedPaneId}"]`);
+    if (!current) return null;
+
+    const from = current.getBoundingClientRect();
+    const fromX = from.left + from.width / 2;
+    const fromY = from.top + from.height / 2;
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const el of this.rootEl.querySelectorAll('.pane')) {
+      if (el === current) continue;
+      const rect = el.getBoundingClientRect();
+      const inDirection = {
+        left: rect.right <= from.left + 1,
+        right: rect.left >= from.right - 1,
+        up: rect.bottom <= from.top + 1,
+        down: rect.top >= from.bottom - 1
+      }[direction];
+      if (!inDirection) continue;
+
+      const distance = Math.hypot(rect.left + rect.width / 2 - fromX, rect.top + rect.height / 2 - fromY);
+      if (distance < bestDistance) {
+        best = el;
+        bestDistance = distance;
+      }
+    }
+
+    if (!best) return null;
+    this.setFocusedPane(best.dataset.paneId);
+    return this.findPane(best.dataset.paneId);
+  }
+
+  // ===== Saving =====
+
+  /**
+   * The layout with session IDs, for saving
+   */
+  serialize(node = this.root) {
+    if (node.type === 'pane') return { sessionId: node.sessionId };
+    return {
+      direction: node.direction,
+      sizes: node.sizes.slice(),
+      children: node.children.map(child => this.serialize(child))
+    };
+  }
+
+  /**
+   * Rebuild a saved layout. Panes whose session wasn't restored are dropped.
+   * @param {Object} saved - As returned by serialize()
+   * @param {Map} idMap - Saved session ID -> current session ID
+   * @param {string} focusSessionId - Session whose pane gets the focus
+   */
+  restore(saved, idMap, focusSessionId = null) {
+    const build = (node) => {
+      if (!node) return null;
+      if (Array.isArray(node.children)) {
+        const children = [];
+        const sizes = [];
+        node.children.forEach((child, i) => {
+          const built = build(child);
+          if (!built) return;
+          children.push(built);
+          sizes.push(node.sizes?.[i] > 0 ? node.sizes[i] : 1);
+        });
+        if (children.length < 2) return children[0] || null;
+        return { type: 'split', direction: node.direction === 'column' ? 'column' : 'row', sizes, children };
+      }
+      return idMap.has(node.sessionId) ? this.createPane(idMap.get(node.sessionId)) : null;
+    };
+
+    const root = build(saved);
+    if (!root || root.type !== 'split') return;
+
+    this.root = root;
+    const focused = this.findPaneBySession(focusSessionId) || this.getPanes()[0];
+    this.focusedPaneId = focused.id;
+    this.render();
+  }
+
+  // ===== Rendering =====
+
+  render() {
+    // Session views go back to the container while panes are rebuilt
+    if (this.rootEl) {
+      for (const el of Array.from(this.rootEl.querySelectorAll('.pane-body > *'))) {
+        this.container.appendChild(el);
+      }
+      this.rootEl.remove();
+      this.rootEl = null;
+    }
+
+    this.container.classList.toggle('split-layout', this.isSplit());
+    if (this.isSplit()) {
+      this.rootEl = this.renderNode(this.root);
+      this.rootEl.classList.add('pane-root');
+      this.container.appendChild(this.rootEl);
+    }
+    this.options.onChange?.();
+  }
+
+  renderNode(node) {
+    if (node.type === 'pane') return this.renderPane(node);
+
+    const el = document.createElement('div');
+    el.className = `pane-split pane-split-${node.direction}`;
+    node.children.forEach((child, index) => {
+      if (index > 0) el.appendChild(this.createDivider(node, index - 1, el));
+      const childEl = this.renderNode(child);
+      childEl.style.flex = `${node.sizes[index]} 1 0`;
+      el.appendChild(childEl);
+    });
+    return el;
+  }
+
+  renderPane(pane) {
+    const el = document.createElement('div');
+    el.className = 'pane';
+    el.dataset.paneId = pane.id;
+    el.classList.toggle('focused', pane.id === this.focusedPaneId);
+
+    const body = document.createElement('div');
+    body.className = 'pane-body';
+    const sessionEl = pane.sessionId ? this.options.getSessionElement?.(pane.sessionId) : null;
+    if (sessionEl) {
+      body.appendChild(sessionEl);
+    } else {
+      el.classList.add('empty');
+      el.insertAdjacentHTML('beforeend', `
+        <div class="pane-empty">
+          <p>Pick a session in the sidebar or drag one here</p>
+          <button class="pane-empty-close" title="Close pane">Close pane</button>
+        </div>
+      `);
+      el.querySelector('.pane-empty-close').addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.options.onClosePane?.(pane.id);
+      });
+    }
+    el.prepend(body);
+    return el;
+  }
+
+  /**
+   * Divider between two children of a split; dragging it moves their border
+   */
+  createDivider(node, index, splitEl) {
+    const divider = document.createElement('div');
+    divider.className = 'pane-divider';
+    divider.setAttribute('role', 'separator');
+    divider.setAttribute('aria-orientation', node.direction === 'row' ? 'vertical' : 'horizontal');
+
+    divider.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      const horizontal = node.direction === 'row';
+      const rect = splitEl.getBoundingClientRect();
+      const length = horizontal ? rect.width : rect.height;
+      const total = node.sizes.reduce((sum, size) => sum + size, 0);
+      const pair = node.sizes[index] + node.sizes[index + 1];
+      const startPos = horizontal ? e.clientX : e.clientY;
+      const startSize = node.sizes[index];
+      const minSize = total * this.MIN_PANE_SIZE;
+      const [beforeEl, afterEl] = [divider.previousElementSibling, divider.nextElementSibling];
+      let frame = null;
+
+      document.body.classList.add(horizontal ? 'pane-resizing-row' : 'pane-resizing-column');
+
+      const onMove = (moveEvent) => {
+        const delta = ((horizontal ? moveEvent.clientX : moveEvent.clientY) - startPos) / length * total;
+        const size = Math.min(Math.max(startSize + delta, minSize), pair - minSize);
+        node.sizes[index] = size;
+        node.sizes[index + 1] = pair - size;
+        beforeEl.style.flex = `${size} 1 0`;
+        afterEl.style.flex = `${pair - size} 1 0`;
+        if (!frame) {
+          frame = requestAnimationFrame(() => {
+            frame = null;
+            this.options.onResize?.();
+          });
+        }
+      };
+
+      const onUp = () => {
+        document.removeEventListener('mousemove', onMove);
+        document.removeEventListener('mouseup', onUp);
+        document.body.classList.remove('pane-resizing-row', 'pane-resizing-column');
+        this.options.onChange?.();
+      };
+
+      document.addEventListener('mousemove', onMove);
+      document.addEventListener('mouseup', onUp);
+    });
+
+    return divider;
+  }
+
+  // ===== Pointer and drag and drop =====
+
+  setupEventListeners() {
+    // Clicking into a pane focuses it
+    this.container.addEventListener('mousedown', (e) => {
+      const paneEl = e.target.closest('.pane');
+      if (!paneEl || paneEl.dataset.paneId === this.focusedPaneId) return;
+      this.setFocusedPane(paneEl.dataset.paneId);
+      const pane = this.findPane(paneEl.dataset.paneId);
+      if (pane?.sessionId) this.options.onFocusPane?.(pane.sessionId);
+    }, true);
+
+    this.container.addEventListener('dragover', (e) => {
+      if (!e.dataTransfer.types.includes(this.SESSION_DRAG_TYPE)) return;
+      const target = this.getDropTarget(e);
+      if (!target) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      this.showDropIndicator(target);
+    });
+
+    this.container.addEventListener('dragleave', (e) => {
+      if (!this.container.contains(e.relatedTarget)) this.showDropIndicator(null);
+    });
+
+    this.container.addEventListener('drop', (e) => {
+      const sessionId = e.dataTransfer.getData(this.SESSION_DRAG_TYPE);
+      const target = this.getDropTarget(e);
+      this.showDropIndicator(null);
+      if (!sessionId || !target) return;
+      e.preventDefault();
+      this.options.onDropSession?.(sessionId, target.paneId, target.edge);
+    });
+  }
+
+  /**
+   * Pane under the pointer and the edge the drop would split, if any
+   * @returns {Object|null} { paneId, edge, el }
+   */
+  getDropTarget(e) {
+    const el = this.isSplit() ? e.target.closest('.pane') : this.container;
+    if (!el) return null;
+
+    const rect = el.getBoundingClientRect();
+    const x = (e.clientX - rect.left) / rect.width;
+    const y = (e.clientY - rect.top) / rect.height;
+    const edges = [['left', x], ['right', 1 - x], ['top', y], ['bottom', 1 - y]]
+      .filter(([, distance]) => distance < this.DROP_EDGE_FRACTION)
+      .sort((a, b) => a[1] - b[1]);
+    const edge = edges.length ? edges[0][0] : null;
+
+    // Dropping onto the middle of the only pane changes nothing useful
+    if (!this.isSplit() && !edge) return null;
+    const paneId = this.isSplit() ? el.dataset.paneId : this.root.id;
+    return { paneId, edge, el };
+  }
+
+  showDropIndicator(target) {
+    this.container.querySelectorAll('.pane-drop-indicator').forEach(el => el.remove());
+    if (!target) return;
+    const indicator = document.createElement('div');
+    indicator.className = `pane-drop-indicator ${target.edge || 'center'}`;
+    target.el.appendChild(indicator);
+  }
+}
+
+// Export for use in other modules
+window.PaneLayout = PaneLayout;
@@ -0,0 +1,613 @@
+/**
+ * Donna Desktop - Run History Component
+ * Browse persisted orchestrator plan runs, re-run failed steps,
+ * or edit a plan and run it again
+ */
+
+class RunHistory {
+  constructor() {
+    this.isOpen = false;
+    this.runs = [];
+    this.selectedRun = null;
+    this.editing = false;
+    this.modal = null;
+    this.refreshTimeout = null;
+    // Select the next run that re-runs this ID as soon as it starts
+    this.awaitingRerunOf = null;
+
+    this.init();
+  }
+
+  init() {
+    this.createModal();
+    this.addStyles();
+    this.bindEvents();
+  }
+
+  createModal() {
+    this.modal = document.createElement('div');
+    this.modal.className = 'run-history-modal';
+    this.modal.innerHTML = `
+      <div class="run-history-overlay"></div>
+      <div class="run-history-panel">
+        <div class="run-history-header">
+          <h2>Run History</h2>
+          <button class="close-btn" title="Close (Esc)">
+            <svg width="20" height="20" viewBox="0 0 20 20" fill="none">
+              <path d="M5 5l10 10M15 5L5 15" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+            </svg>
+          </button>
+        </div>
+        <div class="run-history-body">
+          <div class="run-list"></div>
+          <div class="run-detail">
+            <div class="run-empty">Select a run to see its plan and results</div>
+          </div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(this.modal);
+  }
+
+  bindEvents() {
+    this.modal.querySelector('.close-btn').addEventListener('click', () => this.close());
+    this.modal.querySelector('.run-history-overlay').addEventListener('click', () => this.close());
+
+    this.modal.querySelector('.run-list').addEventListener('click', (e) => {
+      const item = e.target.closest('.run-item');
+      if (item) this.selectRun(item.dataset.runId);
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen) {
+        this.close();
+      }
+      // Cmd+Shift+H: Toggle run history
+      if ((e.metaKey || e.ctrlKey) && e.shiftKey && e.code === 'KeyH') {
+        e.preventDefault();
+        this.toggle();
+      }
+    });
+
+    window.donnaOrchestrator?.onRunUpdate(({ event, run }) => this.handleRunUpdate(event, run));
+  }
+
+  async open() {
+    this.modal.classList.add('open');
+    this.isOpen = true;
+    await this.loadRuns();
+  }
+
+  close() {
+    this.modal.classList.remove('open');
+    this.isOpen = false;
+    this.editing = false;
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  async loadRuns() {
+    const result = await window.donnaOrchestrator.listRuns();
+    this.runs = result.success ? result.runs : [];
+    this.renderList();
+  }
+
+  async selectRun(runId) {
+    const result = await window.donnaOrchestrator.getRun(runId);
+    if (!result.success) return;
+
+    this.selectedRun = result.run;
+    this.editing = false;
+    this.renderList();
+    this.renderDetail();
+  }
+
+  /**
+   * Keep the list and the open run current while runs execute
+   */
+  handleRunUpdate(event, run) {
+    if (!this.isOpen) return;
+
+    if (event === 'runStarted' && this.awaitingRerunOf && run.rerunOf === this.awaitingRerunOf) {
+      this.awaitingRerunOf = null;
+      this.selectedRun = run;
+      this.editing = false;
+    } else if (this.selectedRun?.id === run.id) {
+      this.selectedRun = run;
+    }
+
+    if (this.selectedRun?.id === run.id && !this.editing) {
+      this.renderDetail();
+    }
+
+    // Progress events arrive for every finished step; refresh the list at most once a second
+    clearTimeout(this.refreshTimeout);
+    this.refreshTimeout = setTimeout(() => this.loadRuns(), event === 'runProgress' ? 1000 : 0);
+  }
+
+  renderList() {
+    const listEl = this.modal.querySelector('.run-list');
+
+    if (this.runs.length === 0) {
+      listEl.innerHTML = '<div class="run-empty">No runs yet</div>';
+      return;
+    }
+
+    listEl.innerHTML = this.runs.map(run => `
+      <div class="run-item ${run.id === this.selectedRun?.id ? 'selected' : ''}" data-run-id="${run.id}">
+        <div class="run-item-title">${this.escapeHtml(run.description || 'Untitled plan')}</div>
+        <div class="run-item-meta">
+          <span class="run-status ${run.status}">${run.status}</span>
+          <span>${run.nodeCount} steps${run.failedCount && run.status !== 'running' ? `, ${run.failedCount} not completed` : ''}</span>
+          <span>${this.formatDate(run.startedAt)}</span>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  renderDetail() {
+    const run = this.selectedRun;
+    const detailEl = this.modal.querySelector('.run-detail');
+    if (!run) return;
+
+    if (this.editing) {
+      this.renderEditor(detailEl, run);
+      return;
+    }
+
+    const canRerun = run.status === 'failed' || run.status === 'interrupted';
+    const finished = run.status !== 'running';
+
+    detailEl.innerHTML = `
+      <div class="run-detail-header">
+        <div>
+          <h3>${this.escapeHtml(run.description || 'Untitled plan')}</h3>
+          <div class="run-item-meta">
+            <span class="run-status ${run.status}">${run.status}</span>
+            <span>${this.formatDate(run.startedAt)}</span>
+            ${run.durationMs !== null ? `<span>${this.formatDuration(run.durationMs)}</span>` : ''}
+            ${run.rerunOf ? `<span>re-run of <a href="#" class="run-link" data-run-id="${run.rerunOf}">${run.rerunOf}</a></span>` : ''}
+          </div>
+        </div>
+        <div class="run-actions">
+          ${canRerun ? '<button class="run-btn run-btn-primary" data-action="rerun-failed">Re-run failed</button>' : ''}
+          ${finished ? '<button class="run-btn" data-action="edit">Edit &amp; re-run</button>' : ''}
+          ${finished ? '<button class="run-btn run-btn-danger" data-action="delete">Delete</button>' : ''}
+        </div>
+      </div>
+      <div class="run-nodes">
+        ${run.nodes.map(node => this.renderNode(node, run)).join('')}
+        ${run.synthesis ? this.renderNode(run.synthesis, run) : ''}
+      </div>
+      ${run.result ? `
+        <div class="run-result">
+          <div class="run-section-label">Result</div>
+          <pre>${this.escapeHtml(run.result)}</pre>
+        </div>
+      ` : ''}
+    `;
+
+    detailEl.querySelector('[data-action="rerun-failed"]')?.addEventListener('click', () => this.rerunFailed());
+    detailEl.querySelector('[data-action="edit"]')?.addEventListener('click', () => {
+      this.editing = true;
+      this.renderDetail();
+    });
+    detailEl.querySelector('[data-action="delete"]')?.addEventListener('click', () => this.deleteRun());
+    detailEl.querySelector('.run-link')?.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.selectRun(e.target.dataset.runId);
+    });
+  }
+
+  renderNode(node, run) {
+    const deps = (node.dependencies || []).map(d => run.nodes[d]?.name).filter(Boolean);
+
+    return `
+      <details class="run-node">
+        <summary>
+          <span class="run-status ${node.status}">${node.status}</span>
+          <span class="run-node-name">${this.escapeHtml(node.name)}</span>
+          ${node.type ? `<span class="run-node-type">${this.escapeHtml(node.type)}</span>` : ''}
+          ${deps.length > 0 ? `<span class="run-node-deps">after ${this.escapeHtml(deps.join(', '))}</span>` : ''}
+          ${node.durationMs !== null && node.durationMs !== undefined ? `<span class="run-node-time">${this.formatDuration(node.durationMs)}</span>` : ''}
+        </summary>
+        ${node.prompt ? `<div class="run-section-label">Prompt</div><pre>${this.escapeHtml(node.prompt)}</pre>` : ''}
+        ${node.result ? `<div class="run-section-label">Output</div><pre>${this.escapeHtml(node.result)}</pre>` : ''}
+        ${node.error ? `<div class="run-section-label">Error</div><pre class="run-error">${this.escapeHtml(node.error)}</pre>` : ''}
+      </details>
+    `;
+  }
+
+  /**
+   * Plan editor: the description and the plan as JSON, in the same shape planTask produces
+   */
+  renderEditor(detailEl, run) {
+    const plan = run.nodes.map(node => ({
+      name: node.name,
+      type: node.type,
+      prompt: node.prompt,
+      priority: node.priority,
+      dependencies: node.dependencies
+    }));
+
+    detailEl.innerHTML = `
+      <div class="run-editor">
+        <label class="run-section-label" for="run-edit-description">Task</label>
+        <input type="text" id="run-edit-description" class="run-input" value="${this.escapeHtml(run.description || '')}">
+        <label class="run-section-label" for="run-edit-plan">Plan (dependencies are step indices or names)</label>
+        <textarea id="run-edit-plan" class="run-input" spellcheck="false">${this.escapeHtml(JSON.stringify(plan, null, 2))}</textarea>
+        <div class="run-edit-error"></div>
+        <div class="run-actions">
+          <button class="run-btn" data-action="cancel">Cancel</button>
+          <button class="run-btn run-btn-primary" data-action="run">Run plan</button>
+        </div>
+      </div>
+    `;
+
+    detailEl.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+      this.editing = false;
+      this.renderDetail();
+    });
+    detailEl.querySelector('[data-action="run"]').addEventListener('click', () => this.runEditedPlan());
+  }
+
+  async runEditedPlan() {
+    const run = this.selectedRun;
+    const errorEl = this.modal.querySelector('.run-edit-error');
+    const description = this.modal.querySelector('#run-edit-description').value.trim();
+
+    let plan;
+    try {
+      plan = JSON.parse(this.modal.querySelector('#run-edit-plan').value);
+    } catch (e) {
+      errorEl.textContent = `Invalid JSON: ${e.message}`;
+      return;
+    }
+
+    errorEl.textContent = '';
+    this.awaitingRerunOf = run.id;
+    const result = await window.donnaOrchestrator.runPlan(plan, {
+      description,
+      context: run.context || [],
+      rerunOf: run.id
+    });
+
+    // Validation errors (cycles, bad indices) come back before the run starts
+    if (!result.success && this.editing) {
+      this.awaitingRerunOf = null;
+      errorEl.textContent = result.error;
+    }
+  }
+
+  async rerunFailed() {
+    this.awaitingRerunOf = this.selectedRun.id;
+    const result = await window.donnaOrchestrator.rerunFailed(this.selectedRun.id);
+    if (!result.success) {
+      this.awaitingRerunOf = null;
+      console.error('Failed to re-run plan:', result.error);
+    }
+  }
+
+  async deleteRun() {
+    const result = await window.donnaOrchestrator.deleteRun(this.selectedRun.id);
+    if (result.success) {
+      this.selectedRun = null;
+      this.modal.querySelector('.run-detail').innerHTML = '<div class="run-empty">Select a run to see its plan and results</div>';
+      await this.loadRuns();
+    }
+  }
+
+  formatDate(timestamp) {
+    return new Date(timestamp).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  }
+
+  formatDuration(ms) {
+    if (ms < 1000) return `${ms}ms`;
+    if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+    const mins = Math.floor(ms / 60000);
+    const secs = Math.floor((ms % 60000) / 1000);
+    return `${mins}m ${secs}s`;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
+  addStyles() {
+    if (document.getElementById('run-history-styles')) return;
+
+    const styles = document.createElement('style');
+    styles.id = 'run-history-styles';
+    styles.textContent = `
+      .run-history-modal {
+        display: none;
+        position: fixed;
+        inset: 0;
+        z-index: 10000;
+      }
+
+      .run-history-modal.open {
+        display: flex;
+        align-items: center;
+        justify-content: center;
+      }
+
+      .run-history-overlay {
+        position: absolute;
+        inset: 0;
+        background: rgba(0, 0, 0, 0.6);
+        backdrop-filter: blur(4px);
+      }
+
+      .run-history-panel {
+        position: relative;
+        width: 960px;
+        max-width: 92vw;
+        height: 80vh;
+        background: #1e1e22;
+        border-radius: 16px;
+        border: 1px solid rgba(255, 255, 255, 0.1);
+        box-shadow: 0 24px 48px rgba(0, 0, 0, 0.5);
+        display: flex;
+        flex-direction: column;
+        overflow: hidden;
+      }
+
+      .run-history-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        padding: 16px 24px;
+        border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+      }
+
+      .run-history-header h2 {
+        margin: 0;
+        font-size: 18px;
+        font-weight: 600;
+        color: #fff;
+      }
+
+      .run-history-header .close-btn {
+        background: none;
+        border: none;
+        color: #a1a1aa;
+        cursor: pointer;
+        padding: 4px;
+        border-radius: 6px;
+      }
+
+      .run-history-header .close-btn:hover {
+        background: rgba(255, 255, 255, 0.1);
+        color: #fff;
+      }
+
+      .run-history-body {
+        flex: 1;
+        display: flex;
+        min-height: 0;
+      }
+
+      .run-list {
+        width: 300px;
+        overflow-y: auto;
+        border-right: 1px solid rgba(255, 255, 255, 0.08);
+      }
+
+      .run-item {
+        padding: 12px 16px;
+        cursor: pointer;
+        border-bottom: 1px solid rgba(255, 255, 255, 0.04);
+      }
+
+      .run-item:hover {
+        background: rgba(255, 255, 255, 0.04);
+      }
+
+      .run-item.selected {
+        background: rgba(167, 139, 250, 0.12);
+      }
+
+      .run-item-title {
+        color: #e4e4e7;
+        font-size: 13px;
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        margin-bottom: 4px;
+      }
+
+      .run-item-meta {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 8px;
+        font-size: 11px;
+        color: #71717a;
+        align-items: center;
+      }
+
+      .run-item-meta a {
+        color: var(--donna-accent, #a78bfa);
+      }
+
+      .run-status {
+        padding: 1px 6px;
+        border-radius: 4px;
+        font-size: 11px;
+        background: rgba(255, 255, 255, 0.08);
+        color: #a1a1aa;
+      }
+
+      .run-status.completed { background: rgba(74, 222, 128, 0.15); color: #4ade80; }
+      .run-status.failed, .run-status.interrupted { background: rgba(248, 113, 113, 0.15); color: #f87171; }
+      .run-status.running { background: rgba(96, 165, 250, 0.15); color: #60a5fa; }
+      .run-status.skipped, .run-status.cancelled { background: rgba(250, 204, 21, 0.12); color: #facc15; }
+
+      .run-detail {
+        flex: 1;
+        overflow-y: auto;
+        padding: 16px 24px;
+      }
+
+      .run-empty {
+        padding: 24px;
+        color: #71717a;
+        font-size: 13px;
+        text-align: center;
+      }
+
+      .run-detail-header {
+        display: flex;
+        justify-content: space-between;
+        gap: 16px;
+        margin-bottom: 16px;
+      }
+
+      .run-detail-header h3 {
+        margin: 0 0 6px;
+        font-size: 15px;
+        color: #fff;
+      }
+
+      .run-actions {
+        display: flex;
+        gap: 8px;
+        align-items: flex-start;
+        flex-shrink: 0;
+      }
+
+      .run-btn {
+        padding: 6px 12px;
+        background: #27272a;
+        border: 1px solid rgba(255, 255, 255, 0.1);
+        border-radius: 6px;
+        color: #e4e4e7;
+        font-size: 12px;
+        cursor: pointer;
+      }
+
+      .run-btn:hover {
+        background: #3f3f46;
+      }
+
+      .run-btn-primary {
+        background: var(--donna-accent, #a78bfa);
+        border-color: transparent;
+        color: #fff;
+      }
+
+      .run-btn-primary:hover {
+        background: #8b5cf6;
+      }
+
+      .run-btn-danger:hover {
+        background: rgba(248, 113, 113, 0.2);
+        color: #f87171;
+      }
+
+      .run-node {
+        border: 1px solid rgba(255, 255, 255, 0.06);
+        border-radius: 8px;
+        margin-bottom: 8px;
+        padding: 8px 12px;
+      }
+
+      .run-node summary {
+        display: flex;
+        gap: 8px;
+        align-items: center;
+        cursor: pointer;
+        font-size: 13px;
+        color: #e4e4e7;
+      }
+
+      .run-node-type,
+      .run-node-deps,
+      .run-node-time {
+        font-size: 11px;
+        color: #71717a;
+      }
+
+      .run-node-time {
+        margin-left: auto;
+      }
+
+      .run-section-label {
+        display: block;
+        margin: 12px 0 4px;
+        font-size: 11px;
+        text-transform: uppercase;
+        letter-spacing: 0.04em;
+        color: #71717a;
+      }
+
+      .run-detail pre {
+        margin: 0;
+        padding: 8px 10px;
+        background: #18181b;
+        border-radius: 6px;
+        color: #d4d4d8;
+        font-size: 12px;
+        white-space: pre-wrap;
+        word-break: break-word;
+        max-height: 240px;
+        overflow-y: auto;
+      }
+
+      .run-detail pre.run-error {
+        color: #f87171;
+      }
+
+      .run-result {
+        margin-top: 16px;
+      }
+
+      .run-editor {
+        display: flex;
+        flex-direction: column;
+        height: 100%;
+      }
+
+      .run-input {
+        padding: 10px 12px;
+        background: #27272a;
+        border: 1px solid rgba(255, 255, 255, 0.1);
+        border-radius: 8px;
+        color: #fff;
+        font-size: 13px;
+        outline: none;
+      }
+
+      .run-input:focus {
+        border-color: var(--donna-accent, #a78bfa);
+      }
+
+      textarea.run-input {
+        flex: 1;
+        min-height: 240px;
+        font-family: 'SF Mono', Menlo, monospace;
+        font-size: 12px;
+        resize: none;
+      }
+
+      .run-edit-error {
+        min-height: 18px;
+        margin: 8px 0;
+        font-size: 12px;
+        color: #f87171;
+      }
+    `;
+    document.head.appendChild(styles);
+  }
+}
+
+// Export for use in other modules
+window.RunHistory = RunHistory;
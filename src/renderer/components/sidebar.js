@@ -55,6 +55,16 @@ class DonnaSidebar {
       // Arena/duel icon
       return `<span class="arena-letter">VS</span>`;
     }
+    if (session.type === 'ssh') {
+      // Terminal with a link to a remote host
+      return `
+        <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+          <rect x="1.5" y="2.5" width="13" height="8" rx="1.5" stroke="currentColor" stroke-width="1.5"/>
+          <path d="M4.5 5l1.5 1.5L4.5 8" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+          <path d="M8 10.5v2.5M4 13.5h8" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+        </svg>
+      `;
+    }
     if (session.type === 'chat') {
       return `
         <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
@@ -91,10 +101,12 @@ class DonnaSidebar {
 
     const sessionEl = document.createElement('div');
     const sessionTypeClass = session.type === 'agent' ? 'agent-session' :
-                             session.type === 'chat' ? 'chat-session' : 'terminal-session';
+                             session.type === 'chat' ? 'chat-session' :
+                             session.type === 'ssh' ? 'ssh-session' : 'terminal-session';
     sessionEl.className = `session-item slide-in-left ${sessionTypeClass}`;
     sessionEl.setAttribute('role', 'listitem');
     sessionEl.setAttribute('tabindex', '0');
+    sessionEl.setAttribute('draggable', 'true');
     sessionEl.dataset.sessionId = session.id;
     sessionEl.dataset.sessionType = session.type || 'terminal';
 
@@ -102,6 +114,8 @@ class DonnaSidebar {
     let subtitle = session.path || '~';
     if (session.type === 'agent' && session.agentInfo) {
       subtitle = session.agentInfo.cli || 'claude';
+      // Agents on a remote host show where they run
+      if (session.sshHost) subtitle += ` · ${session.path}`;
     } else if (session.type === 'chat') {
       subtitle = session.provider || 'Claude';
     }
@@ -111,10 +125,23 @@ class DonnaSidebar {
         ${this.getSessionIcon(session)}
       </div>
       <div class="session-info">
-        <div class="session-name">${session.name}</div>
-        <div class="session-path">${subtitle}</div>
+        <div class="session-name"></div>
+        <div class="session-path"></div>
       </div>
       <div class="session-status"></div>
+      ${session.type === 'terminal' || session.type === 'agent' || session.type === 'ssh' ? `
+      <button class="session-broadcast" title="Broadcast input to this session" aria-label="Broadcast input to ${session.name}">
+        <svg width="12" height="12" viewBox="0 0 12 12" fill="none" aria-hidden="true">
+          <circle cx="6" cy="6" r="1.5" fill="currentColor"/>
+          <path d="M3.5 3.5a3.5 3.5 0 000 5M8.5 3.5a3.5 3.5 0 010 5" stroke="currentColor" stroke-width="1.2" stroke-linecap="round"/>
+        </svg>
+      </button>
+      <button class="session-record" title="Stop recording output" aria-label="Stop recording ${session.name} output">
+        <svg width="12" height="12" viewBox="0 0 12 12" fill="none" aria-hidden="true">
+          <circle cx="6" cy="6" r="3.5" stroke="currentColor" stroke-width="1.5"/>
+          <path class="session-record-off" d="M2 10l8-8" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+        </svg>
+      </button>` : ''}
       <button class="session-pin" title="Pin session" aria-label="Pin ${session.name} session">
         <svg width="12" height="12" viewBox="0 0 12 12" fill="none" aria-hidden="true">
           <path d="M6 1v4M4 5h4l-1 4H5L4 5z" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
@@ -127,6 +154,9 @@ class DonnaSidebar {
         </svg>
       </button>
     `;
+    // Set as text: SSH host names are typed in by the user
+    sessionEl.querySelector('.session-name').textContent = session.name;
+    sessionEl.querySelector('.session-path').textContent = subtitle;
 
     // Click to select session
     sessionEl.addEventListener('click', (e) => {
@@ -143,6 +173,14 @@ class DonnaSidebar {
       }
     });
 
+    // Drag onto the terminal area to show the session in a pane
+    sessionEl.addEventListener('dragstart', (e) => {
+      e.dataTransfer.setData('application/x-donna-session', session.id);
+      e.dataTransfer.effectAllowed = 'move';
+      sessionEl.classList.add('dragging');
+    });
+    sessionEl.addEventListener('dragend', () => sessionEl.classList.remove('dragging'));
+
     // Double-click to rename
     sessionEl.addEventListener('dblclick', (e) => {
       if (e.target.closest('.session-close')) return;
@@ -156,6 +194,18 @@ class DonnaSidebar {
       window.sessionManager?.togglePin(session.id);
     });
 
+    // Record button: exclude the session's output from session restore
+    sessionEl.querySelector('.session-record')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      window.sessionManager?.toggleRecording(session.id);
+    });
+
+    // Broadcast button: add the session to the broadcast group
+    sessionEl.querySelector('.session-broadcast')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      window.sessionManager?.toggleBroadcast(session.id);
+    });
+
     // Close button
     const closeBtn = sessionEl.querySelector('.session-close');
     closeBtn.addEventListener('click', (e) => {
@@ -172,6 +222,10 @@ class DonnaSidebar {
 
     // Insert in correct position (pinned sessions first)
     this.insertSessionInOrder(sessionEl, session.pinned);
+
+    if (session.record === false) {
+      this.setRecording(session.id, false);
+    }
   }
 
   /**
@@ -216,6 +270,38 @@ class DonnaSidebar {
     this.sortSessions();
   }
 
+  /**
+   * Update whether a session's output is recorded for restore
+   */
+  setRecording(sessionId, isRecording) {
+    const sessionEl = this.sessionList.querySelector(`[data-session-id="${sessionId}"]`);
+    const recordBtn = sessionEl?.querySelector('.session-record');
+    if (!recordBtn) return;
+
+    const sessionName = sessionEl.querySelector('.session-name')?.textContent || 'session';
+    sessionEl.classList.toggle('not-recording', !isRecording);
+    recordBtn.title = isRecording ? 'Stop recording output' : 'Record output for session restore';
+    recordBtn.setAttribute('aria-label', isRecording
+      ? `Stop recording ${sessionName} output`
+      : `Record ${sessionName} output`);
+  }
+
+  /**
+   * Update whether a session is in the broadcast group
+   */
+  setBroadcasting(sessionId, isBroadcasting) {
+    const sessionEl = this.sessionList.querySelector(`[data-session-id="${sessionId}"]`);
+    const broadcastBtn = sessionEl?.querySelector('.session-broadcast');
+    if (!broadcastBtn) return;
+
+    const sessionName = sessionEl.querySelector('.session-name')?.textContent || 'session';
+    sessionEl.classList.toggle('broadcasting', isBroadcasting);
+    broadcastBtn.title = isBroadcasting ? 'Stop broadcasting input to this session' : 'Broadcast input to this session';
+    broadcastBtn.setAttribute('aria-label', isBroadcasting
+      ? `Stop broadcasting input to ${sessionName}`
+      : `Broadcast input to ${sessionName}`);
+  }
+
   /**
    * Sort sessions with pinned ones at top
    */
@@ -263,6 +349,16 @@ class DonnaSidebar {
     }
   }
 
+  /**
+   * Mark the sessions shown in split panes
+   */
+  setVisibleSessions(sessionIds) {
+    const visible = new Set(sessionIds);
+    this.sessionList.querySelectorAll('.session-item').forEach(el => {
+      el.classList.toggle('in-pane', visible.has(el.dataset.sessionId));
+    });
+  }
+
   /**
    * Update session info (name, path, provider)
    */
@@ -0,0 +1,240 @@
+/**
+ * Donna Desktop - SSH Host Manager
+ * Saved hosts and ~/.ssh/config entries (opened from the command palette).
+ * Connects a shell to a host, or launches an agent CLI on it. Hosts from
+ * ~/.ssh/config are read-only here; editing one saves a copy under the same
+ * alias, which ssh still resolves through the config file.
+ */
+
+class SshHostManager {
+  constructor() {
+    this.isOpen = false;
+    this.hosts = [];
+    this.agents = [];
+    this.editing = null; // Host being edited, {} for a new one
+
+    this.element = null;
+    this.listElement = null;
+    this.formElement = null;
+    this.statusElement = null;
+    this.agentSelect = null;
+
+    this.init();
+  }
+
+  init() {
+    this.element = document.createElement('div');
+    this.element.className = 'ssh-hosts';
+    this.element.innerHTML = `
+      <div class="ssh-hosts-backdrop"></div>
+      <div class="ssh-hosts-container" role="dialog" aria-label="SSH hosts">
+        <div class="ssh-hosts-header">
+          <span class="ssh-hosts-title">SSH Hosts</span>
+          <label class="ssh-hosts-agent">
+            Agent
+            <select class="ssh-hosts-agent-select"></select>
+          </label>
+          <button class="ssh-hosts-add">Add Host</button>
+          <button class="ssh-hosts-close" title="Close" aria-label="Close">
+            <svg width="12" height="12" viewBox="0 0 12 12" fill="none" aria-hidden="true">
+              <path d="M3 3l6 6M9 3l-6 6" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+            </svg>
+          </button>
+        </div>
+        <div class="ssh-hosts-status"></div>
+        <form class="ssh-hosts-form" autocomplete="off">
+          <div class="ssh-hosts-fields">
+            <label>Name<input name="name" placeholder="Same as host" spellcheck="false"></label>
+            <label>Host<input name="host" placeholder="example.com" required spellcheck="false"></label>
+            <label>User<input name="user" spellcheck="false"></label>
+            <label>Port<input name="port" type="number" min="1" max="65535" placeholder="22"></label>
+            <label>Identity file<input name="identityFile" placeholder="~/.ssh/id_ed25519" spellcheck="false"></label>
+            <label>Jump hosts<input name="jumpHost" placeholder="user@bastion:22, ..." spellcheck="false"></label>
+            <label class="wide">Default directory<input name="defaultDir" placeholder="~" spellcheck="false"></label>
+          </div>
+          <div class="ssh-hosts-form-actions">
+            <button type="button" class="ssh-hosts-cancel">Cancel</button>
+            <button type="submit" class="ssh-hosts-save">Save</button>
+          </div>
+        </form>
+        <div class="ssh-hosts-list"></div>
+      </div>
+    `;
+    this.element.style.display = 'none';
+    document.body.appendChild(this.element);
+
+    this.listElement = this.element.querySelector('.ssh-hosts-list');
+    this.formElement = this.element.querySelector('.ssh-hosts-form');
+    this.statusElement = this.element.querySelector('.ssh-hosts-status');
+    this.agentSelect = this.element.querySelector('.ssh-hosts-agent-select');
+
+    this.element.querySelector('.ssh-hosts-backdrop').addEventListener('click', () => this.close());
+    this.element.querySelector('.ssh-hosts-close').addEventListener('click', () => this.close());
+    this.element.querySelector('.ssh-hosts-add').addEventListener('click', () => this.edit({}));
+    this.element.querySelector('.ssh-hosts-cancel').addEventListener('click', () => this.edit(null));
+    this.formElement.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.save();
+    });
+    this.element.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape') return;
+      e.preventDefault();
+      if (this.editing) this.edit(null);
+      else this.close();
+    });
+    this.listElement.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      const host = button && this.hosts[Number(button.closest('.ssh-host').dataset.index)];
+      if (host) this.handleAction(button.dataset.action, host);
+    });
+  }
+
+  async open() {
+    this.isOpen = true;
+    this.element.style.display = 'flex';
+    this.edit(null);
+    requestAnimationFrame(() => this.element.classList.add('open'));
+    await Promise.all([this.loadHosts(), this.loadAgents()]);
+    this.listElement.querySelector('button[data-action="connect"]')?.focus();
+  }
+
+  close() {
+    this.isOpen = false;
+    this.element.classList.remove('open');
+    this.element.style.display = 'none';
+  }
+
+  toggle() {
+    if (this.isOpen) this.close();
+    else this.open();
+  }
+
+  async loadHosts() {
+    const result = await window.donnaSsh?.listHosts?.();
+    if (!result?.success) {
+      this.setStatus(result?.error || 'Could not load SSH hosts', true);
+      return;
+    }
+    this.hosts = result.hosts;
+    this.renderHosts();
+  }
+
+  async loadAgents() {
+    const agents = await window.donnaAgents?.list?.();
+    this.agents = Array.isArray(agents) ? agents : [];
+    this.agentSelect.innerHTML = this.agents
+      .map(agent => `<option value="${this.escapeHtml(agent.id)}">${this.escapeHtml(agent.name)}</option>`)
+      .join('');
+    this.agentSelect.disabled = this.agents.length === 0;
+  }
+
+  renderHosts() {
+    if (this.hosts.length === 0) {
+      this.listElement.innerHTML = `
+        <div class="ssh-hosts-empty">No hosts yet. Add one, or add Host entries to ~/.ssh/config.</div>
+      `;
+      return;
+    }
+
+    this.listElement.innerHTML = this.hosts.map((host, index) => {
+      const target = host.user ? `${host.user}@${host.host}` : host.host;
+      const details = [
+        host.hostName && host.hostName !== host.host ? `→ ${host.hostName}` : null,
+        host.port ? `port ${host.port}` : null,
+        host.jumpHost ? `via ${host.jumpHost}` : null,
+        host.defaultDir ? `in ${host.defaultDir}` : null
+      ].filter(Boolean).join(' · ');
+      const saved = host.source === 'saved';
+      return `
+        <div class="ssh-host" data-index="${index}">
+          <div class="ssh-host-info">
+            <div class="ssh-host-name">
+              ${this.escapeHtml(host.name)}
+              ${saved ? '' : '<span class="ssh-host-source">ssh config</span>'}
+            </div>
+            <div class="ssh-host-target">${this.escapeHtml(target)}${details ? ` <span>${this.escapeHtml(details)}</span>` : ''}</div>
+          </div>
+          <div class="ssh-host-actions">
+            <button data-action="connect" title="Open a shell on this host">Connect</button>
+            <button data-action="agent" title="Run the selected agent on this host"${this.agents.length ? '' : ' disabled'}>Launch Agent</button>
+            <button data-action="edit" title="${saved ? 'Edit host' : 'Save a copy with a default directory and other settings'}">Edit</button>
+            ${saved ? '<button data-action="remove" title="Remove host">Remove</button>' : ''}
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  async handleAction(action, host) {
+    switch (action) {
+      case 'connect':
+        this.close();
+        await window.sessionManager?.createSshSession(host);
+        break;
+      case 'agent': {
+        const agent = this.agents.find(a => a.id === this.agentSelect.value);
+        if (!agent) return;
+        this.close();
+        await window.sessionManager?.createAgentSession(agent, null, { sshHost: host });
+        break;
+      }
+      case 'edit':
+        this.edit(host);
+        break;
+      case 'remove': {
+        const result = await window.donnaSsh.removeHost(host.id);
+        if (!result?.success) this.setStatus(result?.error || 'Could not remove host', true);
+        await this.loadHosts();
+        break;
+      }
+    }
+  }
+
+  /**
+   * Show the form for a host ({} for a new one), or hide it (null)
+   */
+  edit(host) {
+    this.editing = host;
+    this.setStatus('');
+    this.formElement.classList.toggle('visible', Boolean(host));
+    if (!host) return;
+
+    const fields = this.formElement.elements;
+    // A host from ~/.ssh/config is saved as a copy under its alias
+    const copy = host.source === 'ssh-config';
+    for (const name of ['name', 'host', 'user', 'port', 'identityFile', 'jumpHost', 'defaultDir']) {
+      fields[name].value = copy && name !== 'host' && name !== 'name' ? '' : host[name] ?? '';
+    }
+    fields.host.focus();
+  }
+
+  async save() {
+    const fields = this.formElement.elements;
+    const host = { id: this.editing?.source === 'saved' ? this.editing.id : undefined };
+    for (const name of ['name', 'host', 'user', 'port', 'identityFile', 'jumpHost', 'defaultDir']) {
+      host[name] = fields[name].value;
+    }
+
+    const result = await window.donnaSsh.saveHost(host);
+    if (!result?.success) {
+      this.setStatus(result?.error || 'Could not save host', true);
+      return;
+    }
+    this.edit(null);
+    await this.loadHosts();
+  }
+
+  setStatus(text, isError = false) {
+    this.statusElement.textContent = text;
+    this.statusElement.classList.toggle('error', isError);
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
+// Export for use
+window.SshHostManager = SshHostManager;
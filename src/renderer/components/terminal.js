@@ -4,9 +4,17 @@
  */
 
 class DonnaTerminal {
-  constructor(sessionId, container) {
+  /**
+   * @param {Object} options - { cwd, restoreId, record, sshHost }: start
+   *   directory, the saved session whose output to replay, whether to record
+   *   output, and the host to connect to over ssh instead of a local shell
+   *   (cwd is then a directory on that host)
+   */
+  constructor(sessionId, container, options = {}) {
     this.sessionId = sessionId;
     this.container = container;
+    this.options = options;
+    this.sshHost = options.sshHost || null;
     this.term = null;
     this.fitAddon = null;
     this.webLinksAddon = null;
@@ -14,10 +22,15 @@ class DonnaTerminal {
     this.isReady = false;
     this.cleanupDataListener = null;
     this.cleanupExitListener = null;
+    this.cleanupShellEventListener = null;
     this.onDataDisposable = null;
     this.onResizeDisposable = null;
     this.pathInterval = null;
 
+    // Shell integration (OSC 133/7): set once the shell sends its first mark
+    this.shellIntegrationActive = false;
+    this.pendingCommands = []; // [{ command, resolve, sentAt, timer }] awaiting commandEnd
+
     // Command history for AI context (V5)
     this.commandHistory = [];
     this.currentLine = '';
@@ -35,13 +48,13 @@ class DonnaTerminal {
     this.wrapper.innerHTML = `
       <div class="terminal-header">
         <div class="terminal-header-left">
-          <span class="terminal-title">Terminal</span>
+          <span class="terminal-title">${this.sshHost ? 'SSH' : 'Terminal'}</span>
         </div>
         <div class="terminal-header-center">
-          <span class="terminal-path" id="path-${this.sessionId}">~</span>
+          <span class="terminal-path" id="path-${this.sessionId}"></span>
         </div>
         <div class="terminal-header-right">
-          <button class="terminal-action-btn" title="Split Horizontal">
+          <button class="terminal-action-btn" title="Split Right">
             <svg width="14" height="14" viewBox="0 0 14 14" fill="none">
               <rect x="1" y="1" width="12" height="12" rx="2" stroke="currentColor" stroke-width="1.5"/>
               <line x1="7" y1="1" x2="7" y2="13" stroke="currentColor" stroke-width="1.5"/>
@@ -57,6 +70,7 @@ class DonnaTerminal {
       <div class="terminal-body" id="body-${this.sessionId}"></div>
     `;
     this.container.appendChild(this.wrapper);
+    this.showInitialPath();
 
     // Get the terminal body element
     const terminalBody = this.wrapper.querySelector(`#body-${this.sessionId}`);
@@ -134,7 +148,11 @@ class DonnaTerminal {
 
     // Create the PTY process with error handling
     const { cols, rows } = this.term;
-    const createResult = await window.donnaTerminal.create(this.sessionId, cols, rows);
+    const { sshHost, ...createOptions } = this.options;
+    const createResult = await window.donnaTerminal.create(this.sessionId, cols, rows, {
+      ...createOptions,
+      sshHostId: sshHost?.id || null
+    });
     if (!createResult || !createResult.success) {
       // Clean up xterm resources on PTY creation failure
       if (this.fitAddon) {
@@ -159,6 +177,9 @@ class DonnaTerminal {
       throw new Error(createResult?.error || 'Failed to create PTY process');
     }
 
+    // Written before listening so the old output comes before the new prompt
+    this.writeRestored(createResult.restored);
+
     // Handle data from PTY
     this.cleanupDataListener = window.donnaTerminal.onData(({ id, data }) => {
       if (id === this.sessionId && this.term) {
@@ -170,6 +191,7 @@ class DonnaTerminal {
     this.cleanupExitListener = window.donnaTerminal.onExit(({ id, exitCode }) => {
       if (id === this.sessionId) {
         this.term.write(`\r\n\x1b[90m[Process exited with code ${exitCode}]\x1b[0m\r\n`);
+        this.resolvePendingCommands();
         // Notify session manager
         if (window.sessionManager) {
           window.sessionManager.handleSessionExit(id);
@@ -177,8 +199,24 @@ class DonnaTerminal {
       }
     });
 
+    // Handle shell integration events (prompts, command boundaries, cwd)
+    this.cleanupShellEventListener = window.donnaTerminal.onShellEvent(({ id, ...event }) => {
+      if (id === this.sessionId) {
+        this.handleShellEvent(event);
+      }
+    });
+
     // Handle user input - store disposable for cleanup and track history
     this.onDataDisposable = this.term.onData((data) => {
+      // "# describe what you want": clear the line (Ctrl+U) and ask for a command
+      if ((data === '\r' || data === '\n') && this.commandTranslator?.isRequest(this.currentLine)) {
+        this.commandTranslator.translate(this.currentLine);
+        this.currentLine = '';
+        window.donnaTerminal.write(this.sessionId, '\x15');
+        window.sessionManager?.broadcastInput(this.sessionId, '\x15');
+        return;
+      }
+
       // Track command history for AI suggestions
       if (data === '\r' || data === '\n') {
         // Enter pressed - save command to history
@@ -199,6 +237,7 @@ class DonnaTerminal {
         this.currentLine += data;
       }
       window.donnaTerminal.write(this.sessionId, data);
+      window.sessionManager?.broadcastInput(this.sessionId, data);
     });
 
     // Handle resize - store disposable for cleanup
@@ -211,6 +250,10 @@ class DonnaTerminal {
     this.clearBtnHandler = () => this.clear();
     clearBtn?.addEventListener('click', this.clearBtnHandler);
 
+    // Split button: a new terminal beside this one (clicking focused its pane)
+    const splitBtn = this.wrapper.querySelector('.terminal-action-btn[title="Split Right"]');
+    splitBtn?.addEventListener('click', () => window.sessionManager?.splitPane('row'));
+
     this.isReady = true;
 
     // Update path periodically
@@ -226,35 +269,148 @@ class DonnaTerminal {
    * Update the current working directory display
    */
   async updatePath() {
+    // The PTY runs the local ssh client, whose cwd says nothing about the remote shell
+    if (this.sshHost) return;
     try {
       const result = await window.donnaTerminal.getCwd(this.sessionId);
       if (result.success && result.cwd) {
-        const pathEl = this.wrapper.querySelector(`#path-${this.sessionId}`);
-        if (pathEl) {
-          // Shorten home directory (cross-platform)
-          let displayPath = result.cwd;
-          // Try to detect home directory from path structure
-          const homeMatch = result.cwd.match(/^(\/Users\/[^/]+|\/home\/[^/]+|[A-Z]:\\Users\\[^\\]+)/);
-          if (homeMatch) {
-            const home = homeMatch[1];
-            if (displayPath.startsWith(home)) {
-              displayPath = '~' + displayPath.slice(home.length);
-            }
-          }
-          pathEl.textContent = displayPath;
-          pathEl.title = result.cwd;
-        }
+        this.setPath(result.cwd);
       }
     } catch (e) {
       // Silently fail - path display is non-critical
     }
   }
 
+  /**
+   * Replay a restored session's output, dimmed, above the new shell
+   * @param {Object} restored - { output, savedAt, live } from the create
+   *   result; `live` output is from a process still running in the PTY
+   *   daemon and is redrawn as is
+   */
+  writeRestored(restored) {
+    if (!restored?.output || !this.term) return;
+    if (restored.live) {
+      this.term.write(restored.output);
+      return;
+    }
+    const savedAt = restored.savedAt ? new Date(restored.savedAt).toLocaleString() : 'the last session';
+    this.term.write(restored.output);
+    this.term.write(`\r\n\x1b[90m── Restored output from ${savedAt} ──\x1b[0m\r\n`);
+  }
+
+  /**
+   * Show where the terminal starts until the shell reports its directory:
+   * the remote host and directory for ssh, else the home directory
+   */
+  showInitialPath() {
+    const pathEl = this.wrapper?.querySelector(`#path-${this.sessionId}`);
+    if (!pathEl) return;
+    if (!this.sshHost) {
+      pathEl.textContent = '~';
+      return;
+    }
+    const target = this.sshHost.user ? `${this.sshHost.user}@${this.sshHost.host}` : this.sshHost.host;
+    pathEl.textContent = `${target}:${this.options.cwd || this.sshHost.defaultDir || '~'}`;
+    pathEl.title = pathEl.textContent;
+  }
+
+  /**
+   * Show a working directory in the header
+   */
+  setPath(cwd) {
+    if (cwd !== this.cwd) {
+      // The directory is part of the saved session layout
+      window.sessionManager?.scheduleLayoutSave?.();
+    }
+    this.cwd = cwd;
+    const pathEl = this.wrapper?.querySelector(`#path-${this.sessionId}`);
+    if (pathEl) {
+      // Shorten home directory (cross-platform)
+      let displayPath = cwd;
+      // Try to detect home directory from path structure
+      const homeMatch = cwd.match(/^(\/Users\/[^/]+|\/home\/[^/]+|[A-Z]:\\Users\\[^\\]+)/);
+      if (homeMatch) {
+        const home = homeMatch[1];
+        if (displayPath.startsWith(home)) {
+          displayPath = '~' + displayPath.slice(home.length);
+        }
+      }
+      pathEl.textContent = displayPath;
+      pathEl.title = cwd;
+    }
+  }
+
+  /**
+   * Handle a shell integration event from the main process
+   * @param {Object} event - { type: 'prompt' | 'commandStart' | 'commandEnd' | 'cwd', ... }
+   */
+  handleShellEvent(event) {
+    this.shellIntegrationActive = true;
+
+    if (event.type === 'cwd') {
+      this.setPath(event.cwd);
+    } else if (event.type === 'commandEnd') {
+      // Prefer the pending run for this command, else the oldest sent before
+      // it started (not one sent after an interrupted command)
+      let index = this.pendingCommands.findIndex(p => p.command === event.command);
+      if (index === -1) index = this.pendingCommands.findIndex(p => p.sentAt <= event.startedAt);
+      if (index !== -1) {
+        const [pending] = this.pendingCommands.splice(index, 1);
+        clearTimeout(pending.timer);
+        pending.resolve(event);
+      }
+    }
+
+    if (this.commandBlocks) {
+      this.commandBlocks.handleShellEvent(event);
+    }
+  }
+
+  /**
+   * Run a command in the shell
+   * @returns {Promise<Object>} With shell integration, the commandEnd event
+   *   ({ command, exitCode, output, durationMs, cwd }) once the command finishes;
+   *   otherwise { command, exitCode: null } as soon as it is sent
+   * @param {Object} options - { timeoutMs }: interrupt the command with Ctrl+C
+   *   and resolve { command, exitCode: null, timedOut: true } after this long
+   */
+  runCommand(command, { timeoutMs } = {}) {
+    if (!this.shellIntegrationActive) {
+      window.donnaTerminal.write(this.sessionId, command + '\r');
+      return Promise.resolve({ command, exitCode: null });
+    }
+
+    return new Promise((resolve) => {
+      const pending = { command, resolve, sentAt: Date.now(), timer: null };
+      if (timeoutMs) {
+        pending.timer = setTimeout(() => {
+          this.pendingCommands = this.pendingCommands.filter(p => p !== pending);
+          window.donnaTerminal.write(this.sessionId, '\x03');
+          resolve({ command, exitCode: null, timedOut: true });
+        }, timeoutMs);
+      }
+      this.pendingCommands.push(pending);
+      window.donnaTerminal.write(this.sessionId, command + '\r');
+    });
+  }
+
+  /**
+   * Settle commands that will never finish (shell exited or terminal closed)
+   */
+  resolvePendingCommands() {
+    for (const { command, resolve, timer } of this.pendingCommands) {
+      clearTimeout(timer);
+      resolve({ command, exitCode: null });
+    }
+    this.pendingCommands = [];
+  }
+
   startPathUpdates() {
     if (this._destroyed) return;
     // Update path every 2 seconds when terminal is active
+    // Not needed once the shell reports its cwd with OSC 7
     this.pathInterval = setInterval(() => {
-      if (this.wrapper?.classList.contains('active')) {
+      if (this.wrapper?.classList.contains('active') && !this.shellIntegrationActive) {
         this.updatePath();
       }
     }, 2000);
@@ -270,7 +426,10 @@ class DonnaTerminal {
 
       // Command Blocks - visual grouping of commands
       if (config.features?.commandBlocks !== false && window.CommandBlockManager) {
-        this.commandBlocks = new window.CommandBlockManager(this, config.commandBlocks || {});
+        this.commandBlocks = new window.CommandBlockManager(this, {
+          ...config.commandBlocks,
+          provider: config.aiSuggestions?.provider
+        });
         // Attach container to terminal wrapper
         const termBody = this.wrapper.querySelector('.terminal-body');
         if (termBody && this.commandBlocks.blocksContainer) {
@@ -287,6 +446,15 @@ class DonnaTerminal {
           this.aiSuggestions.attach(termBody);
         }
       }
+
+      // Natural language commands - "# describe what you want"
+      if (config.features?.naturalLanguage !== false && window.CommandTranslator) {
+        this.commandTranslator = new window.CommandTranslator(this, { provider: config.aiSuggestions?.provider });
+        const termBody = this.wrapper.querySelector('.terminal-body');
+        if (termBody) {
+          this.commandTranslator.attach(termBody);
+        }
+      }
     } catch (error) {
       console.warn('Failed to initialize power features:', error);
     }
@@ -307,6 +475,27 @@ class DonnaTerminal {
     }
   }
 
+  /**
+   * Show or hide the broadcast indicator: input typed here also goes to the
+   * other sessions in the broadcast group
+   */
+  setBroadcasting(enabled) {
+    if (!this.wrapper) return;
+    this.wrapper.classList.toggle('broadcasting', enabled);
+
+    let badge = this.wrapper.querySelector('.terminal-broadcast-badge');
+    if (enabled && !badge) {
+      badge = document.createElement('button');
+      badge.className = 'terminal-broadcast-badge';
+      badge.title = 'Input goes to every session in the broadcast group. Click to leave it.';
+      badge.textContent = 'Broadcast';
+      badge.addEventListener('click', () => window.sessionManager?.toggleBroadcast(this.sessionId));
+      this.wrapper.querySelector('.terminal-header-left')?.appendChild(badge);
+    } else if (!enabled && badge) {
+      badge.remove();
+    }
+  }
+
   /**
    * Hide this terminal
    */
@@ -329,6 +518,59 @@ class DonnaTerminal {
     }
   }
 
+  /**
+   * Show a global search match: highlight its command block and scroll the
+   * terminal to it, selecting the matched text
+   * @param {Object} match - From donnaTerminal.search: { text, start, end,
+   *   fromEnd, block }
+   */
+  revealSearchMatch(match) {
+    if (match.block?.startedAt) this.commandBlocks?.revealBlock(match.block.startedAt);
+
+    const found = this.findInBuffer(match.text.slice(match.start, match.end), match.fromEnd);
+    if (!found || !this.term) return;
+    const { cols, rows } = this.term;
+    const row = found.row + Math.floor(found.col / cols);
+    this.term.scrollToLine(Math.max(0, row - Math.floor(rows / 2)));
+    this.term.select(found.col % cols, row, found.length);
+  }
+
+  /**
+   * Find text in the xterm buffer, taking the occurrence closest to the
+   * expected position (the index counts lines differently when they wrap
+   * or the screen is cleared)
+   * @param {string} needle
+   * @param {number} fromEnd - Expected line, counted from the end
+   * @returns {Object|null} { row, col, length }: col may run past the row
+   *   into the wrapped rows after it
+   */
+  findInBuffer(needle, fromEnd) {
+    const buffer = this.term?.buffer.active;
+    if (!buffer || !needle) return null;
+
+    // Wrapped rows joined back into the lines they were printed as, up to
+    // the cursor's line (the index doesn't count that one yet)
+    const lines = [];
+    const end = buffer.baseY + buffer.cursorY;
+    for (let i = 0; i <= end; i++) {
+      const row = buffer.getLine(i);
+      if (!row) continue;
+      const wrapsOn = buffer.getLine(i + 1)?.isWrapped;
+      const text = row.translateToString(!wrapsOn);
+      if (row.isWrapped && lines.length > 0) lines[lines.length - 1].text += text;
+      else lines.push({ row: i, text });
+    }
+
+    let best = null;
+    lines.forEach((line, i) => {
+      const col = line.text.indexOf(needle);
+      if (col === -1) return;
+      const distance = Math.abs(lines.length - 1 - i - fromEnd);
+      if (!best || distance < best.distance) best = { row: line.row, col, length: needle.length, distance };
+    });
+    return best;
+  }
+
   /**
    * Fit terminal to container
    */
@@ -379,6 +621,11 @@ class DonnaTerminal {
       this.cleanupExitListener();
       this.cleanupExitListener = null;
     }
+    if (this.cleanupShellEventListener) {
+      this.cleanupShellEventListener();
+      this.cleanupShellEventListener = null;
+    }
+    this.resolvePendingCommands();
 
     // Dispose xterm event listeners
     if (this.onDataDisposable) {
@@ -410,6 +657,10 @@ class DonnaTerminal {
       }
       this.aiSuggestions = null;
     }
+    if (this.commandTranslator) {
+      this.commandTranslator.destroy();
+      this.commandTranslator = null;
+    }
 
     // Clear command history reference
     this.commandHistory = [];
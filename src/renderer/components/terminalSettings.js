@@ -55,6 +55,17 @@ class TerminalSettings {
               </label>
             </div>
 
+            <div class="setting-item">
+              <div class="setting-info">
+                <label class="setting-label">Natural Language Commands</label>
+                <p class="setting-desc">Type # and describe what you want at a prompt to get a command, with its flags explained and a risk rating.</p>
+              </div>
+              <label class="toggle-switch">
+                <input type="checkbox" id="feature-naturalLanguage">
+                <span class="toggle-slider"></span>
+              </label>
+            </div>
+
             <div class="setting-item">
               <div class="setting-info">
                 <label class="setting-label">Command Palette</label>
@@ -65,6 +76,52 @@ class TerminalSettings {
                 <span class="toggle-slider"></span>
               </label>
             </div>
+
+            <div class="setting-item">
+              <div class="setting-info">
+                <label class="setting-label">Shell Integration</label>
+                <p class="setting-desc">Mark prompts and commands in bash, zsh and fish for exact blocks, exit codes and directory tracking. Applies to new terminals.</p>
+              </div>
+              <label class="toggle-switch">
+                <input type="checkbox" id="feature-shellIntegration">
+                <span class="toggle-slider"></span>
+              </label>
+            </div>
+
+            <div class="setting-item">
+              <div class="setting-info">
+                <label class="setting-label">Session Restore</label>
+                <p class="setting-desc">Record terminal output and reopen sessions with it on launch. Turning this off deletes saved output.</p>
+              </div>
+              <label class="toggle-switch">
+                <input type="checkbox" id="feature-sessionRestore">
+                <span class="toggle-slider"></span>
+              </label>
+            </div>
+
+            <div class="setting-item">
+              <div class="setting-info">
+                <label class="setting-label">Background Terminals</label>
+                <p class="setting-desc">Run terminals and agents in a background process so they keep running when the window closes or the app restarts, and reattach on launch. Applies on next launch; turning it off stops them.</p>
+              </div>
+              <label class="toggle-switch">
+                <input type="checkbox" id="feature-ptyDaemon">
+                <span class="toggle-slider"></span>
+              </label>
+            </div>
+          </div>
+
+          <!-- Session Restore Settings -->
+          <div class="settings-section" id="section-sessionRestore">
+            <h3 class="section-title">Session Restore</h3>
+
+            <div class="setting-item">
+              <div class="setting-info">
+                <label class="setting-label">Scrollback Kept (KB)</label>
+                <p class="setting-desc">Output kept per session, oldest first to go. Use the record button on a session to exclude it.</p>
+              </div>
+              <input type="number" id="restore-scrollbackKB" class="setting-input" min="64" max="16384" step="64">
+            </div>
           </div>
 
           <!-- Command Blocks Settings -->
@@ -172,6 +229,11 @@ class TerminalSettings {
               </svg>
               Add Workflow
             </button>
+            <div class="workflow-bundle-actions">
+              <button class="btn-add-workflow" id="btn-import-workflows">Import…</button>
+              <button class="btn-add-workflow" id="btn-export-workflows">Export Custom…</button>
+            </div>
+            <p class="workflow-bundle-status" id="workflow-bundle-status"></p>
           </div>
         </div>
       </div>
@@ -206,11 +268,20 @@ class TerminalSettings {
       });
     });
 
+    // Session restore settings
+    this.element.querySelector('#restore-scrollbackKB').addEventListener('change', () => {
+      this.updateRestoreSettings();
+    });
+
     // Add workflow button
     this.element.querySelector('#btn-add-workflow').addEventListener('click', () => {
       window.workflowManager?.showEditor();
     });
 
+    // Workflow bundles
+    this.element.querySelector('#btn-import-workflows').addEventListener('click', () => this.importWorkflows());
+    this.element.querySelector('#btn-export-workflows').addEventListener('click', () => this.exportWorkflows());
+
     // Global keyboard shortcut to open settings
     document.addEventListener('keydown', (e) => {
       if ((e.metaKey || e.ctrlKey) && e.key === ',') {
@@ -284,7 +355,11 @@ class TerminalSettings {
       features: {
         commandBlocks: true,
         aiSuggestions: true,
-        commandPalette: true
+        naturalLanguage: true,
+        commandPalette: true,
+        shellIntegration: true,
+        sessionRestore: true,
+        ptyDaemon: false
       },
       commandBlocks: {
         showTimestamps: true,
@@ -298,6 +373,9 @@ class TerminalSettings {
         showInline: true,
         maxSuggestions: 3
       },
+      sessionRestore: {
+        scrollbackKB: 512
+      },
       workflows: {
         builtIn: [],
         custom: []
@@ -312,7 +390,11 @@ class TerminalSettings {
     // Features
     document.getElementById('feature-commandBlocks').checked = this.config.features.commandBlocks;
     document.getElementById('feature-aiSuggestions').checked = this.config.features.aiSuggestions;
+    document.getElementById('feature-naturalLanguage').checked = this.config.features.naturalLanguage !== false;
     document.getElementById('feature-commandPalette').checked = this.config.features.commandPalette;
+    document.getElementById('feature-shellIntegration').checked = this.config.features.shellIntegration !== false;
+    document.getElementById('feature-sessionRestore').checked = this.config.features.sessionRestore !== false;
+    document.getElementById('feature-ptyDaemon').checked = this.config.features.ptyDaemon === true;
 
     // Command blocks
     document.getElementById('blocks-showTimestamps').checked = this.config.commandBlocks.showTimestamps;
@@ -326,6 +408,9 @@ class TerminalSettings {
     document.getElementById('ai-showInline').checked = this.config.aiSuggestions.showInline;
     document.getElementById('ai-maxSuggestions').value = this.config.aiSuggestions.maxSuggestions;
 
+    // Session restore
+    document.getElementById('restore-scrollbackKB').value = this.config.sessionRestore?.scrollbackKB || 512;
+
     // Show/hide feature-specific sections
     this.updateSectionVisibility();
 
@@ -341,6 +426,8 @@ class TerminalSettings {
       this.config.features.commandBlocks ? 'block' : 'none';
     document.getElementById('section-aiSuggestions').style.display =
       this.config.features.aiSuggestions ? 'block' : 'none';
+    document.getElementById('section-sessionRestore').style.display =
+      this.config.features.sessionRestore !== false ? 'block' : 'none';
   }
 
   /**
@@ -454,6 +541,22 @@ class TerminalSettings {
     }));
   }
 
+  /**
+   * Update session restore settings
+   */
+  async updateRestoreSettings() {
+    const scrollbackKB = parseInt(document.getElementById('restore-scrollbackKB').value) || 512;
+    const settings = { scrollbackKB: Math.min(Math.max(scrollbackKB, 64), 16384) };
+    document.getElementById('restore-scrollbackKB').value = settings.scrollbackKB;
+
+    this.config.sessionRestore = settings;
+    await window.donnaTerminal?.updateFeatureSettings?.('sessionRestore', settings);
+
+    window.dispatchEvent(new CustomEvent('settingsUpdated', {
+      detail: { feature: 'sessionRestore', settings }
+    }));
+  }
+
   /**
    * Delete a workflow
    */
@@ -462,6 +565,47 @@ class TerminalSettings {
 
     // Reload config
     await this.loadConfig();
+    window.dispatchEvent(new CustomEvent('workflowsChanged'));
+  }
+
+  /**
+   * Import a workflow bundle file as custom workflows
+   */
+  async importWorkflows() {
+    const result = await window.donnaTerminal?.importWorkflows?.();
+    if (!result || result.canceled) return;
+
+    const lines = [];
+    if (result.imported?.length) {
+      lines.push(`Imported ${result.imported.length} workflow${result.imported.length === 1 ? '' : 's'}.`);
+    }
+    for (const { name, error } of result.errors || []) {
+      lines.push(`Skipped ${name}: ${error}`);
+    }
+    if (result.error) lines.push(`Import failed: ${result.error}`);
+    this.showBundleStatus(lines.join('\n'));
+
+    await this.loadConfig();
+    window.dispatchEvent(new CustomEvent('workflowsChanged'));
+  }
+
+  /**
+   * Export custom workflows to a bundle file, defaulting to the project's
+   * .donna/workflows so it can be committed
+   */
+  async exportWorkflows() {
+    const cwd = window.sessionManager?.getActiveSession?.()?.terminal?.cwd;
+    const result = await window.donnaTerminal?.exportWorkflows?.({ cwd });
+    if (!result || result.canceled) return;
+
+    this.showBundleStatus(result.success
+      ? `Exported ${result.count} workflow${result.count === 1 ? '' : 's'} to ${result.path}`
+      : `Export failed: ${result.error}`);
+  }
+
+  showBundleStatus(message) {
+    const status = this.element.querySelector('#workflow-bundle-status');
+    if (status) status.textContent = message;
   }
 
   /**
@@ -1,14 +1,27 @@
 /**
  * Donna Desktop - Workflow Manager
- * Saved command sequences that can be executed with one click
+ * Saved command sequences that can be executed with one click.
+ *
+ * Workflows arrive compiled by the main process (see workflowSchema.js):
+ * typed variables, and steps that are commands or loops with optional `if`
+ * conditions and confirmation gates. Steps wait for the command to finish in
+ * the terminal (with shell integration) and stop the workflow on a non-zero
+ * exit code unless `continueOnError` is set.
  */
 
 class WorkflowManager {
   constructor(options = {}) {
     this.workflows = options.workflows || [];
     this.runningWorkflow = null;
+    this.steps = [];
+    this.inputs = [];
+    this.stepResults = {}; // step name -> { exitCode, output, skipped }
     this.currentStep = 0;
     this.variables = {};
+    this.outputVariables = new Set(); // Loop variables holding step output
+    this.pendingConfirm = null;
+    this.defaultStepTimeout = 10 * 60 * 1000;
+    this.maxLoopItems = 100;
 
     this.modalElement = null;
     this.editorElement = null;
@@ -67,57 +80,68 @@ class WorkflowManager {
    * Show workflow confirmation/execution modal
    */
   showWorkflow(workflow) {
+    // The palette may pass a summary; prefer the loaded workflow
+    workflow = this.workflows.find(w => w.id === workflow.id) || workflow;
+
     this.runningWorkflow = workflow;
+    this.steps = workflow.compiled?.steps || [];
+    this.inputs = workflow.compiled?.variables || [];
+    this.stepResults = {};
     this.currentStep = 0;
     this.variables = {};
 
-    // Parse variables from commands
-    const variables = this.extractVariables(workflow.commands);
-
     const titleEl = this.modalElement.querySelector('.workflow-title');
     titleEl.textContent = workflow.name;
+    if (workflow.isProject) {
+      const badge = document.createElement('span');
+      badge.className = 'workflow-badge';
+      badge.textContent = 'project';
+      badge.title = workflow.source || '';
+      titleEl.appendChild(badge);
+    }
 
     const stepsEl = this.modalElement.querySelector('.workflow-steps');
+    const runButton = this.modalElement.querySelector('.workflow-run');
+    this.modalElement.querySelectorAll('button').forEach(el => {
+      el.disabled = false;
+    });
+
+    if (workflow.error || !workflow.compiled) {
+      stepsEl.innerHTML = `<p class="workflow-invalid">This workflow is invalid: ${this.escapeHtml(workflow.error || 'not compiled')}</p>`;
+      runButton.disabled = true;
+    } else if (this.inputs.length > 0) {
+      // Static defaults now; env and git defaults are filled in below
+      for (const input of this.inputs) {
+        const value = input.default;
+        if (value === null || (typeof value === 'object' && !Array.isArray(value))) continue;
+        this.variables[input.name] = input.type === 'list' ? this.parseList(value) : value;
+      }
 
-    // Check if we need variable inputs
-    if (variables.length > 0) {
       stepsEl.innerHTML = `
         <div class="workflow-variables">
           <p class="variables-intro">This workflow needs some input:</p>
-          ${variables.map(v => `
-            <div class="variable-input">
-              <label for="var-${v.name}">${v.label || v.name}</label>
-              <input type="text" id="var-${v.name}" data-var="${v.name}" placeholder="${v.placeholder || ''}" value="${v.default || ''}">
-            </div>
-          `).join('')}
-        </div>
-        <div class="workflow-preview">
-          <p class="preview-label">Commands to run:</p>
-          ${workflow.commands.map((cmd, i) => `
-            <div class="workflow-step pending" data-step="${i}">
-              <span class="step-number">${i + 1}</span>
-              <code class="step-command">${this.escapeHtml(cmd)}</code>
-            </div>
-          `).join('')}
+          ${this.inputs.map(input => this.renderInput(input)).join('')}
         </div>
+        ${this.renderSteps()}
       `;
 
       // Update preview on variable change
-      stepsEl.querySelectorAll('input').forEach(input => {
-        input.addEventListener('input', () => this.updatePreview());
+      stepsEl.querySelectorAll('[data-var]').forEach(input => {
+        const onChange = () => {
+          input.dataset.touched = 'true';
+          input.classList.remove('invalid');
+          this.updatePreview();
+        };
+        input.addEventListener('input', onChange);
+        input.addEventListener('change', onChange);
       });
+      stepsEl.querySelectorAll('[data-browse]').forEach(button => {
+        button.addEventListener('click', () => this.browseFile(button.dataset.browse));
+      });
+
+      this.loadDynamicDefaults(workflow);
     } else {
-      stepsEl.innerHTML = `
-        <div class="workflow-preview">
-          <p class="preview-label">Commands to run:</p>
-          ${workflow.commands.map((cmd, i) => `
-            <div class="workflow-step pending" data-step="${i}">
-              <span class="step-number">${i + 1}</span>
-              <code class="step-command">${this.escapeHtml(cmd)}</code>
-            </div>
-          `).join('')}
-        </div>
-      `;
+      stepsEl.innerHTML = this.renderSteps();
     }
 
     // Reset progress
@@ -131,70 +155,326 @@ class WorkflowManager {
     });
 
     // Focus first input if exists
-    const firstInput = stepsEl.querySelector('input');
+    const firstInput = stepsEl.querySelector('[data-var]');
     firstInput?.focus();
   }
 
   /**
-   * Extract variables from command templates
-   * Format: ${variableName:Label Text}
+   * Render the input for a variable
    */
-  extractVariables(commands) {
-    const variables = [];
-    const seen = new Set();
-
-    const pattern = /\$\{(\w+)(?::([^}]*))?\}/g;
+  renderInput(input) {
+    const id = `var-${input.name}`;
+    const value = this.variables[input.name];
+    const label = `${this.escapeHtml(input.label)}${input.required ? ' *' : ''}`;
+    const hint = input.description ? `<p class="variable-hint">${this.escapeHtml(input.description)}</p>` : '';
+
+    switch (input.type) {
+      case 'boolean':
+        return `
+          <div class="variable-input variable-boolean">
+            <label for="${id}">
+              <input type="checkbox" id="${id}" data-var="${input.name}" ${value ? 'checked' : ''}>
+              ${label}
+            </label>
+            ${hint}
+          </div>
+        `;
+      case 'choice':
+        return `
+          <div class="variable-input">
+            <label for="${id}">${label}</label>
+            <select id="${id}" data-var="${input.name}">
+              ${input.options.map(option => `
+                <option value="${this.escapeAttr(option)}" ${option === value ? 'selected' : ''}>${this.escapeHtml(option)}</option>
+              `).join('')}
+            </select>
+            ${hint}
+          </div>
+        `;
+      case 'file':
+        return `
+          <div class="variable-input">
+            <label for="${id}">${label}</label>
+            <div class="variable-file">
+              <input type="text" id="${id}" data-var="${input.name}" value="${this.escapeAttr(value || '')}" placeholder="/path/to/file">
+              <button type="button" data-browse="${input.name}">Browse…</button>
+            </div>
+            ${hint}
+          </div>
+        `;
+      case 'list':
+        return `
+          <div class="variable-input">
+            <label for="${id}">${label}</label>
+            <input type="text" id="${id}" data-var="${input.name}" value="${this.escapeAttr((value || []).join(', '))}" placeholder="one, two, three">
+            ${hint}
+          </div>
+        `;
+      default:
+        return `
+          <div class="variable-input">
+            <label for="${id}">${label}</label>
+            <input type="text" id="${id}" data-var="${input.name}" value="${this.escapeAttr(value ?? '')}">
+            ${hint}
+          </div>
+        `;
+    }
+  }
 
-    for (const cmd of commands) {
-      let match;
-      while ((match = pattern.exec(cmd)) !== null) {
-        const name = match[1];
-        if (!seen.has(name)) {
-          seen.add(name);
-          variables.push({
-            name,
-            label: match[2] || name,
-            placeholder: '',
-            default: ''
-          });
-        }
+  /**
+   * Fill in defaults that come from the environment or git
+   */
+  async loadDynamicDefaults(workflow) {
+    const dynamic = this.inputs.filter(input =>
+      input.default && typeof input.default === 'object' && !Array.isArray(input.default));
+    if (dynamic.length === 0) return;
+
+    const cwd = window.sessionManager?.getActiveSession?.()?.terminal?.cwd;
+    const values = await window.donnaTerminal?.resolveWorkflowDefaults?.(dynamic, cwd) || {};
+    if (this.runningWorkflow !== workflow) return;
+
+    for (const [name, value] of Object.entries(values)) {
+      const input = this.modalElement.querySelector(`[data-var="${name}"]`);
+      // Don't overwrite anything entered while defaults loaded
+      if (!input || input.dataset.touched) continue;
+      if (input.type === 'checkbox') {
+        input.checked = value === true || value === 'true';
+      } else if (input.tagName !== 'SELECT' || [...input.options].some(o => o.value === value)) {
+        input.value = value;
       }
     }
+    this.updatePreview();
+  }
+
+  /**
+   * Pick a file for a file variable
+   */
+  async browseFile(name) {
+    const input = this.modalElement.querySelector(`[data-var="${name}"]`);
+    const variable = this.inputs.find(v => v.name === name);
+    const cwd = window.sessionManager?.getActiveSession?.()?.terminal?.cwd;
+    const result = await window.donnaTerminal?.pickWorkflowFile?.(input?.value || cwd, variable?.label);
+    if (result?.success && input) {
+      input.value = result.path;
+      input.dataset.touched = 'true';
+      this.updatePreview();
+    }
+  }
 
-    return variables;
+  /**
+   * Render the step list
+   */
+  renderSteps() {
+    return `
+      <div class="workflow-preview">
+        <p class="preview-label">Commands to run:</p>
+        ${this.renderStepRows(this.steps, '')}
+      </div>
+    `;
+  }
+
+  /**
+   * Render steps (and loop bodies, nested) as rows keyed by their path
+   */
+  renderStepRows(steps, prefix) {
+    return steps.map((step, i) => {
+      const key = `${prefix}${i}`;
+      const number = key.split('.').map(n => Number(n) + 1).join('.');
+      const text = step.type === 'loop'
+        ? `for each ${step.as} in ${this.describeList(step.forEach)}`
+        : this.resolveVariables(step.command, true);
+      const flags = [
+        step.ifSource ? `<span class="step-flag" title="Runs only if this condition holds">if ${this.escapeHtml(step.ifSource)}</span>` : '',
+        step.confirm ? '<span class="step-flag" title="Asks before running">confirm</span>' : '',
+        step.continueOnError ? '<span class="step-flag" title="Continues if this step fails">continue on error</span>' : ''
+      ].join('');
+
+      return `
+        <div class="workflow-step pending${prefix ? ' nested' : ''}" data-step="${key}">
+          <span class="step-number">${number}</span>
+          <code class="step-command">${this.escapeHtml(text)}</code>
+          ${flags}
+          <span class="step-status"></span>
+        </div>
+        ${step.type === 'loop' ? this.renderStepRows(step.steps, `${key}.`) : ''}
+      `;
+    }).join('');
+  }
+
+  /**
+   * Describe a loop's list for display
+   */
+  describeList(forEach) {
+    if (forEach.type === 'literal') return forEach.value.join(', ');
+    return forEach.scope === 'vars' ? `vars.${forEach.name}` : `steps.${forEach.name}.${forEach.field}`;
+  }
+
+  /**
+   * Read variable values from the inputs
+   */
+  collectVariables() {
+    this.modalElement.querySelectorAll('[data-var]').forEach(input => {
+      const variable = this.inputs.find(v => v.name === input.dataset.var);
+      if (input.type === 'checkbox') {
+        this.variables[input.dataset.var] = input.checked;
+      } else if (variable?.type === 'list') {
+        this.variables[input.dataset.var] = this.parseList(input.value);
+      } else {
+        this.variables[input.dataset.var] = input.value;
+      }
+    });
   }
 
   /**
    * Update command preview with variable values
    */
   updatePreview() {
-    // Collect variable values
-    this.modalElement.querySelectorAll('.variable-input input').forEach(input => {
-      this.variables[input.dataset.var] = input.value;
-    });
+    this.collectVariables();
 
-    // Update command previews
-    this.modalElement.querySelectorAll('.workflow-step').forEach((stepEl, i) => {
-      const cmd = this.runningWorkflow.commands[i];
-      const resolved = this.resolveVariables(cmd);
-      stepEl.querySelector('.step-command').textContent = resolved;
+    const update = (steps, prefix) => steps.forEach((step, i) => {
+      const key = `${prefix}${i}`;
+      if (step.type === 'loop') {
+        update(step.steps, `${key}.`);
+        return;
+      }
+      const stepEl = this.modalElement.querySelector(`[data-step="${key}"] .step-command`);
+      if (stepEl) stepEl.textContent = this.resolveVariables(step.command, true);
     });
+    update(this.steps, '');
   }
 
   /**
-   * Resolve variables in a command string
+   * Resolve variables and earlier step results in a command string.
+   * Step output (and loop items taken from it) is inserted as one quoted
+   * word, without its trailing newline, so the shell never runs it.
+   * @param {boolean} preview - Show empty and unset variables as [name]
+   * @param {boolean} forShell - Quote step output; false for text that is
+   *   only shown, such as confirmation messages
+   * @throws {Error} When step output for the shell has several lines; loop
+   *   over it with forEach instead
    */
-  resolveVariables(cmd) {
-    return cmd.replace(/\$\{(\w+)(?::[^}]*)?\}/g, (match, name) => {
-      return this.variables[name] || `[${name}]`;
+  resolveVariables(cmd, preview = false, forShell = true) {
+    return cmd.replace(/\$\{(?:steps\.([\w-]+)\.(output|exitCode)|(\w+)(?::[^}]*)?)\}/g, (match, stepName, field, name) => {
+      if (stepName) {
+        const result = this.stepResults[stepName];
+        if (!result) return `[${stepName}.${field}]`;
+        if (field !== 'output') return this.toText(result.exitCode);
+        const output = result.output.replace(/[\r\n]+$/, '');
+        return forShell ? this.quoteOutput(output, `steps.${stepName}.output`, preview) : output;
+      }
+      const value = this.toText(this.variables[name]);
+      if (this.variables[name] === undefined || (preview && value === '')) return `[${name}]`;
+      return forShell && this.outputVariables.has(name) ? this.quoteOutput(value, name, preview) : value;
     });
   }
 
+  /**
+   * Quote command output as a single shell word (POSIX shells and fish)
+   * @param {string} label - What the value is, for the error
+   * @param {boolean} preview - Show multi-line output as [label] instead of failing
+   */
+  quoteOutput(value, label, preview = false) {
+    if (/[\r\n]/.test(value)) {
+      if (preview) return `[${label}]`;
+      throw new Error(`\${${label}} has several lines; use forEach to run a step per line`);
+    }
+    return /^[a-zA-Z0-9_./:=@%+,-]+$/.test(value) ? value : `'${value.replace(/'/g, `'\\''`)}'`;
+  }
+
+  /**
+   * A variable or result value as command text
+   */
+  toText(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.join(' ');
+    return String(value);
+  }
+
+  /**
+   * Split a list input or value into items
+   */
+  parseList(value) {
+    if (Array.isArray(value)) return value.map(String);
+    return String(value ?? '').split(/[\n,]/).map(item => item.trim()).filter(Boolean);
+  }
+
+  /**
+   * Evaluate a compiled condition against variables and step results
+   */
+  evaluate(node) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+      case 'ref': {
+        if (node.scope === 'vars') return this.variables[node.name];
+        const result = this.stepResults[node.name];
+        return result ? result[node.field] : null;
+      }
+      case 'not':
+        return !this.isTruthy(this.evaluate(node.operand));
+      case 'and':
+        return this.isTruthy(this.evaluate(node.left)) && this.isTruthy(this.evaluate(node.right));
+      case 'or':
+        return this.isTruthy(this.evaluate(node.left)) || this.isTruthy(this.evaluate(node.right));
+      case 'compare':
+        return this.compare(node.op, this.evaluate(node.left), this.evaluate(node.right));
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Compare two values: as numbers when both are numeric, otherwise as text
+   */
+  compare(op, left, right) {
+    if (op === 'contains') {
+      return Array.isArray(left)
+        ? left.map(String).includes(this.toText(right))
+        : this.toText(left).includes(this.toText(right));
+    }
+
+    const isNumeric = (v) => (typeof v === 'number' || (typeof v === 'string' && v.trim() !== '')) && !isNaN(v);
+    const [a, b] = isNumeric(left) && isNumeric(right)
+      ? [Number(left), Number(right)]
+      : [this.toText(left), this.toText(right)];
+
+    switch (op) {
+      case '==': return a === b;
+      case '!=': return a !== b;
+      case '<': return a < b;
+      case '<=': return a <= b;
+      case '>': return a > b;
+      case '>=': return a >= b;
+      default: return false;
+    }
+  }
+
+  isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return value !== null && value !== undefined && value !== false && value !== 0 &&
+      value !== '' && value !== '0' && value !== 'false';
+  }
+
+  /**
+   * Items a loop iterates over
+   */
+  getLoopItems(step) {
+    if (step.forEach.type === 'literal') {
+      // Quoted when inserted into commands, not here
+      return step.forEach.value.map(item => this.resolveVariables(item, false, false)).filter(Boolean);
+    }
+    const value = this.evaluate(step.forEach);
+    if (Array.isArray(value)) return value.map(String);
+    return this.toText(value).split('\n').map(item => item.trim()).filter(Boolean);
+  }
+
   /**
    * Close the modal
    */
   closeModal() {
     this.modalElement.classList.remove('open');
+    // A gate nobody can answer any more stops the workflow
+    this.pendingConfirm?.(false);
     setTimeout(() => {
       this.modalElement.style.display = 'none';
     }, 200);
@@ -219,54 +499,51 @@ class WorkflowManager {
    * Start workflow execution
    */
   async startExecution() {
-    if (!this.runningWorkflow) return;
+    if (!this.runningWorkflow?.compiled) return;
 
     // Collect final variable values
-    this.modalElement.querySelectorAll('.variable-input input').forEach(input => {
-      this.variables[input.dataset.var] = input.value;
-    });
+    this.collectVariables();
+
+    const missing = this.inputs.find(input =>
+      input.required && (this.toText(this.variables[input.name]) === ''));
+    if (missing) {
+      const input = this.modalElement.querySelector(`[data-var="${missing.name}"]`);
+      input?.classList.add('invalid');
+      input?.focus();
+      return;
+    }
 
     // Disable inputs and run button
-    this.modalElement.querySelectorAll('input, button').forEach(el => {
+    this.modalElement.querySelectorAll('input, select, button').forEach(el => {
       el.disabled = true;
     });
 
-    const commands = this.runningWorkflow.commands.map(cmd => this.resolveVariables(cmd));
-
-    // Execute commands one by one
-    for (let i = 0; i < commands.length; i++) {
-      this.currentStep = i;
-      this.updateStepStatus(i, 'running');
-
-      try {
-        await this.executeCommand(commands[i]);
-        this.updateStepStatus(i, 'success');
-      } catch (error) {
-        this.updateStepStatus(i, 'error');
-
-        // Show error and stop
-        window.dispatchEvent(new CustomEvent('workflowError', {
-          detail: {
-            workflow: this.runningWorkflow,
-            step: i,
-            command: commands[i],
-            error: error.message
-          }
-        }));
+    const workflow = this.runningWorkflow;
+    this.stepResults = {};
 
-        // Re-enable cancel button
-        this.modalElement.querySelector('.workflow-cancel').disabled = false;
-        return;
-      }
+    const outcome = await this.runSteps(this.steps, '', workflow);
+    if (outcome.status === 'cancelled') return;
 
-      // Update progress
-      const progress = ((i + 1) / commands.length) * 100;
-      this.modalElement.querySelector('.workflow-progress-bar').style.width = `${progress}%`;
+    if (outcome.status === 'failed') {
+      // Show error and stop
+      window.dispatchEvent(new CustomEvent('workflowError', {
+        detail: {
+          workflow,
+          step: outcome.step,
+          command: outcome.command,
+          exitCode: outcome.exitCode,
+          error: outcome.error
+        }
+      }));
+
+      // Re-enable cancel button
+      this.modalElement.querySelector('.workflow-cancel').disabled = false;
+      return;
     }
 
     // Workflow complete
     window.dispatchEvent(new CustomEvent('workflowComplete', {
-      detail: { workflow: this.runningWorkflow }
+      detail: { workflow, results: this.stepResults }
     }));
 
     // Close modal after short delay
@@ -276,34 +553,187 @@ class WorkflowManager {
     }, 1000);
   }
 
+  /**
+   * Run steps in order
+   * @returns {Promise<Object>} { status: 'ok' | 'failed' | 'cancelled', step, command, exitCode, error }
+   */
+  async runSteps(steps, prefix, workflow) {
+    for (let i = 0; i < steps.length; i++) {
+      const step = steps[i];
+      const key = `${prefix}${i}`;
+      if (!prefix) this.currentStep = i;
+
+      if (step.if && !this.isTruthy(this.evaluate(step.if))) {
+        this.stepResults[step.name] = { exitCode: null, output: '', skipped: true };
+        this.updateStepStatus(key, 'skipped', 'skipped');
+      } else {
+        if (step.confirm) {
+          this.updateStepStatus(key, 'running');
+          const confirmed = await this.confirmStep(key, this.resolveVariables(step.confirm, false, false));
+          if (this.runningWorkflow !== workflow) return { status: 'cancelled' };
+          if (!confirmed) {
+            this.updateStepStatus(key, 'error', 'stopped');
+            return { status: 'failed', step: key, command: step.command || '', exitCode: null, error: 'Stopped at confirmation' };
+          }
+        }
+
+        const outcome = step.type === 'loop'
+          ? await this.runLoop(step, key, workflow)
+          : await this.runCommandStep(step, key, workflow);
+
+        if (outcome.status === 'cancelled') return outcome;
+        if (outcome.status === 'failed') {
+          this.updateStepStatus(key, 'error', outcome.error);
+          if (!step.continueOnError) return outcome;
+        }
+      }
+
+      // Update progress
+      if (!prefix) {
+        const progress = ((i + 1) / steps.length) * 100;
+        this.modalElement.querySelector('.workflow-progress-bar').style.width = `${progress}%`;
+      }
+    }
+    return { status: 'ok' };
+  }
+
+  /**
+   * Run a command step and record its result
+   */
+  async runCommandStep(step, key, workflow) {
+    // Resolved now so earlier step results are available
+    let command;
+    try {
+      command = this.resolveVariables(step.command);
+    } catch (error) {
+      return { status: 'failed', step: key, command: step.command, exitCode: null, error: error.message };
+    }
+    this.updateStepStatus(key, 'running');
+    const stepEl = this.modalElement.querySelector(`[data-step="${key}"] .step-command`);
+    if (stepEl) stepEl.textContent = command;
+
+    let result;
+    try {
+      result = await this.executeCommand(command, step.timeoutMs);
+    } catch (error) {
+      result = { command, exitCode: null, error: error.message };
+    }
+
+    // Cancelled while the command was running
+    if (this.runningWorkflow !== workflow) return { status: 'cancelled' };
+
+    this.stepResults[step.name] = { exitCode: result.exitCode, output: result.output || '', skipped: false };
+
+    const error = result.error ||
+      (result.timedOut ? `Timed out after ${Math.round(step.timeoutMs / 1000)}s` : null) ||
+      (result.exitCode ? `Exited with code ${result.exitCode}` : null);
+
+    if (error) {
+      return { status: 'failed', step: key, command, exitCode: result.exitCode, error };
+    }
+    this.updateStepStatus(key, 'success', result.exitCode === 0 ? 'exit 0' : '');
+    return { status: 'ok' };
+  }
+
+  /**
+   * Run a loop's steps once per item, with the item as a variable
+   */
+  async runLoop(step, key, workflow) {
+    const items = this.getLoopItems(step);
+    if (items.length > this.maxLoopItems) {
+      return { status: 'failed', step: key, command: '', exitCode: null, error: `Too many items (${items.length}, max ${this.maxLoopItems})` };
+    }
+
+    // Items from step output are quoted wherever ${as} is used
+    const fromOutput = step.forEach.type === 'literal'
+      ? step.forEach.value.some(item => item.includes('${steps.'))
+      : step.forEach.scope !== 'vars';
+    if (fromOutput) this.outputVariables.add(step.as);
+
+    let outcome = { status: 'ok' };
+    for (let n = 0; n < items.length; n++) {
+      this.variables[step.as] = items[n];
+      this.updateStepStatus(key, 'running', `${n + 1}/${items.length}: ${items[n]}`);
+      this.modalElement.querySelectorAll(`[data-step^="${key}."]`).forEach(el => {
+        el.className = 'workflow-step pending nested';
+        el.querySelector('.step-status').textContent = '';
+      });
+
+      outcome = await this.runSteps(step.steps, `${key}.`, workflow);
+      if (outcome.status !== 'ok') break;
+    }
+    delete this.variables[step.as];
+    this.outputVariables.delete(step.as);
+
+    if (outcome.status === 'ok') {
+      this.stepResults[step.name] = { exitCode: null, output: '', skipped: false };
+      this.updateStepStatus(key, 'success', items.length === 1 ? '1 item' : `${items.length} items`);
+    }
+    return outcome;
+  }
+
+  /**
+   * Ask before running a step
+   * @returns {Promise<boolean>} Whether to run it
+   */
+  confirmStep(key, message) {
+    const stepEl = this.modalElement.querySelector(`[data-step="${key}"]`);
+    if (!stepEl) return Promise.resolve(false);
+
+    const gate = document.createElement('div');
+    gate.className = 'step-confirm';
+    gate.innerHTML = `
+      <span class="step-confirm-message">${this.escapeHtml(message)}</span>
+      <button class="step-confirm-stop">Stop</button>
+      <button class="step-confirm-run">Run</button>
+    `;
+    stepEl.after(gate);
+    gate.querySelector('.step-confirm-run').focus();
+
+    return new Promise((resolve) => {
+      this.pendingConfirm = (confirmed) => {
+        this.pendingConfirm = null;
+        gate.remove();
+        resolve(confirmed);
+      };
+      gate.querySelector('.step-confirm-run').addEventListener('click', () => this.pendingConfirm?.(true));
+      gate.querySelector('.step-confirm-stop').addEventListener('click', () => this.pendingConfirm?.(false));
+    });
+  }
+
   /**
    * Update visual status of a step
    */
-  updateStepStatus(stepIndex, status) {
-    const stepEl = this.modalElement.querySelector(`[data-step="${stepIndex}"]`);
+  updateStepStatus(key, status, detail = '') {
+    const stepEl = this.modalElement.querySelector(`[data-step="${key}"]`);
     if (stepEl) {
-      stepEl.className = `workflow-step ${status}`;
+      stepEl.className = `workflow-step ${status}${String(key).includes('.') ? ' nested' : ''}`;
+      const statusEl = stepEl.querySelector('.step-status');
+      if (statusEl) statusEl.textContent = detail;
     }
   }
 
   /**
    * Execute a single command
+   * @returns {Promise<Object>} { command, exitCode, output, timedOut } -
+   *   exitCode is null when the terminal can't report it
    */
-  executeCommand(command) {
+  executeCommand(command, timeoutMs = this.defaultStepTimeout) {
     return new Promise((resolve, reject) => {
-      // Emit command event for terminal
+      // Emit command event for terminal, which interrupts the command on timeout
       window.dispatchEvent(new CustomEvent('workflowCommand', {
         detail: {
           command,
+          timeoutMs,
           onComplete: resolve,
           onError: reject
         }
       }));
 
-      // Timeout after 60 seconds
+      // In case nothing handles the command
       setTimeout(() => {
         reject(new Error('Command timed out'));
-      }, 60000);
+      }, timeoutMs + 5000);
     });
   }
 
@@ -348,9 +778,15 @@ class WorkflowManager {
           </div>
           <div class="editor-field">
             <label>Commands (one per line)</label>
-            <textarea id="workflow-commands" rows="6" placeholder="git add .&#10;git commit -m &quot;\${message:Commit message}&quot;&#10;git push">${editWorkflow.commands.join('\n')}</textarea>
-            <p class="field-hint">Use \${name:Label} for variables that prompt for input</p>
+            <textarea id="workflow-commands" rows="6" placeholder="git add .&#10;git commit -m &quot;\${message:Commit message}&quot;&#10;git push">${this.escapeHtml(this.formatCommands(editWorkflow.commands))}</textarea>
+            <p class="field-hint">Use \${name:Label} for variables that prompt for input. For step options, enter a JSON array of steps such as [{"name": "test", "command": "npm test", "continueOnError": true}, {"command": "npm publish", "if": "steps.test.exitCode == 0", "confirm": "Publish?"}, {"forEach": "vars.dirs", "as": "dir", "commands": ["ls \${dir}"]}] and use \${steps.test.output} in later steps.</p>
           </div>
+          <div class="editor-field">
+            <label>Variables (optional JSON)</label>
+            <textarea id="workflow-variables" rows="4" placeholder="{&quot;env&quot;: {&quot;type&quot;: &quot;choice&quot;, &quot;options&quot;: [&quot;staging&quot;, &quot;production&quot;]}}">${editWorkflow.variables ? this.escapeHtml(JSON.stringify(editWorkflow.variables, null, 2)) : ''}</textarea>
+            <p class="field-hint">Types: text, choice (with options), boolean, file, list. Defaults can be a value, {"env": "USER"} or {"git": "branch"}.</p>
+          </div>
+          <p class="editor-error" style="display: none"></p>
         </div>
         <div class="editor-actions">
           <button class="editor-cancel">Cancel</button>
@@ -383,6 +819,7 @@ class WorkflowManager {
     const name = document.getElementById('workflow-name').value.trim();
     const description = document.getElementById('workflow-desc').value.trim();
     const commandsText = document.getElementById('workflow-commands').value.trim();
+    const variablesText = document.getElementById('workflow-variables').value.trim();
 
     if (!name) {
       alert('Please enter a workflow name');
@@ -394,28 +831,83 @@ class WorkflowManager {
       return;
     }
 
-    const commands = commandsText.split('\n').filter(c => c.trim());
+    let commands;
+    let variables;
+    try {
+      commands = this.parseCommands(commandsText);
+      variables = variablesText ? JSON.parse(variablesText) : undefined;
+    } catch (error) {
+      this.showEditorError(error.message);
+      return;
+    }
 
     const workflowData = {
       name,
       description,
       commands,
+      variables,
       icon: 'workflow'
     };
 
+    // The main process validates the workflow; keep the editor open on errors
+    const callbacks = {
+      onSaved: () => {
+        this.editorElement.style.display = 'none';
+      },
+      onError: (error) => this.showEditorError(error)
+    };
+
     if (existingId) {
       // Update existing
       window.dispatchEvent(new CustomEvent('workflowUpdate', {
-        detail: { id: existingId, ...workflowData }
+        detail: { id: existingId, ...workflowData, ...callbacks }
       }));
     } else {
       // Create new
       window.dispatchEvent(new CustomEvent('workflowCreate', {
-        detail: workflowData
+        detail: { ...workflowData, ...callbacks }
       }));
     }
+  }
 
-    this.editorElement.style.display = 'none';
+  /**
+   * Show a validation error in the editor
+   */
+  showEditorError(message) {
+    const errorEl = this.editorElement.querySelector('.editor-error');
+    errorEl.textContent = message;
+    errorEl.style.display = 'block';
+  }
+
+  /**
+   * Commands as editor text: one per line, or a JSON array if any step has options
+   */
+  formatCommands(commands) {
+    if (commands.every(cmd => typeof cmd === 'string')) {
+      return commands.join('\n');
+    }
+    return JSON.stringify(commands, null, 2);
+  }
+
+  /**
+   * Parse editor text into commands
+   * @throws {Error} If a JSON step list is malformed
+   */
+  parseCommands(text) {
+    if (!text.startsWith('[')) {
+      return text.split('\n').filter(c => c.trim());
+    }
+
+    let steps;
+    try {
+      steps = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid step list: ${error.message}`);
+    }
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw new Error('Step list must be a non-empty array');
+    }
+    return steps;
   }
 
   /**
@@ -426,6 +918,13 @@ class WorkflowManager {
     div.textContent = text;
     return div.innerHTML;
   }
+
+  /**
+   * Escape text for an attribute value
+   */
+  escapeAttr(text) {
+    return this.escapeHtml(String(text)).replace(/"/g, '&quot;');
+  }
 }
 
 // Export for use
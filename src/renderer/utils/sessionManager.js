@@ -10,6 +10,10 @@ class SessionManager {
     this.sessionCounter = 0;
     this.sidebar = null;
     this.terminalContainer = null;
+    this.paneLayout = null;
+
+    // Terminal and agent sessions that get input typed into any of them
+    this.broadcastGroup = new Set();
 
     // Stream listeners for chat (V4)
     this.streamListeners = new Map();
@@ -21,6 +25,11 @@ class SessionManager {
 
     // Pinned sessions persistence key
     this.PINNED_STORAGE_KEY = 'donna-pinned-sessions';
+
+    // Session layout saved in the main process for restore on launch
+    this.layoutSaveTimer = null;
+    this.layoutSaveDelay = 500;
+    this.restoringSessions = false;
   }
 
   /**
@@ -29,9 +38,145 @@ class SessionManager {
   init(sidebar, terminalContainer) {
     this.sidebar = sidebar;
     this.terminalContainer = terminalContainer;
+    this.initPaneLayout();
+
+    // Restore sessions after a brief delay for components to initialize
+    setTimeout(() => this.restoreSessions(), 100);
+  }
+
+  /**
+   * Set up split panes in the terminal container
+   */
+  initPaneLayout() {
+    if (!window.PaneLayout || !this.terminalContainer) return;
+
+    this.paneLayout = new window.PaneLayout(this.terminalContainer, {
+      getSessionElement: (sessionId) => this.getSessionElement(this.sessions.get(sessionId)),
+      onFocusPane: (sessionId) => this.switchToSession(sessionId),
+      onDropSession: (sessionId, paneId, edge) => this.moveSessionToPane(sessionId, paneId, edge),
+      onClosePane: (paneId) => this.closePane(paneId),
+      onResize: () => this.handleResize(),
+      onChange: () => {
+        this.handleResize();
+        this.sidebar?.setVisibleSessions?.(this.paneLayout.isSplit() ? this.paneLayout.getSessionIds() : []);
+        this.scheduleLayoutSave();
+      }
+    });
+  }
+
+  /**
+   * The element showing a session (terminal, chat or arena view)
+   */
+  getSessionElement(session) {
+    if (!session) return null;
+    return session.agentChat?.wrapper || session.terminal?.wrapper ||
+      session.chat?.wrapper || session.duelView?.wrapper || null;
+  }
+
+  /**
+   * Split the focused pane and open a new terminal in the new pane
+   * @param {string} direction - 'row' (side by side) or 'column' (stacked)
+   */
+  async splitPane(direction) {
+    if (!this.paneLayout || !this.activeSessionId) {
+      return this.createTerminalSession();
+    }
+
+    const pane = this.paneLayout.split(direction);
+    const session = await this.createTerminalSession();
+    if (!session && this.paneLayout.findPane(pane.id)?.sessionId === null) {
+      this.paneLayout.closePane(pane.id);
+    }
+    return session;
+  }
+
+  /**
+   * Move a session into a pane, or into a new pane beside it
+   * @param {string|null} edge - 'left', 'right', 'top', 'bottom', or null to
+   *   replace the pane's session
+   */
+  async moveSessionToPane(sessionId, paneId, edge = null) {
+    if (!this.paneLayout || !this.sessions.has(sessionId)) return;
+    const displaced = this.paneLayout.moveSession(sessionId, paneId, edge);
+    if (displaced && displaced !== sessionId) this.hideSession(displaced);
+    await this.switchToSession(sessionId);
+  }
+
+  /**
+   * Close a pane, leaving its session running in the sidebar
+   */
+  async closePane(paneId = this.paneLayout?.focusedPaneId) {
+    if (!this.paneLayout?.isSplit()) return;
+    const sessionId = this.paneLayout.closePane(paneId);
+    if (sessionId) this.hideSession(sessionId);
+
+    const focused = this.paneLayout.getFocusedPane();
+    if (focused.sessionId) {
+      await this.switchToSession(focused.sessionId);
+    } else if (sessionId === this.activeSessionId) {
+      this.activeSessionId = null;
+    }
+  }
+
+  /**
+   * Move the focus to the pane in a direction
+   * @param {string} direction - 'left', 'right', 'up' or 'down'
+   */
+  focusPane(direction) {
+    const pane = this.paneLayout?.focusDirection(direction);
+    if (pane?.sessionId) this.switchToSession(pane.sessionId);
+  }
+
+  /**
+   * Add a terminal or agent session to the broadcast group, or take it out
+   */
+  toggleBroadcast(sessionId) {
+    if (!this.sessions.get(sessionId)?.terminal) return;
+    const group = new Set(this.broadcastGroup);
+    if (group.has(sessionId)) {
+      group.delete(sessionId);
+    } else {
+      group.add(sessionId);
+    }
+    this.setBroadcastGroup(group);
+  }
+
+  /**
+   * Broadcast to every terminal and agent session on screen (all of them
+   * without split panes), or stop broadcasting
+   */
+  toggleBroadcastAll() {
+    if (this.broadcastGroup.size > 0) {
+      this.setBroadcastGroup([]);
+      return;
+    }
+    const ids = this.paneLayout?.isSplit()
+      ? this.paneLayout.getSessionIds()
+      : Array.from(this.sessions.keys());
+    this.setBroadcastGroup(ids);
+  }
+
+  /**
+   * Set the broadcast group; sessions without a terminal are left out
+   * @param {Iterable<string>} sessionIds
+   */
+  setBroadcastGroup(sessionIds) {
+    this.broadcastGroup = new Set(Array.from(sessionIds).filter(id => this.sessions.get(id)?.terminal));
+    for (const [id, session] of this.sessions) {
+      const broadcasting = this.broadcastGroup.has(id);
+      session.terminal?.setBroadcasting?.(broadcasting);
+      this.sidebar?.setBroadcasting?.(id, broadcasting);
+    }
+  }
 
-    // Restore pinned sessions after a brief delay for components to initialize
-    setTimeout(() => this.restorePinnedSessions(), 100);
+  /**
+   * Send input typed into a session to the rest of its broadcast group
+   */
+  broadcastInput(sourceId, data) {
+    if (this.broadcastGroup.size < 2 || !this.broadcastGroup.has(sourceId)) return;
+    for (const id of this.broadcastGroup) {
+      if (id !== sourceId) window.donnaTerminal.write(id, data);
+    }
   }
 
   /**
@@ -50,6 +195,63 @@ class SessionManager {
     } else {
       this.removePinnedSession(sessionId);
     }
+    this.scheduleLayoutSave();
+  }
+
+  /**
+   * Start or stop recording a session's output for restore. Stopping
+   * discards what was recorded so far.
+   */
+  async toggleRecording(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session?.terminal) return;
+
+    const record = session.record === false;
+    const result = await window.donnaTerminal?.setRecording?.(sessionId, record);
+    if (!result?.success) return;
+
+    session.record = record;
+    this.sidebar?.setRecording(sessionId, record);
+    this.scheduleLayoutSave();
+  }
+
+  /**
+   * Terminal, SSH and agent sessions as saved for restore on launch
+   */
+  getLayout() {
+    const sessions = [];
+    for (const session of this.sessions.values()) {
+      if (!['terminal', 'agent', 'ssh'].includes(session.type)) continue;
+      sessions.push({
+        id: session.id,
+        type: session.type,
+        name: session.name,
+        cwd: session.terminal?.cwd || session.workingDir || null,
+        agentId: session.agentId || null,
+        sshHostId: session.sshHostId || null,
+        pinned: session.pinned,
+        record: session.record !== false
+      });
+    }
+    const panes = this.paneLayout?.isSplit() ? this.paneLayout.serialize() : null;
+    return { activeId: this.activeSessionId, sessions, panes };
+  }
+
+  /**
+   * Save the session layout after changes settle
+   */
+  scheduleLayoutSave() {
+    // Saving halfway through a restore would forget the rest
+    if (this.restoringSessions) return;
+
+    clearTimeout(this.layoutSaveTimer);
+    this.layoutSaveTimer = setTimeout(async () => {
+      try {
+        await window.donnaTerminal?.saveSessionLayout?.(this.getLayout());
+      } catch (error) {
+        console.error('[SessionManager] Failed to save session layout:', error);
+      }
+    }, this.layoutSaveDelay);
   }
 
   /**
@@ -81,7 +283,9 @@ class SessionManager {
       type: session.type,
       agentId: session.agentId || null,
       agentInfo: session.agentInfo || null,
-      workingDir: session.workingDir || session.path || '~',
+      sshHostId: session.sshHostId || null,
+      // The remote directory for SSH sessions; their path is the host
+      workingDir: session.sshHostId ? session.workingDir : (session.workingDir || session.path || '~'),
       pinnedAt: Date.now()
     };
 
@@ -98,32 +302,130 @@ class SessionManager {
     localStorage.setItem(this.PINNED_STORAGE_KEY, JSON.stringify(pinned));
   }
 
+  /**
+   * Restore sessions on app load: the saved layout with each session's old
+   * output, then pinned sessions that weren't in it (session restore off)
+   */
+  async restoreSessions() {
+    let layout = { activeId: null, sessions: [] };
+    try {
+      const saved = await window.donnaTerminal?.getSavedSessions?.();
+      if (saved?.success) layout = saved;
+    } catch (error) {
+      console.error('[SessionManager] Failed to load saved sessions:', error);
+    }
+
+    // Old session ID -> restored session ID
+    const restoredIds = new Map();
+    this.restoringSessions = true;
+    try {
+      for (const config of layout.sessions) {
+        try {
+          const session = await this.restoreSession(config);
+          if (session) restoredIds.set(config.id, session.id);
+        } catch (error) {
+          console.error('[SessionManager] Failed to restore session:', config, error);
+        }
+      }
+
+      await this.restorePinnedSessions(restoredIds);
+      this.restorePanes(layout.panes, restoredIds, restoredIds.get(layout.activeId));
+    } finally {
+      this.restoringSessions = false;
+    }
+
+    if (restoredIds.has(layout.activeId)) {
+      await this.switchToSession(restoredIds.get(layout.activeId));
+    }
+    this.scheduleLayoutSave();
+  }
+
+  /**
+   * Lay restored sessions out in their saved panes
+   * @param {Object} panes - Saved pane layout (see PaneLayout.serialize)
+   * @param {Map} restoredIds - Old session ID -> restored session ID
+   */
+  restorePanes(panes, restoredIds, activeId) {
+    if (!panes || !this.paneLayout) return;
+    this.paneLayout.restore(panes, restoredIds, activeId);
+
+    const visible = new Set(this.paneLayout.getSessionIds());
+    if (!visible.size) return;
+    for (const id of this.sessions.keys()) {
+      if (visible.has(id)) this.showSession(this.sessions.get(id));
+      else this.hideSession(id);
+    }
+    this.activeSessionId = this.paneLayout.getFocusedPane().sessionId;
+  }
+
+  /**
+   * Recreate a saved terminal, SSH or agent session; SSH sessions connect again
+   * @param {Object} config - { id, type, name, cwd, agentId, agentInfo,
+   *   sshHostId, pinned, record }
+   * @returns {Promise<Object|null>} The new session
+   */
+  async restoreSession(config) {
+    const options = { restoreId: config.id, record: config.record !== false };
+    let session = null;
+
+    if (config.sshHostId) {
+      options.sshHost = await this.findSshHost(config.sshHostId);
+      // Removed from the saved hosts and ~/.ssh/config since
+      if (!options.sshHost) return null;
+    }
+
+    if (config.type === 'ssh') {
+      session = await this.createSshSession(options.sshHost, { ...options, cwd: config.cwd || null });
+      if (session && config.name && config.name !== session.name) {
+        this.renameSession(session.id, config.name);
+      }
+    } else if (config.type === 'agent') {
+      const agent = config.agentInfo || await window.donnaAgents?.get?.(config.agentId);
+      if (!agent) return null;
+      session = await this.createAgentSession(agent, config.cwd || null, options);
+      if (session && config.name && config.name !== session.name) {
+        this.renameSession(session.id, config.name);
+      }
+    } else if (config.type === 'terminal') {
+      session = await this.createTerminalSession(config.name, { ...options, cwd: config.cwd || null });
+    }
+
+    if (session && config.pinned) {
+      session.pinned = true;
+      this.sidebar?.setPinned(session.id, true);
+    }
+    return session;
+  }
+
   /**
    * Restore pinned sessions on app load
+   * @param {Map} restoredIds - Sessions already restored from the layout
    */
-  async restorePinnedSessions() {
+  async restorePinnedSessions(restoredIds = new Map()) {
     const pinned = this.getPinnedSessions();
     if (!pinned.length) return;
 
-    console.log('[SessionManager] Restoring pinned sessions:', pinned);
-
     for (const config of pinned) {
+      // Already back from the saved layout; just follow its new ID
+      if (restoredIds.has(config.originalId)) {
+        this.updatePinnedSessionId(config.originalId, restoredIds.get(config.originalId));
+        continue;
+      }
+
+      console.log('[SessionManager] Restoring pinned session:', config);
       try {
-        let session = null;
-
-        if (config.type === 'agent' && config.agentInfo) {
-          // Restore agent session
-          session = await this.createAgentSession(config.agentInfo, config.workingDir);
-        } else if (config.type === 'terminal') {
-          // Restore terminal session
-          session = await this.createTerminalSession(config.name);
-        }
+        const session = await this.restoreSession({
+          id: config.originalId,
+          type: config.type,
+          name: config.name,
+          cwd: config.workingDir,
+          agentId: config.agentId,
+          agentInfo: config.agentInfo,
+          sshHostId: config.sshHostId,
+          pinned: true
+        });
 
         if (session) {
-          // Mark as pinned
-          session.pinned = true;
-          this.sidebar?.setPinned(session.id, true);
-
           // Update storage with new session ID
           this.updatePinnedSessionId(config.originalId, session.id);
         }
@@ -135,6 +437,23 @@ class SessionManager {
     }
   }
 
+  /**
+   * A saved or ~/.ssh/config host by ID, or null
+   */
+  async findSshHost(id) {
+    const result = await window.donnaSsh?.listHosts?.();
+    return result?.success ? result.hosts.find(host => host.id === id) || null : null;
+  }
+
+  /**
+   * Where a session on an SSH host runs, as shown in the sidebar
+   * @returns {string} [user@]host:directory
+   */
+  getSshPath(host, cwd) {
+    const target = host.user ? `${host.user}@${host.host}` : host.host;
+    return `${target}:${cwd || host.defaultDir || '~'}`;
+  }
+
   /**
    * Update session ID in pinned storage after restoration
    */
@@ -233,21 +552,29 @@ class SessionManager {
 
   /**
    * Create a terminal session
+   * @param {Object} options - { cwd, restoreId, record, sshHost } (see
+   *   DonnaTerminal); with sshHost it is an SSH session
    */
-  async createTerminalSession(name = null) {
+  async createTerminalSession(name = null, options = {}) {
     const id = this.generateId();
-    const sessionName = name || `Terminal ${this.sessionCounter}`;
+    const sshHost = options.sshHost || null;
+    const sessionName = name || (sshHost ? sshHost.name : `Terminal ${this.sessionCounter}`);
 
     // Create session object
     const session = {
       id,
       name: sessionName,
-      type: 'terminal',
-      path: '~',
+      type: sshHost ? 'ssh' : 'terminal',
+      path: sshHost ? this.getSshPath(sshHost, options.cwd) : '~',
+      sshHost,
+      sshHostId: sshHost?.id || null,
+      // Remote directory to open again on restore
+      workingDir: sshHost ? options.cwd || sshHost.defaultDir || null : null,
       createdAt: new Date(),
       terminal: null,
       chat: null,
-      pinned: false
+      pinned: false,
+      record: options.record !== false
     };
 
     // Hide welcome screen
@@ -261,7 +588,7 @@ class SessionManager {
 
     // Create terminal instance and await initialization
     try {
-      const terminal = new DonnaTerminal(id, this.terminalContainer);
+      const terminal = new DonnaTerminal(id, this.terminalContainer, options);
       await terminal.init();
       session.terminal = terminal;
     } catch (error) {
@@ -287,14 +614,27 @@ class SessionManager {
     return session;
   }
 
+  /**
+   * Create an SSH session: a shell on a saved or ~/.ssh/config host
+   * @param {Object} host - From donnaSsh.listHosts()
+   * @param {Object} options - { cwd, restoreId, record }; cwd is a directory
+   *   on the host (default: the host's default directory)
+   */
+  async createSshSession(host, options = {}) {
+    if (!host) return null;
+    return this.createTerminalSession(null, { ...options, sshHost: host });
+  }
+
   /**
    * Create an agent session (V5) - spawns CLI with personality
    * This is the PRIMARY way to create AI sessions (uses installed CLIs, not API)
    * Now with rich AgentChat UI that wraps xterm
    * @param {Object} agent - Agent configuration
    * @param {string} workingDir - Optional working directory (defaults to home)
+   * @param {Object} options - { restoreId, record } for session restore, and
+   *   sshHost to run the CLI on that host (workingDir is then on that host)
    */
-  async createAgentSession(agent, workingDir = null) {
+  async createAgentSession(agent, workingDir = null, options = {}) {
     console.log('[SessionManager] createAgentSession called with agent:', agent, 'workingDir:', workingDir);
     const id = this.generateId();
     const sessionName = agent.name || `Agent ${this.sessionCounter}`;
@@ -302,6 +642,8 @@ class SessionManager {
     // Use provided workingDir, or default to home directory
     // The home directory will be resolved on the backend
     const sessionWorkingDir = workingDir || null; // null = let backend use os.homedir()
+    const { sshHost = null, ...createOptions } = options;
+    if (sshHost) createOptions.sshHostId = sshHost.id;
 
     // Create session object
     const session = {
@@ -311,12 +653,15 @@ class SessionManager {
       agentId: agent.id,
       agentInfo: agent,
       workingDir: sessionWorkingDir,
-      path: workingDir || '~',
+      path: sshHost ? this.getSshPath(sshHost, workingDir) : workingDir || '~',
+      sshHost,
+      sshHostId: sshHost?.id || null,
       createdAt: new Date(),
       terminal: null,
       chat: null,      // V4 API chat (not used for agents)
       agentChat: null, // V5 AgentChat component
-      pinned: false
+      pinned: false,
+      record: options.record !== false
     };
 
     // Hide welcome screen
@@ -343,7 +688,8 @@ class SessionManager {
 
     // Create terminal instance with agent spawning
     try {
-      const terminal = new DonnaTerminal(id, this.terminalContainer);
+      // Only shown in the header; the agent API creates the PTY
+      const terminal = new DonnaTerminal(id, this.terminalContainer, { sshHost, cwd: sessionWorkingDir });
 
       // Override init to use agent CLI instead of default shell
       terminal.init = async () => {
@@ -380,6 +726,7 @@ class SessionManager {
           : terminal.container;
 
         mountPoint.appendChild(terminal.wrapper);
+        terminal.showInitialPath();
 
         const terminalBody = terminal.wrapper.querySelector(`#body-${terminal.sessionId}`);
 
@@ -444,13 +791,15 @@ class SessionManager {
         // Create the PTY process using agents API (spawns CLI with personality)
         const { cols, rows } = terminal.term;
         console.log('[SessionManager] Calling donnaAgents.createSession:', terminal.sessionId, agent.id, cols, rows, sessionWorkingDir);
-        const result = await window.donnaAgents.createSession(terminal.sessionId, agent.id, cols, rows, sessionWorkingDir);
+        const result = await window.donnaAgents.createSession(terminal.sessionId, agent.id, cols, rows, sessionWorkingDir, createOptions);
         console.log('[SessionManager] donnaAgents.createSession result:', result);
 
         if (!result.success) {
           throw new Error(`Failed to create agent session: ${result.error || 'unknown error'}`);
         }
 
+        terminal.writeRestored(result.restored);
+
         // Handle data from PTY - pipe through AgentChat if available
         terminal.cleanupDataListener = window.donnaTerminal.onData(({ id: dataId, data }) => {
           if (dataId === terminal.sessionId) {
@@ -478,6 +827,7 @@ class SessionManager {
         // Handle user input from terminal view
         terminal.onDataDisposable = terminal.term.onData((data) => {
           window.donnaTerminal.write(terminal.sessionId, data);
+          window.sessionManager?.broadcastInput(terminal.sessionId, data);
         });
 
         // Handle resize
@@ -532,11 +882,12 @@ class SessionManager {
   }
 
   /**
-   * Create a duel/arena session - runs Claude and Gemini side-by-side
-   * Both agents race on the same task in YOLO mode
+   * Create a duel/arena session - runs 2–4 agents side-by-side
+   * All agents race on the same task in YOLO mode
+   * @param {Array|null} contestants - Agents from the picker (default Claude vs Gemini)
    */
-  async createDuelSession(workingDir = null) {
-    console.log('[SessionManager] createDuelSession called, workingDir:', workingDir);
+  async createDuelSession(workingDir = null, contestants = null) {
+    console.log('[SessionManager] createDuelSession called, workingDir:', workingDir, 'contestants:', contestants?.map(a => a.id));
     const id = this.generateId();
     const sessionName = `Arena ${this.sessionCounter}`;
 
@@ -566,7 +917,8 @@ class SessionManager {
     // Create DuelView
     try {
       const duelView = new window.DuelView(id, this.terminalContainer, {
-        workingDir: sessionWorkingDir
+        workingDir: sessionWorkingDir,
+        contestants
       });
       await duelView.init();
       session.duelView = duelView;
@@ -663,23 +1015,11 @@ class SessionManager {
     const session = this.sessions.get(sessionId);
     if (!session) return;
 
-    // Hide current session
-    if (this.activeSessionId && this.activeSessionId !== sessionId) {
-      const currentSession = this.sessions.get(this.activeSessionId);
-      if (currentSession?.terminal) {
-        currentSession.terminal.hide();
-      }
-      if (currentSession?.chat) {
-        currentSession.chat.hide();
-      }
-      // Also hide AgentChat if present
-      if (currentSession?.agentChat) {
-        currentSession.agentChat.hide();
-      }
-      // Hide DuelView if present
-      if (currentSession?.duelView) {
-        currentSession.duelView.hide();
-      }
+    // Hide the session this one replaces: the current one, or with split
+    // panes the one in the focused pane
+    const displaced = this.paneLayout ? this.paneLayout.assign(sessionId) : this.activeSessionId;
+    if (displaced && displaced !== sessionId) {
+      this.hideSession(displaced);
     }
 
     // Show new session
@@ -687,9 +1027,40 @@ class SessionManager {
 
     // Brief delay to ensure DOM is ready
     await new Promise(resolve => setTimeout(resolve, 50));
+    await this.showSession(session);
 
+    // Update sidebar
+    this.sidebar?.setActiveSession(sessionId);
+    this.scheduleLayoutSave();
+  }
+
+  /**
+   * Hide a session's view
+   */
+  hideSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (session?.terminal) {
+      session.terminal.hide();
+    }
+    if (session?.chat) {
+      session.chat.hide();
+    }
+    // Also hide AgentChat if present
+    if (session?.agentChat) {
+      session.agentChat.hide();
+    }
+    // Hide DuelView if present
+    if (session?.duelView) {
+      session.duelView.hide();
+    }
+  }
+
+  /**
+   * Show a session's view
+   */
+  async showSession(session) {
     // Show terminal or chat based on session type
-    if ((session.type === 'terminal' || session.type === 'agent') && session.terminal) {
+    if (['terminal', 'agent', 'ssh'].includes(session.type) && session.terminal) {
       // Regular terminal session
       if (session.terminal.isReady) {
         session.terminal.show();
@@ -705,9 +1076,6 @@ class SessionManager {
     } else if (session.type === 'chat' && session.chat) {
       session.chat.show();
     }
-
-    // Update sidebar
-    this.sidebar?.setActiveSession(sessionId);
   }
 
   /**
@@ -748,16 +1116,26 @@ class SessionManager {
 
     // Remove from sessions
     this.sessions.delete(sessionId);
+    if (this.broadcastGroup.has(sessionId)) {
+      this.broadcastGroup.delete(sessionId);
+      this.setBroadcastGroup(this.broadcastGroup);
+    }
 
     // Remove from sidebar
     this.sidebar?.removeSession(sessionId);
 
+    // Close its pane; the focus moves to a neighbouring pane
+    this.paneLayout?.removeSession(sessionId);
+
     // If this was the active session, switch to another
     if (this.activeSessionId === sessionId) {
       this.activeSessionId = null;
 
       const remainingSessions = Array.from(this.sessions.keys());
-      if (remainingSessions.length > 0) {
+      const focusedSessionId = this.paneLayout?.getFocusedPane().sessionId;
+      if (focusedSessionId) {
+        await this.switchToSession(focusedSessionId);
+      } else if (remainingSessions.length > 0) {
         await this.switchToSession(remainingSessions[remainingSessions.length - 1]);
       } else {
         const welcomeScreen = document.getElementById('welcome-screen');
@@ -767,6 +1145,7 @@ class SessionManager {
         this.terminalContainer?.classList.remove('has-terminal');
       }
     }
+    this.scheduleLayoutSave();
   }
 
   /**
@@ -789,6 +1168,7 @@ class SessionManager {
     if (session) {
       session.name = newName;
       this.sidebar?.updateSession(sessionId, { name: newName });
+      this.scheduleLayoutSave();
     }
   }
 
@@ -815,6 +1195,9 @@ class SessionManager {
       if (session?.terminal) {
         session.terminal.fit();
       }
+      if (session?.duelView) {
+        session.duelView.fit();
+      }
     }
   }
 
@@ -0,0 +1,195 @@
+/**
+ * Arena Worktrees Test Suite
+ *
+ * Tests for isolating Arena contestants in git worktrees:
+ * - Refusing folders outside a repo and repos with uncommitted changes
+ * - Stashing changes and restoring them afterwards
+ * - Keeping a contestant by merge or cherry-pick
+ * - Discarding, including arenas left from an earlier launch
+ * - Comparing contestants: changed files, file versions and test runs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const { ArenaWorktrees, detectTestCommand } = require('../../../src/main/agents/arenaWorktrees');
+
+const git = (cwd, ...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], {
+  cwd, encoding: 'utf-8'
+}).trim();
+
+describe('ArenaWorktrees', () => {
+  let dir;
+  let repo;
+  let arenas;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'donna-arena-'));
+    repo = path.join(dir, 'repo');
+    fs.mkdirSync(path.join(repo, 'src'), { recursive: true });
+    git(repo, 'init', '-q', '-b', 'main');
+    fs.writeFileSync(path.join(repo, 'README.md'), 'hello\n');
+    git(repo, 'add', '-A');
+    git(repo, 'commit', '-q', '-m', 'initial');
+    arenas = new ArenaWorktrees({ baseDir: path.join(dir, 'arena') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const prepare = (options = {}) => arenas.prepare({
+    arenaId: 'session-1',
+    workingDir: repo,
+    contestants: [{ name: 'Claude Code' }, { name: 'Gemini CLI' }],
+    ...options
+  });
+
+  test('gives each contestant a worktree on a scratch branch', async () => {
+    const arena = await prepare({ workingDir: path.join(repo, 'src') });
+
+    expect(arena.baseBranch).toBe('main');
+    expect(arena.contestants.map(c => c.branch)).toEqual([
+      'donna-arena/session-1-0-claude-code',
+      'donna-arena/session-1-1-gemini-cli'
+    ]);
+    for (const contestant of arena.contestants) {
+      expect(fs.readFileSync(path.join(contestant.path, 'README.md'), 'utf-8')).toBe('hello\n');
+      // Agents start in the subfolder the user picked
+      expect(contestant.workingDir).toBe(path.join(contestant.path, 'src'));
+    }
+    await expect(prepare()).rejects.toThrow('Arena already prepared');
+  });
+
+  test('refuses folders outside a repo and repos with uncommitted changes', async () => {
+    const plain = fs.mkdtempSync(path.join(os.tmpdir(), 'donna-plain-'));
+    try {
+      await expect(prepare({ workingDir: plain })).rejects.toMatchObject({ code: 'NOT_A_REPO' });
+    } finally {
+      fs.rmSync(plain, { recursive: true, force: true });
+    }
+
+    fs.writeFileSync(path.join(repo, 'README.md'), 'edited\n');
+    await expect(prepare()).rejects.toMatchObject({ code: 'DIRTY' });
+    expect(fs.existsSync(path.join(dir, 'arena', 'session-1'))).toBe(false);
+  });
+
+  test('merges the kept contestant and removes every worktree', async () => {
+    const arena = await prepare();
+    fs.writeFileSync(path.join(arena.contestants[1].path, 'gemini.txt'), 'from gemini\n');
+
+    await expect(arenas.keep('session-1', 0)).rejects.toMatchObject({ code: 'NO_CHANGES' });
+    const result = await arenas.keep('session-1', 1);
+
+    expect(result).toEqual({ branch: 'main', commits: 1, strategy: 'merge', stashRestored: null });
+    expect(fs.readFileSync(path.join(repo, 'gemini.txt'), 'utf-8')).toBe('from gemini\n');
+    expect(git(repo, 'branch', '--list', 'donna-arena/*')).toBe('');
+    expect(git(repo, 'worktree', 'list').split('\n')).toHaveLength(1);
+    expect(fs.existsSync(path.join(dir, 'arena', 'session-1'))).toBe(false);
+  });
+
+  test('cherry-picks, and leaves the arena alone on conflicts', async () => {
+    const arena = await prepare();
+    fs.writeFileSync(path.join(arena.contestants[0].path, 'README.md'), 'claude\n');
+    fs.writeFileSync(path.join(repo, 'README.md'), 'user\n');
+    git(repo, 'commit', '-q', '-am', 'user change');
+
+    await expect(arenas.keep('session-1', 0, 'cherry-pick')).rejects.toMatchObject({ code: 'CONFLICT' });
+    expect(git(repo, 'status', '--porcelain')).toBe('');
+    expect(fs.existsSync(arena.contestants[0].path)).toBe(true);
+
+    git(repo, 'reset', '-q', '--hard', 'HEAD~1');
+    await arenas.keep('session-1', 0, 'cherry-pick');
+    expect(git(repo, 'log', '-1', '--format=%s')).toBe("Arena: Claude Code's changes");
+  });
+
+  test('stashes changes on request and restores them on discard', async () => {
+    fs.writeFileSync(path.join(repo, 'README.md'), 'work in progress\n');
+    const arena = await prepare({ stash: true });
+
+    expect(arena.stashed).toBe(true);
+    expect(fs.readFileSync(path.join(repo, 'README.md'), 'utf-8')).toBe('hello\n');
+
+    expect(await arenas.discard('session-1')).toEqual({ stashRestored: true });
+    expect(fs.readFileSync(path.join(repo, 'README.md'), 'utf-8')).toBe('work in progress\n');
+    expect(git(repo, 'stash', 'list')).toBe('');
+    await expect(arenas.discard('session-1')).rejects.toMatchObject({ code: 'UNKNOWN_ARENA' });
+  });
+
+  test('discards arenas left from an earlier launch', async () => {
+    await prepare();
+
+    await new ArenaWorktrees({ baseDir: path.join(dir, 'arena') }).discardAll();
+
+    expect(git(repo, 'branch', '--list', 'donna-arena/*')).toBe('');
+    expect(fs.readdirSync(path.join(dir, 'arena'))).toEqual([]);
+  });
+
+  test('keeps arenas an agent still works in', async () => {
+    const arena = await prepare();
+    const later = new ArenaWorktrees({ baseDir: path.join(dir, 'arena') });
+
+    await later.discardAll({ inUse: [arena.contestants[1].workingDir, path.join(dir, 'arena-other')] });
+    expect(fs.existsSync(arena.contestants[0].path)).toBe(true);
+
+    await later.discardAll({ inUse: [] });
+    expect(fs.readdirSync(path.join(dir, 'arena'))).toEqual([]);
+  });
+
+  test('lists each contestant\'s changed files with line counts', async () => {
+    const arena = await prepare();
+    const [claude, gemini] = arena.contestants.map(c => c.path);
+    fs.writeFileSync(path.join(claude, 'README.md'), 'hello\nworld\n');
+    fs.writeFileSync(path.join(claude, 'new.js'), 'a\nb\n');
+    fs.rmSync(path.join(gemini, 'README.md'));
+
+    const [claudeChanges, geminiChanges] = await arenas.getChanges('session-1');
+
+    expect(claudeChanges).toMatchObject({ index: 0, name: 'Claude Code', added: 3, removed: 0 });
+    expect(claudeChanges.files).toEqual([
+      { path: 'README.md', status: 'M', added: 1, removed: 0, binary: false },
+      { path: 'new.js', status: 'A', added: 2, removed: 0, binary: false }
+    ]);
+    expect(geminiChanges.files).toEqual([{ path: 'README.md', status: 'D', added: 0, removed: 1, binary: false }]);
+  });
+
+  test('shows every version of a file with highlighted lines and hunks', async () => {
+    const arena = await prepare();
+    fs.writeFileSync(path.join(arena.contestants[0].path, 'app.js'), 'const a = 1;\n');
+
+    const file = await arenas.getFileVersions('session-1', './app.js');
+
+    expect(file).toMatchObject({ path: 'app.js', language: 'js', base: { exists: false } });
+    expect(file.contestants[0].lines).toEqual(['<span class="hljs-keyword">const</span> a = <span class="hljs-number">1</span>;']);
+    expect(file.contestants[0].hunks).toEqual([
+      { header: '@@ -0,0 +1 @@', lines: [{ type: 'add', oldNo: null, newNo: 1 }] }
+    ]);
+    expect(file.contestants[1]).toMatchObject({ exists: false, hunks: [] });
+    await expect(arenas.getFileVersions('session-1', '../outside.txt')).rejects.toThrow('Invalid file path');
+  });
+
+  test('runs the project test command in each worktree', async () => {
+    fs.writeFileSync(path.join(repo, 'package.json'), JSON.stringify({ scripts: { test: 'exit 0' } }));
+    git(repo, 'add', '-A');
+    git(repo, 'commit', '-q', '-m', 'tests');
+    const arena = await prepare();
+    fs.writeFileSync(path.join(arena.contestants[1].path, 'package.json'), JSON.stringify({ scripts: { test: 'echo broken && exit 3' } }));
+
+    expect(await arenas.runTests('session-1', 0)).toMatchObject({ command: 'npm test', passed: true, exitCode: 0 });
+    const failed = await arenas.runTests('session-1', 1);
+    expect(failed).toMatchObject({ command: 'npm test', passed: false, exitCode: 3 });
+    expect(failed.output).toContain('broken');
+  }, 30000);
+
+  test('finds no test command in projects without one', () => {
+    fs.writeFileSync(path.join(repo, 'package.json'), JSON.stringify({
+      scripts: { test: 'echo "Error: no test specified" && exit 1' }
+    }));
+    expect(detectTestCommand(path.join(repo, 'src'), repo)).toBeNull();
+
+    fs.writeFileSync(path.join(repo, 'go.mod'), 'module example.com/app\n');
+    expect(detectTestCommand(path.join(repo, 'src'), repo)).toEqual({ command: 'go test ./...', cwd: repo });
+  });
+});
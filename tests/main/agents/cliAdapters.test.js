@@ -0,0 +1,137 @@
+/**
+ * CLI Adapters Test Suite
+ *
+ * Tests for the agent CLI adapter registry:
+ * - Built-in adapters and the derived CLI allowlist
+ * - Adapters declared in config.json
+ * - Persona prompt and YOLO handling per adapter
+ * - Arena availability
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  registerCliAdapter,
+  loadConfigAdapters,
+  getCliAdapter,
+  getAllowedClis,
+  checkCliAvailable,
+  listCliAdapters
+} = require('../../../src/main/agents/cliAdapters');
+const { validateAgentDefinition } = require('../../../src/main/agents/customAgents');
+const { setCustomAgents, getAgentCliCommand, validateCliArgs, isArenaAvailable } = require('../../../src/main/agents/agentDefinitions');
+const { clearDiscoveryCache } = require('../../../src/main/utils/discovery');
+
+describe('CLI adapters', () => {
+  afterEach(() => {
+    setCustomAgents([]);
+    loadConfigAdapters({});
+  });
+
+  test('derives the CLI allowlist from registered adapters', () => {
+    expect(getAllowedClis()).toEqual(['claude', 'gemini', 'codex', 'aider']);
+
+    loadConfigAdapters({ 'my-agent': { binary: '/opt/tools/my-agent' } });
+
+    expect(getAllowedClis()).toContain('my-agent');
+    expect(listCliAdapters().at(-1)).toMatchObject({ id: 'my-agent', supportsPersona: false, builtIn: false });
+  });
+
+  test('replaces config adapters on reload and keeps built-ins', () => {
+    loadConfigAdapters({ first: { binary: 'first' } });
+    loadConfigAdapters({ second: { binary: 'second' } });
+
+    expect(getCliAdapter('first')).toBeNull();
+    expect(getCliAdapter('second')).not.toBeNull();
+    expect(getCliAdapter('claude')).not.toBeNull();
+  });
+
+  test.each([
+    [{ claude: { binary: 'claude' } }, 'CLI adapter already registered: claude'],
+    [{ 'Bad ID': { binary: 'x' } }, 'Invalid adapter ID: Bad ID'],
+    [{ evil: { binary: 'rm -rf ~' } }, 'evil: binary must be a command name or an absolute path'],
+    [{ evil: { binary: 'x', promptFlag: '; rm' } }, 'evil: promptFlag must be a flag such as --system'],
+    [{ evil: { binary: 'x', allowedArgs: { 'not a flag': true } } }, 'evil: invalid flag not a flag']
+  ])('rejects invalid config adapters %j', (config, error) => {
+    expect(loadConfigAdapters(config)).toEqual([{ id: Object.keys(config)[0], error }]);
+  });
+
+  test('rejects registering a built-in adapter twice', () => {
+    expect(() => registerCliAdapter({ id: 'gemini', binary: 'gemini' })).toThrow('already registered');
+  });
+
+  test('uses the adapter to pass persona prompts and allowlisted flags', () => {
+    loadConfigAdapters({
+      script: { binary: '/opt/tools/script', promptFlag: '--system', yoloArgs: ['--yes'], allowedArgs: { '--yes': false } }
+    });
+    const agent = validateAgentDefinition({ name: 'Script', cli: 'script', systemPrompt: 'Be brief.', cliArgs: ['--yes'] }, 'script-agent');
+    setCustomAgents([agent]);
+
+    expect(agent.isYolo).toBe(true);
+    expect(getAgentCliCommand('script-agent', '/tmp')).toMatchObject({
+      command: '/opt/tools/script',
+      args: ['--yes', '--system', 'Be brief.']
+    });
+    expect(validateCliArgs('script', ['--model', 'x'])).toBe('cliArgs: --model is not allowed for script');
+  });
+
+  test('passes codex personas as the initial prompt', () => {
+    setCustomAgents([validateAgentDefinition({ name: 'Coder', cli: 'codex', systemPrompt: 'Write tests first.' }, 'coder')]);
+
+    expect(getAgentCliCommand('coder', '/tmp').args).toEqual(['Write tests first.']);
+  });
+
+  test('adds the YOLO flag for Arena contestants once', () => {
+    expect(getAgentCliCommand('gemini', '/tmp', { yolo: true }).args).toEqual(['--yolo']);
+    expect(getAgentCliCommand('gemini-yolo', '/tmp', { yolo: true }).args).toEqual(['-y']);
+    expect(getAgentCliCommand('gemini', '/tmp').args).toEqual([]);
+
+    loadConfigAdapters({ plain: { binary: 'plain' } });
+    setCustomAgents([validateAgentDefinition({ name: 'Plain', cli: 'plain' }, 'plain-agent')]);
+    expect(getAgentCliCommand('plain-agent', '/tmp', { yolo: true }).args).toEqual([]);
+  });
+
+  test('rejects persona prompts for CLIs that cannot take one', () => {
+    expect(() => validateAgentDefinition({ name: 'Pair', cli: 'aider', systemPrompt: 'Hi' }, 'pair'))
+      .toThrow('aider does not support a systemPrompt');
+    expect(validateAgentDefinition({ name: 'Pair', cli: 'aider', cliArgs: ['--yes-always'] }, 'pair').isYolo).toBe(true);
+  });
+
+  test('uses custom availability checks and ignores unknown CLIs', async () => {
+    registerCliAdapter({ id: 'probe', binary: 'probe', isAvailable: async () => true });
+
+    expect(await checkCliAvailable('probe')).toBe(true);
+    expect(await checkCliAvailable('not-registered')).toBe(false);
+  });
+
+  test('finds CLIs that are only on the login-shell PATH', async () => {
+    const binDir = fs.mkdtempSync(path.join(os.tmpdir(), 'donna-login-bin-'));
+    const shell = path.join(binDir, 'login-shell');
+    fs.writeFileSync(path.join(binDir, 'login-only-cli'), '#!/bin/sh\n', { mode: 0o755 });
+    fs.writeFileSync(shell, `#!/bin/sh\nprintf '__DONNA_PATH__${binDir}__DONNA_PATH__'\n`, { mode: 0o755 });
+    const originalShell = process.env.SHELL;
+    process.env.SHELL = shell;
+    clearDiscoveryCache();
+
+    try {
+      registerCliAdapter({ id: 'login-only', binary: 'login-only-cli' });
+      expect(await checkCliAvailable('login-only')).toBe(true);
+    } finally {
+      process.env.SHELL = originalShell;
+      clearDiscoveryCache();
+      fs.rmSync(binDir, { recursive: true, force: true });
+    }
+  });
+
+  test('makes Arena available with agents for two installed CLIs', async () => {
+    registerCliAdapter({ id: 'arena-one', binary: 'arena-one', isAvailable: async () => true });
+    registerCliAdapter({ id: 'arena-two', binary: 'arena-two', isAvailable: async () => true });
+    setCustomAgents([
+      validateAgentDefinition({ name: 'One', cli: 'arena-one' }, 'one'),
+      validateAgentDefinition({ name: 'Two', cli: 'arena-two' }, 'two')
+    ]);
+
+    expect(await isArenaAvailable()).toBe(true);
+  });
+});
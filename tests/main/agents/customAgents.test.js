@@ -0,0 +1,135 @@
+/**
+ * Custom Agents Test Suite
+ *
+ * Tests for user-defined agent personalities:
+ * - Loading JSON and YAML agent files
+ * - Schema, CLI and cliArgs allowlist validation
+ * - Registering custom agents alongside the built-ins
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { CustomAgentLoader, validateAgentDefinition } = require('../../../src/main/agents/customAgents');
+const {
+  setCustomAgents,
+  listAgents,
+  getAgent,
+  validateAgentId,
+  getAgentCliCommand
+} = require('../../../src/main/agents/agentDefinitions');
+
+describe('validateAgentDefinition', () => {
+  const base = { name: 'Reviewer', cli: 'claude' };
+
+  test('fills defaults and takes the ID from the file name', () => {
+    expect(validateAgentDefinition(base, 'reviewer')).toMatchObject({
+      id: 'reviewer',
+      name: 'Reviewer',
+      icon: 'R',
+      color: '#6366f1',
+      systemPrompt: null,
+      cliArgs: [],
+      isYolo: false,
+      hidden: false
+    });
+  });
+
+  test.each([
+    [{ ...base, model: 'opus' }, 'Unknown field: model'],
+    [{ cli: 'claude' }, 'Missing required field: name'],
+    [{ ...base, cli: 'bash' }, 'cli must be one of: claude, gemini, codex, aider'],
+    [{ ...base, color: 'red' }, 'color is invalid: red'],
+    [{ ...base, cliArgs: '--verbose' }, 'cliArgs must be an array'],
+    [{ ...base, cliArgs: ['--exec', 'rm'] }, 'cliArgs: --exec is not allowed for claude'],
+    [{ ...base, cliArgs: ['--model'] }, 'cliArgs: --model requires a value'],
+    [{ ...base, cliArgs: ['--model', '--verbose'] }, 'cliArgs: --model requires a value'],
+    [{ ...base, id: 'donna' }, 'Agent ID donna is reserved by a built-in agent'],
+    [{ ...base, id: 'Bad ID' }, 'id is invalid: Bad ID']
+  ])('rejects %j', (data, message) => {
+    expect(() => validateAgentDefinition(data, 'agent')).toThrow(message);
+  });
+
+  test('marks agents with confirmation-skipping flags as YOLO', () => {
+    const agent = validateAgentDefinition({ name: 'Fast', cli: 'gemini', cliArgs: ['--yolo', '-m', 'gemini-2.5-pro'] }, 'fast');
+
+    expect(agent.isYolo).toBe(true);
+  });
+});
+
+describe('CustomAgentLoader', () => {
+  let agentsDir;
+  let loader;
+
+  beforeEach(() => {
+    agentsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'donna-agents-'));
+    loader = new CustomAgentLoader({ agentsDir });
+  });
+
+  afterEach(() => {
+    loader.unwatch();
+    setCustomAgents([]);
+    fs.rmSync(agentsDir, { recursive: true, force: true });
+  });
+
+  test('loads JSON and YAML files and reports invalid ones', () => {
+    fs.writeFileSync(path.join(agentsDir, 'reviewer.yaml'), [
+      'name: Reviewer',
+      'cli: claude',
+      'systemPrompt: You review code.',
+      'cliArgs: [--model, opus]'
+    ].join('\n'));
+    fs.writeFileSync(path.join(agentsDir, 'Writer.json'), JSON.stringify({ name: 'Writer', cli: 'gemini' }));
+    fs.writeFileSync(path.join(agentsDir, 'broken.json'), '{ not json');
+    fs.writeFileSync(path.join(agentsDir, 'notes.txt'), 'ignored');
+
+    const { agents, errors } = loader.load();
+
+    expect(agents.map(a => [a.id, a.cli])).toEqual([['writer', 'gemini'], ['reviewer', 'claude']]);
+    expect(agents[1].cliArgs).toEqual(['--model', 'opus']);
+    expect(errors).toHaveLength(1);
+    expect(errors[0].file).toBe('broken.json');
+  });
+
+  test('rejects duplicate IDs', () => {
+    fs.writeFileSync(path.join(agentsDir, 'a.json'), JSON.stringify({ id: 'same', name: 'A', cli: 'claude' }));
+    fs.writeFileSync(path.join(agentsDir, 'b.json'), JSON.stringify({ id: 'same', name: 'B', cli: 'claude' }));
+
+    const { agents, errors } = loader.load();
+
+    expect(agents).toHaveLength(1);
+    expect(errors).toEqual([{ file: 'b.json', error: 'Duplicate agent ID: same' }]);
+  });
+
+  test('returns nothing for a missing directory', () => {
+    const missing = new CustomAgentLoader({ agentsDir: path.join(agentsDir, 'missing') });
+
+    expect(missing.load()).toEqual({ agents: [], errors: [] });
+  });
+
+  test('registers loaded agents after the built-ins', () => {
+    fs.writeFileSync(path.join(agentsDir, 'reviewer.json'), JSON.stringify({
+      name: 'Reviewer',
+      cli: 'claude',
+      systemPrompt: 'You review code.',
+      cliArgs: ['--model', 'opus']
+    }));
+
+    setCustomAgents(loader.load().agents);
+
+    const listed = listAgents();
+    expect(listed[0].custom).toBe(false);
+    expect(listed.at(-1)).toMatchObject({ id: 'reviewer', custom: true });
+    expect(validateAgentId('reviewer')).toBe(true);
+    expect(getAgent('reviewer').systemPrompt).toBe('You review code.');
+    expect(getAgentCliCommand('reviewer', '/tmp').args).toEqual([
+      '--model', 'opus',
+      '--agents', JSON.stringify({ reviewer: { description: '', prompt: 'You review code.' } }),
+      '--agent', 'reviewer'
+    ]);
+
+    setCustomAgents([]);
+    expect(getAgent('reviewer')).toBeNull();
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Chat Manager Test Suite
+ *
+ * Tests for chat sessions using the built-in tools:
+ * - A full tool-call round trip for sendMessage() and streamMessage()
+ * - Sandboxing of the file and command tools
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// ChatManager and the usage ledger keep their files under the home directory
+const originalHome = process.env.HOME;
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'donna-chat-'));
+process.env.HOME = home;
+
+const { ChatManager } = require('../../../src/main/chat/chatManager');
+const { ModelProvider } = require('../../../src/main/models/modelProvider');
+const { ToolRegistry } = require('../../../src/main/models/toolRegistry');
+const { registerBuiltinTools, DEFAULT_COMMANDS } = require('../../../src/main/models/builtinTools');
+
+/**
+ * Provider that asks for one tool call, then answers with the tool result
+ */
+class ToolCallingProvider extends ModelProvider {
+  constructor(toolCall) {
+    super();
+    this.name = 'scripted';
+    this.toolCall = toolCall;
+    this.calls = [];
+  }
+
+  getCapabilities() {
+    return { functionCalling: true, streaming: true };
+  }
+
+  respond(messages) {
+    const result = messages.find(m => m.role === 'tool');
+    return result
+      ? { content: `The file says: ${result.content}`, toolCalls: [] }
+      : { content: '', toolCalls: [this.toolCall] };
+  }
+
+  async chat(messages, options = {}) {
+    this.calls.push({ messages: [...messages], options });
+    return this.respond(messages);
+  }
+
+  async *stream(messages, options = {}) {
+    this.calls.push({ messages: [...messages], options });
+    const response = this.respond(messages);
+    if (response.content) yield { type: 'text', content: response.content };
+    for (const toolCall of response.toolCalls) yield { type: 'tool_call', toolCall };
+  }
+}
+
+describe('ChatManager tool calling', () => {
+  let workspace;
+  let tools;
+  let chatManager;
+  let provider;
+
+  beforeEach(() => {
+    workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'donna-tools-'));
+    fs.writeFileSync(path.join(workspace, 'notes.txt'), 'remember the milk');
+    tools = registerBuiltinTools(new ToolRegistry(), { allowedPaths: [workspace] }, {
+      vaultManager: { vaultPath: null }
+    });
+    chatManager = new ChatManager({ tools });
+    provider = new ToolCallingProvider({ id: 'call_1', name: 'read_file', arguments: { path: 'notes.txt' } });
+    chatManager.modelManager.registerProvider('scripted', provider);
+  });
+
+  afterEach(() => {
+    fs.rmSync(workspace, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    process.env.HOME = originalHome;
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  test('registers the built-in tools', () => {
+    expect(tools.list().map(t => t.name)).toEqual(
+      ['read_file', 'write_file', 'vault_search', 'vault_read', 'run_command']
+    );
+  });
+
+  test('runs a tool call and answers with its result', async () => {
+    const session = chatManager.createSession({ provider: 'scripted', tools: ['read_file'] });
+
+    const { assistantMessage } = await chatManager.sendMessage(session.id, 'What is in notes.txt?');
+
+    expect(provider.calls[0].options.tools.map(t => t.name)).toEqual(['read_file']);
+    expect(provider.calls[1].messages).toContainEqual(expect.objectContaining({
+      role: 'tool', toolCallId: 'call_1', content: 'remember the milk', isError: false
+    }));
+    expect(assistantMessage.content).toBe('The file says: remember the milk');
+    expect(assistantMessage.metadata.toolResults).toEqual([
+      { toolCallId: 'call_1', name: 'read_file', content: 'remember the milk', isError: false }
+    ]);
+  });
+
+  test('streams the tool call and result before the answer', async () => {
+    const session = chatManager.createSession({ provider: 'scripted', tools: ['read_file'] });
+
+    const chunks = [];
+    for await (const chunk of chatManager.streamMessage(session.id, 'What is in notes.txt?')) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks.map(c => c.type)).toEqual(['user_message', 'tool_call', 'tool_result', 'chunk', 'complete']);
+    expect(chunks[2].toolResult.content).toBe('remember the milk');
+    expect(chunks[4].message.content).toBe('The file says: remember the milk');
+  });
+
+  test('reports paths outside the allowed directories as tool errors', async () => {
+    provider.toolCall = { id: 'call_1', name: 'read_file', arguments: { path: '../../etc/passwd' } };
+    const session = chatManager.createSession({ provider: 'scripted', tools: ['read_file'] });
+
+    const { assistantMessage } = await chatManager.sendMessage(session.id, 'Read it');
+
+    const [result] = assistantMessage.metadata.toolResults;
+    expect(result.isError).toBe(true);
+    expect(result.content).toMatch(/Access denied/);
+  });
+
+  test('runs allowlisted commands without a shell inside the sandbox', async () => {
+    const runCommand = tools.get('run_command').handler;
+
+    await expect(runCommand({ command: 'cat', args: ['notes.txt'] })).resolves.toEqual({
+      exitCode: 0, stdout: 'remember the milk', stderr: ''
+    });
+    await expect(runCommand({ command: 'echo', args: ['$(id)'] })).resolves.toMatchObject({
+      stdout: '$(id)\n'
+    });
+    await expect(runCommand({ command: 'sh', args: ['-c', 'id'] })).rejects.toThrow('Command not allowed: sh');
+    await expect(runCommand({ command: 'cat', args: ['/etc/passwd'] })).rejects.toThrow('Access denied');
+  });
+
+  test('rejects options that make a command run other programs', async () => {
+    expect(DEFAULT_COMMANDS).not.toContain('rg');
+
+    const configured = registerBuiltinTools(new ToolRegistry(), { allowedPaths: [workspace], commands: ['rg', 'find'] }, {
+      vaultManager: { vaultPath: null }
+    });
+    const runCommand = configured.get('run_command').handler;
+
+    await expect(runCommand({ command: 'rg', args: ['--pre', 'sh', 'milk', 'notes.txt'] })).rejects.toThrow('Option not allowed: rg --pre');
+    await expect(runCommand({ command: 'rg', args: ['--pre-glob=*', 'milk'] })).rejects.toThrow('Option not allowed');
+    await expect(runCommand({ command: 'rg', args: ['-nz', 'milk'] })).rejects.toThrow('Option not allowed');
+    await expect(runCommand({ command: 'find', args: ['.', '-exec', 'sh', ';'] })).rejects.toThrow('Option not allowed: find -exec');
+  });
+});
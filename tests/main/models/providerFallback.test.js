@@ -0,0 +1,206 @@
+/**
+ * Provider Fallback Test Suite
+ *
+ * Tests for ModelManager retry and fallback:
+ * - ProviderError classification and Retry-After parsing
+ * - Exponential backoff on 429/529
+ * - Fallback chain for chat() and stream()
+ */
+
+const { ModelProvider, ModelManager, ProviderError } = require('../../../src/main/models/modelProvider');
+
+/**
+ * Provider that fails with the given errors before succeeding
+ */
+class FlakyProvider extends ModelProvider {
+  constructor(name, errors = [], options = {}) {
+    super();
+    this.name = name;
+    this.model = `${name}-model`;
+    this.errors = [...errors];
+    this.calls = [];
+    this.configured = options.configured !== false;
+  }
+
+  validateConfig() {
+    return this.configured;
+  }
+
+  getCapabilities() {
+    return { streaming: true, functionCalling: false };
+  }
+
+  async chat(messages, options = {}) {
+    this.calls.push(options);
+    if (this.errors.length > 0) throw this.errors.shift();
+    return { content: `from ${this.name}`, model: options.model || this.model };
+  }
+
+  async *stream(messages, options = {}) {
+    this.calls.push(options);
+    if (this.errors.length > 0) throw this.errors.shift();
+    yield { type: 'text', content: `from ${this.name}` };
+  }
+}
+
+const rateLimited = (retryAfterMs = null) => new ProviderError('rate limited', { status: 429, retryAfterMs });
+const serverError = () => new ProviderError('server error', { status: 500 });
+const badRequest = () => new ProviderError('bad request', { status: 400 });
+const connectionRefused = () => new ProviderError('fetch failed');
+
+describe('ProviderError', () => {
+  test('classifies retryable and fallback statuses', () => {
+    expect(rateLimited().retryable).toBe(true);
+    expect(new ProviderError('overloaded', { status: 529 }).retryable).toBe(true);
+    expect(serverError().retryable).toBe(false);
+
+    expect(serverError().shouldFallback).toBe(true);
+    expect(connectionRefused().shouldFallback).toBe(true);
+    expect(new ProviderError('auth', { status: 401 }).shouldFallback).toBe(true);
+    expect(badRequest().shouldFallback).toBe(false);
+  });
+
+  test('builds from a response with a Retry-After header', async () => {
+    const response = {
+      status: 429,
+      statusText: 'Too Many Requests',
+      headers: new Map([['retry-after', '3']]),
+      json: async () => ({ error: { message: 'Slow down' } })
+    };
+
+    const error = await ProviderError.fromResponse(response, 'Claude API', 'claude');
+
+    expect(error.message).toBe('Claude API error: Slow down');
+    expect(error.status).toBe(429);
+    expect(error.retryAfterMs).toBe(3000);
+  });
+});
+
+describe('ModelManager retries', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new ModelManager({ retryPolicy: { maxRetries: 2, baseDelayMs: 1, maxDelayMs: 5 } });
+  });
+
+  test('retries rate-limited requests then succeeds', async () => {
+    const claude = new FlakyProvider('claude', [rateLimited(), rateLimited(1)]);
+    manager.registerProvider('claude', claude);
+
+    const response = await manager.chat([]);
+
+    expect(claude.calls).toHaveLength(3);
+    expect(response).toMatchObject({ content: 'from claude', provider: 'claude' });
+    expect(response.fallbackFrom).toBeUndefined();
+  });
+
+  test('gives up after maxRetries', async () => {
+    const claude = new FlakyProvider('claude', [rateLimited(), rateLimited(), rateLimited()]);
+    manager.registerProvider('claude', claude);
+
+    await expect(manager.chat([])).rejects.toThrow('rate limited');
+    expect(claude.calls).toHaveLength(3);
+  });
+
+  test('caps Retry-After delays at maxDelayMs', () => {
+    expect(manager.getRetryDelay(rateLimited(60000), 0)).toBe(5);
+  });
+
+  test('stops waiting to retry when the request is aborted', async () => {
+    manager = new ModelManager({ retryPolicy: { maxRetries: 2, baseDelayMs: 60000, maxDelayMs: 60000 } });
+    const claude = new FlakyProvider('claude', [rateLimited()]);
+    manager.registerProvider('claude', claude);
+    const controller = new AbortController();
+
+    const request = manager.chat([], { signal: controller.signal });
+    setTimeout(() => controller.abort(new Error('Cancelled by user')), 5);
+
+    await expect(request).rejects.toThrow('Cancelled by user');
+    expect(claude.calls).toHaveLength(1);
+  });
+
+  test('does not retry server errors', async () => {
+    const claude = new FlakyProvider('claude', [serverError()]);
+    manager.registerProvider('claude', claude);
+
+    await expect(manager.chat([])).rejects.toThrow('server error');
+    expect(claude.calls).toHaveLength(1);
+  });
+});
+
+describe('ModelManager fallback chain', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new ModelManager({
+      retryPolicy: { chain: ['openai', 'ollama'], maxRetries: 0, baseDelayMs: 1 }
+    });
+  });
+
+  test('falls back in order and records which provider answered', async () => {
+    manager.registerProvider('claude', new FlakyProvider('claude', [serverError()]));
+    manager.registerProvider('openai', new FlakyProvider('openai', [connectionRefused()]));
+    const ollama = new FlakyProvider('ollama');
+    manager.registerProvider('ollama', ollama);
+
+    const response = await manager.chat([], { model: 'claude-model-x' });
+
+    expect(response.provider).toBe('ollama');
+    expect(response.fallbackFrom.map(f => f.provider)).toEqual(['claude', 'openai']);
+    // The requested model belongs to the primary provider only
+    expect(ollama.calls[0].model).toBeUndefined();
+  });
+
+  test('skips unconfigured fallbacks', async () => {
+    manager.registerProvider('claude', new FlakyProvider('claude', [serverError()]));
+    const openai = new FlakyProvider('openai', [], { configured: false });
+    manager.registerProvider('openai', openai);
+    manager.registerProvider('ollama', new FlakyProvider('ollama'));
+
+    const response = await manager.chat([]);
+
+    expect(openai.calls).toHaveLength(0);
+    expect(response.provider).toBe('ollama');
+  });
+
+  test('falls back when the requested provider is not registered', async () => {
+    manager.registerProvider('ollama', new FlakyProvider('ollama'));
+
+    const response = await manager.chat([], { provider: 'claude' });
+
+    expect(response.provider).toBe('ollama');
+    expect(response.fallbackFrom[0]).toEqual({ provider: 'claude', error: 'Provider not found: claude' });
+  });
+
+  test('does not fall back on bad requests or when disabled', async () => {
+    manager.registerProvider('claude', new FlakyProvider('claude', [badRequest(), serverError()]));
+    manager.registerProvider('ollama', new FlakyProvider('ollama'));
+
+    await expect(manager.chat([])).rejects.toThrow('bad request');
+    await expect(manager.chat([], { fallback: false })).rejects.toThrow('server error');
+  });
+
+  test('reports every failure when the whole chain fails', async () => {
+    manager.registerProvider('claude', new FlakyProvider('claude', [serverError()]));
+    manager.registerProvider('openai', new FlakyProvider('openai', [connectionRefused()]));
+
+    await expect(manager.chat([])).rejects.toThrow('All providers failed: claude: server error; openai: fetch failed');
+  });
+
+  test('streams from the first provider that opens and announces it', async () => {
+    manager.registerProvider('claude', new FlakyProvider('claude', [serverError()]));
+    manager.registerProvider('openai', new FlakyProvider('openai'));
+
+    const chunks = [];
+    for await (const chunk of manager.stream([])) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks[0]).toEqual({
+      type: 'provider',
+      provider: 'openai',
+      fallbackFrom: [{ provider: 'claude', error: 'server error' }]
+    });
+    expect(chunks[1]).toEqual({ type: 'text', content: 'from openai' });
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * RunStore Test Suite
+ *
+ * Tests for persisted orchestrator plan runs:
+ * - Saving, listing, loading and deleting runs
+ * - Run ID validation
+ * - Orchestrator persistence, interrupted runs and re-runs after restart
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { RunStore } = require('../../../src/main/models/runStore');
+const { Orchestrator } = require('../../../src/main/models/orchestrator');
+
+function createRun(id, overrides = {}) {
+  return {
+    id,
+    description: `Run ${id}`,
+    context: [],
+    status: 'completed',
+    rerunOf: null,
+    nodes: [{ index: 0, name: 'step_1', type: 'assistant', prompt: 'A', priority: 'normal', dependencies: [], status: 'completed', result: 'ok' }],
+    synthesis: null,
+    result: 'ok',
+    startedAt: 1000,
+    completedAt: 2000,
+    durationMs: 1000,
+    ...overrides
+  };
+}
+
+describe('RunStore', () => {
+  let runsDir;
+  let store;
+
+  beforeEach(() => {
+    runsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'donna-runs-'));
+    store = new RunStore({ runsDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(runsDir, { recursive: true, force: true });
+  });
+
+  test('saves, lists newest first and loads runs', () => {
+    store.save(createRun('older', { startedAt: 1 }));
+    store.save(createRun('newer', { startedAt: 2, status: 'failed' }));
+
+    expect(store.list().map(r => [r.id, r.status, r.nodeCount])).toEqual([
+      ['newer', 'failed', 1],
+      ['older', 'completed', 1]
+    ]);
+    expect(store.get('older').nodes[0].result).toBe('ok');
+  });
+
+  test('rejects IDs that are not run IDs', () => {
+    expect(store.save(createRun('../escape'))).toBe(false);
+    expect(store.get('../../config')).toBeNull();
+    expect(store.delete('a/b')).toBe(false);
+  });
+
+  test('deletes runs', () => {
+    store.save(createRun('gone'));
+
+    expect(store.delete('gone')).toBe(true);
+    expect(store.get('gone')).toBeNull();
+    expect(store.delete('gone')).toBe(false);
+  });
+
+  describe('with the orchestrator', () => {
+    const manager = {
+      defaultProvider: 'claude',
+      chat: jest.fn(async (messages) => ({ content: `result ${messages.at(-1).content}` }))
+    };
+
+    test('persists every plan run', async () => {
+      const orchestrator = new Orchestrator(manager, { runStore: store });
+
+      const run = await orchestrator.executePlan([{ prompt: 'A' }], { description: 'Saved' });
+
+      expect(store.get(run.id)).toMatchObject({ description: 'Saved', status: 'completed', result: 'result A' });
+      expect(orchestrator.listRuns()).toHaveLength(1);
+    });
+
+    test('reports runs from an earlier session as interrupted and re-runs them', async () => {
+      store.save(createRun('stale', {
+        status: 'running',
+        nodes: [{ index: 0, name: 'step_1', type: 'assistant', prompt: 'A', priority: 'normal', dependencies: [], status: 'running', result: null }]
+      }));
+      const orchestrator = new Orchestrator(manager, { runStore: store });
+
+      expect(orchestrator.listRuns()[0].status).toBe('interrupted');
+      expect(orchestrator.getRun('stale').nodes[0]).toMatchObject({ status: 'cancelled', error: 'Interrupted' });
+
+      const rerun = await orchestrator.rerunFailed('stale');
+
+      expect(rerun).toMatchObject({ status: 'completed', rerunOf: 'stale', result: 'result A' });
+    });
+  });
+});
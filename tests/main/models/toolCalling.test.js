@@ -0,0 +1,250 @@
+/**
+ * Tool Calling Test Suite
+ *
+ * Tests for provider-neutral tool calling:
+ * - ToolRegistry registration, resolution and execution
+ * - Provider wire-format mapping (Claude, OpenAI, Gemini)
+ * - ModelManager tool loop for chat() and stream()
+ */
+
+const { ToolRegistry } = require('../../../src/main/models/toolRegistry');
+const {
+  ModelProvider,
+  ModelManager,
+  ClaudeProvider,
+  GeminiProvider,
+  OpenAICompatibleProvider
+} = require('../../../src/main/models/modelProvider');
+
+const weatherTool = {
+  name: 'get_weather',
+  description: 'Get the weather for a city',
+  parameters: {
+    type: 'object',
+    properties: { city: { type: 'string' } },
+    required: ['city']
+  }
+};
+
+/**
+ * Scripted provider that replays canned responses in order
+ */
+class ScriptedProvider extends ModelProvider {
+  constructor(responses, capabilities = { functionCalling: true }) {
+    super();
+    this.name = 'scripted';
+    this.responses = responses;
+    this.calls = [];
+    this.capabilities = capabilities;
+  }
+
+  getCapabilities() {
+    return this.capabilities;
+  }
+
+  async chat(messages, options = {}) {
+    this.calls.push({ messages: [...messages], options });
+    return this.responses.shift();
+  }
+
+  async *stream(messages, options = {}) {
+    this.calls.push({ messages: [...messages], options });
+    const response = this.responses.shift();
+    if (response.content) yield { type: 'text', content: response.content };
+    for (const toolCall of response.toolCalls || []) {
+      yield { type: 'tool_call', toolCall };
+    }
+  }
+}
+
+describe('ToolRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new ToolRegistry();
+  });
+
+  test('registers tools and lists them without handlers', () => {
+    registry.register({ ...weatherTool, handler: () => 'sunny' });
+
+    expect(registry.has('get_weather')).toBe(true);
+    expect(registry.list()).toEqual([{
+      name: 'get_weather',
+      description: weatherTool.description,
+      parameters: weatherTool.parameters
+    }]);
+  });
+
+  test('rejects invalid names and registrations without a handler', () => {
+    expect(() => registry.register({ name: 'bad name', handler: () => {} })).toThrow('Invalid tool name');
+    expect(() => registry.register(weatherTool)).toThrow('require a handler');
+  });
+
+  test('resolves names, inline definitions and true', () => {
+    registry.register({ ...weatherTool, handler: () => 'sunny' });
+
+    expect(registry.resolve(undefined)).toBeNull();
+    expect(registry.resolve(true)).toHaveLength(1);
+    expect(registry.resolve(['get_weather'])[0].handler).toBeInstanceOf(Function);
+    expect(registry.resolve([{ name: 'other' }])[0]).toMatchObject({
+      name: 'other',
+      parameters: { type: 'object', properties: {} }
+    });
+    expect(() => registry.resolve(['missing'])).toThrow('Unknown tool: missing');
+  });
+
+  test('executes handlers and reports errors as tool results', async () => {
+    registry.register({ name: 'ok', handler: (args, context) => ({ args, context }) });
+    registry.register({ name: 'fails', handler: () => { throw new Error('boom'); } });
+
+    const ok = await registry.execute({ id: '1', name: 'ok', arguments: { a: 1 } }, [], { sessionId: 's' });
+    expect(ok).toEqual({
+      toolCallId: '1',
+      name: 'ok',
+      content: JSON.stringify({ args: { a: 1 }, context: { sessionId: 's' } }),
+      isError: false
+    });
+
+    const failed = await registry.execute({ id: '2', name: 'fails', arguments: {} });
+    expect(failed).toMatchObject({ isError: true, content: 'Error: boom' });
+
+    const unknown = await registry.execute({ id: '3', name: 'nope', arguments: {} });
+    expect(unknown).toMatchObject({ isError: true, content: 'Error: Unknown tool: nope' });
+  });
+});
+
+describe('provider wire formats', () => {
+  const conversation = [
+    { role: 'user', content: 'Weather in Paris and Rome?' },
+    {
+      role: 'assistant',
+      content: 'Checking.',
+      toolCalls: [
+        { id: 'a', name: 'get_weather', arguments: { city: 'Paris' } },
+        { id: 'b', name: 'get_weather', arguments: { city: 'Rome' } }
+      ]
+    },
+    { role: 'tool', toolCallId: 'a', name: 'get_weather', content: 'sunny', isError: false },
+    { role: 'tool', toolCallId: 'b', name: 'get_weather', content: 'rain', isError: false }
+  ];
+
+  test('Claude maps tools to input_schema and groups tool results', () => {
+    const provider = new ClaudeProvider({ apiKey: 'test' });
+
+    expect(provider.formatTools([weatherTool])).toEqual([{
+      name: 'get_weather',
+      description: weatherTool.description,
+      input_schema: weatherTool.parameters
+    }]);
+
+    const formatted = provider.formatMessages(conversation);
+    expect(formatted).toHaveLength(3);
+    expect(formatted[1].content[1]).toEqual({
+      type: 'tool_use', id: 'a', name: 'get_weather', input: { city: 'Paris' }
+    });
+    expect(formatted[2].role).toBe('user');
+    expect(formatted[2].content.map(b => b.tool_use_id)).toEqual(['a', 'b']);
+  });
+
+  test('OpenAI maps tools to functions and results to tool messages', () => {
+    const provider = new OpenAICompatibleProvider({ apiKey: 'test' });
+
+    expect(provider.formatTools([weatherTool])[0]).toEqual({
+      type: 'function',
+      function: { name: 'get_weather', description: weatherTool.description, parameters: weatherTool.parameters }
+    });
+
+    const formatted = provider.formatMessages(conversation);
+    expect(formatted).toHaveLength(4);
+    expect(formatted[1].tool_calls[0].function.arguments).toBe('{"city":"Paris"}');
+    expect(formatted[3]).toEqual({ role: 'tool', tool_call_id: 'b', content: 'rain' });
+  });
+
+  test('Gemini maps tools to functionDeclarations and results to functionResponse parts', () => {
+    const provider = new GeminiProvider({ apiKey: 'test' });
+
+    expect(provider.formatTools([weatherTool])[0].functionDeclarations[0].name).toBe('get_weather');
+
+    const formatted = provider.formatMessages(conversation);
+    expect(formatted).toHaveLength(3);
+    expect(formatted[1].role).toBe('model');
+    expect(formatted[1].parts[1]).toEqual({ functionCall: { name: 'get_weather', args: { city: 'Paris' } } });
+    expect(formatted[2].parts).toHaveLength(2);
+    expect(formatted[2].parts[0].functionResponse.name).toBe('get_weather');
+  });
+});
+
+describe('ModelManager tool loop', () => {
+  let manager;
+  let handler;
+
+  beforeEach(() => {
+    manager = new ModelManager();
+    handler = jest.fn(({ city }) => `${city}: sunny`);
+    manager.registerTool({ ...weatherTool, handler });
+  });
+
+  test('executes tool calls and feeds results back until the model answers', async () => {
+    const provider = new ScriptedProvider([
+      { content: '', toolCalls: [{ id: 't1', name: 'get_weather', arguments: { city: 'Paris' } }] },
+      { content: 'It is sunny in Paris.', toolCalls: [] }
+    ]);
+    manager.registerProvider('scripted', provider);
+
+    const response = await manager.chat([{ role: 'user', content: 'Weather?' }], { tools: ['get_weather'] });
+
+    expect(handler).toHaveBeenCalledWith({ city: 'Paris' }, {});
+    expect(response.content).toBe('It is sunny in Paris.');
+    expect(response.toolResults).toEqual([
+      { toolCallId: 't1', name: 'get_weather', content: 'Paris: sunny', isError: false }
+    ]);
+
+    const secondCall = provider.calls[1].messages;
+    expect(secondCall[1]).toMatchObject({ role: 'assistant', toolCalls: [{ id: 't1' }] });
+    expect(secondCall[2]).toMatchObject({ role: 'tool', toolCallId: 't1', content: 'Paris: sunny' });
+  });
+
+  test('returns tool calls without handlers to the caller', async () => {
+    const provider = new ScriptedProvider([
+      { content: '', toolCalls: [{ id: 't1', name: 'client_side', arguments: {} }] }
+    ]);
+    manager.registerProvider('scripted', provider);
+
+    const response = await manager.chat([], { tools: [{ name: 'client_side' }] });
+
+    expect(provider.calls).toHaveLength(1);
+    expect(response.toolCalls[0].name).toBe('client_side');
+  });
+
+  test('stops after maxToolRounds', async () => {
+    const looping = { content: '', toolCalls: [{ id: 't', name: 'get_weather', arguments: { city: 'X' } }] };
+    const provider = new ScriptedProvider([looping, looping, looping]);
+    manager.registerProvider('scripted', provider);
+
+    await manager.chat([], { tools: true, maxToolRounds: 1 });
+
+    expect(provider.calls).toHaveLength(2);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects tools for providers without function calling', async () => {
+    manager.registerProvider('plain', new ScriptedProvider([], { functionCalling: false }));
+
+    await expect(manager.chat([], { tools: true })).rejects.toThrow('does not support tool calling');
+  });
+
+  test('streams tool_call and tool_result chunks between text', async () => {
+    manager.registerProvider('scripted', new ScriptedProvider([
+      { content: 'Let me check. ', toolCalls: [{ id: 't1', name: 'get_weather', arguments: { city: 'Rome' } }] },
+      { content: 'Sunny.', toolCalls: [] }
+    ]));
+
+    const chunks = [];
+    for await (const chunk of manager.stream([], { tools: true })) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks.map(c => c.type)).toEqual(['provider', 'text', 'tool_call', 'tool_result', 'text']);
+    expect(chunks[3].toolResult.content).toBe('Rome: sunny');
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Command History Test Suite
+ *
+ * Tests for local command completion:
+ * - Parsing bash, zsh and fish history files
+ * - Recording command blocks and accepted suggestions
+ * - Ranking by frecency, cwd and git repo
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  CommandHistory,
+  getShellHistoryFiles,
+  parseBashHistory,
+  parseZshHistory,
+  parseFishHistory,
+  unmetafyZsh
+} = require('../../../src/main/terminal/commandHistory');
+
+describe('shell history parsing', () => {
+  test('reads bash history with and without timestamps', () => {
+    expect(parseBashHistory('ls -la\n#1700000000\ngit status\n\n')).toEqual([
+      { command: 'ls -la', timestamp: null },
+      { command: 'git status', timestamp: 1700000000000 }
+    ]);
+  });
+
+  test('reads extended and multi-line zsh history', () => {
+    expect(parseZshHistory(': 1700000000:0;npm test\nfor f in *; do\\\n  echo $f\\\ndone\nls\n')).toEqual([
+      { command: 'npm test', timestamp: 1700000000000 },
+      { command: 'for f in *; do\n  echo $f\ndone', timestamp: null },
+      { command: 'ls', timestamp: null }
+    ]);
+    // "é" is 0xc3 0xa9; zsh stores 0xa9 as 0x83 0x89
+    expect(unmetafyZsh(Buffer.from([0x63, 0x64, 0x20, 0xc3, 0x83, 0x89]))).toBe('cd é');
+  });
+
+  test('reads fish history', () => {
+    const text = '- cmd: echo "a\\\\b"\n  when: 1700000000\n  paths:\n    - a\n- cmd: cargo build\n  when: 1700000100\n';
+    expect(parseFishHistory(text)).toEqual([
+      { command: 'echo "a\\b"', timestamp: 1700000000000 },
+      { command: 'cargo build', timestamp: 1700000100000 }
+    ]);
+  });
+});
+
+describe('CommandHistory', () => {
+  let dir;
+  let home;
+  let history;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'donna-history-'));
+    home = path.join(dir, 'home');
+    fs.mkdirSync(path.join(home, 'project', '.git'), { recursive: true });
+    fs.mkdirSync(path.join(home, 'project', 'src'));
+    fs.mkdirSync(path.join(home, 'other'));
+    history = new CommandHistory({
+      historyDir: path.join(dir, 'history'),
+      shellHistoryFiles: getShellHistoryFiles(home, {})
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const record = (command, cwd, extra = {}) => history.record({ command, cwd, exitCode: 0, endedAt: Date.now(), ...extra });
+
+  test('completes from shell history files, most used first', () => {
+    fs.writeFileSync(path.join(home, '.bash_history'), 'git status\ngit status\ngit status\ngit stash list\ngit status\n');
+    fs.writeFileSync(path.join(home, '.zsh_history'), `: ${Math.floor(Date.now() / 1000)}:0;git stash pop\n`);
+
+    expect(history.suggest('git st').map(s => s.command)).toEqual(['git stash pop', 'git status']);
+    expect(history.suggest('git st')[1]).toMatchObject({ description: 'Used 4 times', source: 'history' });
+    // One old use isn't good enough; that's left to the AI
+    expect(history.suggest('git stash').map(s => s.command)).toEqual(['git stash pop']);
+    expect(history.suggest('git status')).toEqual([]);
+  });
+
+  test('prefers commands run in the same directory, then the same repo', () => {
+    const project = path.join(home, 'project');
+    record('npm run build', path.join(home, 'other'));
+    record('npm run dev', path.join(project, 'src'));
+
+    expect(history.suggest('npm run', { cwd: path.join(home, 'other') })[0].command).toBe('npm run build');
+    expect(history.suggest('npm run', { cwd: project })[0]).toMatchObject({
+      command: 'npm run dev',
+      description: 'Used 1 time in this repo'
+    });
+  });
+
+  test('keeps recorded commands across launches, without private or unknown ones', () => {
+    record('make deploy', home);
+    record(' export TOKEN=secret', home);
+    record('mkae', home, { exitCode: 127 });
+
+    const reloaded = new CommandHistory({ historyDir: path.join(dir, 'history'), shellHistoryFiles: [] });
+    expect(reloaded.recorded.map(e => e.command)).toEqual(['make deploy', 'mkae']);
+    expect(reloaded.suggest('m').map(s => s.command)).toEqual(['make deploy']);
+    expect(reloaded.suggest('ex')).toEqual([]);
+  });
+
+  test('indexes accepted suggestions once', () => {
+    const accepted = { command: 'docker compose up -d', timestamp: Date.now(), cwd: home };
+    history.addAccepted([accepted]);
+    history.addAccepted([accepted, { command: 42 }]);
+
+    expect(history.suggest('docker', { cwd: home })).toEqual([
+      expect.objectContaining({ command: 'docker compose up -d', description: 'Used 1 time here' })
+    ]);
+  });
+});
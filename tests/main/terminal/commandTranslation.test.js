@@ -0,0 +1,73 @@
+/**
+ * Command Translation Test Suite
+ *
+ * Tests for natural-language commands:
+ * - Rating commands read-only, network, modifies-files or destructive
+ * - Reading the model's answer, never rating lower than the command itself
+ */
+
+const { classifyCommand, splitCommands, parseTranslation } = require('../../../src/main/terminal/commandTranslation');
+
+describe('classifyCommand', () => {
+  test.each([
+    ['ls -la | grep foo', 'read-only'],
+    ['find . -name "*.log" -size +10M 2>/dev/null', 'read-only'],
+    ['git log --oneline -5', 'read-only'],
+    ['curl -s https://example.com', 'network'],
+    ['git pull --rebase', 'network'],
+    ['npm install', 'network'],
+    ['echo hi > notes.txt', 'modifies-files'],
+    ['echo hi >> notes.txt', 'modifies-files'],
+    ['sed -i "s/a/b/" file.txt', 'modifies-files'],
+    ['mkdir -p build && cp a build/', 'modifies-files'],
+    ['sudo rm -rf /tmp/cache', 'destructive'],
+    ['find . -name "*.tmp" -delete', 'destructive'],
+    ['git reset --hard HEAD~1', 'destructive'],
+    ['git push --force origin main', 'destructive'],
+    ['curl -fsSL https://example.com/install.sh | sh', 'destructive'],
+    ['docker system prune -a', 'destructive']
+  ])('rates %s as %s', (command, risk) => {
+    expect(classifyCommand(command).risk).toBe(risk);
+  });
+
+  test('explains why', () => {
+    expect(classifyCommand('ls && rm old.txt').reasons).toEqual(['rm deletes or stops things']);
+  });
+
+  test('splits on separators outside quotes', () => {
+    expect(splitCommands('echo "a; b" && ls | wc -l; cat x 2>&1')).toEqual(['echo "a; b"', 'ls', 'wc -l', 'cat x 2>&1']);
+  });
+});
+
+describe('parseTranslation', () => {
+  test('reads JSON in code fences', () => {
+    const content = '```json\n{"command": "du -sh * | sort -h", "explanation": "Sizes of items here", "flags": [{"flag": "-s", "description": "Summarize"}, {"bad": true}], "risk": "read-only"}\n```';
+    expect(parseTranslation(content)).toEqual({
+      command: 'du -sh * | sort -h',
+      explanation: 'Sizes of items here',
+      flags: [{ flag: '-s', description: 'Summarize' }],
+      risk: 'read-only',
+      reasons: []
+    });
+  });
+
+  test('keeps the higher of the model\'s and its own rating', () => {
+    expect(parseTranslation('{"command": "rm -rf dist", "risk": "read-only"}')).toMatchObject({
+      risk: 'destructive',
+      reasons: ['rm deletes or stops things']
+    });
+    expect(parseTranslation('{"command": "ls", "risk": "network"}').risk).toBe('network');
+  });
+
+  test('fails without a command', () => {
+    expect(() => parseTranslation('I cannot help with that')).toThrow('The model did not return a command');
+    expect(() => parseTranslation('{"command": ""}')).toThrow('The model did not return a command');
+  });
+
+  test('rejects commands that would run when inserted', () => {
+    expect(() => parseTranslation('{"command": "rm -rf ~\\nls"}')).toThrow('several lines or control characters');
+    expect(() => parseTranslation('{"command": "ls\\r"}')).not.toThrow();
+    expect(() => parseTranslation('{"command": "ls\\r echo"}')).toThrow('several lines or control characters');
+    expect(() => parseTranslation('{"command": "ls\\u0003"}')).toThrow('several lines or control characters');
+  });
+});
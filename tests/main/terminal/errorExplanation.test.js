@@ -0,0 +1,62 @@
+/**
+ * Error Explanation Test Suite
+ *
+ * Tests for "Explain & fix" on failed command blocks:
+ * - Trimming long output to its start and end
+ * - Reading the diagnosis and rating the fix for risk
+ */
+
+const { trimOutput, buildExplainMessages, parseExplanation } = require('../../../src/main/terminal/errorExplanation');
+
+describe('error explanation', () => {
+  test('keeps the start and end of long output', () => {
+    const output = Array.from({ length: 150 }, (_, i) => `line ${i + 1}`).join('\n') + '\n\n';
+    const lines = trimOutput(output).split('\n');
+
+    expect(lines).toHaveLength(101);
+    expect(lines[19]).toBe('line 20');
+    expect(lines[20]).toBe('... (50 lines omitted)');
+    expect(lines[100]).toBe('line 150');
+    expect(trimOutput('short\n')).toBe('short');
+  });
+
+  test('sends the command, exit code, output, cwd and shell', () => {
+    const [, user] = buildExplainMessages({
+      command: 'npm run build',
+      output: 'Error: Cannot find module "vite"',
+      exitCode: 1,
+      cwd: '/home/me/app',
+      shell: 'zsh'
+    });
+
+    expect(user.content).toContain('Command: npm run build\nExit code: 1');
+    expect(user.content).toContain('Cannot find module "vite"');
+    expect(user.content).toContain('Current directory: /home/me/app');
+    expect(user.content).toContain('Shell: zsh');
+  });
+
+  test('reads the diagnosis and rates the fix', () => {
+    expect(parseExplanation('Here you go:\n{"diagnosis": "vite is not installed.", "fix": {"command": "npm install", "explanation": "Installs dependencies"}}')).toEqual({
+      diagnosis: 'vite is not installed.',
+      fix: {
+        command: 'npm install',
+        explanation: 'Installs dependencies',
+        risk: 'network',
+        reasons: ['npm installs or publishes packages']
+      }
+    });
+    expect(parseExplanation('{"diagnosis": "Syntax error in app.js.", "fix": null}')).toEqual({
+      diagnosis: 'Syntax error in app.js.',
+      fix: null
+    });
+    expect(() => parseExplanation('{"fix": {"command": "ls"}}')).toThrow('The model did not explain the error');
+  });
+
+  test('drops fixes that would run when inserted', () => {
+    expect(parseExplanation('{"diagnosis": "Stale build.", "fix": {"command": "rm -rf dist\\nnpm run build"}}')).toEqual({
+      diagnosis: 'Stale build.',
+      fix: null
+    });
+    expect(parseExplanation('{"diagnosis": "Stale build.", "fix": {"command": "npm run build\\r"}}').fix.command).toBe('npm run build');
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * PTY Daemon Test Suite
+ *
+ * Tests for running terminals in a background daemon:
+ * - Spawning, input, output and exit over the socket
+ * - Reattaching to a running terminal after the app disconnects
+ * - Exiting when idle, and the daemon going away
+ * - Choosing the backend
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('node-pty', () => global.mockPty);
+
+const { PtyDaemon, MessageReader, getSocketPath } = require('../../../src/main/terminal/ptyDaemon');
+const { PtyDaemonClient, localBackend, createPtyBackend } = require('../../../src/main/terminal/ptyBackend');
+
+// Let socket messages arrive
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+describe('PTY daemon', () => {
+  let dir;
+  let socketPath;
+  let daemon;
+  let onExit;
+  const clients = [];
+
+  const connect = async () => {
+    const client = new PtyDaemonClient({ socketPath, spawnDaemon: false });
+    await client.connect();
+    clients.push(client);
+    return client;
+  };
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'donna-pty-'));
+    socketPath = path.join(dir, 'pty.sock');
+    onExit = jest.fn();
+    daemon = new PtyDaemon({ socketPath, pty: global.mockPty, idleExitMs: 60 * 1000, onExit });
+    await daemon.listen();
+  });
+
+  afterEach(() => {
+    for (const client of clients.splice(0)) client.disconnect();
+    if (daemon.server) daemon.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('creates an owner-only socket in a directory of its own', async () => {
+    expect(getSocketPath('/home/me')).toBe(path.join('/home/me', '.donna-desktop', 'pty', 'pty.sock'));
+
+    const umask = process.umask();
+    const nestedPath = path.join(dir, 'pty', 'pty.sock');
+    const nested = new PtyDaemon({ socketPath: nestedPath, pty: global.mockPty, idleExitMs: 60 * 1000, onExit: jest.fn() });
+    await nested.listen();
+    try {
+      expect(fs.statSync(path.dirname(nestedPath)).mode & 0o777).toBe(0o700);
+      expect(fs.statSync(nestedPath).mode & 0o777).toBe(0o600);
+      expect(process.umask()).toBe(umask);
+    } finally {
+      nested.close();
+    }
+  });
+
+  test('runs terminals and streams their output and exit', async () => {
+    const client = await connect();
+    const remote = await client.spawn('t1', '/bin/sh', ['-l'], { cols: 80, rows: 24 }, { shellIntegration: true });
+    const data = jest.fn();
+    const exit = jest.fn();
+    remote.onData(data);
+    remote.onExit(exit);
+
+    expect(remote.pid).toBe(daemon.terminals.get('t1').process.pid);
+    expect(global.mockPty.spawn).toHaveBeenCalledWith('/bin/sh', ['-l'], { cols: 80, rows: 24 });
+
+    // The mock process echoes input
+    remote.write('echo hi\r');
+    remote.resize(120, 40);
+    await settle();
+    expect(data).toHaveBeenCalledWith('echo hi\r');
+    expect(daemon.terminals.get('t1').process.cols).toBe(120);
+
+    remote.kill();
+    await settle();
+    expect(exit).toHaveBeenCalledWith({ exitCode: 0 });
+    expect(await client.list()).toEqual([]);
+  });
+
+  test('keeps terminals running after the app disconnects and reattaches them', async () => {
+    const first = await connect();
+    await first.spawn('old', '/bin/sh', [], {}, { agentId: 'claude' });
+    daemon.terminals.get('old').process._emitData('before\r\n');
+    await settle();
+    first.disconnect();
+    await settle();
+
+    // Output while the app is closed is kept for the redraw
+    daemon.terminals.get('old').process._emitData('while closed\r\n');
+    expect(onExit).not.toHaveBeenCalled();
+
+    const second = await connect();
+    expect((await second.list()).map(t => [t.id, t.meta])).toEqual([['old', { agentId: 'claude' }]]);
+
+    const attached = await second.attach('old', 'new');
+    expect(attached.meta).toEqual({ agentId: 'claude' });
+    expect(attached.output).toBe('before\r\nwhile closed\r\n');
+
+    const data = jest.fn();
+    attached.pty.onData(data);
+    daemon.terminals.get('new').process._emitData('after\r\n');
+    await settle();
+    expect(data).toHaveBeenCalledWith('after\r\n');
+    expect(await second.attach('missing', 'other')).toBeNull();
+  });
+
+  test('exits when idle', async () => {
+    daemon.close();
+    const idleExit = jest.fn();
+    daemon = new PtyDaemon({ socketPath, pty: global.mockPty, idleExitMs: 10, onExit: idleExit });
+    await daemon.listen();
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(idleExit).toHaveBeenCalled();
+    expect(daemon.server).toBeNull();
+  });
+
+  test('reports terminals gone when the daemon goes away', async () => {
+    const client = await connect();
+    const remote = await client.spawn('t1', '/bin/sh', [], {});
+    const exit = jest.fn();
+    remote.onExit(exit);
+
+    daemon.close();
+    await settle();
+    expect(exit).toHaveBeenCalledWith({ exitCode: null });
+    expect(onExit).toHaveBeenCalled();
+  });
+
+  test('rejects invalid requests', async () => {
+    const client = await connect();
+    await expect(client.spawn('../bad', '/bin/sh', [], {})).rejects.toThrow('Invalid terminal ID format');
+    await expect(client.request({ type: 'eval' })).rejects.toThrow('Unknown request: eval');
+  });
+
+  test('stops a daemon left running when it is turned off', async () => {
+    const client = await connect();
+    const remote = await client.spawn('t1', '/bin/sh', [], {});
+    const exit = jest.fn();
+    remote.onExit(exit);
+
+    expect(await createPtyBackend({ useDaemon: false, socketPath })).toBe(localBackend);
+    await settle();
+    expect(exit).toHaveBeenCalledWith({ exitCode: 0 });
+    expect(onExit).toHaveBeenCalled();
+  });
+
+  test('uses a running daemon when turned on', async () => {
+    const backend = await createPtyBackend({ useDaemon: true, socketPath });
+    clients.push(backend);
+    expect(backend.isDaemon).toBe(true);
+    expect(backend.daemonPid).toBe(process.pid);
+  });
+});
+
+describe('MessageReader', () => {
+  test('splits messages across chunks and skips invalid lines', () => {
+    const messages = [];
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const reader = new MessageReader(message => messages.push(message));
+
+    reader.push('{"a":1}\n{"b"');
+    reader.push(':2}\nnot json\n\n');
+
+    expect(messages).toEqual([{ a: 1 }, { b: 2 }]);
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Scrollback Index Test Suite
+ *
+ * Tests for global search across terminals:
+ * - Indexing output as plain lines, without escapes or full-screen apps
+ * - Matching commands and output, with regex and case options
+ * - Keeping recorded sessions searchable after they close
+ * - Stopping regex searches that backtrack catastrophically
+ * - Searching through the terminal IPC handlers
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('electron', () => global.mockElectron);
+jest.mock('node-pty', () => global.mockPty);
+
+const { ScrollbackIndex, toPlainLine } = require('../../../src/main/terminal/scrollbackIndex');
+const { registerTerminalHandlers } = require('../../../src/main/ipc/terminalHandler');
+
+describe('ScrollbackIndex', () => {
+  let indexDir;
+  let persisted;
+  let index;
+
+  beforeEach(() => {
+    indexDir = fs.mkdtempSync(path.join(os.tmpdir(), 'donna-search-'));
+    persisted = new Set(['s1']);
+    index = new ScrollbackIndex({ indexDir, isPersisted: id => persisted.has(id) });
+  });
+
+  afterEach(() => {
+    index.flush();
+    fs.rmSync(indexDir, { recursive: true, force: true });
+  });
+
+  test('indexes output as it reads on screen', async () => {
+    expect(toPlainLine('\x1b[31mError:\x1b[0m missing\r')).toBe('Error: missing');
+    expect(toPlainLine('\x1b]133;A\x07 10%\r 50%\r100% done')).toBe('100% done');
+
+    index.append('s1', 'before\r\n\x1b[?1049hvim screen\r\n\x1b[?10');
+    index.append('s1', '49lafter\r\npartial');
+    expect(index.sessions.get('s1').lines).toEqual(['before', 'after']);
+    expect((await index.search('vim screen')).sessions).toEqual([]);
+  });
+
+  test('finds commands and output, newest first, with their block', async () => {
+    index.append('s1', '$ npm test\r\n');
+    index.append('s1', 'PASS a.test.js\r\nFAIL b.test.js\r\n');
+    index.addBlock('s1', { command: 'npm test', cwd: '/app', exitCode: 1, startedAt: 1000, endedAt: 2000, output: 'PASS a.test.js\nFAIL b.test.js\n' });
+    index.append('s2', 'test output elsewhere\r\n');
+
+    const { sessions, truncated } = await index.search('TEST');
+    expect(truncated).toBe(false);
+    expect(sessions.map(s => s.sessionId)).toEqual(['s1', 's2']);
+
+    const block = { command: 'npm test', cwd: '/app', exitCode: 1, startedAt: 1000 };
+    expect(sessions[0].matches).toEqual([
+      expect.objectContaining({ kind: 'output', text: 'FAIL b.test.js', start: 7, end: 11, fromEnd: 1, block }),
+      expect.objectContaining({ kind: 'output', text: 'PASS a.test.js', fromEnd: 2, block }),
+      expect.objectContaining({ kind: 'command', text: 'npm test', start: 4, end: 8, block }),
+      expect.objectContaining({ kind: 'output', text: '$ npm test', fromEnd: 3, block: null })
+    ]);
+    expect(sessions[0].matches[1].context).toEqual({ before: ['$ npm test'], after: ['FAIL b.test.js'] });
+  });
+
+  test('supports regex and case sensitivity', async () => {
+    index.append('s1', 'Error: one\r\nerror: two\r\nwarning\r\n');
+
+    expect((await index.search('error', { caseSensitive: true })).sessions[0].matches.map(m => m.text)).toEqual(['error: two']);
+    expect((await index.search('^(error|warn)', { regex: true })).sessions[0].matches).toHaveLength(3);
+    expect((await index.search('a.c')).sessions).toEqual([]);
+    expect((await index.search('x*', { regex: true })).sessions).toEqual([]);
+    await expect(index.search('(', { regex: true })).rejects.toThrow(SyntaxError);
+  });
+
+  test('stops a regex search that backtracks catastrophically', async () => {
+    index = new ScrollbackIndex({ indexDir, searchTimeoutMs: 300 });
+    index.append('s1', 'a'.repeat(40) + 'b\r\n');
+
+    const started = Date.now();
+    const slow = index.search('^(a+)+$', { regex: true });
+    // The main process stays responsive while the worker runs
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(Date.now() - started).toBeLessThan(300);
+
+    await expect(slow).rejects.toThrow('Search timed out');
+    expect(Date.now() - started).toBeLessThan(3000);
+  });
+
+  test('cancels a regex search replaced by a newer one', async () => {
+    index.append('s1', 'a'.repeat(40) + 'b\r\nready\r\n');
+
+    const slow = index.search('^(a+)+$', { regex: true });
+    const next = index.search('^rea', { regex: true });
+
+    await expect(slow).rejects.toThrow('Search replaced by a newer one');
+    expect((await next).sessions[0].matches.map(m => m.text)).toEqual(['ready']);
+  });
+
+  test('keeps recorded sessions searchable after they close', async () => {
+    index.append('s1', 'deploy finished\r\n');
+    index.setSessionInfo([{ id: 's1', name: 'Deploys', type: 'terminal' }]);
+    index.append('s2', 'deploy secret\r\n');
+    index.close('s1');
+    index.close('s2');
+    index.flush();
+
+    const reloaded = new ScrollbackIndex({ indexDir, isPersisted: () => true });
+    const { sessions } = await reloaded.search('deploy');
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0]).toMatchObject({ sessionId: 's1', name: 'Deploys', open: false });
+    expect(sessions[0].closedAt).toEqual(expect.any(Number));
+  });
+
+  test('moves a previous session to the session restoring it', async () => {
+    index.append('s1', 'old line\r\n');
+    index.addBlock('s1', { command: 'ls', output: 'old line\n', startedAt: 1 });
+    index.flush();
+
+    const restored = new ScrollbackIndex({ indexDir, isPersisted: () => true });
+    restored.append('s3', 'new line\r\n');
+    restored.restore('s1', 's3');
+
+    expect(fs.existsSync(path.join(indexDir, 's1.json.gz'))).toBe(false);
+    const { sessions } = await restored.search('line');
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0]).toMatchObject({ sessionId: 's3', open: true });
+    expect(sessions[0].matches.map(m => [m.text, m.block?.command])).toEqual([['new line', undefined], ['old line', 'ls']]);
+  });
+});
+
+describe('terminal:search handler', () => {
+  const ipc = global.mockElectron.ipcMain;
+  let indexDir;
+  let terminals;
+
+  beforeEach(() => {
+    indexDir = fs.mkdtempSync(path.join(os.tmpdir(), 'donna-search-'));
+    terminals = new Map();
+    const index = new ScrollbackIndex({ indexDir });
+    registerTerminalHandlers({
+      terminals,
+      getMainWindow: () => null,
+      getDefaultShell: () => '/bin/sh',
+      getTerminalConfig: () => ({ isFeatureEnabled: () => false, getConfig: () => ({}) }),
+      getScrollbackIndex: () => index
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(indexDir, { recursive: true, force: true });
+  });
+
+  test('searches terminal output and reports invalid regexes', async () => {
+    await ipc.invoke('terminal:create', {}, { id: 'one', cols: 80, rows: 24 });
+    terminals.get('one')._emitData('hello world\r\n');
+
+    const result = await ipc.invoke('terminal:search', {}, { query: 'WORLD' });
+    expect(result).toMatchObject({ success: true, truncated: false, sessions: [{ sessionId: 'one', open: true }] });
+
+    const invalid = await ipc.invoke('terminal:search', {}, { query: '[', regex: true });
+    expect(invalid.success).toBe(false);
+    expect(invalid.error).toMatch(/^Invalid regular expression/);
+
+    // Not recorded, so forgotten once closed
+    await ipc.invoke('terminal:destroy', {}, { id: 'one' });
+    expect((await ipc.invoke('terminal:search', {}, { query: 'world' })).sessions).toEqual([]);
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Session Store Test Suite
+ *
+ * Tests for persisted scrollback and session restore:
+ * - Bounded, compressed scrollback per session
+ * - Moving scrollback to the session that restores it
+ * - Excluding sessions from recording
+ * - Saving and pruning the session layout
+ * - Preparing old output for a dimmed replay
+ * - Recording through the terminal IPC handlers
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+jest.mock('electron', () => global.mockElectron);
+jest.mock('node-pty', () => global.mockPty);
+
+const { SessionStore, prepareReplay } = require('../../../src/main/terminal/sessionStore');
+const { registerTerminalHandlers } = require('../../../src/main/ipc/terminalHandler');
+
+describe('SessionStore', () => {
+  let sessionsDir;
+  let store;
+
+  beforeEach(() => {
+    sessionsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'donna-sessions-'));
+    store = new SessionStore({ sessionsDir, maxBytes: 100 });
+  });
+
+  afterEach(() => {
+    store.flush();
+    fs.rmSync(sessionsDir, { recursive: true, force: true });
+  });
+
+  test('keeps the tail of the output from a line start', () => {
+    for (let i = 0; i < 20; i++) store.append('s1', `line ${String(i).padStart(2, '0')}\r\n`);
+
+    const scrollback = store.getScrollback('s1');
+    expect(scrollback.length).toBeLessThanOrEqual(125);
+    expect(scrollback.startsWith('line ')).toBe(true);
+    expect(scrollback.endsWith('line 19\r\n')).toBe(true);
+  });
+
+  test('writes compressed logs that a new store can read', () => {
+    store.append('s1', 'hello\r\n');
+    store.flush();
+
+    const logPath = path.join(sessionsDir, 's1.log.gz');
+    expect(zlib.gunzipSync(fs.readFileSync(logPath)).toString()).toBe('hello\r\n');
+    expect(new SessionStore({ sessionsDir }).getScrollback('s1')).toBe('hello\r\n');
+  });
+
+  test('moves scrollback to the restoring session', () => {
+    store.append('old', 'before restart\r\n');
+    store.flush();
+
+    const next = new SessionStore({ sessionsDir });
+    next.append('new', '$ ');
+    const restored = next.restore('old', 'new');
+
+    expect(restored.output).toBe('before restart\r\n');
+    expect(restored.savedAt).toEqual(expect.any(Number));
+    expect(fs.existsSync(path.join(sessionsDir, 'old.log.gz'))).toBe(false);
+    // Kept for the next restart, ahead of the new output
+    expect(next.getScrollback('new')).toBe('before restart\r\n$ ');
+    expect(next.restore('missing', 'new')).toBeNull();
+  });
+
+  test('does not record excluded sessions or when disabled', () => {
+    store.append('s1', 'secret\r\n');
+    store.flush();
+    store.setRecording('s1', false);
+    store.append('s1', 'more\r\n');
+
+    expect(store.getScrollback('s1')).toBe('');
+    expect(fs.existsSync(path.join(sessionsDir, 's1.log.gz'))).toBe(false);
+
+    store.setRecording('s1', true);
+    store.configure({ enabled: false });
+    store.append('s1', 'off\r\n');
+    expect(store.getScrollback('s1')).toBe('');
+  });
+
+  test('ignores invalid session IDs', () => {
+    store.append('../escape', 'data');
+    store.flush();
+
+    expect(store.getLogPath('../escape')).toBeNull();
+    expect(fs.readdirSync(sessionsDir)).toEqual([]);
+  });
+
+  test('saves a sanitized layout and prunes logs of other sessions', () => {
+    const saved = store.saveLayout({
+      activeId: 'a',
+      sessions: [
+        { id: 'a', type: 'terminal', name: 'Build', cwd: '/tmp', pinned: true },
+        { id: 'b', type: 'agent', agentId: 'claude', cwd: 'relative', record: false },
+        { id: 'c', type: 'chat', name: 'Chat' },
+        { id: '../d', type: 'terminal' },
+        // Remote directories may be relative to the home directory there
+        { id: 'e', type: 'ssh', sshHostId: 'host-abc', cwd: '~/app' },
+        { id: 'f', type: 'ssh', cwd: '/srv' }
+      ]
+    });
+
+    expect(saved.sessions).toEqual([
+      { id: 'a', type: 'terminal', name: 'Build', cwd: '/tmp', agentId: null, sshHostId: null, pinned: true, record: true },
+      { id: 'b', type: 'agent', name: null, cwd: null, agentId: 'claude', sshHostId: null, pinned: false, record: false },
+      { id: 'e', type: 'ssh', name: null, cwd: '~/app', agentId: null, sshHostId: 'host-abc', pinned: false, record: true }
+    ]);
+    expect(new SessionStore({ sessionsDir }).loadLayout()).toEqual({ activeId: 'a', sessions: saved.sessions, panes: null });
+
+    for (const id of ['a', 'b', 'gone']) store.append(id, `${id}\r\n`);
+    store.flush();
+    store.buffers.clear();
+    store.prune();
+
+    expect(fs.readdirSync(sessionsDir).sort()).toEqual(['a.log.gz', 'layout.json']);
+  });
+
+  test('keeps split panes of saved sessions only', () => {
+    const sessions = ['a', 'b', 'c'].map(id => ({ id, type: 'terminal' }));
+    const saved = store.saveLayout({
+      activeId: 'b',
+      sessions: [...sessions, { id: 'chat', type: 'chat' }],
+      panes: {
+        direction: 'row',
+        sizes: [2, 1],
+        children: [
+          { sessionId: 'a' },
+          {
+            direction: 'column',
+            sizes: [1, 'big', 1],
+            children: [{ sessionId: 'b' }, { sessionId: 'c' }, { sessionId: 'chat' }]
+          }
+        ]
+      }
+    });
+
+    expect(saved.panes).toEqual({
+      direction: 'row',
+      sizes: [2, 1],
+      children: [
+        { sessionId: 'a' },
+        { direction: 'column', sizes: [1, 1], children: [{ sessionId: 'b' }, { sessionId: 'c' }] }
+      ]
+    });
+    expect(store.loadLayout().panes).toEqual(saved.panes);
+
+    // Splits left with one pane collapse; a single pane is no split
+    const collapsed = store.saveLayout({
+      sessions,
+      panes: { direction: 'row', sizes: [1, 1], children: [{ sessionId: 'a' }, { sessionId: 'gone' }] }
+    });
+    expect(collapsed.panes).toBeNull();
+    expect(store.saveLayout({ sessions, panes: { direction: 'diagonal', children: [] } }).panes).toBeNull();
+  });
+});
+
+describe('prepareReplay', () => {
+  test('dims output and keeps dimming after color resets', () => {
+    expect(prepareReplay('a\x1b[31mred\x1b[0mb')).toBe('\x1b[0;2ma\x1b[31m\x1b[2mred\x1b[0m\x1b[2mb\x1b[0m');
+  });
+
+  test('drops cursor movement, OSC marks and alternate screen contents', () => {
+    const output = [
+      '\x1b]133;A\x07$ \x1b]133;B\x07vim\r\n',
+      '\x1b[?1049h\x1b[2J\x1b[Hediting\x1b[?1049l',
+      '\x1b[?2004h$ \x1b(B\x1b='
+    ].join('');
+
+    expect(prepareReplay(output)).toBe('\x1b[0;2m$ vim\r\n$ \x1b[0m');
+  });
+
+  test('drops a sequence cut off at the end', () => {
+    expect(prepareReplay('done\x1b]7;file://host')).toBe('\x1b[0;2mdone\x1b[0m');
+    expect(prepareReplay('')).toBe('');
+  });
+});
+
+describe('terminal handlers with session restore', () => {
+  const ipc = global.mockElectron.ipcMain;
+  let sessionsDir;
+  let store;
+  let terminals;
+  let features;
+
+  beforeEach(() => {
+    sessionsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'donna-sessions-'));
+    store = new SessionStore({ sessionsDir });
+    terminals = new Map();
+    features = { shellIntegration: false, sessionRestore: true };
+    const terminalConfig = {
+      isFeatureEnabled: (feature) => features[feature],
+      getConfig: () => ({ sessionRestore: { scrollbackKB: 64 } })
+    };
+
+    registerTerminalHandlers({
+      terminals,
+      getMainWindow: () => null,
+      getDefaultShell: () => '/bin/sh',
+      getTerminalConfig: () => terminalConfig,
+      getSessionStore: () => store
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(sessionsDir, { recursive: true, force: true });
+  });
+
+  test('records output, restores it into a new terminal and discards it on close', async () => {
+    await ipc.invoke('terminal:create', {}, { id: 'old', cols: 80, rows: 24, cwd: sessionsDir });
+    expect(terminals.get('old').options.cwd).toBe(sessionsDir);
+    expect(store.maxBytes).toBe(64 * 1024);
+
+    terminals.get('old')._emitData('\x1b[32mok\x1b[0m\r\n');
+    store.flush();
+
+    const result = await ipc.invoke('terminal:create', {}, { id: 'new', cols: 80, rows: 24, restoreId: 'old', cwd: '/does/not/exist' });
+    expect(result.restored.output).toBe('\x1b[0;2m\x1b[32m\x1b[2mok\x1b[0m\x1b[2m\r\n\x1b[0m');
+    expect(terminals.get('new').options.cwd).toBe(os.homedir());
+    // The old process (left over from a renderer reload) is replaced
+    expect(terminals.has('old')).toBe(false);
+
+    await ipc.invoke('terminal:destroy', {}, { id: 'new' });
+    expect(store.getScrollback('new')).toBe('');
+  });
+
+  test('skips recording for excluded sessions and when the feature is off', async () => {
+    await ipc.invoke('terminal:create', {}, { id: 'private', cols: 80, rows: 24, record: false });
+    terminals.get('private')._emitData('token\r\n');
+    expect(store.getScrollback('private')).toBe('');
+
+    await ipc.invoke('terminal:saveSessionLayout', {}, { sessions: [{ id: 'private', type: 'terminal' }] });
+    features.sessionRestore = false;
+    expect(await ipc.invoke('terminal:getSavedSessions', {})).toEqual({ success: true, activeId: null, sessions: [] });
+    expect(fs.existsSync(sessionsDir)).toBe(false);
+  });
+});
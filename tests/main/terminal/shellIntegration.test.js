@@ -0,0 +1,135 @@
+/**
+ * Shell Integration Test Suite
+ *
+ * Tests for OSC 133 / OSC 7 shell integration:
+ * - Parsing prompt, command and cwd marks into command events
+ * - Sequences split across PTY chunks
+ * - Launch arguments and scripts per shell
+ * - A real bash session with the injected script
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const { ShellIntegrationParser, getShellLaunch, stripAnsi } = require('../../../src/main/terminal/shellIntegration');
+
+const osc = (body) => `\x1b]${body}\x07`;
+
+describe('ShellIntegrationParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new ShellIntegrationParser();
+  });
+
+  test('turns a command into start and end events with exit code and output', () => {
+    const events = parser.push([
+      osc('7;file://host/Users/me/my%20project'),
+      osc('133;A'), '$ ', osc('133;B'), 'ls\r\n',
+      osc('133;C;cmdline_url=ls%20-la'),
+      'file.txt\r\n',
+      osc('133;D;2')
+    ].join(''));
+
+    expect(events.map(e => e.type)).toEqual(['cwd', 'prompt', 'commandStart', 'commandEnd']);
+    expect(events[3]).toMatchObject({
+      command: 'ls -la',
+      cwd: '/Users/me/my project',
+      exitCode: 2,
+      output: 'file.txt\n'
+    });
+    expect(events[3].durationMs).toBeGreaterThanOrEqual(0);
+    expect(parser.cwd).toBe('/Users/me/my project');
+  });
+
+  test('handles marks split across chunks and ST terminators', () => {
+    const data = `${osc('133;C;cmdline_url=make')}building\r\n\x1b]133;D;0\x1b\\`;
+    const events = [];
+    for (const char of data) events.push(...parser.push(char));
+
+    expect(events.map(e => e.type)).toEqual(['commandStart', 'commandEnd']);
+    expect(events[1]).toMatchObject({ command: 'make', exitCode: 0, output: 'building\n' });
+  });
+
+  test('ignores command ends without a started command', () => {
+    // bash reports D on every prompt, including after an empty line
+    expect(parser.push(osc('133;D;0'))).toEqual([]);
+  });
+
+  test('ignores other OSC sequences and strips ANSI codes from output', () => {
+    parser.push(osc('133;C;cmdline_url=test'));
+    parser.push(`${osc('0;window title')}\x1b[32mok\x1b[0m\r\n`);
+
+    const [end] = parser.push(osc('133;D;0'));
+
+    expect(end.output).toBe('ok\n');
+  });
+
+  test('treats an unterminated OSC as output once it gets too long', () => {
+    parser.push(osc('133;C;cmdline_url=cat'));
+    parser.push(`\x1b]${'x'.repeat(5000)}`);
+
+    expect(parser.pending).toBe('');
+  });
+
+  test('strips ANSI sequences', () => {
+    expect(stripAnsi('\x1b[1;31mred\x1b[0m\r\n\x1b(Bplain')).toBe('red\nplain');
+  });
+});
+
+describe('getShellLaunch', () => {
+  let baseDir;
+
+  beforeEach(() => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'donna-shell-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  });
+
+  test('injects an rcfile for bash', () => {
+    const launch = getShellLaunch('/bin/bash', { HOME: '/home/me' }, baseDir);
+
+    expect(launch).toMatchObject({ args: ['--rcfile', path.join(baseDir, 'bash.sh')], integrated: true });
+    expect(fs.readFileSync(path.join(baseDir, 'bash.sh'), 'utf8')).toContain('133;C;cmdline_url=');
+  });
+
+  test('points zsh at the integration ZDOTDIR and remembers the user one', () => {
+    const launch = getShellLaunch('/bin/zsh', { HOME: '/home/me', ZDOTDIR: '/home/me/.config/zsh' }, baseDir);
+
+    expect(launch.env).toMatchObject({ ZDOTDIR: path.join(baseDir, 'zsh'), DONNA_USER_ZDOTDIR: '/home/me/.config/zsh' });
+    expect(fs.existsSync(path.join(baseDir, 'zsh', '.zshrc'))).toBe(true);
+  });
+
+  test('sources the script in fish and leaves other shells alone', () => {
+    expect(getShellLaunch('/usr/local/bin/fish', {}, baseDir).args).toEqual([
+      '--init-command', `source '${path.join(baseDir, 'donna.fish')}'`
+    ]);
+    expect(getShellLaunch('/bin/tcsh', { A: '1' }, baseDir)).toEqual({ args: [], env: { A: '1' }, integrated: false });
+  });
+
+  const hasBash = fs.existsSync('/bin/bash') && process.platform !== 'win32';
+  (hasBash ? test : test.skip)('reports commands from a real bash session', () => {
+    const launch = getShellLaunch('/bin/bash', { PATH: process.env.PATH, HOME: baseDir }, baseDir);
+    // Prompts go to stderr, marks to stdout; merge them in order
+    const result = spawnSync('/bin/sh', ['-c', 'exec /bin/bash --rcfile "$0" -i 2>&1', launch.args[1]], {
+      input: `cd ${baseDir}\nfalse\necho done\n`,
+      env: launch.env,
+      encoding: 'utf8',
+      timeout: 20000
+    });
+
+    const parser = new ShellIntegrationParser();
+    const ends = parser.push(result.stdout).filter(e => e.type === 'commandEnd');
+
+    expect(ends.map(e => [e.command, e.exitCode, e.output])).toEqual([
+      [`cd ${baseDir}`, 0, ''],
+      ['false', 1, ''],
+      ['echo done', 0, 'done\n']
+    ]);
+    expect(parser.cwd).toBe(baseDir);
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * SSH Hosts Test Suite
+ *
+ * Tests for SSH sessions:
+ * - Reading concrete hosts from ~/.ssh/config and its includes
+ * - Building ssh arguments with jump hosts and remote directories
+ * - Saving, listing and removing hosts
+ * - Spawning ssh through the terminal and agent IPC handlers
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('electron', () => global.mockElectron);
+jest.mock('node-pty', () => global.mockPty);
+
+const { SshHosts, parseSshConfig, buildSshArgs, validateHost } = require('../../../src/main/terminal/sshHosts');
+const { registerTerminalHandlers } = require('../../../src/main/ipc/terminalHandler');
+const { registerAgentHandlers } = require('../../../src/main/ipc/agentHandler');
+const agentDefinitions = require('../../../src/main/agents/agentDefinitions');
+
+describe('ssh config', () => {
+  test('keeps concrete hosts with the first value of each option', () => {
+    const { hosts, includes } = parseSshConfig([
+      '# comment',
+      'Include config.d/*',
+      'Host web web-alias',
+      '  HostName 10.0.0.5',
+      '  User deploy',
+      '  Port=2222',
+      '  User ignored',
+      'Host *.internal !bastion',
+      '  ProxyJump bastion',
+      'Host db',
+      '  IdentityFile "~/.ssh/db key"',
+      '  ProxyJump admin@bastion:22',
+      'Match host other',
+      '  User nobody'
+    ].join('\n'));
+
+    expect(includes).toEqual(['config.d/*']);
+    expect(hosts).toEqual([
+      { alias: 'web', hostName: '10.0.0.5', user: 'deploy', port: 2222, identityFile: null, proxyJump: null },
+      { alias: 'web-alias', hostName: '10.0.0.5', user: 'deploy', port: 2222, identityFile: null, proxyJump: null },
+      { alias: 'db', hostName: null, user: null, port: null, identityFile: '~/.ssh/db key', proxyJump: 'admin@bastion:22' }
+    ]);
+  });
+});
+
+describe('buildSshArgs', () => {
+  test('passes saved host settings and quotes the remote directory', () => {
+    const host = { source: 'saved', host: 'example.com', user: 'me', port: 2200, jumpHost: 'jump1,me@jump2:22', defaultDir: '~/my app' };
+
+    expect(buildSshArgs(host)).toEqual([
+      '-p', '2200', '-J', 'jump1,me@jump2:22', '-t', '--', 'me@example.com',
+      `cd "$HOME"/'my app' && exec "$SHELL" -l`
+    ]);
+    expect(buildSshArgs({ ...host, defaultDir: null }).slice(-2)).toEqual(['--', 'me@example.com']);
+  });
+
+  test('runs a command and leaves ~/.ssh/config hosts to their config', () => {
+    const host = { source: 'ssh-config', host: 'db', user: 'admin', port: 2222, jumpHost: 'bastion' };
+
+    expect(buildSshArgs(host, { cwd: "/srv/it's", command: ['claude', '--append-system-prompt', 'Be brief; no $x'] })).toEqual([
+      '-t', '--', 'db', `cd '/srv/it'\\''s' && exec claude --append-system-prompt 'Be brief; no $x'`
+    ]);
+  });
+});
+
+describe('SshHosts', () => {
+  let homeDir;
+  let hosts;
+
+  beforeEach(() => {
+    homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'donna-ssh-'));
+    fs.mkdirSync(path.join(homeDir, '.ssh', 'config.d'), { recursive: true });
+    fs.writeFileSync(path.join(homeDir, '.ssh', 'config'), 'Include config.d/*\nHost web\n  User deploy\n');
+    fs.writeFileSync(path.join(homeDir, '.ssh', 'config.d', 'work'), 'Host db\n  HostName db.internal\n');
+    hosts = new SshHosts({ homeDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(homeDir, { recursive: true, force: true });
+  });
+
+  test('rejects hosts that would reach ssh as options', () => {
+    expect(() => validateHost({ host: '-oProxyCommand=touch x' })).toThrow('Enter a host name or address');
+    expect(() => validateHost({ host: 'ok', jumpHost: '-J evil' })).toThrow(/Jump hosts/);
+    expect(() => validateHost({ host: 'ok', port: 70000 })).toThrow(/Port/);
+    expect(validateHost({ host: ' ok ', user: 'me', port: '22' })).toMatchObject({ name: 'me@ok', host: 'ok', port: 22 });
+  });
+
+  test('lists saved hosts before ~/.ssh/config hosts and saves over an alias', () => {
+    expect(hosts.list().map(host => host.id)).toEqual(['config:web', 'config:db']);
+    expect(hosts.get('config:db')).toMatchObject({ host: 'db', hostName: 'db.internal', source: 'ssh-config' });
+
+    // Saved under its alias to give it a default directory
+    const saved = hosts.save({ host: 'web', name: 'Web', defaultDir: '/var/www' });
+    expect(saved.id).toMatch(/^host-/);
+    expect(hosts.list().map(host => [host.id, host.source])).toEqual([[saved.id, 'saved'], ['config:db', 'ssh-config']]);
+
+    hosts.save({ ...saved, name: 'Web server' });
+    expect(new SshHosts({ homeDir }).get(saved.id)).toMatchObject({ name: 'Web server', defaultDir: '/var/www' });
+
+    expect(hosts.remove(saved.id)).toBe(true);
+    expect(hosts.remove(saved.id)).toBe(false);
+    expect(hosts.list()).toHaveLength(2);
+  });
+});
+
+describe('SSH sessions through the IPC handlers', () => {
+  const ipc = global.mockElectron.ipcMain;
+  const pty = global.mockPty;
+  let homeDir;
+  let terminals;
+
+  beforeEach(() => {
+    homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'donna-ssh-'));
+    terminals = new Map();
+    const sshHosts = new SshHosts({ homeDir });
+    sshHosts.save({ host: 'example.com', user: 'me', defaultDir: '~/project' });
+    const deps = {
+      terminals,
+      getMainWindow: () => null,
+      getDefaultShell: () => '/bin/sh',
+      getTerminalConfig: () => ({ isFeatureEnabled: () => true, getConfig: () => ({}) }),
+      getSshHosts: () => sshHosts,
+      agentDefinitions
+    };
+    registerTerminalHandlers(deps);
+    registerAgentHandlers(deps);
+    pty.spawn.mockClear();
+  });
+
+  afterEach(() => {
+    fs.rmSync(homeDir, { recursive: true, force: true });
+  });
+
+  const hostId = () => JSON.parse(fs.readFileSync(path.join(homeDir, '.donna-desktop', 'ssh-hosts.json'), 'utf-8')).hosts[0].id;
+
+  test('spawns ssh without shell integration for a terminal', async () => {
+    const result = await ipc.invoke('terminal:create', {}, { id: 'remote', cols: 80, rows: 24, sshHostId: hostId(), cwd: '/tmp' });
+    expect(result.success).toBe(true);
+
+    const [file, args, options] = pty.spawn.mock.calls[0];
+    expect(path.basename(file)).toBe('ssh');
+    expect(args).toEqual(['-t', '--', 'me@example.com', 'cd /tmp && exec "$SHELL" -l']);
+    expect(options.cwd).toBe(os.homedir());
+    expect(options.env.ZDOTDIR).toBeUndefined();
+
+    expect(await ipc.invoke('terminal:create', {}, { id: 'gone', cols: 80, rows: 24, sshHostId: 'host-missing' }))
+      .toEqual({ success: false, error: 'SSH host not found' });
+  });
+
+  test('reports the remote shell\'s cwd rather than the ssh client\'s', async () => {
+    await ipc.invoke('terminal:create', {}, { id: 'remote', cols: 80, rows: 24, sshHostId: hostId() });
+    expect(await ipc.invoke('terminal:getCwd', {}, { id: 'remote' })).toEqual({ success: true, cwd: null, remote: true });
+
+    terminals.get('remote')._emitData('\x1b]7;file://example.com/srv/app\x07$ ');
+    expect(await ipc.invoke('terminal:getCwd', {}, { id: 'remote' })).toEqual({ success: true, cwd: '/srv/app', remote: true });
+  });
+
+  test('runs an agent CLI on the host in its default directory', async () => {
+    const result = await ipc.invoke('agents:createSession', {}, { id: 'agent', agentId: 'claude', cols: 80, rows: 24, sshHostId: hostId() });
+    expect(result.success).toBe(true);
+
+    const [file, args] = pty.spawn.mock.calls[0];
+    expect(path.basename(file)).toBe('ssh');
+    expect(args.slice(0, 3)).toEqual(['-t', '--', 'me@example.com']);
+    expect(args[3]).toMatch(/^cd "\$HOME"\/project && exec claude\b/);
+  });
+});
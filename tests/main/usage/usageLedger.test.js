@@ -0,0 +1,202 @@
+/**
+ * UsageLedger Test Suite
+ *
+ * Tests for token usage and cost tracking:
+ * - Usage normalization across provider formats
+ * - Persistence to the JSONL ledger and price table
+ * - Aggregation by day, session and provider
+ * - Folding old entries into daily rollups
+ * - ModelManager recording for chat() and stream()
+ * - Price table validation in the IPC handlers
+ */
+
+jest.mock('electron', () => global.mockElectron);
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { UsageLedger, normalizeUsage } = require('../../../src/main/usage/usageLedger');
+const { ModelProvider, ModelManager } = require('../../../src/main/models/modelProvider');
+const { registerUsageHandlers } = require('../../../src/main/ipc/usageHandler');
+
+class FixedProvider extends ModelProvider {
+  constructor() {
+    super();
+    this.name = 'fixed';
+    this.model = 'claude-sonnet-4-20250514';
+  }
+
+  async chat() {
+    return { content: 'ok', model: this.model, usage: { input_tokens: 100, output_tokens: 50 } };
+  }
+
+  async *stream() {
+    yield { type: 'text', content: 'ok' };
+    yield { type: 'usage', usage: { inputTokens: 10, outputTokens: 1 } };
+    yield { type: 'usage', usage: { inputTokens: 10, outputTokens: 5 } };
+  }
+}
+
+describe('normalizeUsage', () => {
+  test('handles Anthropic, OpenAI and camelCase shapes', () => {
+    expect(normalizeUsage({ input_tokens: 1, output_tokens: 2 })).toEqual({ inputTokens: 1, outputTokens: 2 });
+    expect(normalizeUsage({ prompt_tokens: 3, completion_tokens: 4 })).toEqual({ inputTokens: 3, outputTokens: 4 });
+    expect(normalizeUsage({ inputTokens: 5, outputTokens: 6 })).toEqual({ inputTokens: 5, outputTokens: 6 });
+  });
+
+  test('returns null for missing or empty usage', () => {
+    expect(normalizeUsage(undefined)).toBeNull();
+    expect(normalizeUsage({})).toBeNull();
+  });
+});
+
+describe('UsageLedger', () => {
+  let usageDir;
+  let ledger;
+
+  beforeEach(() => {
+    usageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'donna-usage-'));
+    ledger = new UsageLedger({ usageDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(usageDir, { recursive: true, force: true });
+  });
+
+  test('persists entries and reloads them', () => {
+    ledger.record({ provider: 'claude', model: 'claude-sonnet-4-20250514', usage: { input_tokens: 10, output_tokens: 20 }, sessionId: 's1' });
+
+    const reloaded = new UsageLedger({ usageDir });
+    expect(reloaded.entries).toHaveLength(1);
+    expect(reloaded.entries[0]).toMatchObject({ provider: 'claude', sessionId: 's1', inputTokens: 10, outputTokens: 20 });
+  });
+
+  test('ignores calls without usage', () => {
+    expect(ledger.record({ provider: 'claude', usage: null })).toBeNull();
+    expect(ledger.entries).toHaveLength(0);
+  });
+
+  test('prices models by exact ID, prefix and OpenRouter namespace', () => {
+    expect(ledger.getPrice('claude-sonnet-4-20250514', 'claude')).toEqual({ input: 3, output: 15 });
+    expect(ledger.getPrice('anthropic/claude-3.5-sonnet', 'openrouter')).toEqual({ input: 3, output: 15 });
+    expect(ledger.getPrice('llama3.2', 'ollama')).toEqual({ input: 0, output: 0 });
+    expect(ledger.getPrice('mystery-model', 'openai')).toBeNull();
+  });
+
+  test('aggregates totals and groups with costs', () => {
+    ledger.record({ provider: 'claude', model: 'claude-sonnet-4', usage: { inputTokens: 1e6, outputTokens: 0 }, sessionId: 'a' });
+    ledger.record({ provider: 'openai', model: 'gpt-4o', usage: { inputTokens: 0, outputTokens: 1e6 }, sessionId: 'b' });
+    ledger.record({ provider: 'openai', model: 'unknown', usage: { inputTokens: 5, outputTokens: 5 }, sessionId: 'b' });
+
+    const { totals, groups } = ledger.query({ groupBy: 'provider' });
+
+    expect(totals).toMatchObject({ requests: 3, cost: 13, unpricedRequests: 1 });
+    expect(groups.map(g => [g.key, g.cost])).toEqual([['openai', 10], ['claude', 3]]);
+    expect(ledger.query({ sessionId: 'a' }).totals.requests).toBe(1);
+    expect(() => ledger.query({ groupBy: 'color' })).toThrow('Invalid groupBy');
+  });
+
+  test('filters by time range', () => {
+    const entry = ledger.record({ provider: 'claude', model: 'claude-sonnet-4', usage: { inputTokens: 1, outputTokens: 1 } });
+
+    expect(ledger.query({ since: entry.timestamp + 1 }).totals.requests).toBe(0);
+    expect(ledger.query({ until: entry.timestamp + 1 }).totals.requests).toBe(1);
+  });
+
+  test('folds old entries into daily rollups that still re-price', () => {
+    ledger = new UsageLedger({ usageDir, maxEntries: 4 });
+    // One call per millisecond, so no two entries share a timestamp
+    let now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now++);
+    for (let i = 0; i < 6; i++) {
+      ledger.record({ provider: 'claude', model: 'claude-sonnet-4', usage: { inputTokens: 1e6, outputTokens: 0 }, sessionId: `s${i}` });
+    }
+    Date.now.mockRestore();
+
+    expect(ledger.entries.map(e => e.sessionId)).toEqual(['s2', 's3', 's4', 's5']);
+    expect(fs.readFileSync(path.join(usageDir, 'ledger.jsonl'), 'utf-8').trim().split('\n')).toHaveLength(4);
+
+    const reloaded = new UsageLedger({ usageDir, maxEntries: 4 });
+    const { totals, groups } = reloaded.query({ groupBy: 'session' });
+    expect(totals).toMatchObject({ requests: 6, inputTokens: 6e6, cost: 18 });
+    expect(groups.find(g => g.key === 'none')).toMatchObject({ requests: 2, cost: 6 });
+    expect(reloaded.query({ sessionId: 's0' }).totals.requests).toBe(0);
+
+    reloaded.setPrices({ 'claude-sonnet-4': { input: 1, output: 1 } });
+    expect(reloaded.query().totals.cost).toBe(6);
+  });
+
+  test('saves and validates the price table', () => {
+    expect(ledger.setPrices({ 'my-model': { input: 1, output: 2 } })).toBe(true);
+    expect(new UsageLedger({ usageDir }).getPrices()).toEqual({ 'my-model': { input: 1, output: 2 } });
+    expect(() => ledger.setPrices({ bad: { input: -1, output: 0 } })).toThrow('Invalid price for bad');
+  });
+
+  test('clear removes all entries', () => {
+    ledger = new UsageLedger({ usageDir, maxEntries: 1 });
+    for (let i = 0; i < 3; i++) ledger.record({ provider: 'claude', usage: { inputTokens: 1, outputTokens: 1 } });
+    expect(ledger.clear()).toBe(true);
+    expect(new UsageLedger({ usageDir }).query().totals.requests).toBe(0);
+  });
+});
+
+describe('ModelManager usage recording', () => {
+  let ledger;
+  let manager;
+
+  beforeEach(() => {
+    ledger = { record: jest.fn() };
+    manager = new ModelManager({ ledger });
+    manager.registerProvider('claude', new FixedProvider());
+  });
+
+  test('records chat usage with the caller context', async () => {
+    await manager.chat([], { usageContext: { source: 'chat', sessionId: 's1' } });
+
+    expect(ledger.record).toHaveBeenCalledWith({
+      provider: 'claude',
+      model: 'claude-sonnet-4-20250514',
+      usage: { input_tokens: 100, output_tokens: 50 },
+      source: 'chat',
+      sessionId: 's1'
+    });
+  });
+
+  test('records the last cumulative usage chunk of a stream', async () => {
+    for await (const chunk of manager.stream([], { usageContext: { source: 'orchestrator', agentId: 'a1' } })) {
+      // drain
+    }
+
+    expect(ledger.record).toHaveBeenCalledTimes(1);
+    expect(ledger.record.mock.calls[0][0]).toMatchObject({
+      provider: 'claude',
+      usage: { inputTokens: 10, outputTokens: 5 },
+      agentId: 'a1'
+    });
+  });
+});
+
+describe('usage handlers', () => {
+  const ipc = global.mockElectron.ipcMain;
+  let usageDir;
+
+  beforeEach(() => {
+    usageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'donna-usage-'));
+    const ledger = new UsageLedger({ usageDir });
+    registerUsageHandlers({ getUsageLedger: () => ledger });
+  });
+
+  afterEach(() => {
+    ipc.reset();
+    fs.rmSync(usageDir, { recursive: true, force: true });
+  });
+
+  test('rejects a missing or invalid price table', async () => {
+    expect(await ipc.invoke('usage:setPrices', {})).toEqual({ success: false, error: 'Missing price table' });
+    expect(await ipc.invoke('usage:setPrices', {}, { prices: [] })).toEqual({ success: false, error: 'Missing price table' });
+    expect(await ipc.invoke('usage:setPrices', {}, { prices: { gpt: { input: -1, output: 1 } } }))
+      .toEqual({ success: false, error: 'Invalid price for gpt' });
+    expect(await ipc.invoke('usage:setPrices', {}, { prices: { gpt: { input: 1, output: 2 } } })).toEqual({ success: true });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Discovery Test Suite
+ *
+ * Tests for CLI discovery and process cwd lookup:
+ * - Reading the login-shell PATH (bash/zsh and fish) and caching it
+ * - Finding executables by name or absolute path
+ * - Resolving a process's cwd
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  readLoginShellPath,
+  loadSearchPath,
+  getSearchPath,
+  findExecutable,
+  getProcessCwd,
+  clearDiscoveryCache
+} = require('../../../src/main/utils/discovery');
+
+describe('discovery', () => {
+  let binDir;
+
+  beforeEach(() => {
+    binDir = fs.mkdtempSync(path.join(os.tmpdir(), 'donna-bin-'));
+    fs.writeFileSync(path.join(binDir, 'my-cli'), '#!/bin/sh\n', { mode: 0o755 });
+    fs.writeFileSync(path.join(binDir, 'not-executable'), 'text', { mode: 0o644 });
+    fs.mkdirSync(path.join(binDir, 'a-directory'));
+  });
+
+  afterEach(() => {
+    clearDiscoveryCache();
+    fs.rmSync(binDir, { recursive: true, force: true });
+  });
+
+  test('reads PATH from a login shell, ignoring rc file output', async () => {
+    const dirs = await readLoginShellPath('/bin/sh');
+
+    expect(dirs.length).toBeGreaterThan(0);
+    expect(dirs.every(dir => !dir.includes('__DONNA_PATH__'))).toBe(true);
+  });
+
+  test('joins the PATH list itself in fish', async () => {
+    // fish would print "$PATH" joined with spaces
+    const fish = path.join(binDir, 'fish');
+    fs.writeFileSync(fish, [
+      '#!/bin/sh',
+      'case "$3" in',
+      '  *"(string join : \\$PATH)"*) printf "__DONNA_PATH__/a/bin:/b/bin__DONNA_PATH__" ;;',
+      '  *) printf "__DONNA_PATH__/a/bin /b/bin__DONNA_PATH__" ;;',
+      'esac',
+      ''
+    ].join('\n'), { mode: 0o755 });
+
+    await expect(readLoginShellPath(fish)).resolves.toEqual(['/a/bin', '/b/bin']);
+  });
+
+  test('returns no directories when the shell fails', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(readLoginShellPath(path.join(binDir, 'missing-shell'))).resolves.toEqual([]);
+
+    console.warn.mockRestore();
+  });
+
+  test('caches the search PATH until cleared', async () => {
+    const first = await loadSearchPath();
+
+    expect(getSearchPath()).toBe(first);
+    expect(loadSearchPath()).toBe(loadSearchPath());
+    expect(first).toContain('/usr/bin');
+
+    clearDiscoveryCache();
+    expect(getSearchPath()).not.toBe(first);
+    expect(getSearchPath()).toContain('/usr/bin');
+  });
+
+  test('finds executables on the search path', () => {
+    expect(findExecutable('my-cli', ['/nonexistent', binDir])).toBe(path.join(binDir, 'my-cli'));
+    expect(findExecutable('not-executable', [binDir])).toBeNull();
+    expect(findExecutable('a-directory', [binDir])).toBeNull();
+    expect(findExecutable('missing', [binDir])).toBeNull();
+  });
+
+  test('checks absolute paths directly and rejects relative ones', () => {
+    expect(findExecutable(path.join(binDir, 'my-cli'), [])).toBe(path.join(binDir, 'my-cli'));
+    expect(findExecutable('../my-cli', [binDir])).toBeNull();
+    expect(findExecutable('', [binDir])).toBeNull();
+  });
+
+  test('resolves the cwd of a process', () => {
+    expect(getProcessCwd(process.pid)).toBe(fs.realpathSync(process.cwd()));
+    expect(getProcessCwd(-1)).toBeNull();
+    expect(getProcessCwd('1; rm -rf /')).toBeNull();
+  });
+});
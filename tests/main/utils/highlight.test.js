@@ -0,0 +1,35 @@
+/**
+ * Highlight Test Suite
+ *
+ * Tests for line-by-line syntax highlighting:
+ * - Picking the language from a file name
+ * - Keeping spans balanced when tokens cross lines
+ * - Escaping plain text
+ */
+
+const { getLanguage, highlightLines, splitHtmlLines } = require('../../../src/main/utils/highlight');
+
+describe('highlight', () => {
+  test('picks the language from the extension or file name', () => {
+    expect(getLanguage('src/app.ts')).toBe('ts');
+    expect(getLanguage('Makefile')).toBe('makefile');
+    expect(getLanguage('notes.unknown')).toBeNull();
+  });
+
+  test('closes and reopens spans that cross lines', () => {
+    expect(splitHtmlLines('<span class="c">/* a\nb */</span> x\ny')).toEqual([
+      '<span class="c">/* a</span>',
+      '<span class="c">b */</span> x',
+      'y'
+    ]);
+    expect(highlightLines('/* a\n b */\n', 'js')).toEqual([
+      '<span class="hljs-comment">/* a</span>',
+      '<span class="hljs-comment"> b */</span>'
+    ]);
+  });
+
+  test('escapes text without a language', () => {
+    expect(highlightLines('<b>&\n\n', null)).toEqual(['&lt;b&gt;&amp;', '']);
+    expect(highlightLines('', null)).toEqual([]);
+  });
+});
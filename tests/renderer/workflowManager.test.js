@@ -0,0 +1,84 @@
+/**
+ * Workflow Manager Test Suite
+ *
+ * Tests for running workflow steps in the renderer:
+ * - Inserting earlier step output into later commands as one quoted word
+ * - Failing a step instead of running multi-line output line by line
+ */
+
+const { compileWorkflow } = require('../../src/main/config/workflowSchema');
+
+global.window = {};
+require('../../src/renderer/components/workflowManager');
+
+afterAll(() => {
+  delete global.window;
+});
+
+/**
+ * A manager without its modal, running commands with fake outputs
+ * @param {Object} outputs - command -> output
+ */
+function createManager(outputs) {
+  const manager = Object.create(window.WorkflowManager.prototype);
+  const element = { style: {}, querySelector: () => null };
+  Object.assign(manager, {
+    stepResults: {},
+    variables: {},
+    outputVariables: new Set(),
+    maxLoopItems: 100,
+    modalElement: { querySelector: () => element, querySelectorAll: () => [] },
+    commands: []
+  });
+  manager.executeCommand = async (command) => {
+    manager.commands.push(command);
+    return { command, exitCode: 0, output: outputs[command] ?? '' };
+  };
+  return manager;
+}
+
+async function run(manager, commands) {
+  const workflow = { name: 'Test', commands };
+  manager.runningWorkflow = workflow;
+  return manager.runSteps(compileWorkflow(workflow).steps, '', workflow);
+}
+
+describe('WorkflowManager step output', () => {
+  test('is inserted as a single quoted word', async () => {
+    const manager = createManager({ 'git branch --show-current': 'main', 'cat name': 'x $(rm -rf ~) `id`; echo it\'s | sh\r\n' });
+    const outcome = await run(manager, [
+      { name: 'branch', command: 'git branch --show-current' },
+      { name: 'name', command: 'cat name' },
+      'git push origin ${steps.branch.output}',
+      'echo ${steps.name.output}'
+    ]);
+
+    expect(outcome.status).toBe('ok');
+    expect(manager.commands.slice(2)).toEqual([
+      'git push origin main',
+      `echo 'x $(rm -rf ~) \`id\`; echo it'\\''s | sh'`
+    ]);
+  });
+
+  test('fails the step when the output has several lines', async () => {
+    const manager = createManager({ ls: 'a\nrm -rf ~\n' });
+    const outcome = await run(manager, [
+      { name: 'files', command: 'ls' },
+      'echo ${steps.files.output}'
+    ]);
+
+    expect(outcome).toMatchObject({ status: 'failed', step: '1', error: expect.stringMatching(/several lines; use forEach/) });
+    expect(manager.commands).toEqual(['ls']);
+  });
+
+  test('quotes loop items taken from output', async () => {
+    const manager = createManager({ ls: 'one\n$(whoami)\n' });
+    const outcome = await run(manager, [
+      { name: 'files', command: 'ls' },
+      { forEach: 'steps.files.output', as: 'file', commands: ['cat ${file}'] }
+    ]);
+
+    expect(outcome.status).toBe('ok');
+    expect(manager.commands.slice(1)).toEqual(['cat one', "cat '$(whoami)'"]);
+  });
+});